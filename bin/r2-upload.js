@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+const dotenv = require("dotenv");
+const { main } = require("../lib/cli");
+
+// 与服务器相同，从 .env 读取 R2 和上传配置
+dotenv.config();
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
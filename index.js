@@ -1,743 +1,840 @@
 const express = require("express");
 const multer = require("multer");
-const {
-  S3Client,
-  PutObjectCommand,
-  ListObjectsV2Command,
-} = require("@aws-sdk/client-s3");
+const path = require("path");
 const dotenv = require("dotenv");
+const R2Storage = require("./lib/r2-storage");
+const UploadSessionStore = require("./lib/upload-sessions");
+const { createResumableRouter } = require("./lib/resumable");
+const { createPresignRouter } = require("./lib/presign");
+const { BucketListing, fileCategory } = require("./lib/listing");
+const { createObjectsRouter, mapLimit } = require("./lib/objects");
+const { TokenStore } = require("./lib/tokens");
+const { createAuth, loadSecret } = require("./lib/auth");
+const { ImageProcessor } = require("./lib/images");
+const { loadProfiles, createBackend, objectUrl, normalizeBaseUrl } = require("./lib/profiles");
+const {
+  loadSettings,
+  checkSettings,
+  checkNumbers,
+  configError,
+  profileTypes,
+  profileKeyTemplate,
+  profileObjectDefaults,
+} = require("./lib/config");
+const { LinkFormats } = require("./lib/link-formats");
+const { createIntegrationsRouter } = require("./lib/integrations");
+const { UploadHistory } = require("./lib/history");
+const { createFileRouter } = require("./lib/file-proxy");
+const { ShareStore, createShareRouter } = require("./lib/shares");
+const { createLimits, UsageStore, ownerKey } = require("./lib/limits");
+const { Webhooks, createWebhookRouter, EVENTS: WEBHOOK_EVENTS } = require("./lib/webhooks");
+const { createMetadataRouter } = require("./lib/metadata");
+const { loginPage, renderPage } = require("./lib/pages");
+const { storageFailure, sendStorageError } = require("./lib/backend");
+const { ReadinessCheck, createHealthRouter } = require("./lib/health");
+const { logger, checkLogSettings, requestLogger } = require("./lib/logger");
+const { metrics, createMetricsRouter } = require("./lib/metrics");
+const { createPwaRouter } = require("./lib/pwa");
+const { translate, codedError, hasErrorCode, errorBody, checkLocaleSettings, localize } = require("./lib/i18n");
 
 // 加载环境变量
 dotenv.config();
 
-const app = express();
-const upload = multer({
-  limits: {
-    fileSize: 50 * 5024 * 5024, 
-  },
-  fileFilter: (req, file, cb) => {
-    // 允许的文件类型
-    const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/mp4", "image/webm", "image/avif"];
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error("不支持的文件类型"));
+/**
+ * 检查只有服务器使用的环境变量，返回所有问题的说明
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string[]}
+ */
+function checkServerSettings(env) {
+  const problems = checkNumbers(env, [
+    "MAX_BATCH_FILES",
+    "PRESIGN_EXPIRES_IN",
+    "RATE_LIMIT_REQUESTS",
+    "RATE_LIMIT_UPLOAD_MB",
+    "QUOTA_MB",
+    "QUOTA_FILES",
+  ]);
+  if (env.AUTH_MODE && !["required", "open"].includes(env.AUTH_MODE)) {
+    problems.push(`AUTH_MODE 必须是 required 或 open，当前为 "${env.AUTH_MODE}"`);
+  }
+  if (env.AUTH_MODE !== "open" && !env.ADMIN_PASSWORD) {
+    problems.push("未设置 ADMIN_PASSWORD：请设置管理员密码，或在本机使用时设置 AUTH_MODE=open");
+  }
+  return problems;
+}
+
+/**
+ * 创建应用：读取配置、创建各存储配置的存储后端和所有接口，不监听端口。
+ * 配置有误时抛出错误。
+ *
+ * @param {object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env] 配置使用的环境变量，默认为 process.env
+ * @param {import("./lib/backend").StorageBackend} [options.backend] 默认存储配置使用的存储后端，
+ *   不设置时按存储配置创建；传入 LocalBackend 时不需要凭证和网络，可用于测试
+ * @returns {import("express").Express}
+ */
+function createApp(options = {}) {
+  const env = options.env || process.env;
+
+  // 启动前检查配置，一次列出所有问题，而不是以默认值启动后每次请求都失败；
+  // 存储配置在 loadProfiles 中检查
+  const problems = [
+    ...checkLogSettings(env),
+    ...checkLocaleSettings(env),
+    ...checkSettings(env),
+    ...checkServerSettings(env),
+  ];
+  if (problems.length) {
+    throw configError(problems);
+  }
+  logger.configure(env);
+
+  // 与命令行工具共用的上传配置：大小上限、分片、对象键模板、图片处理等，见 lib/config.js
+  const settings = loadSettings(env);
+  const PART_SIZE = settings.partSize;
+  const DATA_DIR = settings.dataDir;
+  // 页面是否使用预签名地址直接上传到 R2（需要为存储桶配置 CORS）
+  const DIRECT_UPLOAD = env.DIRECT_UPLOAD === "true";
+
+  // 认证模式：required 需要登录或 API 令牌，open 不做认证（仅适合本机使用）
+  const AUTH_MODE = env.AUTH_MODE === "open" ? "open" : "required";
+
+  if (AUTH_MODE === "open") {
+    logger.warn("AUTH_MODE=open: anyone who can reach this server can upload, list and delete files");
+  }
+
+  // 批量上传一次最多的文件数
+  const MAX_BATCH_FILES = Number(env.MAX_BATCH_FILES) || 50;
+
+  // 反向代理后面运行时设置，上传历史才能记录真实的客户端 IP，
+  // 如 TRUST_PROXY=1（信任一层代理）或 TRUST_PROXY=loopback
+  const TRUST_PROXY = env.TRUST_PROXY;
+
+  // 每个客户端（API 令牌或 IP）每分钟的上传请求数和每小时的上传流量（MB），
+  // 每个用户或令牌的存储配额（MB 和文件数），为 0 或未设置时不限制
+  const RATE_LIMIT_REQUESTS = Number(env.RATE_LIMIT_REQUESTS) || 0;
+  const RATE_LIMIT_UPLOAD_MB = Number(env.RATE_LIMIT_UPLOAD_MB) || 0;
+  const QUOTA_MB = Number(env.QUOTA_MB) || 0;
+  const QUOTA_FILES = Number(env.QUOTA_FILES) || 0;
+
+  // 复制用的链接格式
+  const linkFormats = new LinkFormats(settings.linkTemplates);
+
+  /**
+   * 为一个存储配置创建上传和管理接口。
+   *
+   * 允许的类型、大小上限和对象键模板可以在存储配置中单独设置，未设置时使用
+   * ALLOWED_TYPES、MAX_FILE_SIZE_MB 和 KEY_TEMPLATE。
+   *
+   * @param {import("./lib/profiles").StorageProfile} profile
+   * @param {import("./lib/backend").StorageBackend} [backend] 不设置时按存储配置创建
+   */
+  function createStorage(profile, backend = createBackend(profile, settings)) {
+
+    // 允许的文件类型和各类型的大小上限，如 image/jpeg:20,image/png:20,video/mp4:500，
+    // 上传时按文件头校验实际类型；页面的格式提示和文件选择框也使用这份配置
+    const fileTypes = profileTypes(profile, settings);
+
+    // 默认的对象键模板，各上传接口都可以用 keyTemplate 参数为单次上传指定其他模板
+    const keyTemplate = profileKeyTemplate(profile, settings);
+
+    // 上传对象默认的 Cache-Control、Content-Disposition 和自定义元数据
+    const objectDefaults = profileObjectDefaults(profile, settings);
+
+    // 存储桶浏览，按时间等排序时会缓存扫描结果
+    const listing = new BucketListing({ backend });
+
+    const images = new ImageProcessor({ backend, ...settings.images });
+
+    /** 对象的访问地址 */
+    function publicUrl(key) {
+      return objectUrl(profile, key);
     }
-  },
-});
-
-// 配置 S3 客户端（用于 R2）
-const s3Client = new S3Client({
-  region: "auto",
-  endpoint: `https://${process.env.ACCOUNT_ID}.r2.cloudflarestorage.com`,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
-  },
-});
-
-// 文件上传接口
-app.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "没有文件被上传" });
+
+    /** 把派生图片的键转换为访问地址，如 { thumb: "https://..." } */
+    function variantUrls(variants) {
+      return Object.fromEntries(Object.entries(variants || {}).map(([name, key]) => [name, publicUrl(key)]));
+    }
+
+    /** 文件的链接、Markdown、HTML 等复制用格式 */
+    function fileLinks(key, variants) {
+      const thumb = variants && variants.thumb;
+      return linkFormats.render({ key, url: publicUrl(key), thumb: thumb && publicUrl(thumb) });
     }
 
-    const file = req.file;
-    const fileName = `${Date.now()}-${file.originalname}`;
+    /**
+     * 上传完成后处理图片，返回最终的对象键和派生图片。内容寻址模式下的重复文件
+     * 在第一次上传时已经处理过
+     */
+    function processUpload(file) {
+      if (file.duplicate) return Promise.resolve({ key: file.key, variants: {} });
+      return images.process(file);
+    }
 
-    const command = new PutObjectCommand({
-      Bucket: process.env.R2_BUCKET_NAME,
-      Key: fileName,
-      Body: file.buffer,
-      ContentType: file.mimetype,
+    // 会话文件按存储配置分开保存，默认配置沿用原来的文件名
+    const sessionFile = (name) =>
+      path.join(DATA_DIR, profile.name === "default" ? `${name}.json` : `${name}-${profile.name}.json`);
+    const uploadSessions = new UploadSessionStore(sessionFile("upload-sessions"));
+    const presignSessions = new UploadSessionStore(sessionFile("presign-sessions"));
+
+    const upload = multer({
+      storage: new R2Storage({
+        backend,
+        keyTemplate,
+        objectDefaults,
+        types: fileTypes,
+      }),
+      limits: {
+        // 各类型的大小上限由存储引擎检查
+        fileSize: fileTypes.largestSize,
+      },
+      fileFilter: (req, file, cb) => {
+        // 上传失败时在错误处理中写入上传历史
+        req.uploadAttempt = { name: file.originalname, type: file.mimetype };
+        if (fileTypes.isAllowed(file.mimetype)) {
+          cb(null, true);
+        } else {
+          cb(codedError("unsupported_type", {}, { status: 400 }));
+        }
+      },
     });
 
-    await s3Client.send(command);
+    // 批量上传：单个文件类型不符、超过大小或上传失败时只跳过该文件，
+    // 最后逐个报告每个文件的结果
+    const batchUpload = multer({
+      storage: new R2Storage({
+        backend,
+        keyTemplate,
+        objectDefaults,
+        types: fileTypes,
+        collectErrors: true,
+      }),
+      limits: {
+        files: MAX_BATCH_FILES,
+      },
+      fileFilter: (req, file, cb) => {
+        // 记录文件在请求中的顺序，结果按上传顺序返回
+        req.batchIndex = (req.batchIndex || 0) + 1;
+        file.index = req.batchIndex;
+
+        if (fileTypes.isAllowed(file.mimetype)) {
+          cb(null, true);
+        } else {
+          req.rejectedFiles = req.rejectedFiles || [];
+          req.rejectedFiles.push({ index: file.index, name: file.originalname, ok: false, code: "unsupported_type" });
+          cb(null, false);
+        }
+      },
+    });
 
-    const fileUrl = `https://${process.env.R2_PUBLIC_URL}/${fileName}`;
+    return {
+      profile,
+      backend,
+      fileTypes,
+      listing,
+      publicUrl,
+      variantUrls,
+      fileLinks,
+      processUpload,
+      uploadSessions,
+      presignSessions,
+      upload: upload.single("file"),
+      batchUpload: batchUpload.array("files"),
+      // 上传工具的字段名各不相同，接受任意字段名
+      toolUpload: batchUpload.any(),
+      // 断点续传接口（tus 协议）
+      resumable: createResumableRouter({
+        backend,
+        sessions: uploadSessions,
+        partSize: PART_SIZE,
+        types: fileTypes,
+        keyTemplate,
+        objectDefaults,
+        publicUrl,
+        links: fileLinks,
+        processUpload,
+        onUpload: () => listing.invalidate(),
+        audit,
+      }),
+      // 预签名直传接口
+      presign: createPresignRouter({
+        backend,
+        sessions: presignSessions,
+        partSize: PART_SIZE,
+        types: fileTypes,
+        expiresIn: Number(env.PRESIGN_EXPIRES_IN) || 15 * 60,
+        keyTemplate,
+        objectDefaults,
+        publicUrl,
+        links: fileLinks,
+        processUpload,
+        onUpload: () => listing.invalidate(),
+        audit,
+      }),
+      // 文件代理接口，私有存储桶和没有公开地址的 local 后端的文件地址指向这里
+      files: createFileRouter({ backend, private: profile.private }),
+      // 文件详情和元数据修改接口
+      metadata: createMetadataRouter({ backend }),
+      // 删除、重命名、移动和文件夹管理接口
+      objects: createObjectsRouter({
+        backend,
+        images,
+        onChange: () => listing.invalidate(),
+        audit,
+      }),
+    };
+  }
 
-    res.json({
-      message: "文件上传成功",
-      fileName: fileName,
-      fileUrl: fileUrl,
-    });
-  } catch (error) {
-    console.error("上传错误:", error);
-    res.status(500).json({ error: "文件上传失败" });
+  const { defaultProfile, profiles } = loadProfiles(settings.profilesFile, env, { checkEnv: !options.backend });
+  // 传入的存储后端用于默认配置，其他配置仍按配置创建
+  const storages = new Map(
+    profiles.map((profile) => [
+      profile.name,
+      createStorage(profile, profile.isDefault && options.backend ? options.backend : undefined),
+    ])
+  );
+
+  // 存储的可用性检查，/readyz 使用；启动时先检查一次，凭证或存储桶有误时在日志中说明
+  const readiness = new ReadinessCheck({ storages: storages.values() });
+  readiness.run().then(({ storages: results }) => {
+    for (const [name, result] of Object.entries(results)) {
+      if (!result.ok) logger.error("storage unavailable", { profile: name, code: result.code, reason: result.error });
+    }
+  });
+
+  /**
+   * 按 profile 查询参数（或 X-Storage-Profile 请求头）选择存储配置，保存在 req.storage
+   */
+  function selectStorage(req, res, next) {
+    const name = req.query.profile || req.get("X-Storage-Profile") || defaultProfile;
+    const storage = storages.get(name);
+    if (!storage) {
+      return res.status(400).json(errorBody(req, "profile_not_found", { name }));
+    }
+    req.storage = storage;
+    next();
   }
-});
 
-// 获取文件列表接口
-app.get("/list-files", async (req, res) => {
-  try {
-    // 添加缓存控制头
-    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
-
-    const command = new ListObjectsV2Command({
-      Bucket: process.env.R2_BUCKET_NAME,
-      MaxKeys: 100, // 先获取更多文件
-    });
+  /** 交给所选存储配置的上传或管理接口处理 */
+  function useStorage(name) {
+    return (req, res, next) => req.storage[name](req, res, next);
+  }
 
-    const response = await s3Client.send(command);
-    const files = response.Contents || [];
+  /**
+   * 续传和直传会话的地址中没有存储配置，按会话 ID 找到创建它的配置
+   */
+  function findStorageBySession(field, id) {
+    return [...storages.values()].find((storage) => id && storage[field].get(id));
+  }
 
-    // 按时间倒序排序，最新的在前面
-    const sortedFiles = files
-      .sort((a, b) => {
-        // 使用 getTime() 确保正确的时间比较
-        const timeA = new Date(b.LastModified).getTime();
-        const timeB = new Date(a.LastModified).getTime();
-        return timeA - timeB;
-      })
-      .slice(0, 3) // 只取最新的3张
-      .map((file) => ({
-        name: file.Key,
-        url: `https://${process.env.R2_PUBLIC_URL}/${file.Key}`,
-        size: file.Size,
-        lastModified: file.LastModified,
-      }));
-
-    console.log("获取的文件列表:", {
-      total: files.length,
-      sorted: sortedFiles.map((f) => ({
-        name: f.name,
-        lastModified: f.lastModified,
-      })),
+  const tokens = new TokenStore(path.join(DATA_DIR, "tokens.json"));
+  const auth = createAuth({
+    mode: AUTH_MODE,
+    username: env.ADMIN_USERNAME || "admin",
+    password: env.ADMIN_PASSWORD,
+    secret: env.SESSION_SECRET || loadSecret(path.join(DATA_DIR, "session-secret")),
+    tokens,
+  });
+
+  // 上传历史和审计日志：上传（包括失败的尝试）、删除和移动
+  const history = new UploadHistory(path.join(DATA_DIR, "history.jsonl"));
+
+  // 各用户和令牌保存的文件，用于存储配额
+  const usage = new UsageStore(path.join(DATA_DIR, "usage.json"));
+
+  // 上传、删除和移动成功后通知的 Webhook
+  const webhooks = new Webhooks({
+    file: path.join(DATA_DIR, "webhooks.json"),
+    deliveriesFile: path.join(DATA_DIR, "webhook-deliveries.json"),
+  });
+
+  /**
+   * 写入上传历史，补上操作者、客户端 IP 和存储配置，并更新存储用量；
+   * 成功的上传、删除和移动发送 Webhook 事件
+   */
+  function audit(req, event) {
+    const entry = {
+      ...event,
+      profile: req.storage ? req.storage.profile.name : undefined,
+      user: req.auth ? req.auth.name : null,
+      auth: req.auth ? req.auth.type : null,
+      ip: req.ip,
+    };
+    history.record(entry);
+    usage.apply(entry, ownerKey(req));
+    if (entry.action === "upload") recordUpload(req, entry);
+
+    if (entry.outcome === "success" && WEBHOOK_EVENTS.includes(entry.action) && req.storage) {
+      webhooks.emit(entry.action, {
+        profile: entry.profile,
+        key: entry.key,
+        from: entry.from,
+        url: req.storage.publicUrl(entry.key),
+        name: entry.name,
+        size: entry.size,
+        type: entry.type,
+        hash: entry.hash,
+        duplicate: entry.duplicate,
+        uploader: { name: entry.user, auth: entry.auth },
+      });
+    }
+  }
+
+  /**
+   * 上传的指标：文件数、字节数和请求的处理时间。类型不在允许列表中的记为 other
+   */
+  function recordUpload(req, entry) {
+    const type = req.storage && req.storage.fileTypes.isAllowed(entry.type) ? entry.type : "other";
+    metrics.uploads.inc({ type, source: entry.source, outcome: entry.outcome });
+    if (entry.outcome !== "success") return;
+    metrics.uploadBytes.inc({ type, source: entry.source }, entry.size || 0);
+    if (req.startTime) {
+      metrics.uploadDuration.observe({ type, source: entry.source }, (Date.now() - req.startTime) / 1000);
+    }
+  }
+
+  /** 统计正在接收数据的上传请求，请求结束（包括客户端断开）时减一 */
+  function trackUpload(source) {
+    return (req, res, next) => {
+      metrics.uploadsInFlight.inc({ source });
+      res.once("close", () => metrics.uploadsInFlight.dec({ source }));
+      next();
+    };
+  }
+
+  const limits = createLimits({
+    usage,
+    requestsPerMinute: RATE_LIMIT_REQUESTS,
+    bytesPerHour: RATE_LIMIT_UPLOAD_MB * 1024 * 1024,
+    quotaBytes: QUOTA_MB * 1024 * 1024,
+    quotaFiles: QUOTA_FILES,
+  });
+
+  // 用量按存储桶的列表定期校正：文件可能被其他工具删除或覆盖
+  if (QUOTA_MB || QUOTA_FILES) {
+    const reconcileUsage = () => {
+      for (const storage of storages.values()) {
+        usage.reconcile(storage.profile.name, storage.backend).catch((error) => {
+          logger.error("usage reconcile failed", { profile: storage.profile.name, error });
+        });
+      }
+    };
+    reconcileUsage();
+    setInterval(reconcileUsage, 6 * 60 * 60 * 1000).unref();
+  }
+
+  const contentLength = (req) => Number(req.get("Content-Length")) || 0;
+
+  // 表单、批量和上传工具按请求体大小计算流量和配额，批量上传至少新增一个文件
+  const limitUpload = limits.check((req) => ({
+    request: true,
+    bytes: contentLength(req),
+    files: 1,
+    size: contentLength(req),
+  }));
+
+  const app = express();
+
+  if (TRUST_PROXY) {
+    app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY);
+  }
+
+  // 请求 ID 和访问日志
+  app.use(requestLogger());
+
+  // 页面和接口消息的语言：页面上的选择、Accept-Language 或 DEFAULT_LOCALE
+  app.use(localize({ defaultLocale: env.DEFAULT_LOCALE }));
+
+  // 存活和就绪检查，不需要登录；指标接口设置了 METRICS_TOKEN 时需要该令牌
+  app.use(createHealthRouter({ readiness }));
+  app.use(createMetricsRouter({ token: env.METRICS_TOKEN }));
+
+  // 应用清单、Service Worker 和图标，安装为应用时浏览器不带登录状态获取
+  app.use(createPwaRouter());
+
+  // 所有接口都先识别身份，各路由再按需要的权限检查
+  app.use(auth.authenticate);
+
+  // 登录、退出和 API 令牌管理接口
+  app.use(auth.router);
+
+  /**
+   * 完成 multer 已写入存储的单个文件：图片处理后生成访问地址和复制用的链接
+   */
+  async function completeUpload(storage, file) {
+    const { key, variants } = await storage.processUpload({
+      key: file.key,
+      size: file.size,
+      type: file.mimetype,
+      duplicate: file.duplicate,
     });
+    return {
+      fileName: key,
+      fileUrl: storage.publicUrl(key),
+      // 内容寻址模式下已有相同文件，返回的是之前上传的对象
+      duplicate: Boolean(file.duplicate),
+      variants: storage.variantUrls(variants),
+      links: storage.fileLinks(key, variants),
+    };
+  }
 
-    res.json(sortedFiles);
-  } catch (error) {
-    console.error("获取文件列表错误:", error);
-    res.status(500).json({ error: "获取文件列表失败" });
+  /**
+   * 完成批量接收的文件，连同被拒绝的文件按上传顺序返回每个文件的结果，
+   * 并逐个写入上传历史
+   *
+   * @param {string} source 上传方式，记录在上传历史中
+   */
+  async function collectUploads(req, source) {
+    const uploaded = await mapLimit(req.files || [], 2, async (file) => {
+      const attempt = { action: "upload", source, name: file.originalname, size: file.size, type: file.mimetype };
+      if (file.errorCode) {
+        const failure = errorBody(req, file.errorCode, file.errorParams);
+        audit(req, { ...attempt, outcome: "failure", ...failure });
+        return { index: file.index, name: file.originalname, ok: false, ...failure };
+      }
+      // 单个文件完成失败（如内容寻址的移动失败）只影响该文件，其他文件的结果照常返回
+      let result;
+      try {
+        result = await completeUpload(req.storage, file);
+      } catch (error) {
+        logger.error("upload failed", { key: file.key, error });
+        const code =
+          error.name === "PreconditionFailed" ? "file_exists" : (storageFailure(error) || { code: "upload_failed" }).code;
+        const failure = errorBody(req, code);
+        audit(req, { ...attempt, outcome: "failure", ...failure });
+        return { index: file.index, name: file.originalname, ok: false, ...failure };
+      }
+      audit(req, { ...attempt, outcome: "success", key: result.fileName, hash: file.sha256, duplicate: result.duplicate });
+      return { index: file.index, name: file.originalname, ok: true, ...result };
+    });
+    const rejected = (req.rejectedFiles || []).map((file) => ({ ...file, ...errorBody(req, file.code) }));
+    for (const file of rejected) {
+      audit(req, { action: "upload", source, outcome: "failure", name: file.name, error: file.error, code: file.code });
+    }
+
+    const results = uploaded
+      .concat(rejected)
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, ...result }) => result);
+    if (results.some((result) => result.ok)) req.storage.listing.invalidate();
+    return results;
   }
-});
-
-// 主页面路由
-app.get("/", (req, res) => {
-  const html = `
-    <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>R2 文件上传</title>
-        <style>
-          * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-          }
-
-          html, body {
-            height: 100%;
-            overflow: hidden; /* 防止页面滚动 */
-          }
-
-          body {
-            min-height: 100vh;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            padding: 0; /* 移除内边距 */
-          }
-
-          .card {
-            background: rgba(255, 255, 255, 0.95);
-            border-radius: 20px;
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
-            width: 90%;
-            max-width: 1200px;
-            height: 90vh;
-            margin: 0 auto;
-            overflow: hidden;
-            display: flex;
-            flex-direction: column;
-          }
-
-          .upload-section {
-            padding: 1.5rem; /* 减小上传区域的内边距 */
-            border-bottom: 1px solid #edf2f7;
-            text-align: center;
-            flex-shrink: 0;
-          }
-
-          .upload-area {
-            border: 2px dashed #cbd5e0;
-            border-radius: 8px;
-            padding: 2rem;
-            margin: 1rem 0;
-            cursor: pointer;
-            transition: all 0.3s ease;
-          }
-
-          .upload-area:hover {
-            border-color: #667eea;
-            background: #f7fafc;
-          }
-
-          .upload-title {
-            color: #2d3748;
-            margin-bottom: 1rem;
-            font-size: 1.5rem;
-          }
-
-          .upload-text {
-            color: #718096;
-            margin: 0.5rem 0;
-          }
-
-          .gallery-section {
-            padding: 1.5rem 1.5rem 2rem;
-            background: #f7fafc;
-            flex: 1;
-            display: flex;
-            flex-direction: column;
-          }
-
-          .gallery-title {
-            color: #2d3748;
-            margin-bottom: 1rem;
-            font-size: 1.2rem;
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-          }
-
-          .gallery-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-            gap: 25px;
-            padding: 0.5rem 0.5rem 1rem;
-            flex: 1;
-            align-content: center; /* 居中显示网格内容 */
-          }
-
-          .gallery-item {
-            position: relative;
-            border-radius: 12px;
-            overflow: hidden;
-            aspect-ratio: 16/9;
-            min-height: 160px;
-            max-height: 260px; /* 进一步减小最大高度 */
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            transition: all 0.4s cubic-bezier(0.165, 0.84, 0.44, 1);
-            cursor: zoom-in;
-            background: #f0f0f0;
-            transform-origin: center;
-          }
-
-          .gallery-item img {
-            width: 100%;
-            height: 100%;
-            object-fit: cover;
-            object-position: center;
-            transition: all 0.4s cubic-bezier(0.165, 0.84, 0.44, 1);
-          }
-
-          .gallery-item:hover {
-            transform: scale(1.08);
-            box-shadow: 0 12px 30px rgba(0,0,0,0.2);
-            z-index: 1;
-          }
-
-          .gallery-item:hover img {
-            transform: none;
-          }
-
-          .selected-file {
-            margin: 1rem 0;
-            padding: 0.8rem 1rem;
-            background: #f7fafc;
-            border-radius: 8px;
-            border: 1px solid #e2e8f0;
-            display: none;
-            align-items: center;
-            justify-content: space-between;
-          }
-
-          .file-name {
-            color: #4a5568;
-            font-size: 0.9rem;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            white-space: nowrap;
-          }
-
-          .remove-file {
-            color: #e53e3e;
-            cursor: pointer;
-            padding: 0.2rem 0.5rem;
-            border-radius: 4px;
-            font-size: 0.8rem;
-            background: none;
-            border: none;
-            transition: background 0.2s;
-          }
-
-          .remove-file:hover {
-            background: #fed7d7;
-          }
-
-          .upload-btn {
-            background: linear-gradient(to right, #667eea, #764ba2);
-            color: white;
-            border: none;
-            padding: 0.8rem 2rem;
-            border-radius: 8px;
-            font-size: 1rem;
-            cursor: pointer;
-            transition: all 0.2s;
-            margin-top: 1rem;
-            width: 100%;
-            max-width: 200px;
-          }
-
-          .upload-btn:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 2px 6px rgba(0,0,0,0.1);
-          }
-
-          .upload-btn:disabled {
-            opacity: 0.7;
-            cursor: not-allowed;
-            transform: none;
-          }
-
-          .loading {
-            color: #718096;
-            text-align: center;
-            padding: 2rem;
-          }
-
-          #upload-status {
-            margin-top: 1rem;
-            padding: 1rem;
-            border-radius: 8px;
-            display: none;
-          }
-
-          .success {
-            background: #c6f6d5;
-            color: #2f855a;
-          }
-
-          .error {
-            background: #fed7d7;
-            color: #c53030;
-          }
-
-          .url-display {
-            color: #4a5568;
-            margin-top: 0.5rem;
-            font-size: 0.9rem;
-          }
-
-          /* 响应式调整 */
-          @media (max-width: 1200px) {
-            .card {
-              width: 95%;
-              height: 92vh;
-            }
-
-            .gallery-item {
-              max-height: 240px;
-            }
-          }
-
-          @media (max-width: 768px) {
-            .card {
-              width: 98%;
-              height: 94vh;
-            }
-            
-            .gallery-section {
-              padding: 1rem 1rem 1.5rem;
-            }
-
-            .gallery-grid {
-              gap: 20px;
-              padding: 0.5rem 0.5rem 0.8rem;
-            }
-
-            .gallery-item {
-              max-height: 220px;
-            }
-          }
-
-          @media (max-width: 480px) {
-            .card {
-              width: 100%;
-              height: 100vh;
-              border-radius: 0;
-            }
-            
-            .gallery-section {
-              padding: 0.8rem 0.8rem 1.2rem;
-            }
-
-            .gallery-grid {
-              gap: 15px;
-              padding: 0.3rem 0.3rem 0.6rem;
-            }
-
-            .gallery-item {
-              max-height: 200px;
-            }
-          }
-
-          /* 空状态样式 */
-          .gallery-item.empty {
-            background: #f5f5f5;
-            border: 2px dashed #ddd;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            cursor: default;
-          }
-
-          .gallery-item.empty::after {
-            content: '等待上传';
-            color: #999;
-            font-size: 0.9rem;
-          }
-
-          /* 修改预览遮罩层效果 */
-          .preview-overlay {
-            display: none;
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.95);
-            z-index: 1000;
-            justify-content: center;
-            align-items: center;
-            backdrop-filter: blur(8px);
-            opacity: 0;
-            transition: opacity 0.3s ease;
-          }
-
-          .preview-overlay.active {
-            display: flex;
-            opacity: 1;
-          }
-
-          .preview-image-container {
-            position: relative;
-            max-width: 90%;
-            max-height: 90vh;
-            border-radius: 12px;
-            overflow: hidden;
-            box-shadow: 0 0 30px rgba(0,0,0,0.3);
-            transform: scale(0.9);
-            transition: all 0.3s ease;
-          }
-
-          .preview-overlay.active .preview-image-container {
-            transform: scale(1);
-          }
-
-          .preview-image {
-            display: block;
-            max-width: 100%;
-            max-height: 90vh;
-            object-fit: contain;
-            border-radius: 12px;
-          }
-
-          .preview-close {
-            position: absolute;
-            top: 20px;
-            right: 20px;
-            width: 40px;
-            height: 40px;
-            border-radius: 50%;
-            background: rgba(255, 255, 255, 0.2);
-            border: none;
-            color: white;
-            font-size: 24px;
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            transition: all 0.3s ease;
-          }
-
-          .preview-close:hover {
-            background: rgba(255, 255, 255, 0.3);
-            transform: rotate(90deg);
-          }
-        </style>
-      </head>
-      <body>
-        <div class="card">
-          <div class="upload-section">
-            <h1 class="upload-title">R2 文件上传</h1>
-            <div class="upload-area" id="drop-zone">
-              <div style="font-size: 2rem; margin-bottom: 1rem;">📁</div>
-              <p class="upload-text">点击或拖拽文件到这里上传</p>
-              <p class="upload-text" style="font-size: 0.8rem;">支持 jpg、png、gif mp4  格式，最大 50MB</p>
-            </div>
-            <div id="selected-file" class="selected-file">
-              <span class="file-name"></span>
-              <button class="remove-file" onclick="removeFile()">删除</button>
-            </div>
-            <form id="upload-form" enctype="multipart/form-data">
-              <input type="file" id="file-input" name="file" accept="image/jpeg,image/png,image/gif" style="display: none;">
-              <button type="submit" class="upload-btn" disabled>上传文件</button>
-            </form>
-            <div id="upload-status"></div>
-          </div>
-
-          <div class="gallery-section">
-            <div class="gallery-title">
-            </div>
-            <div id="gallery-grid" class="gallery-grid">
-              <div class="loading">加载中...</div>
-            </div>
-          </div>
-        </div>
-
-        <!-- 修改预览遮罩层结构 -->
-        <div class="preview-overlay" id="preview-overlay">
-          <div class="preview-image-container">
-            <img class="preview-image" id="preview-image" src="" alt="预览图片">
-            <a id="preview-link" href="" target="_blank" style="display: none; color: white; text-decoration: underline; margin-top: 1rem;"></a>
-          </div>
-          <button class="preview-close" onclick="closePreview()">×</button>
-        </div>
-
-        <script>
-          const dropZone = document.getElementById('drop-zone');
-          const fileInput = document.getElementById('file-input');
-          const uploadForm = document.getElementById('upload-form');
-          const uploadStatus = document.getElementById('upload-status');
-          const selectedFile = document.getElementById('selected-file');
-          const fileNameDisplay = selectedFile.querySelector('.file-name');
-          const submitButton = uploadForm.querySelector('button[type="submit"]');
-          const galleryGrid = document.getElementById('gallery-grid');
-          const imageSlots = ['', '', '']; // 用于存储3个图片位置的URL
-
-          let refreshTimer = null;
-          let lastUploadTime = 0;
-
-          function updateFileSelection(file) {
-            if (file) {
-              fileNameDisplay.textContent = file.name;
-              selectedFile.style.display = 'flex';
-              submitButton.disabled = false;
-            } else {
-              selectedFile.style.display = 'none';
-              submitButton.disabled = true;
-            }
-          }
-
-          function removeFile() {
-            fileInput.value = '';
-            updateFileSelection(null);
-          }
-
-          fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            updateFileSelection(file);
-          });
-
-          dropZone.addEventListener('click', () => fileInput.click());
-
-          dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            dropZone.style.borderColor = '#667eea';
-          });
-
-          dropZone.addEventListener('dragleave', (e) => {
-            e.preventDefault();
-            dropZone.style.borderColor = '#cbd5e0';
-          });
-
-          dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            const files = e.dataTransfer.files;
-            if (files.length) {
-              fileInput.files = files;
-              updateFileSelection(files[0]);
-            }
-          });
-
-          async function loadFiles(retryCount = 3) {
-            try {
-              const response = await fetch('/list-files?' + new Date().getTime());
-              const files = await response.json();
-              
-              if (!files.length) {
-                galleryGrid.innerHTML = '<div class="loading">暂无文件</div>';
-                return;
-              }
-
-              const htmlContent = files.map(file => {
-                const timestamp = new Date().getTime();
-                return \`
-                  <div class="gallery-item" onclick="showPreview('\${file.url}')">
-                    <img src="\${file.url}?t=\${timestamp}" loading="lazy" alt="上传的图片">
-                  </div>
-                \`;
-              }).join('');
-
-              // 如果文件数量少于3个，添加空占位符
-              const emptySlots = 3 - files.length;
-              for (let i = 0; i < emptySlots; i++) {
-                htmlContent += '<div class="gallery-item empty"></div>';
-              }
-
-              galleryGrid.innerHTML = htmlContent;
-            } catch (error) {
-              console.error('加载文件失败:', error);
-              if (retryCount > 0) {
-                // 失败后延迟重试
-                setTimeout(() => loadFiles(retryCount - 1), 500);
-              } else {
-                galleryGrid.innerHTML = '<div class="loading">加载失败</div>';
-              }
-            }
-          }
-
-          // 修改预览相关函数
-          const previewOverlay = document.getElementById('preview-overlay');
-          const previewImage = document.getElementById('preview-image');
-          const previewLink = document.getElementById('preview-link');
-
-          function showPreview(url) {
-            window.open(url, '_blank');
-          }
-
-          function closePreview() {
-            previewOverlay.classList.remove('active');
-            document.body.style.overflow = ''; // 恢复滚动
-
-            // 隐藏图片链接和名称
-            previewLink.style.display = 'none';
-          }
-
-          // 点击遮罩层关闭预览
-          previewOverlay.addEventListener('click', (e) => {
-            if (e.target === previewOverlay) {
-              closePreview();
-            }
-          });
-
-          // ESC 键关闭预览
-          document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-              closePreview();
-            }
-          });
-
-          // 修改上传表单处理函数
-          uploadForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const formData = new FormData(uploadForm);
-            const submitButton = uploadForm.querySelector('button[type="submit"]');
-            
-            try {
-              submitButton.disabled = true;
-              submitButton.textContent = '上传中...';
-              
-              const response = await fetch('/upload', {
-                method: 'POST',
-                body: formData
-              });
-              
-              const result = await response.json();
-              
-              if (response.ok) {
-                uploadStatus.className = 'success';
-                uploadStatus.innerHTML = '上传成功！';
-                
-                // 清除表单状态
-                fileInput.value = '';
-                updateFileSelection(null);
-                
-                // 立即刷新图片列表
-                await loadFiles();
-                
-                // 短暂延迟后再次刷新，确保新图片加载
-                setTimeout(async () => {
-                  await loadFiles();
-                  // 隐藏成功消息
-                  setTimeout(() => {
-                    uploadStatus.style.display = 'none';
-                  }, 2000);
-                }, 500);
-              } else {
-                throw new Error(result.error);
-              }
-            } catch (error) {
-              uploadStatus.className = 'error';
-              uploadStatus.textContent = '上传失败: ' + error.message;
-            } finally {
-              submitButton.disabled = false;
-              submitButton.textContent = '上传文件';
-              uploadStatus.style.display = 'block';
-            }
-          });
-
-          // 页面加载时刷新一次
-          loadFiles();
-
-          // 页面可见性改变时刷新
-          document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-              // 如果距离上次上传超过30秒，才刷新
-              if (Date.now() - lastUploadTime > 30000) {
-                loadFiles();
-              }
-            }
-          });
-        </script>
-      </body>
-    </html>
-  `;
-
-  res.send(html);
-});
-
-// 错误处理中间件
-app.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json({ error: "文件大小超过限制" });
+
+  // 上传前检查权限、上传频率、流量和存储配额
+  app.post(["/upload", "/upload/batch"], auth.requireScope("upload"), limitUpload);
+  app.post("/upload", trackUpload("form"));
+  app.post("/upload/batch", trackUpload("batch"));
+
+  // 文件上传接口
+  app.post("/upload", selectStorage, useStorage("upload"), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json(errorBody(req, "no_file"));
+      }
+
+      // 文件已经在 multer 阶段流式写入存储
+      const result = await completeUpload(req.storage, req.file);
+      req.storage.listing.invalidate();
+      audit(req, {
+        action: "upload",
+        source: "form",
+        outcome: "success",
+        key: result.fileName,
+        name: req.file.originalname,
+        size: req.file.size,
+        type: req.file.mimetype,
+        hash: req.file.sha256,
+        duplicate: result.duplicate,
+      });
+      res.json({ message: translate(req.locale, "messages.upload_succeeded"), ...result });
+    } catch (error) {
+      logger.error("upload failed", { error });
+      const failure = errorBody(req, (storageFailure(error) || { code: "upload_failed" }).code);
+      audit(req, { action: "upload", source: "form", outcome: "failure", ...req.uploadAttempt, ...failure });
+      sendStorageError(req, res, error, "upload_failed");
+    }
+  });
+
+  // 批量上传接口，文件字段名为 files
+  app.post("/upload/batch", selectStorage, useStorage("batchUpload"), async (req, res, next) => {
+    try {
+      const results = await collectUploads(req, "batch");
+      if (!results.length) {
+        return res.status(400).json(errorBody(req, "no_file"));
+      }
+
+      // 全部成功 200，部分失败 207，全部失败 400
+      const succeeded = results.filter((result) => result.ok).length;
+      const status = succeeded === results.length ? 200 : succeeded ? 207 : 400;
+      res.status(status).json({ succeeded, failed: results.length - succeeded, results });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ShareX、PicGo、Typora 等上传工具的兼容接口
+  app.post("/api/*", auth.requireScope("upload"), selectStorage, trackUpload("tool"));
+  app.post("/integrations/sharex.sxcu", selectStorage);
+  app.use(
+    createIntegrationsRouter({
+      // 超过限制时的错误也按各个工具的格式返回
+      upload: (req, res, next) =>
+        limitUpload(req, res, (error) => (error ? next(error) : req.storage.toolUpload(req, res, next))),
+      collect: collectUploads,
+      describeError: uploadError,
+      requireSession: auth.requireSession,
+      tokens,
+    })
+  );
+
+  // 断点续传接口（tus 协议）：创建会话时按声明的大小检查配额，每个数据块计入流量
+  const limitResumable = limits.check((req) => {
+    if (req.method === "POST" && req.path === "/") {
+      return { request: true, files: 1, size: Number(req.get("Upload-Length")) || 0 };
+    }
+    return req.method === "PATCH" ? { bytes: contentLength(req) } : null;
+  });
+  app.patch("/uploads/*", trackUpload("tus"));
+  app.use("/uploads", auth.requireScope("upload"), limitResumable, selectStorage, (req, res, next) => {
+    // 审计记录和 Webhook 事件使用会话所属的存储配置
+    req.storage = findStorageBySession("uploadSessions", req.path.split("/")[1]) || req.storage;
+    req.storage.resumable(req, res, next);
+  });
+
+  // 预签名直传接口：文件不经过服务器，按声明的大小计算流量和配额
+  const limitPresign = limits.check((req) => {
+    if (req.path !== "/presign") return null;
+    const size = Number(req.body && req.body.size) || 0;
+    return { request: true, bytes: size, files: 1, size };
+  });
+  app.post(["/presign", "/confirm"], auth.requireScope("upload"), express.json(), limitPresign);
+  app.post(["/presign", "/confirm"], selectStorage, (req, res, next) => {
+    const id = req.path === "/confirm" && req.body && req.body.id;
+    req.storage = findStorageBySession("presignSessions", id) || req.storage;
+    req.storage.presign(req, res, next);
+  });
+
+  // 删除、重命名、移动和文件夹管理接口
+  app.delete("/files/*", auth.requireScope("delete"));
+  app.post(["/files/delete", "/folders/delete"], auth.requireScope("delete"));
+  // 移动会在目标位置写入新文件并删除原文件
+  app.post("/files/move", auth.requireScope("upload", "delete"));
+  app.post("/folders", auth.requireScope("upload"));
+  app.all(["/files/*", "/folders", "/folders/delete"], selectStorage, useStorage("objects"));
+
+  // 通过服务器读取文件，用于不公开的存储桶和没有公开地址的 local 后端；
+  // 不公开的存储需要 list 权限
+  const requireList = auth.requireScope("list");
+  app.get("/f/*", selectStorage, (req, res, next) =>
+    req.storage.profile.private ? requireList(req, res, next) : next()
+  );
+  app.get("/f/*", useStorage("files"));
+
+  // 文件详情和元数据：查看需要 list 权限，修改会重新写入对象，需要 upload 权限
+  app.get("/metadata/*", auth.requireScope("list"));
+  app.put("/metadata/*", auth.requireScope("upload"));
+  app.all("/metadata/*", selectStorage, useStorage("metadata"));
+
+  // 分享链接：创建和列出需要 list 权限；撤销会让别人手里的链接失效，与删除文件一样
+  // 需要 delete 权限，只读的令牌不能撤销。打开分享链接不需要登录
+  app.post("/shares", auth.requireScope("list"), selectStorage);
+  app.get("/shares", auth.requireScope("list"));
+  app.delete("/shares/:id", auth.requireScope("delete"));
+  app.use(
+    createShareRouter({
+      shares: new ShareStore(path.join(DATA_DIR, "shares.json")),
+      resolve: (name) => storages.get(name),
+      baseUrl: env.BASE_URL && normalizeBaseUrl(env.BASE_URL),
+      audit,
+    })
+  );
+
+  // 上传历史，只允许登录后的网页会话查询
+  app.get("/history", auth.requireSession, async (req, res) => {
+    try {
+      const result = await history.query(req.query);
+      // 有错误码的失败记录按查看者的语言显示原因
+      result.entries = result.entries.map((entry) =>
+        entry.code && entry.outcome === "failure" ? { ...entry, ...errorBody(req, entry.code) } : entry
+      );
+      res.json(result);
+    } catch (error) {
+      logger.error("history query failed", { error });
+      res.status(500).json(errorBody(req, "history_failed"));
+    }
+  });
+
+  // Webhook 管理和投递记录，只允许登录后的网页会话使用
+  app.use(createWebhookRouter({ webhooks, requireSession: auth.requireSession }));
+
+  // 当前用户或令牌的上传频率、流量和存储配额
+  app.get("/quota", auth.requireScope("upload"), (req, res) => {
+    res.json(limits.status(req));
+  });
+
+  // 获取文件列表接口
+  //
+  // 参数：prefix 目录前缀、search 文件名关键字、type（image、video、other）、
+  // sort（name、size、date，前面加 - 表示降序）、limit 每页数量、cursor 分页游标；
+  // view=recent 返回整个存储桶中最近上传的文件
+  app.get("/list-files", auth.requireScope("list"), selectStorage, async (req, res) => {
+    const { listing, publicUrl, variantUrls, fileLinks } = req.storage;
+    try {
+      // 添加缓存控制头
+      res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+      res.setHeader("Pragma", "no-cache");
+      res.setHeader("Expires", "0");
+
+      const query = { ...req.query };
+      if (query.view === "recent") {
+        query.prefix = "";
+        query.recursive = true;
+        query.sort = "-date";
+      }
+
+      const done = metrics.listDuration.startTimer({ view: query.view === "recent" ? "recent" : "folder" });
+      const result = await listing.list(query);
+      done();
+
+      res.json({
+        prefix: result.prefix,
+        folders: result.folders.map((prefix) => ({
+          name: prefix.slice(result.prefix.length, -1),
+          prefix,
+        })),
+        files: result.files.map((file) => ({
+          name: file.key,
+          url: publicUrl(file.key),
+          size: file.size,
+          type: fileCategory(file.key),
+          lastModified: new Date(file.lastModified),
+          // 缩略图和预览图，旧文件或非图片文件没有
+          variants: variantUrls(file.variants),
+          links: fileLinks(file.key, file.variants),
+        })),
+        nextCursor: result.nextCursor,
+        partial: result.partial,
+      });
+    } catch (error) {
+      logger.error("list files failed", { error });
+      sendStorageError(req, res, error, "list_failed");
     }
+  });
+
+  // 主页面路由
+  app.get("/", selectStorage, (req, res) => {
+    // 未登录时显示登录页面
+    if (!req.auth) {
+      return res.send(loginPage(req.locale));
+    }
+
+    const { profile, backend, fileTypes } = req.storage;
+    res.send(
+      renderPage({
+        locale: req.locale,
+        user: req.auth.name,
+        authMode: AUTH_MODE,
+        profile,
+        profiles,
+        fileTypes,
+        linkFormats,
+        partSize: PART_SIZE,
+        // local 后端没有预签名地址，只能经过服务器上传
+        directUpload: DIRECT_UPLOAD && Boolean(backend.presignPut),
+        showQuota: limits.enabled,
+      })
+    );
+  });
+
+  /**
+   * 上传和其他接口错误对应的状态码、错误码和消息中的参数
+   *
+   * @returns {{ status: number, code: string, params?: object }}
+   */
+  function uploadError(error) {
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return { status: 400, code: "file_too_large" };
+      }
+      if (error.code === "LIMIT_FILE_COUNT") {
+        return { status: 400, code: "too_many_files", params: { max: MAX_BATCH_FILES } };
+      }
+    }
+    // 对象键已存在，If-None-Match 条件阻止了覆盖
+    if (error.name === "PreconditionFailed") {
+      return { status: 409, code: "file_exists" };
+    }
+    // 凭证无效、存储桶不存在、连接超时等存储的配置和连接问题
+    const failure = storageFailure(error);
+    if (failure) {
+      logger.error("upload failed", { error });
+      return failure;
+    }
+    // 超过上传频率、流量或存储配额（429 / 413）、文件类型不符、对象键模板无效等
+    if (error.status && hasErrorCode(error.code)) {
+      return { status: error.status, code: error.code, params: error.params };
+    }
+    // 流式上传时存储的错误（R2 的请求错误、本地磁盘的读写错误）会在 multer 阶段抛出
+    if (error.$metadata || error.syscall) {
+      logger.error("upload failed", { error });
+      return { status: 500, code: "upload_failed" };
+    }
+    // 请求体解析错误、multer 的其他错误（如字段名不对）
+    return { status: error.status || 400, code: "invalid_request", params: { detail: error.message } };
   }
-  res.status(400).json({ error: error.message });
-});
 
-// 修改服务器启动部分
-const PORT = process.env.PORT || 3000;
-let currentPort = PORT;
+  // 错误处理中间件
+  app.use((error, req, res, next) => {
+    const { status, code, params } = uploadError(error);
+    const body = errorBody(req, code, params);
+    // 上传过程中超过每小时流量时同样提示等待时间
+    if (error.retryAfter) res.setHeader("Retry-After", String(error.retryAfter));
+    // 单文件上传在 multer 阶段失败：类型不符、超过大小、同名文件已存在等
+    if (req.uploadAttempt) {
+      audit(req, { action: "upload", source: "form", outcome: "failure", ...req.uploadAttempt, ...body });
+    }
+    res.status(status).json(body);
+  });
+
+  return app;
+}
 
-function startServer(port) {
+/**
+ * 监听端口启动服务，端口被占用时依次尝试下一个端口
+ *
+ * @param {import("express").Express} app
+ * @param {number} port
+ */
+function startServer(app, port) {
   const server = app
     .listen(port, () => {
-      console.log(`服务器运行在 http://localhost:${port}`);
+      logger.info("server listening", { url: `http://localhost:${port}` });
     })
     .on("error", (err) => {
       if (err.code === "EADDRINUSE") {
-        console.log(`端口 ${port} 已被占用，尝试端口 ${port + 1}`);
-        startServer(port + 1);
+        logger.warn("port in use, trying next port", { port, next: port + 1 });
+        startServer(app, port + 1);
       } else {
-        console.error("服务器启动错误:", err);
+        logger.error("server error", { error: err });
       }
     });
 
   return server;
 }
 
-const server = startServer(currentPort);
+// 直接运行时启动服务；被 require 时只导出工厂函数
+if (require.main === module) {
+  let app;
+  try {
+    app = createApp();
+  } catch (error) {
+    // 配置问题是写给人看的说明，不需要堆栈
+    if (error.code === "CONFIG") logger.error("invalid configuration", { problems: error.problems });
+    else logger.error("failed to start", { error });
+    process.exit(1);
+  }
+  startServer(app, Number(process.env.PORT) || 3000);
+}
 
-// 导出 server 实例
-module.exports = server;
+module.exports = { createApp, startServer };
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const { SCOPES } = require("./tokens");
+const { errorBody } = require("./i18n");
+
+const COOKIE_NAME = "r2_session";
+
+function sign(value, secret) {
+  return crypto.createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash("sha256").update(String(a)).digest();
+  const hashB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of (header || "").split(";")) {
+    const index = pair.indexOf("=");
+    if (index < 0) continue;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    // 同一域名下其他应用设置的 Cookie 可能不是合法的 URL 编码，保留原值而不是让请求失败
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * 登录会话和 API 令牌认证。
+ *
+ * - 网页使用管理员账号登录，会话保存在 HMAC 签名的 Cookie 中；
+ * - 脚本使用 Authorization: Bearer <令牌>，令牌按 upload、list、delete 授权；
+ * - mode 为 open 时不做认证，所有请求都拥有全部权限，仅适合本机使用。
+ *
+ * 认证通过后 req.auth 为 { type: "session" | "token" | "open", name, scopes, tokenId }。
+ *
+ * @param {object} options
+ * @param {"open" | "required"} options.mode
+ * @param {string} options.username 管理员用户名
+ * @param {string} options.password 管理员密码
+ * @param {string} options.secret 会话签名密钥
+ * @param {import("./tokens").TokenStore} options.tokens
+ * @param {number} [options.maxAge] 会话有效期（毫秒）
+ */
+function createAuth(options) {
+  const { mode, username, password, secret, tokens } = options;
+  const maxAge = options.maxAge || 7 * 24 * 60 * 60 * 1000;
+
+  function readSession(req) {
+    const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!cookie) return null;
+
+    const [payload, signature] = cookie.split(".");
+    if (!payload || !signature || !safeEqual(sign(payload, secret), signature)) return null;
+    try {
+      const session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      return session.exp > Date.now() ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function setSessionCookie(req, res, value, age) {
+    const parts = [
+      `${COOKIE_NAME}=${encodeURIComponent(value)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Lax",
+      `Max-Age=${Math.floor(age / 1000)}`,
+    ];
+    if (req.secure) parts.push("Secure");
+    res.setHeader("Set-Cookie", parts.join("; "));
+  }
+
+  /** 识别请求身份，写入 req.auth；未认证时为 null */
+  function authenticate(req, res, next) {
+    req.auth = null;
+
+    if (mode === "open") {
+      req.auth = { type: "open", name: "anonymous", scopes: SCOPES };
+      return next();
+    }
+
+    const header = req.get("Authorization") || "";
+    if (header.startsWith("Bearer ")) {
+      const record = tokens.verify(header.slice(7).trim());
+      if (record) {
+        req.auth = { type: "token", name: record.name, tokenId: record.id, scopes: record.scopes };
+      }
+      return next();
+    }
+
+    const session = readSession(req);
+    if (session) {
+      req.auth = { type: "session", name: session.u, scopes: SCOPES };
+    }
+    next();
+  }
+
+  /**
+   * 要求请求拥有全部指定权限。OPTIONS 请求（如 tus 的能力查询）不做检查
+   */
+  function requireScope(...scopes) {
+    return (req, res, next) => {
+      if (req.method === "OPTIONS") return next();
+      if (!req.auth) {
+        res.setHeader("WWW-Authenticate", 'Bearer realm="r2-upload"');
+        return res.status(401).json(errorBody(req, "unauthorized"));
+      }
+      if (!scopes.every((scope) => req.auth.scopes.includes(scope))) {
+        return res.status(403).json(errorBody(req, "forbidden"));
+      }
+      next();
+    };
+  }
+
+  /** 令牌管理只允许登录后的网页会话使用 */
+  function requireSession(req, res, next) {
+    if (!req.auth || req.auth.type === "token") {
+      return res.status(401).json(errorBody(req, "login_required"));
+    }
+    next();
+  }
+
+  const router = express.Router();
+
+  router.post("/login", express.json(), express.urlencoded({ extended: false }), (req, res) => {
+    const body = req.body || {};
+    const name = body.username || username;
+
+    if (mode === "open") {
+      return res.json({ ok: true });
+    }
+    if (!safeEqual(name, username) || !safeEqual(body.password || "", password)) {
+      // 失败后延迟响应，降低暴力破解速度
+      return setTimeout(() => res.status(401).json(errorBody(req, "login_failed")), 1000);
+    }
+
+    const payload = Buffer.from(JSON.stringify({ u: username, exp: Date.now() + maxAge })).toString("base64url");
+    setSessionCookie(req, res, `${payload}.${sign(payload, secret)}`, maxAge);
+    res.json({ ok: true });
+  });
+
+  router.post("/logout", (req, res) => {
+    setSessionCookie(req, res, "", 0);
+    res.json({ ok: true });
+  });
+
+  router.get("/me", (req, res) => {
+    res.json({
+      mode,
+      authenticated: Boolean(req.auth),
+      type: req.auth ? req.auth.type : null,
+      name: req.auth ? req.auth.name : null,
+      scopes: req.auth ? req.auth.scopes : [],
+    });
+  });
+
+  router.get("/tokens", requireSession, (req, res) => {
+    res.json({ tokens: tokens.list() });
+  });
+
+  router.post("/tokens", requireSession, express.json(), (req, res) => {
+    const { name, scopes } = req.body || {};
+    if (!name || typeof name !== "string") {
+      return res.status(400).json(errorBody(req, "token_name_required"));
+    }
+    if (!Array.isArray(scopes) || !scopes.some((scope) => SCOPES.includes(scope))) {
+      return res.status(400).json(errorBody(req, "invalid_scopes", { scopes: SCOPES.join(", ") }));
+    }
+    res.status(201).json(tokens.create(name, scopes));
+  });
+
+  router.delete("/tokens/:id", requireSession, (req, res) => {
+    if (!tokens.revoke(req.params.id)) {
+      return res.status(404).json(errorBody(req, "token_not_found"));
+    }
+    res.json({ ok: true });
+  });
+
+  return { authenticate, requireScope, requireSession, router };
+}
+
+/**
+ * 读取会话签名密钥，不存在时随机生成并保存，重启后已登录的会话仍然有效
+ */
+function loadSecret(file) {
+  try {
+    return fs.readFileSync(file, "utf8").trim();
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+module.exports = { createAuth, loadSecret };
@@ -0,0 +1,185 @@
+const { FALLBACK_LOCALE, translate, errorBody } = require("./i18n");
+
+/**
+ * 对象的信息，各存储后端的 head、get 和 list 返回同样的字段
+ *
+ * @typedef {object} ObjectInfo
+ * @property {string} key
+ * @property {number} size 对象的大小（字节）
+ * @property {string} [type] Content-Type
+ * @property {string} [etag] 带引号的 ETag
+ * @property {Date} lastModified
+ * @property {string} [cacheControl]
+ * @property {string} [contentDisposition]
+ * @property {Record<string, string>} [metadata] 自定义元数据
+ */
+
+/**
+ * 写入对象时的属性
+ *
+ * @typedef {object} ObjectAttributes
+ * @property {string} [type] Content-Type
+ * @property {string} [cacheControl]
+ * @property {string} [contentDisposition]
+ * @property {Record<string, string>} [metadata]
+ */
+
+/**
+ * 存储后端。上传、列表、文件管理和图片处理只通过这些方法访问存储，不直接使用
+ * S3 客户端。出错时抛出的错误用 name 区分：
+ *
+ *   NotFound            对象不存在
+ *   PreconditionFailed  ifNoneMatch / ifMatch 等条件不满足，如对象键已存在
+ *   NotModified         ifNoneMatch / ifModifiedSince 命中，对应 304
+ *   InvalidRange        Range 超出对象大小，对应 416
+ *
+ * 与具体对象无关的配置和连接错误见 STORAGE_FAILURES，如凭证无效、存储桶不存在和超时。
+ *
+ * put 的 options 还可以有 maxSize（超出时抛出 code 为 LIMIT_FILE_SIZE 的错误）、
+ * inspect（收到文件开头后、写入前调用，抛出错误即拒绝该文件）和 signal（中止写入）；
+ * 条件参数 ifNoneMatch 为 true 时对象已存在就不写入。
+ *
+ * 分片上传用于跨多个请求写入同一个对象（断点续传、预签名直传）。presignPut、
+ * presignPart 和 presignGet 只有 S3 后端提供，没有时预签名直传和预签名分享链接不可用。
+ *
+ * @typedef {object} StorageBackend
+ * @property {"s3" | "local"} driver
+ * @property {(key: string, body: import("stream").Readable | Buffer, options?: ObjectAttributes & { ifNoneMatch?: boolean, maxSize?: number, inspect?: (head: Buffer) => void, signal?: AbortSignal }) => Promise<{ size: number, etag: string, sha256: string }>} put
+ *   流式写入对象，同时计算 SHA-256
+ * @property {(options?: { prefix?: string, delimiter?: string, cursor?: string, limit?: number }) => Promise<{ objects: ObjectInfo[], prefixes: string[], cursor: string | null }>} list
+ *   按键名顺序分页列出对象，有 delimiter 时子目录合并为 prefixes；cursor 为 null 表示没有下一页
+ * @property {(key: string, conditions?: Conditions) => Promise<ObjectInfo>} head
+ * @property {(key: string, options?: Conditions & { range?: string }) => Promise<ObjectInfo & { body: import("stream").Readable, contentLength: number, contentRange?: string }>} get
+ *   读取对象，range 为 bytes=开始-结束 形式，返回部分内容时带有 contentRange
+ * @property {(key: string) => Promise<void>} delete 删除对象，对象不存在时不报错
+ * @property {(keys: string[]) => Promise<{ key: string, ok: boolean, code?: string, error?: string }[]>} deleteMany
+ * @property {(from: string, to: string, options?: { ifMatch?: string, ifNoneMatch?: boolean, replace?: ObjectAttributes }) => Promise<void>} copy
+ *   复制对象；ifMatch 为源对象的 ETag，ifNoneMatch 为 true 时目标对象已存在就不复制，
+ *   replace 不为空时替换目标对象的属性，否则保留原来的属性
+ * @property {(key: string, attributes?: ObjectAttributes) => Promise<string>} createMultipart 返回 uploadId
+ * @property {(key: string, uploadId: string, partNumber: number, body: Buffer, options?: { signal?: AbortSignal }) => Promise<Part>} uploadPart
+ * @property {(key: string, uploadId: string) => Promise<Part[]>} listParts
+ * @property {(key: string, uploadId: string, parts: Part[], options?: { ifNoneMatch?: boolean }) => Promise<{ etag: string }>} completeMultipart
+ * @property {(key: string, uploadId: string) => Promise<void>} abortMultipart
+ * @property {() => Promise<void>} check 检查存储是否可用（S3 为 HeadBucket，local 为目录的读写权限），
+ *   不可用时抛出 STORAGE_FAILURES 中的错误
+ * @property {(key: string, options: ObjectAttributes & { size: number, expiresIn: number }) => Promise<{ url: string, headers: Record<string, string> }>} [presignPut]
+ *   单个 PUT 的上传地址，headers 为浏览器需要带上的请求头
+ * @property {(key: string, uploadId: string, partNumber: number, size: number, expiresIn: number) => Promise<string>} [presignPart]
+ * @property {(key: string, expiresIn: number) => Promise<string>} [presignGet]
+ */
+
+/**
+ * @typedef {object} Part
+ * @property {number} partNumber
+ * @property {string} etag
+ */
+
+/**
+ * 条件请求，与 HTTP 的同名请求头含义相同
+ *
+ * @typedef {object} Conditions
+ * @property {string} [ifNoneMatch]
+ * @property {Date} [ifModifiedSince]
+ * @property {string} [ifMatch]
+ * @property {Date} [ifUnmodifiedSince]
+ */
+
+/**
+ * 存储后端统一的错误，name 见 StorageBackend；存储的配置和连接错误不传 message 时
+ * 使用 STORAGE_FAILURES 对应的处理建议
+ */
+function storageError(name, message) {
+  const failure = STORAGE_FAILURES[name];
+  const error = new Error(message || (failure && translate(FALLBACK_LOCALE, `errors.${failure.code}`)));
+  error.name = name;
+  return error;
+}
+
+/**
+ * 存储的配置和连接错误。这些错误与请求的对象无关，每次请求都会失败，接口返回对应的
+ * 状态码、错误码和处理建议（见消息目录），而不是笼统的“上传失败”
+ */
+const STORAGE_FAILURES = {
+  InvalidCredentials: { status: 502, code: "storage_invalid_credentials" },
+  AccessDenied: { status: 502, code: "storage_access_denied" },
+  BucketNotFound: { status: 502, code: "storage_bucket_not_found" },
+  Timeout: { status: 504, code: "storage_timeout" },
+  Unavailable: { status: 503, code: "storage_unavailable" },
+  InsufficientStorage: { status: 507, code: "storage_full" },
+};
+
+// 网络和磁盘的系统错误，两种后端都可能抛出
+const SYSTEM_ERRORS = {
+  ETIMEDOUT: "Timeout",
+  ECONNREFUSED: "Unavailable",
+  ECONNRESET: "Unavailable",
+  ENOTFOUND: "Unavailable",
+  EAI_AGAIN: "Unavailable",
+  EACCES: "AccessDenied",
+  EPERM: "AccessDenied",
+  EROFS: "AccessDenied",
+  ENOSPC: "InsufficientStorage",
+};
+
+/**
+ * 错误属于存储的配置或连接问题时返回 { status, code, message }，否则返回 null。
+ * message 为 locale 语言的处理建议，默认为 zh-CN
+ *
+ * @param {Error} error
+ * @param {string} [locale]
+ * @returns {{ status: number, code: string, message: string } | null}
+ */
+function storageFailure(error, locale = FALLBACK_LOCALE) {
+  if (!error) return null;
+  const failure = STORAGE_FAILURES[SYSTEM_ERRORS[error.code] || error.name];
+  return failure ? { ...failure, message: translate(locale, `errors.${failure.code}`) } : null;
+}
+
+/**
+ * deleteMany 中单个对象删除失败的结果：存储的配置和连接错误使用对应的错误码，
+ * 其他为 delete_failed
+ *
+ * @param {Error} error
+ * @returns {{ code: string, error: string }}
+ */
+function deleteFailure(error) {
+  const failure = storageFailure(error);
+  if (failure) return { code: failure.code, error: failure.message };
+  return { code: "delete_failed", error: translate(FALLBACK_LOCALE, "errors.delete_failed") };
+}
+
+/**
+ * 接口出错时的响应：存储的配置和连接错误返回对应的状态码、错误码和提示，
+ * 其他错误返回 500 和 code 对应的消息
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Error} error
+ * @param {string} code 其他错误的错误码，如 upload_failed
+ */
+function sendStorageError(req, res, error, code) {
+  const failure = storageFailure(error);
+  if (failure) {
+    return res.status(failure.status).json(errorBody(req, failure.code));
+  }
+  res.status(500).json(errorBody(req, code));
+}
+
+/**
+ * 检查对象是否存在
+ *
+ * @param {StorageBackend} backend
+ * @param {string} key
+ */
+async function objectExists(backend, key) {
+  try {
+    await backend.head(key);
+    return true;
+  } catch (error) {
+    if (error.name === "NotFound") return false;
+    throw error;
+  }
+}
+
+module.exports = { STORAGE_FAILURES, storageError, storageFailure, deleteFailure, sendStorageError, objectExists };
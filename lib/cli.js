@@ -0,0 +1,419 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { parseArgs } = require("util");
+const {
+  loadSettings,
+  checkSettings,
+  configError,
+  profileTypes,
+  profileKeyTemplate,
+  profileObjectDefaults,
+} = require("./config");
+const { loadProfiles, createBackend, objectUrl } = require("./profiles");
+const { KeyTemplate, incomingKey, commitContent } = require("./keys");
+const { sniffType, SNIFF_LENGTH, FILE_TYPES } = require("./file-types");
+const { ImageProcessor } = require("./images");
+const { LinkFormats } = require("./link-formats");
+const { mapLimit } = require("./objects");
+const { objectAttributes } = require("./metadata");
+const { storageFailure } = require("./backend");
+
+const USAGE = `用法：r2-upload [选项] <文件或 glob ...>
+
+上传文件并输出访问地址。文件为 - 时从标准输入读取。默认直接写入存储（R2 或本地目录），
+设置 --server 后通过运行中的服务器的 HTTP 接口上传。
+
+选项：
+  -f, --format <格式>        输出格式：plain（默认）、markdown、html、bbcode、json，
+                             或 LINK_TEMPLATES 中的自定义格式
+  -p, --prefix <目录>        对象键的前缀，如 ci/build-42
+  -t, --key-template <模板>  对象键模板，默认为 KEY_TEMPLATE
+      --profile <名称>       存储配置
+  -j, --parallel <数量>      同时上传的文件数，默认 4
+  -n, --dry-run              只检查文件并显示将要上传的位置，不上传
+      --name <文件名>        标准输入的文件名，默认 stdin
+      --cache-control <值>   对象的 Cache-Control，如 "public, max-age=31536000"
+      --disposition <方式>   Content-Disposition：inline（浏览器中打开）或 attachment（下载）
+      --description <文本>   自定义元数据：描述
+      --tags <标签>          自定义元数据：标签，逗号分隔
+      --source <来源>        自定义元数据：来源
+  -s, --server <地址>        通过服务器上传，默认为环境变量 R2_UPLOAD_SERVER
+      --token <令牌>         服务器的 API 令牌，默认为环境变量 R2_UPLOAD_TOKEN
+  -h, --help                 显示帮助
+
+有文件上传失败时退出码为 1，参数或配置错误时为 2。`;
+
+const OPTIONS = {
+  format: { type: "string", short: "f", default: "plain" },
+  prefix: { type: "string", short: "p" },
+  "key-template": { type: "string", short: "t" },
+  profile: { type: "string" },
+  parallel: { type: "string", short: "j", default: "4" },
+  "dry-run": { type: "boolean", short: "n" },
+  name: { type: "string", default: "stdin" },
+  "cache-control": { type: "string" },
+  disposition: { type: "string" },
+  description: { type: "string" },
+  tags: { type: "string" },
+  source: { type: "string" },
+  server: { type: "string", short: "s" },
+  token: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { code: "USAGE" });
+}
+
+/**
+ * 把 glob 的一段转换为正则：* 匹配除 / 外的任意字符，? 匹配一个字符，[...] 原样保留
+ */
+function segmentPattern(segment) {
+  const source = segment.replace(/[.+^${}()|\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]");
+  return new RegExp(`^${source}$`);
+}
+
+const isGlob = (value) => /[*?[]/.test(value);
+
+/**
+ * 展开 glob，支持 *、?、[...] 和匹配任意层目录的 **，结果按路径排序。
+ * shell 通常已经展开过，这里处理加了引号的模式（如 CI 配置中的 "screenshots/**\/*.png"）
+ */
+function expandGlob(pattern) {
+  const segments = pattern.split("/");
+  const first = segments.findIndex(isGlob);
+  const base = segments.slice(0, first).join("/") || (pattern.startsWith("/") ? "/" : ".");
+  const matches = [];
+
+  function walk(dir, rest) {
+    if (!rest.length) return;
+    const [segment, ...tail] = rest;
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    if (segment === "**") {
+      // ** 可以匹配零层目录
+      walk(dir, tail);
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith(".")) walk(path.join(dir, entry.name), rest);
+      }
+      return;
+    }
+
+    const regex = segmentPattern(segment);
+    for (const entry of entries) {
+      // 与 shell 一样，* 不匹配隐藏文件
+      if (!regex.test(entry.name) || (entry.name.startsWith(".") && !segment.startsWith("."))) continue;
+      const full = path.join(dir, entry.name);
+      if (!tail.length) {
+        if (entry.isFile()) matches.push(full);
+      } else if (entry.isDirectory()) {
+        walk(full, tail);
+      }
+    }
+  }
+
+  walk(base, segments.slice(first));
+  return [...new Set(matches)].sort();
+}
+
+/**
+ * 把命令行参数整理为要上传的文件列表 [{ label, path?, name }]，
+ * path 为空表示标准输入
+ */
+function resolveInputs(args, stdinName) {
+  const inputs = [];
+  for (const arg of args) {
+    if (arg === "-") {
+      inputs.push({ label: "-", name: stdinName });
+      continue;
+    }
+    const files = isGlob(arg) && !fs.existsSync(arg) ? expandGlob(arg) : [arg];
+    if (!files.length) {
+      throw usageError(`${arg}：没有匹配的文件`);
+    }
+    for (const file of files) {
+      const stat = fs.statSync(file, { throwIfNoEntry: false });
+      if (!stat) throw usageError(`${file}：文件不存在`);
+      if (stat.isDirectory()) throw usageError(`${file}：是目录，上传目录中的文件请使用 ${file}/**/*`);
+      inputs.push({ label: file, path: file, name: path.basename(file) });
+    }
+  }
+  return inputs;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 读取文件的开头用于识别类型；标准输入只能读一次，直接读入整个内容
+ */
+async function readInput(input) {
+  if (!input.path) {
+    const buffer = await readStdin();
+    return { head: buffer, size: buffer.length, buffer };
+  }
+  const handle = await fs.promises.open(input.path, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, SNIFF_LENGTH));
+    await handle.read(head, 0, head.length, 0);
+    return { head, size };
+  } finally {
+    await handle.close();
+  }
+}
+
+/** 按文件头识别类型，无法识别时按扩展名猜测，由上传时的校验决定是否接受 */
+function detectType(name, head) {
+  const sniffed = sniffType(head);
+  if (sniffed) return sniffed;
+  const ext = path.extname(name).slice(1).toLowerCase();
+  return Object.keys(FILE_TYPES).find((type) => FILE_TYPES[type].extensions.includes(ext)) || "application/octet-stream";
+}
+
+function openStream(input, data) {
+  return input.path ? fs.createReadStream(input.path) : Readable.from([data.buffer]);
+}
+
+async function sha256(input, data) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of openStream(input, data)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * 直接上传到存储：与服务器使用相同的存储配置、类型策略、对象键模板和图片处理
+ */
+function directUploader(settings, options) {
+  let loaded;
+  try {
+    loaded = loadProfiles(settings.profilesFile, process.env);
+  } catch (error) {
+    if (error.code === "CONFIG") error.message += "\n也可以用 --server 通过服务器上传，不需要本地的存储配置";
+    throw error;
+  }
+  const { defaultProfile, profiles } = loaded;
+  const name = options.profile || defaultProfile;
+  const profile = profiles.find((item) => item.name === name);
+  if (!profile) {
+    throw usageError(`存储配置 ${name} 不存在`);
+  }
+
+  const backend = createBackend(profile, settings);
+  const types = profileTypes(profile, settings);
+  const template = options.template ? new KeyTemplate(options.template) : profileKeyTemplate(profile, settings);
+  const objectDefaults = profileObjectDefaults(profile, settings);
+  const images = new ImageProcessor({ backend, ...settings.images });
+  const linkFormats = new LinkFormats(settings.linkTemplates);
+  const publicUrl = (key) => objectUrl(profile, key);
+
+  function describe(key, variants) {
+    const urls = Object.fromEntries(Object.entries(variants).map(([variant, value]) => [variant, publicUrl(value)]));
+    return {
+      fileName: key,
+      fileUrl: publicUrl(key),
+      variants: urls,
+      links: linkFormats.render({ key, url: publicUrl(key), thumb: urls.thumb }),
+    };
+  }
+
+  return async (input, dryRun) => {
+    const data = await readInput(input);
+    const type = detectType(input.name, data.head);
+    types.check(type, data.head);
+    if (data.size > types.maxSize(type)) {
+      throw new Error("文件大小超过限制");
+    }
+
+    if (dryRun) {
+      const hash = template.needsHash ? await sha256(input, data) : undefined;
+      return { dryRun: true, ...describe(template.render({ filename: input.name, type, hash }), {}) };
+    }
+
+    const key = template.needsHash ? incomingKey(input.name) : template.render({ filename: input.name, type });
+    const attributes = objectAttributes(options.fields, objectDefaults, input.name);
+    const uploaded = await backend.put(key, openStream(input, data), {
+      type,
+      ...attributes,
+      ifNoneMatch: !template.needsHash,
+      maxSize: types.maxSize(type),
+      inspect: (head) => types.check(type, head),
+    });
+
+    let committed = { key, duplicate: false };
+    if (template.needsHash) {
+      try {
+        committed = await commitContent(backend, {
+          tempKey: key,
+          key: template.render({ filename: input.name, type, hash: uploaded.sha256 }),
+          hash: uploaded.sha256,
+        });
+      } catch (error) {
+        backend.delete(key).catch(() => {});
+        throw error;
+      }
+    }
+
+    // 重复的文件在第一次上传时已经处理过
+    const processed = committed.duplicate
+      ? { key: committed.key, variants: {} }
+      : await images.process({ key: committed.key, type, size: uploaded.size });
+    return { duplicate: committed.duplicate, ...describe(processed.key, processed.variants) };
+  };
+}
+
+/**
+ * 通过服务器的 POST /upload 上传，认证使用 API 令牌
+ */
+function serverUploader(options) {
+  const base = options.server.replace(/\/+$/, "");
+  const template = options.template ? new KeyTemplate(options.template) : null;
+
+  return async (input, dryRun) => {
+    const data = await readInput(input);
+    const type = detectType(input.name, data.head);
+    if (dryRun) {
+      return { dryRun: true, server: base, type, size: data.size };
+    }
+
+    const query = new URLSearchParams();
+    if (options.profile) query.set("profile", options.profile);
+    if (template) query.set("keyTemplate", options.template);
+    const body = new FormData();
+    // 表单字段要写在文件之前
+    for (const [name, value] of Object.entries(options.fields)) {
+      body.append(name, value);
+    }
+    // Node 18 没有 openAsBlob，只能把文件读入内存
+    const blob = input.path
+      ? fs.openAsBlob
+        ? await fs.openAsBlob(input.path, { type })
+        : new Blob([await fs.promises.readFile(input.path)], { type })
+      : new Blob([data.buffer], { type });
+    body.append("file", blob, input.name);
+
+    const response = await fetch(`${base}/upload${query.toString() ? `?${query}` : ""}`, {
+      method: "POST",
+      headers: options.token ? { Authorization: `Bearer ${options.token}` } : {},
+      body,
+    });
+    const result = await response.json().catch(() => ({ error: `服务器返回 ${response.status}` }));
+    if (!response.ok) {
+      throw new Error(result.error || `服务器返回 ${response.status}`);
+    }
+    const { message, ...file } = result;
+    return file;
+  };
+}
+
+/**
+ * 命令行入口，返回退出码
+ *
+ * @param {string[]} argv 不含 node 和脚本路径的参数
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Promise<number>}
+ */
+async function main(argv, env = process.env) {
+  let inputs;
+  let upload;
+  let options;
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!positionals.length) {
+      throw usageError("没有指定要上传的文件");
+    }
+
+    const problems = checkSettings(env);
+    if (problems.length) throw configError(problems);
+    const settings = loadSettings(env);
+    const server = values.server || env.R2_UPLOAD_SERVER;
+    const parallel = Number(values.parallel);
+    if (!Number.isInteger(parallel) || parallel < 1) {
+      throw usageError("--parallel 必须是正整数");
+    }
+
+    // 前缀加在对象键模板前面；通过服务器上传时服务器的默认模板未知，使用本地的 KEY_TEMPLATE
+    const prefix = (values.prefix || "").replace(/^\/+|\/+$/g, "");
+    let template = values["key-template"];
+    if (prefix) template = `${prefix}/${template || settings.keyTemplate}`;
+
+    // 对象的元数据，未指定的字段使用服务器或存储配置的默认值
+    const fields = {
+      cacheControl: values["cache-control"],
+      disposition: values.disposition,
+      description: values.description,
+      tags: values.tags,
+      source: values.source,
+    };
+    for (const name of Object.keys(fields)) {
+      if (fields[name] === undefined) delete fields[name];
+    }
+    // 提前检查取值，避免每个文件都报同样的错误
+    objectAttributes(fields, {}, "");
+
+    options = { ...values, parallel, template, server, fields, token: values.token || env.R2_UPLOAD_TOKEN };
+    const formats = new LinkFormats(settings.linkTemplates).describe().map((format) => format.name);
+    if (!["plain", "json", ...formats].includes(options.format)) {
+      throw usageError(`不支持的输出格式 ${options.format}，可选：plain、json、${formats.join("、")}`);
+    }
+
+    upload = server ? serverUploader(options) : directUploader(settings, options);
+    inputs = resolveInputs(positionals, options.name);
+    if (inputs.filter((input) => !input.path).length > 1) {
+      throw usageError("标准输入只能使用一次");
+    }
+  } catch (error) {
+    // 参数、存储配置或对象键模板有误
+    console.error(`r2-upload: ${error.message}`);
+    if (error.code === "USAGE") console.error("使用 r2-upload --help 查看用法");
+    return 2;
+  }
+
+  const results = await mapLimit(inputs, options.parallel, async (input) => {
+    try {
+      return { file: input.label, ok: true, ...(await upload(input, options["dry-run"])) };
+    } catch (error) {
+      const failure = storageFailure(error);
+      const message = error.name === "PreconditionFailed" ? "同名文件已存在" : failure ? failure.message : error.message;
+      console.error(`r2-upload: ${input.label}：${message}`);
+      return { file: input.label, ok: false, error: message };
+    }
+  });
+
+  if (options.format === "json") {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      if (!result.ok) continue;
+      if (result.dryRun && !result.fileUrl) {
+        console.log(`${result.file} -> ${result.server}（${result.type}，${result.size} 字节）`);
+      } else {
+        console.log(options.format === "plain" ? result.fileUrl : result.links[options.format] || result.fileUrl);
+      }
+    }
+  }
+  if (options["dry-run"]) {
+    console.error("演练模式，没有上传任何文件");
+  }
+  return results.every((result) => result.ok) ? 0 : 1;
+}
+
+module.exports = { main, expandGlob };
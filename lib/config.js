@@ -0,0 +1,187 @@
+const path = require("path");
+const { KeyTemplate, DEFAULT_KEY_TEMPLATE } = require("./keys");
+const { TypePolicy } = require("./file-types");
+const { LinkFormats } = require("./link-formats");
+
+/**
+ * 服务器和命令行工具共用的上传配置，来自环境变量（包括 .env 文件）
+ *
+ * @param {NodeJS.ProcessEnv} env
+ */
+function loadSettings(env) {
+  // 会话等运行时数据的存放目录
+  const dataDir = env.DATA_DIR || path.join(__dirname, "..", "data");
+  // 按内容寻址保存：对象键为文件的 SHA-256，相同的文件只保存一份
+  const dedupe = env.DEDUPE_UPLOADS === "true";
+
+  return {
+    dataDir,
+    // 单个文件默认的大小上限（MB），流式上传不再受内存限制
+    maxFileSizeMB: Number(env.MAX_FILE_SIZE_MB) || 500,
+    // 允许的文件类型和各类型的大小上限，如 image/jpeg:20,image/png:20,video/mp4:500
+    allowedTypes: env.ALLOWED_TYPES,
+    // 分片大小，同时也是断点续传时每次 PATCH 的数据块大小
+    partSize: (Number(env.UPLOAD_PART_SIZE_MB) || 8) * 1024 * 1024,
+    // 同时上传的分片数
+    queueSize: Number(env.UPLOAD_QUEUE_SIZE) || 3,
+    // 存储请求没有任何数据往来多久后放弃（毫秒），连接超时最长 10 秒
+    storageTimeout: (Number(env.STORAGE_TIMEOUT_SECONDS) || 120) * 1000,
+    // 对象键模板，如 {yyyy}/{mm}/{dd}/{hash8}-{slug}.{ext}，占位符见 lib/keys.js；
+    // 未设置时为 时间戳-文件名，开启 DEDUPE_UPLOADS 时为 {hash}.{ext}
+    keyTemplate: env.KEY_TEMPLATE || (dedupe ? "{hash}.{ext}" : DEFAULT_KEY_TEMPLATE),
+    // 存储配置文件：可以定义多个存储桶或 MinIO 等 S3 兼容存储，用 profile 参数选择；
+    // 文件不存在时使用 ACCOUNT_ID、R2_BUCKET_NAME 等环境变量
+    profilesFile: env.PROFILES_FILE || path.join(dataDir, "profiles.json"),
+    // STORAGE_DRIVER=local 时保存文件的目录
+    localStorageDir: env.LOCAL_STORAGE_DIR || path.join(dataDir, "files"),
+    // 上传后的图片处理：缩略图、预览图、格式转换、最大尺寸和去除元数据，对所有存储配置相同
+    images: {
+      enabled: env.IMAGE_PROCESSING !== "false",
+      // 设为 0 时不生成
+      thumbnailSize: env.IMAGE_THUMBNAIL_SIZE === undefined ? 320 : Number(env.IMAGE_THUMBNAIL_SIZE),
+      previewSize: env.IMAGE_PREVIEW_SIZE === undefined ? 1280 : Number(env.IMAGE_PREVIEW_SIZE),
+      format: ["webp", "avif"].includes(env.IMAGE_FORMAT) ? env.IMAGE_FORMAT : null,
+      maxDimension: Number(env.IMAGE_MAX_DIMENSION) || 0,
+      stripMetadata: env.IMAGE_STRIP_METADATA === "true",
+    },
+    // 上传的对象默认的 Cache-Control 和 Content-Disposition（inline 或 attachment），
+    // 可以在存储配置中和每次上传时单独设置
+    cacheControl: env.CACHE_CONTROL || "",
+    contentDisposition: env.CONTENT_DISPOSITION || "",
+    // 复制用的链接格式，LINK_TEMPLATES 可以添加自定义模板，如 {"wiki": "[[{url}|{alt}]]"}
+    linkTemplates: env.LINK_TEMPLATES ? JSON.parse(env.LINK_TEMPLATES) : {},
+  };
+}
+
+// S3 分片上传除最后一片外每片至少 5MB
+const MIN_PART_SIZE_MB = 5;
+
+/**
+ * 检查数值类型的环境变量：未设置时使用默认值，设置了就必须是不小于 min 的数字
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @param {string[]} names
+ * @param {number} [min]
+ * @returns {string[]} 问题的说明
+ */
+function checkNumbers(env, names, min = 0) {
+  return names
+    .filter((name) => env[name] !== undefined && env[name] !== "" && !(Number(env[name]) >= min))
+    .map((name) => `${name} 必须是不小于 ${min} 的数字，当前为 "${env[name]}"`);
+}
+
+/**
+ * 检查 loadSettings 使用的环境变量，返回所有问题的说明。取值无效时 loadSettings
+ * 会悄悄使用默认值或在第一次上传时才报错，服务器和命令行工具启动前先检查
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string[]}
+ */
+function checkSettings(env) {
+  const problems = [
+    ...checkNumbers(env, [
+      "MAX_FILE_SIZE_MB",
+      "IMAGE_THUMBNAIL_SIZE",
+      "IMAGE_PREVIEW_SIZE",
+      "IMAGE_MAX_DIMENSION",
+      "STORAGE_TIMEOUT_SECONDS",
+    ]),
+    ...checkNumbers(env, ["UPLOAD_QUEUE_SIZE"], 1),
+    ...checkNumbers(env, ["UPLOAD_PART_SIZE_MB"], MIN_PART_SIZE_MB),
+  ];
+  if (env.IMAGE_FORMAT && !["webp", "avif"].includes(env.IMAGE_FORMAT)) {
+    problems.push(`IMAGE_FORMAT 必须是 webp 或 avif，当前为 "${env.IMAGE_FORMAT}"`);
+  }
+  if (env.CONTENT_DISPOSITION && !["inline", "attachment"].includes(env.CONTENT_DISPOSITION)) {
+    problems.push(`CONTENT_DISPOSITION 必须是 inline 或 attachment，当前为 "${env.CONTENT_DISPOSITION}"`);
+  }
+  if (env.STORAGE_DRIVER && !["s3", "local"].includes(env.STORAGE_DRIVER)) {
+    problems.push(`STORAGE_DRIVER 必须是 s3 或 local，当前为 "${env.STORAGE_DRIVER}"`);
+  }
+  // 对象键模板、类型列表和链接格式的构造函数会说明具体哪里不对
+  const checks = [
+    ["KEY_TEMPLATE", () => new KeyTemplate(env.KEY_TEMPLATE)],
+    ["ALLOWED_TYPES", () => new TypePolicy(env.ALLOWED_TYPES, 1)],
+    ["LINK_TEMPLATES", () => new LinkFormats(JSON.parse(env.LINK_TEMPLATES))],
+  ];
+  for (const [name, check] of checks) {
+    if (!env[name]) continue;
+    try {
+      check();
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        problems.push(`${name} 不是有效的 JSON`);
+      } else {
+        problems.push(error.message.startsWith(name) ? error.message : `${name}：${error.message}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * 把配置问题合并为一个错误，启动时一次列出所有问题
+ *
+ * @param {string[]} problems
+ */
+function configError(problems) {
+  return Object.assign(new Error(`配置有误：\n${problems.map((problem) => `  - ${problem}`).join("\n")}`), {
+    code: "CONFIG",
+    problems,
+  });
+}
+
+/**
+ * 存储配置的文件类型策略，配置中未设置时使用 ALLOWED_TYPES 和 MAX_FILE_SIZE_MB
+ *
+ * @param {import("./profiles").StorageProfile} profile
+ * @param {ReturnType<typeof loadSettings>} settings
+ */
+function profileTypes(profile, settings) {
+  return new TypePolicy(
+    profile.allowedTypes || settings.allowedTypes,
+    (profile.maxFileSizeMB || settings.maxFileSizeMB) * 1024 * 1024
+  );
+}
+
+/**
+ * 存储配置默认的对象键模板，配置中未设置时使用 KEY_TEMPLATE
+ *
+ * @param {import("./profiles").StorageProfile} profile
+ * @param {ReturnType<typeof loadSettings>} settings
+ */
+function profileKeyTemplate(profile, settings) {
+  return new KeyTemplate(profile.keyTemplate || settings.keyTemplate);
+}
+
+/**
+ * @typedef {object} ObjectDefaults
+ * @property {string} [cacheControl]
+ * @property {string} [disposition] inline 或 attachment
+ * @property {{ description?: string, tags?: string, source?: string }} [metadata] 默认的自定义元数据
+ */
+
+/**
+ * 存储配置中上传对象的默认元数据，未设置时使用 CACHE_CONTROL 和 CONTENT_DISPOSITION
+ *
+ * @param {import("./profiles").StorageProfile} profile
+ * @param {ReturnType<typeof loadSettings>} settings
+ * @returns {ObjectDefaults}
+ */
+function profileObjectDefaults(profile, settings) {
+  return {
+    cacheControl: profile.cacheControl || settings.cacheControl,
+    disposition: profile.contentDisposition || settings.contentDisposition,
+    metadata: profile.metadata || {},
+  };
+}
+
+module.exports = {
+  loadSettings,
+  checkSettings,
+  checkNumbers,
+  configError,
+  profileTypes,
+  profileKeyTemplate,
+  profileObjectDefaults,
+};
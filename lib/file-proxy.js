@@ -0,0 +1,141 @@
+const express = require("express");
+const { isValidKey } = require("./objects");
+const { sendStorageError } = require("./backend");
+const { logger } = require("./logger");
+const { errorBody } = require("./i18n");
+
+// 转发给存储后端的条件请求头
+const CONDITIONAL_HEADERS = {
+  "if-none-match": "ifNoneMatch",
+  "if-modified-since": "ifModifiedSince",
+  "if-match": "ifMatch",
+  "if-unmodified-since": "ifUnmodifiedSince",
+};
+
+// 存储后端的错误对应的响应状态
+const ERROR_STATUS = {
+  NotFound: 404,
+  NotModified: 304,
+  PreconditionFailed: 412,
+  InvalidRange: 416,
+};
+
+/**
+ * 把请求的 Range 和条件请求头转换为存储后端 get / head 的参数。
+ * 带 If-Range 时无法在读取对象前判断是否匹配，按规范忽略 Range 返回整个文件
+ */
+function objectParams(req) {
+  const params = {};
+  for (const [header, param] of Object.entries(CONDITIONAL_HEADERS)) {
+    const value = req.get(header);
+    if (!value) continue;
+    params[param] = param.endsWith("Since") ? new Date(value) : value;
+  }
+  const range = req.get("Range");
+  if (range && /^bytes=\d*-\d*$/.test(range) && !req.get("If-Range")) {
+    params.range = range;
+  }
+  return params;
+}
+
+/**
+ * 读取对象并以流的形式返回给客户端，支持 Range（206）、ETag 和条件请求（304 / 412）。
+ *
+ * @param {import("./backend").StorageBackend} backend
+ * @param {string} key
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {object} [options]
+ * @param {string} [options.cacheControl] Cache-Control 响应头，未设置时使用对象的 Cache-Control
+ * @param {(object: { size: number, partial: boolean }) => void} [options.onSend] 读取到对象、设置响应头之前调用，
+ *   HEAD 请求不调用；抛出错误时不发送文件，错误交给调用方处理
+ * @returns {Promise<void>}
+ */
+async function sendObject(backend, key, req, res, options = {}) {
+  const params = objectParams(req);
+  const isHead = req.method === "HEAD";
+
+  let object;
+  try {
+    if (isHead) {
+      const info = await backend.head(key, params);
+      object = { ...info, contentLength: info.size };
+    } else {
+      object = await backend.get(key, params);
+    }
+  } catch (error) {
+    const status = ERROR_STATUS[error.name];
+    if (status === 404) return res.status(404).json(errorBody(req, "file_not_found"));
+    if (status === 416) return res.status(416).json(errorBody(req, "invalid_range"));
+    if (status) return res.status(status).end();
+    throw error;
+  }
+
+  if (!isHead && options.onSend) {
+    try {
+      options.onSend({ size: object.contentLength, partial: Boolean(object.contentRange) });
+    } catch (error) {
+      object.body.destroy();
+      throw error;
+    }
+  }
+
+  res.setHeader("Content-Type", object.type || "application/octet-stream");
+  res.setHeader("Accept-Ranges", "bytes");
+  if (object.contentLength !== undefined) res.setHeader("Content-Length", String(object.contentLength));
+  if (object.etag) res.setHeader("ETag", object.etag);
+  if (object.lastModified) res.setHeader("Last-Modified", new Date(object.lastModified).toUTCString());
+  const cacheControl = options.cacheControl || object.cacheControl;
+  if (cacheControl) res.setHeader("Cache-Control", cacheControl);
+  if (object.contentDisposition) res.setHeader("Content-Disposition", object.contentDisposition);
+  if (object.contentRange) {
+    res.setHeader("Content-Range", object.contentRange);
+    res.status(206);
+  }
+
+  if (isHead) return res.end();
+
+  const body = object.body;
+  // 客户端提前断开时停止从存储读取
+  res.on("close", () => {
+    if (!res.writableFinished) body.destroy();
+  });
+  body.on("error", (error) => {
+    logger.error("read file stream failed", { key, error });
+    res.destroy(error);
+  });
+  body.pipe(res);
+}
+
+/**
+ * 文件代理接口：GET / HEAD /f/<对象键>，用于不公开的存储桶和没有公开地址的
+ * local 后端。访问权限由外层的认证中间件检查；不公开的存储只允许浏览器私有
+ * 缓存，否则使用对象自己的 Cache-Control。
+ *
+ * @param {object} options
+ * @param {import("./backend").StorageBackend} options.backend
+ * @param {boolean} [options.private] 文件需要登录才能访问
+ * @returns {import("express").Router}
+ */
+function createFileRouter(options) {
+  const { backend } = options;
+  const cacheControl = options.private ? "private, max-age=300" : undefined;
+  const router = express.Router();
+
+  router.get("/f/*", async (req, res) => {
+    const key = req.params[0];
+    if (!isValidKey(key)) {
+      return res.status(400).json(errorBody(req, "invalid_name"));
+    }
+    try {
+      await sendObject(backend, key, req, res, { cacheControl });
+    } catch (error) {
+      logger.error("read file failed", { key, error });
+      if (!res.headersSent) sendStorageError(req, res, error, "read_failed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFileRouter, sendObject };
@@ -0,0 +1,191 @@
+const { FALLBACK_LOCALE, translate, codedError } = require("./i18n");
+
+// 识别文件类型时读取的文件头长度
+const SNIFF_LENGTH = 4096;
+
+// ISO BMFF（MP4、MOV、AVIF）文件 ftyp 盒中的品牌
+const MP4_BRANDS = ["isom", "iso2", "iso3", "iso4", "iso5", "iso6", "mp41", "mp42", "avc1", "M4V ", "dash", "mmp4"];
+
+/**
+ * 支持识别的文件类型。extensions 用于页面上的格式提示，第一个是常用扩展名
+ */
+const FILE_TYPES = {
+  "image/jpeg": { extensions: ["jpg", "jpeg"] },
+  "image/png": { extensions: ["png"] },
+  "image/gif": { extensions: ["gif"] },
+  "image/webp": { extensions: ["webp"] },
+  "image/avif": { extensions: ["avif"] },
+  "video/mp4": { extensions: ["mp4", "m4v"] },
+  "video/webm": { extensions: ["webm"] },
+  "video/quicktime": { extensions: ["mov"] },
+  "application/pdf": { extensions: ["pdf"] },
+};
+
+// 未配置 ALLOWED_TYPES 时允许的类型
+const DEFAULT_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/avif", "video/mp4", "video/webm"];
+
+// 浏览器可能给出的别名
+const TYPE_ALIASES = {
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+  "video/x-m4v": "video/mp4",
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.toString("latin1", start, end);
+}
+
+/**
+ * 解析 ISO BMFF 的 ftyp 盒，返回主品牌和兼容品牌
+ */
+function ftypBrands(buffer) {
+  if (buffer.length < 12 || ascii(buffer, 4, 8) !== "ftyp") return null;
+  const size = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let offset = 16; offset + 4 <= size; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+  return brands;
+}
+
+/**
+ * 根据文件头识别文件类型，无法识别时返回 null
+ *
+ * @param {Buffer} buffer 文件开头的数据，至少包含 SNIFF_LENGTH 字节（文件更短时为整个文件）
+ * @returns {string | null}
+ */
+function sniffType(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (ascii(buffer, 0, 6) === "GIF87a" || ascii(buffer, 0, 6) === "GIF89a") return "image/gif";
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") return "image/webp";
+  if (ascii(buffer, 0, 5) === "%PDF-") return "application/pdf";
+
+  const brands = ftypBrands(buffer);
+  if (brands) {
+    const [major] = brands;
+    if (major === "avif" || major === "avis") return "image/avif";
+    if ((major === "mif1" || major === "msf1") && brands.includes("avif")) return "image/avif";
+    if (major === "qt  ") return "video/quicktime";
+    if (brands.some((brand) => MP4_BRANDS.includes(brand))) return "video/mp4";
+    return null;
+  }
+
+  // WebM 是 Matroska 的子集，EBML 头中的 DocType 为 webm
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) && ascii(buffer, 0, 64).includes("webm")) {
+    return "video/webm";
+  }
+  return null;
+}
+
+function invalidType(code) {
+  return codedError(code, {}, { name: "InvalidFileType", status: 400 });
+}
+
+/**
+ * 文件类型策略：允许上传的类型和每种类型的大小上限。
+ *
+ * 配置格式为逗号分隔的 MIME 类型，可以用 :MB 指定该类型的大小上限，如
+ * "image/jpeg:20,image/png:20,video/mp4:500"；未指定时使用 defaultMaxSize。
+ */
+class TypePolicy {
+  /**
+   * @param {string} [spec] 配置字符串，为空时使用默认类型
+   * @param {number} defaultMaxSize 默认大小上限（字节）
+   */
+  constructor(spec, defaultMaxSize) {
+    this.limits = new Map();
+
+    const entries = spec && spec.trim() ? spec.split(",") : DEFAULT_TYPES;
+    for (const entry of entries) {
+      const [type, size] = entry.trim().split(":");
+      if (!FILE_TYPES[type]) {
+        throw new Error(`类型 ${type} 无法识别，支持：${Object.keys(FILE_TYPES).join(", ")}`);
+      }
+      if (size === undefined) {
+        this.limits.set(type, defaultMaxSize);
+        continue;
+      }
+      // 写错的大小会变成 NaN，multer 的 fileSize 为 NaN 时等于没有上限
+      const mb = Number(size);
+      if (!Number.isFinite(mb) || mb <= 0) {
+        throw new Error(`${type} 的大小上限 "${size}" 无效，应为大于 0 的 MB 数，如 ${type}:20`);
+      }
+      this.limits.set(type, mb * 1024 * 1024);
+    }
+  }
+
+  normalize(type) {
+    return TYPE_ALIASES[type] || type;
+  }
+
+  isAllowed(type) {
+    return this.limits.has(this.normalize(type));
+  }
+
+  /** 该类型的大小上限（字节），不允许的类型返回 0 */
+  maxSize(type) {
+    return this.limits.get(this.normalize(type)) || 0;
+  }
+
+  /** 所有类型中最大的大小上限，用于 multer 等只能设置一个上限的地方 */
+  get largestSize() {
+    return Math.max(...this.limits.values());
+  }
+
+  /**
+   * 检查文件头与声明的类型是否一致，不一致时抛出 name 为 InvalidFileType 的错误，
+   * code 为 unsupported_type、type_mismatch 或 unknown_content
+   *
+   * @param {string} type 客户端声明的类型
+   * @param {Buffer} head 文件开头的数据
+   */
+  check(type, head) {
+    if (!this.isAllowed(type)) {
+      throw invalidType("unsupported_type");
+    }
+    const actual = sniffType(head);
+    if (actual !== this.normalize(type)) {
+      throw invalidType(actual ? "type_mismatch" : "unknown_content");
+    }
+  }
+
+  /** 文件选择框的 accept 属性 */
+  get accept() {
+    return [...this.limits.keys()]
+      .flatMap((type) => [type, ...FILE_TYPES[type].extensions.map((ext) => `.${ext}`)])
+      .join(",");
+  }
+
+  /**
+   * 页面上的格式说明，大小上限相同的类型合并显示，如 "jpg、png 最大 20MB；mp4 最大 500MB"
+   *
+   * @param {string} [locale]
+   */
+  describe(locale = FALLBACK_LOCALE) {
+    const groups = new Map();
+    for (const [type, size] of this.limits) {
+      if (!groups.has(size)) groups.set(size, []);
+      groups.get(size).push(FILE_TYPES[type].extensions[0]);
+    }
+    return [...groups]
+      .map(([size, extensions]) =>
+        translate(locale, "messages.type_limit", {
+          types: extensions.join(translate(locale, "messages.list_separator")),
+          size: Math.round(size / 1024 / 1024),
+        })
+      )
+      .join(translate(locale, "messages.group_separator"));
+  }
+
+  /** 给页面脚本使用的 { 类型: 大小上限 } */
+  toJSON() {
+    return Object.fromEntries(this.limits);
+  }
+}
+
+module.exports = { TypePolicy, sniffType, SNIFF_LENGTH, FILE_TYPES };
@@ -0,0 +1,105 @@
+const express = require("express");
+const { storageFailure } = require("./backend");
+const { logger } = require("./logger");
+const { hasErrorCode, errorBody } = require("./i18n");
+
+// 检查结果的缓存时间：负载均衡每隔几秒探测一次，不能每次都请求存储
+const DEFAULT_TTL = 30 * 1000;
+
+/**
+ * 各存储配置的可用性检查（S3 为 HeadBucket，local 为目录的读写权限），结果按存储
+ * 配置缓存 ttl 毫秒；检查进行中的并发请求共用同一次检查
+ */
+class ReadinessCheck {
+  /**
+   * @param {object} options
+   * @param {Iterable<{ profile: import("./profiles").StorageProfile, backend: import("./backend").StorageBackend }>} options.storages
+   * @param {number} [options.ttl] 缓存时间（毫秒）
+   */
+  constructor(options) {
+    this.storages = [...options.storages];
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.cache = new Map();
+  }
+
+  /**
+   * 检查一个存储配置，失败时返回存储错误对应的错误码和处理建议
+   *
+   * @returns {Promise<{ ok: boolean, driver: string, latencyMs: number, checkedAt: string, code?: string, error?: string }>}
+   */
+  checkStorage({ profile, backend }) {
+    const cached = this.cache.get(profile.name);
+    if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+    const started = Date.now();
+    const result = backend.check().then(
+      () => ({ ok: true }),
+      (error) => {
+        const failure = storageFailure(error);
+        if (!failure) logger.error("storage check failed", { profile: profile.name, error });
+        return failure
+          ? { ok: false, code: failure.code, error: failure.message }
+          : { ok: false, code: "storage_error", error: error.message };
+      }
+    ).then((status) => ({
+      ...status,
+      driver: backend.driver,
+      latencyMs: Date.now() - started,
+      checkedAt: new Date().toISOString(),
+    }));
+    // 检查结束后才开始计算缓存时间
+    const entry = { result, expiresAt: Infinity };
+    this.cache.set(profile.name, entry);
+    result.then(() => {
+      entry.expiresAt = Date.now() + this.ttl;
+    });
+    return result;
+  }
+
+  /**
+   * 检查所有存储配置，全部可用时 ready 为 true
+   *
+   * @returns {Promise<{ ready: boolean, storages: Record<string, object> }>}
+   */
+  async run() {
+    const results = await Promise.all(this.storages.map((storage) => this.checkStorage(storage)));
+    return {
+      ready: results.every((result) => result.ok),
+      storages: Object.fromEntries(this.storages.map((storage, i) => [storage.profile.name, results[i]])),
+    };
+  }
+}
+
+/**
+ * 健康检查接口，不需要登录，供容器编排和负载均衡探测：
+ *
+ *   GET /healthz   进程存活即返回 200，不访问存储
+ *   GET /readyz    所有存储配置可用时返回 200，否则返回 503 和各配置的错误
+ *
+ * @param {object} options
+ * @param {ReadinessCheck} options.readiness
+ * @returns {import("express").Router}
+ */
+function createHealthRouter(options) {
+  const { readiness } = options;
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+  });
+
+  router.get("/readyz", async (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    const { ready, storages } = await readiness.run();
+    // 检查结果是共用的缓存，处理建议按请求的语言生成
+    for (const [name, result] of Object.entries(storages)) {
+      if (hasErrorCode(result.code)) storages[name] = { ...result, ...errorBody(req, result.code) };
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "unavailable", storages });
+  });
+
+  return router;
+}
+
+module.exports = { ReadinessCheck, createHealthRouter };
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { logger } = require("./logger");
+
+// 查询时每页的默认条数和上限
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// 关键词搜索的字段
+const SEARCH_FIELDS = ["key", "from", "name", "user", "ip", "hash", "error"];
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} time 记录时间（ISO 格式）
+ * @property {"upload" | "delete" | "move" | "share"} action
+ * @property {"success" | "failure"} outcome
+ * @property {string} [key] 对象键，移动时为新键
+ * @property {string} [from] 移动前的键
+ * @property {string} [name] 上传时的原始文件名
+ * @property {number} [size]
+ * @property {string} [type]
+ * @property {string} [hash] 文件的 SHA-256
+ * @property {boolean} [duplicate] 内容寻址模式下已有相同文件
+ * @property {string} [source] 上传方式：form、batch、tus、presign、sharex、picgo、typora；
+ *   分享时为分享方式 link 或 presign
+ * @property {string} [error] 失败原因
+ * @property {string} [code] 失败原因的错误码，查询时按查看者的语言重新生成 error
+ * @property {string} [profile] 存储配置
+ * @property {string | null} user 登录的用户名或令牌名称
+ * @property {string | null} auth 认证方式：session、token、open
+ * @property {string} ip 客户端 IP
+ */
+
+/**
+ * 解析日期筛选条件。只有日期（2025-01-31）时，结束日期包含当天
+ */
+function parseTime(value, endOfDay) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+/**
+ * 上传历史和审计日志。
+ *
+ * 每次上传（包括失败的尝试）、删除、移动和创建分享链接都追加一行 JSON 到文件中，已有的
+ * 记录不会被修改。查询时逐行读取文件筛选，不把整个日志放在内存里。
+ */
+class UploadHistory {
+  /**
+   * @param {string} file 日志文件路径（JSON Lines）
+   */
+  constructor(file) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  /**
+   * 追加一条记录，写入失败只记录日志，不影响上传本身
+   *
+   * @param {Omit<HistoryEntry, "time">} entry
+   */
+  record(entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+    try {
+      fs.appendFileSync(this.file, `${line}\n`);
+    } catch (error) {
+      logger.error("write history failed", { file: this.file, error });
+    }
+  }
+
+  /**
+   * 按条件查询，最新的记录在前
+   *
+   * @param {object} [filters]
+   * @param {string} [filters.action]
+   * @param {string} [filters.outcome]
+   * @param {string} [filters.user]
+   * @param {string} [filters.profile]
+   * @param {string} [filters.q] 在对象键、文件名、用户、IP、哈希和错误信息中搜索，不区分大小写
+   * @param {string} [filters.from] 开始时间
+   * @param {string} [filters.to] 结束时间，只有日期时包含当天
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {Promise<{ total: number, entries: HistoryEntry[] }>}
+   */
+  async query(filters = {}) {
+    const limit = Math.min(Number(filters.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(Number(filters.offset) || 0, 0);
+    const q = filters.q ? String(filters.q).toLowerCase() : "";
+    const from = parseTime(filters.from, false);
+    const to = parseTime(filters.to, true);
+
+    const matches = (entry) => {
+      for (const field of ["action", "outcome", "user", "profile"]) {
+        if (filters[field] && entry[field] !== filters[field]) return false;
+      }
+      const time = Date.parse(entry.time);
+      if ((from !== null && time < from) || (to !== null && time >= to)) return false;
+      return !q || SEARCH_FIELDS.some((field) => entry[field] && String(entry[field]).toLowerCase().includes(q));
+    };
+
+    const entries = [];
+    if (fs.existsSync(this.file)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // 写到一半时进程退出留下的残行
+          continue;
+        }
+        if (matches(entry)) entries.push(entry);
+      }
+    }
+
+    entries.reverse();
+    return { total: entries.length, entries: entries.slice(offset, offset + limit) };
+  }
+}
+
+module.exports = { UploadHistory };
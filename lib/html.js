@@ -0,0 +1,11 @@
+/**
+ * 转义 HTML 特殊字符，用于页面模板和生成的 HTML 链接，可以放在元素内容和属性值中
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,159 @@
+// 各语言的消息目录：errors 为接口的错误码对应的消息，messages 为页面和其他提示
+const CATALOGS = {
+  "zh-CN": require("./locales/zh-CN"),
+  en: require("./locales/en"),
+};
+
+const LOCALES = Object.keys(CATALOGS);
+
+// 没有设置 DEFAULT_LOCALE 时使用的语言，也是错误对象 message 的语言（日志和命令行工具使用）
+const FALLBACK_LOCALE = "zh-CN";
+
+// 页面上切换语言时保存选择的 Cookie
+const COOKIE_NAME = "r2_locale";
+const COOKIE = new RegExp(`(?:^|;)\\s*${COOKIE_NAME}=([^;]*)`);
+
+/**
+ * 把语言标签对应到支持的语言，如 en-US -> en、zh、zh-Hans -> zh-CN，不支持时返回 null
+ *
+ * @param {string} tag
+ * @returns {string | null}
+ */
+function matchLocale(tag) {
+  if (!tag) return null;
+  const lower = tag.trim().toLowerCase();
+  const exact = LOCALES.find((locale) => locale.toLowerCase() === lower);
+  if (exact) return exact;
+  const language = lower.split("-")[0];
+  return LOCALES.find((locale) => locale.toLowerCase().split("-")[0] === language) || null;
+}
+
+/**
+ * 按 Accept-Language 请求头选择语言，按 q 值从高到低取第一个支持的语言
+ *
+ * @param {string} [header]
+ * @returns {string | null}
+ */
+function negotiate(header) {
+  const ranges = (header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...options] = part.trim().split(";");
+      const q = options.map((option) => /^\s*q=([\d.]+)\s*$/.exec(option)).find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1 };
+    })
+    .filter((range) => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { tag } of ranges) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+/**
+ * 取出消息并替换其中的 {name} 占位符；该语言没有这条消息时使用默认语言，
+ * 都没有时返回 key
+ *
+ * @param {string} locale
+ * @param {string} key 如 errors.file_not_found、messages.upload_succeeded
+ * @param {Record<string, string | number>} [params]
+ * @returns {string}
+ */
+function translate(locale, key, params = {}) {
+  const [section, name] = key.split(".");
+  const lookup = (catalog) => catalog && catalog[section] && catalog[section][name];
+  const message = lookup(CATALOGS[locale]) || lookup(CATALOGS[FALLBACK_LOCALE]);
+  if (message === undefined) return key;
+  return message.replace(/\{(\w+)\}/g, (match, param) => (params[param] === undefined ? match : params[param]));
+}
+
+/**
+ * 该语言的消息目录，页面脚本使用
+ *
+ * @param {string} locale
+ */
+function catalog(locale) {
+  return CATALOGS[locale] || CATALOGS[FALLBACK_LOCALE];
+}
+
+/**
+ * 带有错误码的错误，message 为默认语言的消息；接口按请求的语言重新生成消息
+ *
+ * @param {string} code 错误码，见消息目录的 errors
+ * @param {Record<string, string | number>} [params] 消息中的占位符
+ * @param {object} [fields] 其他字段，如 status
+ * @returns {Error}
+ */
+function codedError(code, params, fields) {
+  return Object.assign(new Error(translate(FALLBACK_LOCALE, `errors.${code}`, params)), { code, params, ...fields });
+}
+
+/**
+ * 消息目录中是否有该错误码
+ *
+ * @param {string} code
+ * @returns {boolean}
+ */
+function hasErrorCode(code) {
+  return typeof code === "string" && Object.prototype.hasOwnProperty.call(CATALOGS[FALLBACK_LOCALE].errors, code);
+}
+
+/**
+ * 错误响应的内容：稳定的错误码和按请求的语言生成的消息
+ *
+ * @param {import("express").Request} req
+ * @param {string} code
+ * @param {Record<string, string | number>} [params]
+ * @returns {{ error: string, code: string }}
+ */
+function errorBody(req, code, params) {
+  return { error: translate(req.locale || FALLBACK_LOCALE, `errors.${code}`, params), code };
+}
+
+/**
+ * 检查 DEFAULT_LOCALE，返回问题的说明
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string[]}
+ */
+function checkLocaleSettings(env) {
+  if (!env.DEFAULT_LOCALE || LOCALES.includes(env.DEFAULT_LOCALE)) return [];
+  return [`DEFAULT_LOCALE 必须是 ${LOCALES.join("、")} 之一，当前为 "${env.DEFAULT_LOCALE}"`];
+}
+
+/**
+ * 语言选择中间件，结果写入 req.locale：页面上选择的语言（r2_locale Cookie）优先，
+ * 其次是 Accept-Language，都没有支持的语言时使用 defaultLocale
+ *
+ * @param {object} [options]
+ * @param {string} [options.defaultLocale] DEFAULT_LOCALE
+ * @returns {import("express").RequestHandler}
+ */
+function localize(options = {}) {
+  const defaultLocale = options.defaultLocale || FALLBACK_LOCALE;
+  return (req, res, next) => {
+    req.locale =
+      matchLocale((COOKIE.exec(req.headers.cookie || "") || [])[1]) ||
+      negotiate(req.get("Accept-Language")) ||
+      defaultLocale;
+    res.setHeader("Content-Language", req.locale);
+    res.vary("Accept-Language");
+    next();
+  };
+}
+
+module.exports = {
+  LOCALES,
+  FALLBACK_LOCALE,
+  COOKIE_NAME,
+  matchLocale,
+  negotiate,
+  translate,
+  catalog,
+  codedError,
+  hasErrorCode,
+  errorBody,
+  checkLocaleSettings,
+  localize,
+};
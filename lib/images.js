@@ -0,0 +1,199 @@
+const sharp = require("sharp");
+const { baseKey, variantKey, parseVariant } = require("./keys");
+const { logger } = require("./logger");
+
+// sharp 能读取并重新编码的图片类型；GIF 只生成缩略图，原图保留动画不做修改
+const PROCESSABLE_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif"]);
+
+// 超过这个大小的图片不处理，避免整张图读进内存
+const MAX_INPUT_SIZE = 50 * 1024 * 1024;
+
+// 解码后的像素数上限（约 1 亿像素，RGBA 解码后约 400MB）。压缩率很高的图片文件
+// 不大，解码后却可能占用几 GB 内存，超过的图片不处理
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+const FORMAT_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+const FORMAT_EXTENSIONS = {
+  jpeg: "jpg",
+  png: "png",
+  webp: "webp",
+  avif: "avif",
+};
+
+function formatOf(type) {
+  return Object.keys(FORMAT_TYPES).find((format) => FORMAT_TYPES[format] === type);
+}
+
+/**
+ * 上传后的图片处理：生成缩略图和预览图，可选地把原图缩小到最大尺寸、转换为
+ * WebP / AVIF、去除 EXIF 和 GPS 等元数据。
+ *
+ * 文件已经由各个上传接口写入存储，这里再读回来处理，所以对所有上传方式都生效。
+ * 派生图片保存在原图旁边（photo.jpg@thumb.webp、photo.jpg@preview.webp）。处理失败
+ * 只记录日志，原图保持不变。
+ */
+class ImageProcessor {
+  /**
+   * @param {object} options
+   * @param {import("./backend").StorageBackend} options.backend
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.thumbnailSize] 缩略图最长边（像素），0 表示不生成
+   * @param {number} [options.previewSize] 预览图最长边（像素），0 表示不生成
+   * @param {"webp" | "avif"} [options.format] 把原图转换为该格式，派生图片也使用该格式（默认 webp）
+   * @param {number} [options.maxDimension] 原图最长边超过该值时缩小，0 表示不限制
+   * @param {boolean} [options.stripMetadata] 去除原图的 EXIF、GPS 等元数据
+   */
+  constructor(options) {
+    this.backend = options.backend;
+    this.enabled = options.enabled !== false;
+    this.sizes = { thumb: options.thumbnailSize || 0, preview: options.previewSize || 0 };
+    this.format = options.format || null;
+    this.variantFormat = this.format || "webp";
+    this.maxDimension = options.maxDimension || 0;
+    this.stripMetadata = Boolean(options.stripMetadata);
+  }
+
+  /**
+   * 处理刚上传的文件，返回处理后原图的键（格式转换后扩展名会变化）和派生图片的键
+   *
+   * @param {{ key: string, type: string, size: number }} file
+   * @returns {Promise<{ key: string, type: string, variants: { thumb?: string, preview?: string } }>}
+   */
+  async process(file) {
+    const unchanged = { key: file.key, type: file.type, variants: {} };
+    if (!this.enabled || !PROCESSABLE_TYPES.has(file.type) || file.size > MAX_INPUT_SIZE) {
+      return unchanged;
+    }
+
+    try {
+      const { body: input, attributes } = await this.download(file.key);
+      // metadata() 只读取文件头，不解码，先按尺寸跳过过大的图片，不生成任何派生图片
+      const metadata = await sharp(input, { limitInputPixels: false }).metadata();
+      if (!metadata.width || !metadata.height || metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+        logger.warn("image too large to process", { key: file.key, width: metadata.width, height: metadata.height });
+        return unchanged;
+      }
+      // rotate() 按 EXIF 方向旋转，输出时默认不带元数据；解码时 sharp 同样检查像素数上限
+      const image = sharp(input, { failOn: "none", limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+      const result = { key: file.key, type: file.type, variants: {} };
+      if (file.type !== "image/gif" && this.needsRewrite(file.type, metadata)) {
+        Object.assign(result, await this.rewriteOriginal(file, image, attributes));
+      }
+
+      for (const [name, size] of Object.entries(this.sizes)) {
+        if (!size) continue;
+        // 格式转换后原图的键可能变化，派生图片跟随处理后的键
+        const key = variantKey(result.key, name, FORMAT_EXTENSIONS[this.variantFormat]);
+        const buffer = await image
+          .clone()
+          .resize(size, size, { fit: "inside", withoutEnlargement: true })
+          .toFormat(this.variantFormat, { quality: 80 })
+          .toBuffer();
+        await this.put(key, buffer, FORMAT_TYPES[this.variantFormat]);
+        result.variants[name] = key;
+      }
+      return result;
+    } catch (error) {
+      logger.error("image processing failed", { key: file.key, error });
+      return unchanged;
+    }
+  }
+
+  needsRewrite(type, metadata) {
+    if (this.format && formatOf(type) !== this.format) return true;
+    if (this.maxDimension && Math.max(metadata.width, metadata.height) > this.maxDimension) return true;
+    return this.stripMetadata && Boolean(metadata.exif || metadata.xmp || metadata.iptc);
+  }
+
+  /**
+   * 重新编码原图。格式变化时写入新键（以 If-None-Match 条件，不覆盖已有对象）
+   * 后删除旧对象：先尝试替换扩展名（photo.png -> photo.webp），已被其他文件占用时
+   * 在原来的键后追加扩展名（photo.png.webp），都已存在时保留原图不转换。
+   * attributes 为原图的 Cache-Control、Content-Disposition 和自定义元数据，重新写入时保留
+   */
+  async rewriteOriginal(file, image, attributes) {
+    const format = this.format || formatOf(file.type);
+    let pipeline = image.clone();
+    if (this.maxDimension) {
+      pipeline = pipeline.resize(this.maxDimension, this.maxDimension, {
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+    }
+    if (!this.stripMetadata) pipeline = pipeline.withMetadata();
+    const buffer = await pipeline.toFormat(format, { quality: 90 }).toBuffer();
+    const type = FORMAT_TYPES[format];
+
+    if (type === file.type) {
+      await this.put(file.key, buffer, type, attributes);
+      return { key: file.key, type };
+    }
+
+    const extension = FORMAT_EXTENSIONS[format];
+    for (const key of [`${baseKey(file.key)}.${extension}`, `${file.key}.${extension}`]) {
+      try {
+        await this.put(key, buffer, type, { ...attributes, ifNoneMatch: true });
+      } catch (error) {
+        if (error.name !== "PreconditionFailed") throw error;
+        continue;
+      }
+      await this.backend.delete(file.key);
+      return { key, type };
+    }
+    logger.warn("converted image already exists, keeping original format", { key: file.key });
+    return { key: file.key, type: file.type };
+  }
+
+  /**
+   * 返回某个文件已有的派生图片的键，删除或移动原图时一起处理
+   */
+  async variantKeys(key) {
+    const page = await this.backend.list({ prefix: `${key}@` });
+    return page.objects
+      .map((item) => item.key)
+      .filter((variant) => {
+        const parsed = parseVariant(variant);
+        return parsed && parsed.base === key;
+      });
+  }
+
+  /**
+   * 原图改名或移动时，派生图片对应的移动列表
+   *
+   * @returns {Promise<{ from: string, to: string }[]>}
+   */
+  async variantMoves(from, to) {
+    return (await this.variantKeys(from)).map((key) => ({
+      from: key,
+      to: to + key.slice(from.length),
+    }));
+  }
+
+  /** 读取对象的内容和需要保留的属性 */
+  async download(key) {
+    const object = await this.backend.get(key);
+    const chunks = [];
+    for await (const chunk of object.body) {
+      chunks.push(chunk);
+    }
+    const attributes = {
+      cacheControl: object.cacheControl,
+      contentDisposition: object.contentDisposition,
+      metadata: object.metadata,
+    };
+    return { body: Buffer.concat(chunks), attributes };
+  }
+
+  put(key, body, type, extra) {
+    return this.backend.put(key, body, { type, ...extra });
+  }
+}
+
+module.exports = { ImageProcessor };
@@ -0,0 +1,141 @@
+const express = require("express");
+const { translate, errorBody } = require("./i18n");
+
+// 页面传来的站点地址，只接受协议加主机名
+const ORIGIN = /^https?:\/\/[^/?#\s]+$/;
+
+/**
+ * 任一文件失败时整个请求按失败返回（已成功的文件保留），否则 PicGo 和 Typora
+ * 会把返回的地址与本地图片错位对应。错误码为第一个失败的文件的错误码
+ */
+function firstFailure(results) {
+  const failed = results.filter((result) => !result.ok);
+  if (!failed.length) return null;
+  return { error: failed.map((result) => `${result.name}: ${result.error}`).join("; "), code: failed[0].code };
+}
+
+/**
+ * 各个工具期望的响应格式
+ */
+const RESPONDERS = {
+  // ShareX 自定义上传器，配置中用 {json:url} 等取值
+  sharex: {
+    send(res, results) {
+      const [result] = results;
+      res.json({
+        url: result.fileUrl,
+        thumbnail_url: result.variants.thumb || result.fileUrl,
+        fileName: result.fileName,
+        duplicate: result.duplicate,
+        links: result.links,
+      });
+    },
+    fail(res, status, body) {
+      res.status(status).json(body);
+    },
+  },
+  // PicGo 的 web-uploader 插件（jsonPath 填 url），result 与 PicGo-Server 的格式相同
+  picgo: {
+    send(res, results) {
+      const urls = results.map((result) => result.fileUrl);
+      res.json({ success: true, url: urls[0], result: urls });
+    },
+    fail(res, status, body) {
+      res.status(status).json({ success: false, message: body.error, code: body.code });
+    },
+  },
+  // Typora 的自定义命令，从输出的最后几行读取图片地址
+  typora: {
+    send(res, results) {
+      res.type("text/plain").send(results.map((result) => `${result.fileUrl}\n`).join(""));
+    },
+    fail(res, status, body) {
+      res.status(status).type("text/plain").send(`${body.error}\n`);
+    },
+  },
+};
+
+/**
+ * 桌面上传工具的兼容接口，使用 API 令牌认证：
+ *
+ *   POST /api/sharex   ShareX 自定义上传器，返回 { url, thumbnail_url }
+ *   POST /api/picgo    PicGo web-uploader 插件，返回 { success, url, result: [地址] }
+ *   POST /api/typora   Typora 自定义命令，返回纯文本，每行一个地址
+ *   POST /integrations/sharex.sxcu  为当前登录的管理员生成 ShareX 配置文件
+ *
+ * 上传接口以 multipart/form-data 提交，文件字段名不限，可以一次上传多个文件；
+ * 接收和完成上传与 /upload/batch 相同，这里只负责转换成各个工具的响应格式。
+ * PicGo-Server 提交本地文件路径的 JSON 格式不支持，服务器不读取本机文件。
+ *
+ * @param {object} options
+ * @param {import("express").RequestHandler} options.upload 接收请求中的文件
+ * @param {(req: import("express").Request, source: string) => Promise<object[]>} options.collect
+ *   完成上传，按上传顺序返回每个文件的结果，格式同 /upload/batch；source 为工具名，记录在上传历史中
+ * @param {(error: Error) => { status: number, code: string, params?: object }} options.describeError
+ *   上传阶段错误的状态码和错误码
+ * @param {import("express").RequestHandler} options.requireSession 生成配置文件需要登录
+ * @param {import("./tokens").TokenStore} options.tokens 为配置文件创建上传令牌
+ * @returns {import("express").Router}
+ */
+function createIntegrationsRouter(options) {
+  const { upload, collect, describeError, requireSession, tokens } = options;
+  const router = express.Router();
+
+  router.post("/api/:tool(sharex|picgo|typora)", (req, res, next) => {
+    const responder = RESPONDERS[req.params.tool];
+    upload(req, res, async (error) => {
+      if (error) {
+        const { status, code, params } = describeError(error);
+        return responder.fail(res, status, errorBody(req, code, params));
+      }
+      try {
+        const results = await collect(req, req.params.tool);
+        if (!results.length) {
+          return responder.fail(res, 400, errorBody(req, "no_file"));
+        }
+        const failure = firstFailure(results);
+        if (failure) {
+          return responder.fail(res, 400, failure);
+        }
+        responder.send(res, results);
+      } catch (error) {
+        next(error);
+      }
+    });
+  });
+
+  // 配置文件中带有新建的上传令牌，所以用 POST，每次下载都会创建一个令牌
+  router.post("/integrations/sharex.sxcu", requireSession, express.json(), (req, res) => {
+    const body = req.body || {};
+    const origin = ORIGIN.test(body.origin || "") ? body.origin : `${req.protocol}://${req.get("host")}`;
+    const host = new URL(origin).host;
+
+    const config = {
+      Version: "15.0.0",
+      Name: `${translate(req.locale, "messages.sharex_name")} (${host})`,
+      DestinationType: "ImageUploader, FileUploader",
+      RequestMethod: "POST",
+      RequestURL: `${origin}/api/sharex`,
+      Body: "MultipartFormData",
+      FileFormName: "file",
+      URL: "{json:url}",
+      ThumbnailURL: "{json:thumbnail_url}",
+      ErrorMessage: "{json:error}",
+    };
+    if (req.query.profile) {
+      config.Parameters = { profile: req.query.profile };
+    }
+    // 免认证模式下不需要令牌
+    if (req.auth.type !== "open") {
+      const { token } = tokens.create("ShareX", ["upload"]);
+      config.Headers = { Authorization: `Bearer ${token}` };
+    }
+
+    res.attachment(`r2-upload-${host.replace(/[^\w.-]/g, "_")}.sxcu`);
+    res.type("application/json").send(JSON.stringify(config, null, 2));
+  });
+
+  return router;
+}
+
+module.exports = { createIntegrationsRouter };
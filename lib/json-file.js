@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+/**
+ * 读取 JSON 文件，文件不存在时返回 fallback
+ */
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("read file failed", { file, error });
+    }
+    return fallback;
+  }
+}
+
+/**
+ * 写入 JSON 文件：先写临时文件再重命名，避免写到一半时进程退出导致文件损坏
+ */
+function writeJson(file, data) {
+  const tmp = `${file}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    logger.error("write file failed", { file, error });
+  }
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,249 @@
+const path = require("path");
+const crypto = require("crypto");
+const { isValidKey } = require("./objects");
+const { FILE_TYPES } = require("./file-types");
+const { codedError } = require("./i18n");
+
+// 文件内容的哈希在上传完成后才知道，此时文件先上传到这个前缀，算出哈希后再移动到最终位置
+const INCOMING_PREFIX = ".incoming/";
+
+// 图片的派生文件：原图 photo.jpg 的缩略图为 photo.jpg@thumb.webp。保留原图的扩展名，
+// photo.jpg 和 photo.png 的派生图片不会互相覆盖
+const VARIANT_PATTERN = /^(.*)@(thumb|preview)\.(webp|avif)$/;
+
+// 默认的对象键模板，即 时间戳-文件名
+const DEFAULT_KEY_TEMPLATE = "{timestamp}-{name}.{ext}";
+
+const PLACEHOLDERS = new Set([
+  "yyyy",
+  "mm",
+  "dd",
+  "hh",
+  "timestamp",
+  "uuid",
+  "random",
+  "hash",
+  "hash8",
+  "name",
+  "slug",
+  "ext",
+]);
+
+// 文件名中会被去掉的字符：控制字符、URL 和文件系统中有特殊含义的字符，以及
+// 派生图片键使用的 @
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f"#%*:<>?@\\^`{|}~[\]]/g;
+const MAX_NAME_LENGTH = 100;
+const MAX_SLUG_LENGTH = 64;
+
+// 本进程生成的最后一个时间戳，保证 {timestamp} 单调递增
+let lastTimestamp = 0;
+
+function invalidTemplate(code, params) {
+  return codedError(code, params, { status: 400 });
+}
+
+/**
+ * 清理上传的文件名：去掉路径、不安全的字符和首尾的点与空白，限制长度。
+ * 没有扩展名时按文件类型补上。
+ *
+ * @param {string} filename 客户端提供的文件名
+ * @param {string} [type] 文件类型
+ * @returns {{ name: string, ext: string }} 不含扩展名的文件名和小写扩展名
+ */
+function sanitizeFilename(filename, type) {
+  const base = String(filename || "").split(/[\\/]/).pop().normalize("NFC");
+  const extname = path.extname(base);
+  let ext = extname.slice(1).toLowerCase().replace(/[^a-z0-9]/g, "").slice(0, 10);
+  if (!ext && FILE_TYPES[type]) ext = FILE_TYPES[type].extensions[0];
+
+  const cleaned = base
+    .slice(0, base.length - extname.length)
+    .replace(UNSAFE_CHARACTERS, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[.\s]+|[.\s]+$/g, "");
+  // 按字符而不是 UTF-16 码元截断，避免截断在代理对中间
+  const name = [...cleaned].slice(0, MAX_NAME_LENGTH).join("").trim();
+  return { name: name || "file", ext };
+}
+
+/**
+ * 把文件名转换为 URL 友好的形式：小写，去掉重音符号，字母和数字以外的字符
+ * 替换为 -。中文等非拉丁文字保留原样
+ */
+function slugify(name) {
+  const slug = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  return [...slug].slice(0, MAX_SLUG_LENGTH).join("").replace(/-+$/, "") || "file";
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * 对象键模板，如 "{yyyy}/{mm}/{dd}/{hash8}-{slug}.{ext}"。
+ *
+ * 占位符：
+ *   {yyyy} {mm} {dd} {hh}  上传时间（UTC）
+ *   {timestamp}            毫秒时间戳，同一进程内单调递增，不会重复
+ *   {uuid} {random}        随机 UUID、8 位随机十六进制
+ *   {hash} {hash8}         文件内容的 SHA-256 及其前 8 位
+ *   {name} {slug} {ext}    清理后的文件名、slug 化的文件名、扩展名
+ *
+ * 没有扩展名时 ".{ext}" 整体省略。包含 {hash} 或 {hash8} 的模板要等文件上传
+ * 完成、算出哈希后才能生成键（needsHash）；这种键由内容决定，键已存在且内容
+ * 相同时视为同一个文件（见 commitContent）。
+ */
+class KeyTemplate {
+  /**
+   * @param {string} source 模板字符串，占位符无法识别或生成的键不合法时抛出 status 为 400 的错误
+   */
+  constructor(source) {
+    this.source = source;
+
+    for (const [, name] of source.matchAll(/\{(\w*)\}/g)) {
+      if (!PLACEHOLDERS.has(name)) {
+        throw invalidTemplate("unknown_placeholder", { name: `{${name}}` });
+      }
+    }
+    this.needsHash = /\{hash8?\}/.test(source);
+
+    // 占位符的值都经过清理，用示例值检查模板中的固定部分即可
+    const sample = this.render({ filename: "file.png", hash: "0".repeat(64) });
+    if (!isValidKey(sample) || sample.includes("//") || sample.startsWith(INCOMING_PREFIX)) {
+      throw invalidTemplate("invalid_key_template");
+    }
+  }
+
+  /**
+   * 使用请求中指定的模板，未指定时返回 fallback
+   *
+   * @param {string} [source]
+   * @param {KeyTemplate} fallback
+   */
+  static resolve(source, fallback) {
+    if (!source) return fallback;
+    if (typeof source !== "string") throw invalidTemplate("invalid_key_template");
+    return new KeyTemplate(source);
+  }
+
+  /**
+   * 生成对象键
+   *
+   * @param {{ filename: string, type?: string, hash?: string, now?: Date }} file
+   * @returns {string}
+   */
+  render({ filename, type, hash, now = new Date() }) {
+    if (this.needsHash && !hash) {
+      throw new Error("该对象键模板需要文件内容的哈希");
+    }
+    const { name, ext } = sanitizeFilename(filename, type);
+    const values = {
+      yyyy: String(now.getUTCFullYear()),
+      mm: pad(now.getUTCMonth() + 1),
+      dd: pad(now.getUTCDate()),
+      hh: pad(now.getUTCHours()),
+      uuid: () => crypto.randomUUID(),
+      random: () => crypto.randomBytes(4).toString("hex"),
+      timestamp: () => {
+        lastTimestamp = Math.max(now.getTime(), lastTimestamp + 1);
+        return String(lastTimestamp);
+      },
+      hash,
+      hash8: hash && hash.slice(0, 8),
+      name,
+      slug: () => slugify(name),
+      ext,
+    };
+
+    return this.source.replace(/(\.?)\{(\w+)\}/g, (match, dot, placeholder) => {
+      if (placeholder === "ext" && !ext) return "";
+      const value = values[placeholder];
+      return dot + (typeof value === "function" ? value() : value);
+    });
+  }
+}
+
+/** 内容哈希确定前的临时对象键 */
+function incomingKey(filename) {
+  return `${INCOMING_PREFIX}${crypto.randomBytes(16).toString("hex")}${path.extname(filename).toLowerCase()}`;
+}
+
+/** 去掉扩展名后的对象键 */
+function baseKey(key) {
+  const slash = key.lastIndexOf("/");
+  const dot = key.lastIndexOf(".");
+  return dot > slash + 1 ? key.slice(0, dot) : key;
+}
+
+/** 派生图片的对象键，以原图的完整键为前缀 */
+function variantKey(key, name, ext) {
+  return `${key}@${name}.${ext}`;
+}
+
+/**
+ * 解析派生图片的键，不是派生图片时返回 null；base 为原图的键
+ *
+ * @returns {{ base: string, name: string } | null}
+ */
+function parseVariant(key) {
+  const match = VARIANT_PATTERN.exec(key);
+  return match ? { base: match[1], name: match[2] } : null;
+}
+
+/**
+ * 读取对象并计算 SHA-256，用于服务重启后丢失了上传过程中的哈希状态的情况
+ */
+async function hashObject(backend, key) {
+  const object = await backend.get(key);
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of object.body) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * 把临时对象移动到由内容哈希生成的键。该键已存在且内容相同时说明是同一个文件，
+ * 直接删除临时对象，返回已有对象的键。
+ *
+ * 以 If-None-Match 条件复制，两个相同文件同时提交时只有一个写入。{hash8} 等只取
+ * 部分哈希的键可能与内容不同的文件重复，这时比较已有对象的 SHA-256，不一致时抛出
+ * PreconditionFailed，不会把别的文件当成重复文件。
+ *
+ * @param {import("./backend").StorageBackend} backend
+ * @param {{ tempKey: string, key: string, hash: string }} options hash 为临时对象内容的 SHA-256
+ * @returns {Promise<{ key: string, duplicate: boolean }>}
+ */
+async function commitContent(backend, { tempKey, key, hash }) {
+  let duplicate = false;
+  try {
+    await backend.copy(tempKey, key, { ifNoneMatch: true });
+  } catch (error) {
+    if (error.name !== "PreconditionFailed") throw error;
+    // 键中有完整的哈希时内容必然相同，不用再读取已有对象
+    if (!key.includes(hash) && (await hashObject(backend, key)) !== hash) throw error;
+    duplicate = true;
+  }
+  await backend.delete(tempKey);
+  return { key, duplicate };
+}
+
+module.exports = {
+  INCOMING_PREFIX,
+  DEFAULT_KEY_TEMPLATE,
+  KeyTemplate,
+  sanitizeFilename,
+  slugify,
+  incomingKey,
+  baseKey,
+  variantKey,
+  parseVariant,
+  hashObject,
+  commitContent,
+};
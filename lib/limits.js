@@ -0,0 +1,339 @@
+const { readJson, writeJson } = require("./json-file");
+const { codedError } = require("./i18n");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+/**
+ * 超过限制时的错误，status 为 429 或 413，retryAfter 为建议等待的秒数
+ */
+function limitError(status, code, params, retryAfter) {
+  return codedError(code, params, { status, retryAfter });
+}
+
+/**
+ * 频率和流量限制的客户端：API 令牌按令牌区分，其他请求按 IP 区分
+ */
+function clientKey(req) {
+  return req.auth && req.auth.type === "token" ? `token:${req.auth.tokenId}` : `ip:${req.ip}`;
+}
+
+/**
+ * 存储配额的归属：API 令牌按令牌，网页登录按用户名，免认证模式下按 IP
+ */
+function ownerKey(req) {
+  if (req.auth && req.auth.type === "token") return `token:${req.auth.tokenId}`;
+  if (req.auth && req.auth.type === "session") return `user:${req.auth.name}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * 滑动窗口计数器。窗口分成 60 个时间片，每个客户端只保存有数据的时间片，
+ * 时间片过期后才释放对应的额度
+ */
+class SlidingWindow {
+  /**
+   * @param {number} limit 窗口内的上限
+   * @param {number} window 窗口长度（毫秒）
+   */
+  constructor(limit, window) {
+    this.limit = limit;
+    this.window = window;
+    this.slot = window / 60;
+    // 客户端 -> [[时间片开始时间, 用量], ...]，按时间排列
+    this.counters = new Map();
+
+    const timer = setInterval(() => this.prune(), window);
+    timer.unref();
+  }
+
+  slots(key, now) {
+    const slots = (this.counters.get(key) || []).filter(([start]) => start + this.window > now);
+    if (slots.length) this.counters.set(key, slots);
+    else this.counters.delete(key);
+    return slots;
+  }
+
+  used(key, now = Date.now()) {
+    return this.slots(key, now).reduce((sum, [, amount]) => sum + amount, 0);
+  }
+
+  /**
+   * 再使用 amount 需要等待的毫秒数，0 表示现在就可以
+   */
+  wait(key, amount, now = Date.now()) {
+    let used = this.used(key, now);
+    let wait = 0;
+    for (const [start, value] of this.slots(key, now)) {
+      if (used + amount <= this.limit) break;
+      used -= value;
+      wait = start + this.window - now;
+    }
+    return used + amount <= this.limit ? wait : this.window;
+  }
+
+  add(key, amount, now = Date.now()) {
+    const start = Math.floor(now / this.slot) * this.slot;
+    const slots = this.slots(key, now);
+    const last = slots[slots.length - 1];
+    if (last && last[0] === start) {
+      last[1] += amount;
+    } else {
+      slots.push([start, amount]);
+      this.counters.set(key, slots);
+    }
+  }
+
+  /** 清理已经没有用量的客户端 */
+  prune(now = Date.now()) {
+    for (const key of [...this.counters.keys()]) this.slots(key, now);
+  }
+}
+
+/**
+ * 各用户和令牌已经保存的文件。
+ *
+ * 上传成功时按对象键记录归属和大小，删除和移动时同步更新；存储桶中的文件
+ * 可能被其他工具删除或覆盖，reconcile 按存储桶的列表校正。只记录原始文件，
+ * 缩略图等派生图片不计入配额。
+ */
+class UsageStore {
+  /**
+   * @param {string} file 持久化文件路径
+   */
+  constructor(file) {
+    this.file = file;
+    // 存储配置 -> 对象键 -> { owner, size, time }
+    this.objects = readJson(file, {});
+    this.totals = new Map();
+    this.summarize();
+  }
+
+  save() {
+    writeJson(this.file, this.objects);
+  }
+
+  summarize() {
+    this.totals.clear();
+    for (const objects of Object.values(this.objects)) {
+      for (const { owner, size } of Object.values(objects)) {
+        const total = this.usage(owner);
+        this.totals.set(owner, { bytes: total.bytes + size, files: total.files + 1 });
+      }
+    }
+  }
+
+  /** 所有存储配置中的总用量 */
+  usage(owner) {
+    return this.totals.get(owner) || { bytes: 0, files: 0 };
+  }
+
+  change(owner, bytes, files) {
+    const total = this.usage(owner);
+    this.totals.set(owner, { bytes: total.bytes + bytes, files: total.files + files });
+  }
+
+  /**
+   * 按上传历史的记录更新用量，失败的操作不影响用量
+   *
+   * @param {import("./history").HistoryEntry} entry
+   * @param {string} owner 上传时为文件的归属
+   */
+  apply(entry, owner) {
+    if (entry.outcome !== "success" || !entry.profile || !entry.key) return;
+    const objects = this.objects[entry.profile] || (this.objects[entry.profile] = {});
+
+    if (entry.action === "upload") {
+      const existing = objects[entry.key];
+      // 内容寻址模式下的重复文件或覆盖：保留原来的归属
+      if (existing) {
+        this.change(existing.owner, (entry.size || 0) - existing.size, 0);
+        existing.size = entry.size || 0;
+      } else {
+        objects[entry.key] = { owner, size: entry.size || 0, time: Date.now() };
+        this.change(owner, entry.size || 0, 1);
+      }
+    } else if (entry.action === "delete") {
+      const existing = objects[entry.key];
+      if (!existing) return;
+      delete objects[entry.key];
+      this.change(existing.owner, -existing.size, -1);
+    } else if (entry.action === "move") {
+      const existing = objects[entry.from];
+      if (!existing) return;
+      delete objects[entry.from];
+      const replaced = objects[entry.key];
+      if (replaced) this.change(replaced.owner, -replaced.size, -1);
+      objects[entry.key] = existing;
+    } else {
+      return;
+    }
+    this.save();
+  }
+
+  /**
+   * 按存储桶的列表校正：删除已经不存在的文件，更新大小。开始列表之后才
+   * 上传的文件不在结果中，跳过
+   *
+   * @param {string} profile 存储配置名称
+   * @param {import("./backend").StorageBackend} backend
+   */
+  async reconcile(profile, backend) {
+    const started = Date.now();
+    const sizes = new Map();
+    let cursor = null;
+    do {
+      const page = await backend.list({ cursor });
+      for (const object of page.objects) sizes.set(object.key, object.size);
+      cursor = page.cursor;
+    } while (cursor);
+
+    const objects = this.objects[profile] || {};
+    let changed = 0;
+    for (const [key, object] of Object.entries(objects)) {
+      if (object.time >= started) continue;
+      if (!sizes.has(key)) {
+        delete objects[key];
+        changed++;
+      } else if (sizes.get(key) !== object.size) {
+        object.size = sizes.get(key);
+        changed++;
+      }
+    }
+    if (changed) {
+      this.summarize();
+      this.save();
+    }
+    return changed;
+  }
+}
+
+/**
+ * 上传频率、流量和存储配额限制。
+ *
+ * - 频率：每个客户端每分钟的上传请求数（创建续传会话、预签名也算一次，续传的
+ *   每个数据块不算）；
+ * - 流量：每个客户端每小时上传的字节数，按请求的 Content-Length 或声明的文件
+ *   大小计算，预签名直传也计入。没有 Content-Length 的请求（分块传输）在接收
+ *   时按实际收到的字节计量，见 meter；
+ * - 配额：每个用户或令牌保存的总字节数和文件数。
+ *
+ * 超过频率或流量限制时返回 429 和 Retry-After，超过配额或单次上传超过每小时
+ * 流量时返回 413。上限为 0 时不限制。
+ *
+ * @param {object} options
+ * @param {UsageStore} options.usage
+ * @param {number} [options.requestsPerMinute]
+ * @param {number} [options.bytesPerHour]
+ * @param {number} [options.quotaBytes]
+ * @param {number} [options.quotaFiles]
+ */
+function createLimits(options) {
+  const { usage, quotaBytes = 0, quotaFiles = 0 } = options;
+  const requests = options.requestsPerMinute ? new SlidingWindow(options.requestsPerMinute, MINUTE) : null;
+  const bytes = options.bytesPerHour ? new SlidingWindow(options.bytesPerHour, HOUR) : null;
+
+  /**
+   * 检查并计入本次请求的用量。measure 返回 null 时不检查，否则返回
+   * { request: 是否计入请求数, bytes: 计入流量的字节数, files: 新增的文件数, size: 新增文件的大小 }
+   *
+   * @param {(req: import("express").Request) => { request?: boolean, bytes?: number, files?: number, size?: number } | null} measure
+   * @returns {import("express").RequestHandler}
+   */
+  function check(measure) {
+    return (req, res, next) => {
+      const amount = measure(req);
+      if (!amount) return next();
+
+      const reject = (error) => {
+        if (error.retryAfter) res.setHeader("Retry-After", String(error.retryAfter));
+        next(error);
+      };
+      const client = clientKey(req);
+      const size = amount.bytes || 0;
+
+      if (requests && amount.request) {
+        const wait = requests.wait(client, 1);
+        if (wait) return reject(limitError(429, "rate_limited", {}, Math.ceil(wait / 1000)));
+      }
+      if (bytes && size) {
+        if (size > bytes.limit) {
+          return reject(limitError(413, "upload_exceeds_hourly_limit", { limit: formatMB(bytes.limit) }));
+        }
+        const wait = bytes.wait(client, size);
+        if (wait) return reject(limitError(429, "hourly_limit_exceeded", {}, Math.ceil(wait / 1000)));
+      }
+      if (amount.files || amount.size) {
+        const used = usage.usage(ownerKey(req));
+        if (quotaFiles && used.files + (amount.files || 0) > quotaFiles) {
+          return reject(limitError(413, "file_quota_exceeded", { limit: quotaFiles }));
+        }
+        if (quotaBytes && used.bytes + (amount.size || 0) > quotaBytes) {
+          return reject(limitError(413, "storage_quota_exceeded", { limit: formatMB(quotaBytes) }));
+        }
+      }
+
+      if (requests && amount.request) requests.add(client, 1);
+      if (bytes && size) bytes.add(client, size);
+      if (bytes || quotaBytes) req.uploadMeter = meter(req, size, Boolean(amount.files || amount.size));
+      next();
+    };
+  }
+
+  /**
+   * 请求体的计量器，存储引擎和续传接口每收到一段文件数据调用一次。超出检查时已经
+   * 计入的字节数（Content-Length）的部分再计入流量，quota 为 true 时同时检查存储
+   * 配额；超过限制时返回错误，由调用方中止上传
+   *
+   * @param {import("express").Request} req
+   * @param {number} counted 已经计入流量的字节数
+   * @param {boolean} quota 是否检查存储配额
+   * @returns {(length: number) => Error | null}
+   */
+  function meter(req, counted, quota) {
+    const client = clientKey(req);
+    const owner = ownerKey(req);
+    let received = 0;
+    return (length) => {
+      received += length;
+      if (bytes && received > counted) {
+        if (received > bytes.limit) {
+          return limitError(413, "upload_exceeds_hourly_limit", { limit: formatMB(bytes.limit) });
+        }
+        const wait = bytes.wait(client, received - counted);
+        if (wait) return limitError(429, "hourly_limit_exceeded", {}, Math.ceil(wait / 1000));
+        bytes.add(client, received - counted);
+        counted = received;
+      }
+      if (quota && quotaBytes && usage.usage(owner).bytes + received > quotaBytes) {
+        return limitError(413, "storage_quota_exceeded", { limit: formatMB(quotaBytes) });
+      }
+      return null;
+    };
+  }
+
+  /**
+   * 当前请求者的用量和剩余额度，上限为 null 时不限制
+   */
+  function status(req) {
+    const client = clientKey(req);
+    const used = usage.usage(ownerKey(req));
+    const describe = (limit, value) => ({ limit: limit || null, used: value, remaining: limit ? Math.max(limit - value, 0) : null });
+    return {
+      requests: { ...describe(requests && requests.limit, requests ? requests.used(client) : 0), window: 60 },
+      bytes: { ...describe(bytes && bytes.limit, bytes ? bytes.used(client) : 0), window: 60 * 60 },
+      quota: {
+        bytes: describe(quotaBytes, used.bytes),
+        files: describe(quotaFiles, used.files),
+      },
+    };
+  }
+
+  return { check, status, enabled: Boolean(requests || bytes || quotaBytes || quotaFiles) };
+}
+
+module.exports = { createLimits, UsageStore, SlidingWindow, ownerKey };
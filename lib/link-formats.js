@@ -0,0 +1,114 @@
+const { fileCategory } = require("./listing");
+const { FALLBACK_LOCALE, translate } = require("./i18n");
+const { escapeHtml } = require("./html");
+
+// 自定义格式的名称会作为 links 中的字段名
+const FORMAT_NAME = /^[a-z0-9_-]+$/i;
+
+// 自定义格式中可用的占位符
+const PLACEHOLDERS = ["url", "thumb", "name", "alt"];
+
+// Markdown 链接文字中的方括号和反斜杠需要转义
+function escapeMarkdown(value) {
+  return value.replace(/[\\[\]]/g, "\\$&");
+}
+
+// BBCode 没有转义方式，去掉会提前结束标签的方括号
+function escapeBBCode(value) {
+  return value.replace(/[[\]]/g, "");
+}
+
+/**
+ * 内置格式。图片嵌入显示，视频使用 <video>，其他文件生成普通链接
+ */
+const BUILTIN_FORMATS = {
+  url: {
+    render: ({ url }) => url,
+  },
+  markdown: {
+    render: ({ url, alt, name, category }) =>
+      category === "image" ? `![${escapeMarkdown(alt)}](${url})` : `[${escapeMarkdown(name)}](${url})`,
+  },
+  html: {
+    render: ({ url, alt, name, category }) => {
+      if (category === "image") return `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}">`;
+      if (category === "video") return `<video src="${escapeHtml(url)}" controls></video>`;
+      return `<a href="${escapeHtml(url)}">${escapeHtml(name)}</a>`;
+    },
+  },
+  bbcode: {
+    render: ({ url, name, category }) =>
+      category === "image" ? `[img]${url}[/img]` : `[url=${url}]${escapeBBCode(name)}[/url]`,
+  },
+};
+
+/**
+ * 把模板中的 {url}、{thumb}、{name}、{alt} 替换为文件的信息，值不做转义
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (PLACEHOLDERS.includes(name) ? values[name] : match));
+}
+
+/**
+ * 复制用的链接格式：内置的链接、Markdown、HTML、BBCode，加上部署时配置的自定义模板。
+ *
+ * 自定义模板配置为 JSON 对象，如 {"wiki": "[[{url}|{alt}]]"}，占位符：
+ *   {url}    文件地址
+ *   {thumb}  缩略图地址，没有缩略图时为文件地址
+ *   {name}   文件名（对象键的最后一段）
+ *   {alt}    不含扩展名的文件名
+ */
+class LinkFormats {
+  /**
+   * @param {Record<string, string>} [templates] 自定义模板，名称不能与内置格式重复
+   */
+  constructor(templates = {}) {
+    this.templates = new Map();
+    for (const [name, template] of Object.entries(templates)) {
+      if (!FORMAT_NAME.test(name) || BUILTIN_FORMATS[name] || typeof template !== "string") {
+        throw new Error(`链接格式 ${name} 无效`);
+      }
+      this.templates.set(name, template);
+    }
+  }
+
+  /**
+   * 生成文件的各种链接
+   *
+   * @param {{ key: string, url: string, thumb?: string }} file
+   * @returns {Record<string, string>} 格式名到链接文本
+   */
+  render(file) {
+    const name = file.key.slice(file.key.lastIndexOf("/") + 1);
+    const dot = name.lastIndexOf(".");
+    const values = {
+      url: file.url,
+      thumb: file.thumb || file.url,
+      name,
+      alt: dot > 0 ? name.slice(0, dot) : name,
+      category: fileCategory(file.key),
+    };
+
+    const links = {};
+    for (const [format, { render }] of Object.entries(BUILTIN_FORMATS)) {
+      links[format] = render(values);
+    }
+    for (const [format, template] of this.templates) {
+      links[format] = renderTemplate(template, values);
+    }
+    return links;
+  }
+
+  /** 给页面使用的格式列表 [{ name, label }]，内置格式的名称按 locale 显示 */
+  describe(locale = FALLBACK_LOCALE) {
+    return [
+      ...Object.keys(BUILTIN_FORMATS).map((name) => ({
+        name,
+        label: translate(locale, `messages.link_format_${name}`),
+      })),
+      ...[...this.templates.keys()].map((name) => ({ name, label: name })),
+    ];
+  }
+}
+
+module.exports = { LinkFormats };
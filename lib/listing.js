@@ -0,0 +1,222 @@
+const { INCOMING_PREFIX, parseVariant } = require("./keys");
+
+// 按扩展名粗略判断文件类别，列表接口不返回 Content-Type
+const TYPE_EXTENSIONS = {
+  image: ["jpg", "jpeg", "png", "gif", "webp", "avif", "svg", "bmp", "ico"],
+  video: ["mp4", "webm", "mov", "m4v", "ogv"],
+};
+
+const SORT_FIELDS = {
+  name: (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0),
+  size: (a, b) => a.size - b.size,
+  date: (a, b) => a.lastModified - b.lastModified,
+};
+
+/**
+ * 返回文件的类别：image、video 或 other
+ */
+function fileCategory(key) {
+  const ext = key.slice(key.lastIndexOf(".") + 1).toLowerCase();
+  for (const [category, extensions] of Object.entries(TYPE_EXTENSIONS)) {
+    if (extensions.includes(ext)) return category;
+  }
+  return "other";
+}
+
+/**
+ * 把派生图片（缩略图、预览图）挂到对应原图的 variants 字段上
+ */
+function attachVariants(objects, variants) {
+  if (!variants.length) return;
+  const byBase = new Map();
+  for (const { base, name, key } of variants) {
+    if (!byBase.has(base)) byBase.set(base, {});
+    byBase.get(base)[name] = key;
+  }
+  for (const object of objects) {
+    const found = byBase.get(object.key);
+    if (found) object.variants = found;
+  }
+}
+
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return {};
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * 存储桶浏览：分页、按前缀浏览目录、搜索、类型过滤和排序。
+ *
+ * 存储后端只能按键名字典序分页，所以：
+ * - 按名称升序浏览时直接透传后端的游标；
+ * - 按时间、大小或名称降序排序时需要扫描整个前缀（最多 maxScan 个对象），
+ *   排序结果缓存 ttl 毫秒，游标为结果中的偏移量。
+ */
+class BucketListing {
+  /**
+   * @param {object} options
+   * @param {import("./backend").StorageBackend} options.backend
+   * @param {number} [options.maxScan] 排序时最多扫描的对象数
+   * @param {number} [options.ttl] 排序结果缓存时间（毫秒）
+   */
+  constructor(options) {
+    this.backend = options.backend;
+    this.maxScan = options.maxScan || 10000;
+    this.ttl = options.ttl || 30 * 1000;
+    this.cache = new Map();
+  }
+
+  /** 存储桶内容变化后清空排序缓存 */
+  invalidate() {
+    this.cache.clear();
+  }
+
+  /**
+   * @param {object} query
+   * @param {string} [query.prefix] 目录前缀
+   * @param {boolean} [query.recursive] 是否包含子目录中的文件
+   * @param {string} [query.search] 文件名关键字（不区分大小写）
+   * @param {string} [query.type] image、video 或 other
+   * @param {string} [query.sort] name、size、date，前面加 - 表示降序
+   * @param {number} [query.limit] 每页数量
+   * @param {string} [query.cursor] 上一页返回的 nextCursor
+   * @returns {Promise<{ prefix: string, folders: object[], files: object[], nextCursor: string|null, partial: boolean }>}
+   */
+  async list(query) {
+    const prefix = query.prefix || "";
+    const delimiter = query.recursive ? undefined : "/";
+    const limit = Math.min(Math.max(Number(query.limit) || 50, 1), 1000);
+    const sort = SORT_FIELDS[String(query.sort || "").replace(/^-/, "")] ? query.sort : "name";
+    const filter = this.createFilter(prefix, query);
+    const cursor = decodeCursor(query.cursor);
+
+    if (sort === "name") {
+      return this.listByName({ prefix, delimiter, limit, filter, token: cursor.token });
+    }
+    return this.listSorted({ prefix, delimiter, limit, filter, sort, offset: cursor.offset || 0 });
+  }
+
+  /**
+   * 返回文件过滤函数；文件夹只按关键字过滤，传入的是前缀字符串
+   */
+  createFilter(prefix, query) {
+    const search = String(query.search || "").toLowerCase();
+    const type = query.type;
+    return (item) => {
+      const key = typeof item === "string" ? item : item.key;
+      if (search && !key.slice(prefix.length).toLowerCase().includes(search)) return false;
+      if (type && typeof item !== "string" && fileCategory(key) !== type) return false;
+      return true;
+    };
+  }
+
+  async fetchPage(prefix, delimiter, token, maxKeys) {
+    const page = await this.backend.list({ prefix, delimiter, cursor: token, limit: maxKeys });
+    const objects = [];
+    const variants = [];
+    for (const item of page.objects) {
+      // 以 / 结尾的空对象是“文件夹”占位符；去重模式下正在上传的临时对象不显示
+      if (item.key.endsWith("/") || item.key.startsWith(INCOMING_PREFIX)) continue;
+      // 派生图片不单独列出
+      const variant = parseVariant(item.key);
+      if (variant) {
+        variants.push({ ...variant, key: item.key });
+        continue;
+      }
+      objects.push({
+        key: item.key,
+        size: item.size,
+        lastModified: item.lastModified.getTime(),
+      });
+    }
+    return {
+      objects,
+      variants,
+      folders: page.prefixes.filter((folder) => folder !== INCOMING_PREFIX),
+      nextToken: page.cursor,
+    };
+  }
+
+  async listByName({ prefix, delimiter, limit, filter, token }) {
+    const files = [];
+    const folders = [];
+    const variants = [];
+    let nextToken = token;
+    let pages = 0;
+
+    // 有过滤条件时一页可能筛不出几个结果，最多再往后读 10 页
+    do {
+      const page = await this.fetchPage(prefix, delimiter, nextToken, limit);
+      files.push(...page.objects.filter(filter));
+      folders.push(...page.folders.filter(filter));
+      variants.push(...page.variants);
+      nextToken = page.nextToken;
+      pages++;
+    } while (nextToken && files.length + folders.length < limit && pages < 10);
+
+    // 原图和派生图片恰好分在两页时，这一页的原图没有 variants，页面会退回显示原图
+    attachVariants(files, variants);
+
+    return {
+      prefix,
+      folders,
+      files,
+      nextCursor: nextToken ? encodeCursor({ token: nextToken }) : null,
+      partial: false,
+    };
+  }
+
+  async scan(prefix, delimiter) {
+    const cacheKey = `${prefix}\n${delimiter || ""}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached;
+
+    const objects = [];
+    const folders = [];
+    const variants = [];
+    let token;
+    do {
+      const page = await this.fetchPage(prefix, delimiter, token, 1000);
+      objects.push(...page.objects);
+      folders.push(...page.folders);
+      variants.push(...page.variants);
+      token = page.nextToken;
+    } while (token && objects.length < this.maxScan);
+    attachVariants(objects, variants);
+
+    const result = { objects, folders, partial: Boolean(token), expiresAt: Date.now() + this.ttl };
+    this.cache.set(cacheKey, result);
+    return result;
+  }
+
+  async listSorted({ prefix, delimiter, limit, filter, sort, offset }) {
+    const scanned = await this.scan(prefix, delimiter);
+    const compare = SORT_FIELDS[sort.replace(/^-/, "")];
+    const direction = sort.startsWith("-") ? -1 : 1;
+
+    const matched = scanned.objects
+      .filter(filter)
+      .sort((a, b) => direction * compare(a, b) || SORT_FIELDS.name(a, b));
+    const files = matched.slice(offset, offset + limit);
+    const end = offset + files.length;
+
+    return {
+      prefix,
+      // 文件夹只在第一页返回
+      folders: offset === 0 ? scanned.folders.filter(filter) : [],
+      files,
+      nextCursor: end < matched.length ? encodeCursor({ offset: end }) : null,
+      partial: scanned.partial,
+    };
+  }
+}
+
+module.exports = { BucketListing, fileCategory };
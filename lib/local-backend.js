@@ -0,0 +1,536 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough, Readable } = require("stream");
+const { once } = require("events");
+const { SNIFF_LENGTH } = require("./file-types");
+const { storageError, deleteFailure } = require("./backend");
+const { codedError } = require("./i18n");
+const { logger } = require("./logger");
+
+// 根目录下保存元数据、未完成的分片上传和临时文件的目录，不能作为对象键使用
+const SYSTEM_DIR = ".storage";
+
+const EMPTY_MD5 = crypto.createHash("md5").digest("hex");
+const EMPTY_SHA256 = crypto.createHash("sha256").digest("hex");
+
+function invalidKey() {
+  return codedError("invalid_key", {}, { status: 400 });
+}
+
+/** 文件已经存在或路径中的某一段是文件，对象键无法写入 */
+function conflict() {
+  return codedError("key_conflict", {}, { status: 409 });
+}
+
+const isMissing = (error) => error.code === "ENOENT" || error.code === "ENOTDIR";
+
+/**
+ * If-None-Match / If-Match 中的 ETag 列表是否包含 etag，* 匹配任意对象
+ */
+function matchesEtag(header, etag) {
+  if (header.trim() === "*") return true;
+  return header.split(",").some((value) => value.trim().replace(/^W\//, "") === etag);
+}
+
+/**
+ * 按 HTTP 条件请求的规则检查，不满足时抛出 PreconditionFailed 或 NotModified。
+ * 时间只比较到秒，与 Last-Modified 响应头的精度一致
+ *
+ * @param {import("./backend").ObjectInfo} info
+ * @param {import("./backend").Conditions} [conditions]
+ */
+function checkConditions(info, conditions = {}) {
+  const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+  if (conditions.ifMatch && !matchesEtag(conditions.ifMatch, info.etag)) {
+    throw storageError("PreconditionFailed", "条件不满足");
+  }
+  if (conditions.ifUnmodifiedSince && seconds(info.lastModified) > seconds(conditions.ifUnmodifiedSince)) {
+    throw storageError("PreconditionFailed", "条件不满足");
+  }
+  if (conditions.ifNoneMatch) {
+    if (matchesEtag(conditions.ifNoneMatch, info.etag)) throw storageError("NotModified", "对象未修改");
+  } else if (conditions.ifModifiedSince && seconds(info.lastModified) <= seconds(conditions.ifModifiedSince)) {
+    throw storageError("NotModified", "对象未修改");
+  }
+}
+
+/**
+ * 解析 bytes=开始-结束 形式的 Range，返回包含两端的字节位置；格式不对时
+ * 返回 null 表示读取整个对象，超出对象大小时抛出 InvalidRange
+ */
+function parseRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range || "");
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    // bytes=-500 表示最后 500 个字节
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) {
+    throw storageError("InvalidRange", "请求的范围无效");
+  }
+  return { start, end };
+}
+
+/**
+ * 本地磁盘后端，用于离线开发和测试，不需要任何凭证和网络。
+ *
+ * 对象保存为 root 下与对象键相同路径的文件，可以直接浏览；Content-Type、
+ * ETag（内容的 MD5）和自定义元数据保存在 root/.storage/metadata 中。文件先写入
+ * 临时文件再移动到位，ifNoneMatch 用硬链接实现，键已存在时不会覆盖。
+ *
+ * 文件夹就是目录：以 / 结尾的键创建空目录，列表时空目录作为文件夹占位对象
+ * 返回；删除文件后变空的目录会被一起删除。列表需要读取整个前缀下的目录，
+ * 适合文件数量不多的场景。
+ */
+class LocalBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.root 保存文件的目录，不存在时自动创建
+   */
+  constructor(options) {
+    this.driver = "local";
+    this.root = path.resolve(options.root);
+    this.systemDir = path.join(this.root, SYSTEM_DIR);
+    for (const dir of ["metadata", "uploads", "tmp"]) {
+      fs.mkdirSync(path.join(this.systemDir, dir), { recursive: true });
+    }
+  }
+
+  /** 对象键对应的文件路径，以 / 结尾的键对应目录 */
+  filePath(key) {
+    const segments = String(key).split("/");
+    if (key.endsWith("/")) segments.pop();
+    if (
+      !segments.length ||
+      segments.some((part) => !part || part === "." || part === "..") ||
+      segments[0] === SYSTEM_DIR
+    ) {
+      throw invalidKey();
+    }
+    return path.join(this.root, ...segments);
+  }
+
+  /**
+   * 元数据文件的路径，文件名为对象路径的 SHA-256。按对象路径保存时，键 a 的
+   * a.json 会和键 a.json/b 所在的目录 a.json/ 冲突
+   */
+  metaPath(key) {
+    const relative = path.relative(this.root, this.filePath(key)).split(path.sep).join("/");
+    const name = crypto.createHash("sha256").update(relative).digest("hex");
+    return path.join(this.systemDir, "metadata", `${name}.json`);
+  }
+
+  /** 旧版本按对象路径保存的元数据文件，读取时兼容，写入和删除时清理 */
+  legacyMetaPath(key) {
+    return path.join(this.systemDir, "meta", `${path.relative(this.root, this.filePath(key))}.json`);
+  }
+
+  tempPath() {
+    return path.join(this.systemDir, "tmp", crypto.randomBytes(16).toString("hex"));
+  }
+
+  uploadDir(uploadId) {
+    if (!/^[0-9a-f]{32}$/.test(uploadId)) throw storageError("NotFound", "分片上传不存在");
+    return path.join(this.systemDir, "uploads", uploadId);
+  }
+
+  async readMeta(key) {
+    for (const file of [this.metaPath(key), this.legacyMetaPath(key)]) {
+      try {
+        return JSON.parse(await fs.promises.readFile(file, "utf8"));
+      } catch (error) {
+        continue;
+      }
+    }
+    // 直接放进目录里的文件没有元数据
+    return {};
+  }
+
+  async writeMeta(key, meta) {
+    await fs.promises.writeFile(this.metaPath(key), JSON.stringify(meta));
+    await this.removeLegacyMeta(key);
+  }
+
+  async removeLegacyMeta(key) {
+    const file = this.legacyMetaPath(key);
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      return;
+    }
+    await this.prune(path.dirname(file), path.join(this.systemDir, "meta"));
+  }
+
+  /** 删除文件后清理变空的上级目录，直到根目录 */
+  async prune(dir, top) {
+    while (dir !== top && dir.startsWith(top)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * 把写好的临时文件移动到对象键的位置并保存元数据
+   */
+  async commit(key, temp, meta, ifNoneMatch) {
+    const file = this.filePath(key);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      if (ifNoneMatch) {
+        // 硬链接在目标已存在时失败，可以原子地实现“不存在才写入”
+        await fs.promises.link(temp, file);
+        await fs.promises.unlink(temp);
+      } else {
+        await fs.promises.rename(temp, file);
+      }
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      if (error.code === "EEXIST" && ifNoneMatch) throw storageError("PreconditionFailed", "对象已存在");
+      if (["EEXIST", "ENOTDIR", "EISDIR", "EPERM"].includes(error.code)) throw conflict();
+      throw error;
+    }
+    await this.writeMeta(key, meta);
+  }
+
+  async put(key, body, options = {}) {
+    const file = this.filePath(key);
+    if (key.endsWith("/")) {
+      await fs.promises.mkdir(file, { recursive: true }).catch((error) => {
+        throw error.code === "EEXIST" || error.code === "ENOTDIR" ? conflict() : error;
+      });
+      return { size: 0, etag: `"${EMPTY_MD5}"`, sha256: EMPTY_SHA256 };
+    }
+
+    // 与 lib/multipart.js 的 uploadStream 相同，先转成原生流读取，结束后读完源数据（原因见该文件）
+    const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+    const input = new PassThrough();
+    source.on("error", (error) => input.destroy(error));
+    source.pipe(input);
+    const onAbort = () => {
+      source.unpipe(input);
+      input.destroy(new Error("上传已中止"));
+    };
+    const signal = options.signal;
+    if (signal) {
+      if (signal.aborted) onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    const temp = this.tempPath();
+    const output = fs.createWriteStream(temp);
+    const sha256 = crypto.createHash("sha256");
+    const md5 = crypto.createHash("md5");
+    let size = 0;
+    let head = [];
+    let inspected = !options.inspect;
+
+    try {
+      for await (const chunk of input) {
+        size += chunk.length;
+        if (options.maxSize && size > options.maxSize) {
+          throw Object.assign(new Error("文件大小超过限制"), { code: "LIMIT_FILE_SIZE" });
+        }
+        if (!inspected) {
+          head.push(chunk);
+          if (size >= SNIFF_LENGTH) {
+            inspected = true;
+            options.inspect(Buffer.concat(head));
+            head = [];
+          }
+        }
+        sha256.update(chunk);
+        md5.update(chunk);
+        if (!output.write(chunk)) await once(output, "drain");
+      }
+      if (!inspected) options.inspect(Buffer.concat(head));
+      output.end();
+      await once(output, "finish");
+    } catch (error) {
+      output.destroy();
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      source.unpipe(input);
+      if (source.resume) source.resume();
+    }
+
+    const etag = `"${md5.digest("hex")}"`;
+    await this.commit(
+      key,
+      temp,
+      {
+        type: options.type,
+        cacheControl: options.cacheControl,
+        contentDisposition: options.contentDisposition,
+        metadata: options.metadata,
+        etag,
+      },
+      options.ifNoneMatch
+    );
+    return { size, etag, sha256: sha256.digest("hex") };
+  }
+
+  /**
+   * 递归读取目录，返回其中的文件和空目录（以 / 结尾）的对象键
+   */
+  async walk(dir, prefix, entries) {
+    let items;
+    try {
+      items = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (isMissing(error)) return;
+      throw error;
+    }
+    if (!items.length && prefix) entries.push({ key: prefix, dir });
+    for (const item of items) {
+      if (!prefix && item.name === SYSTEM_DIR) continue;
+      const full = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        entries.push({ key: `${prefix}${item.name}/`, dir: full, directory: true });
+        await this.walk(full, `${prefix}${item.name}/`, entries);
+      } else if (item.isFile()) {
+        entries.push({ key: prefix + item.name, file: full });
+      }
+    }
+  }
+
+  async list(options = {}) {
+    const prefix = options.prefix || "";
+    const limit = options.limit || 1000;
+    // 只需要读取前缀中最后一个 / 之前的目录
+    const base = prefix.slice(0, prefix.lastIndexOf("/") + 1);
+    const entries = [];
+    if (!base) {
+      await this.walk(this.root, "", entries);
+    } else {
+      await this.walk(this.filePath(base), base, entries);
+    }
+
+    // 有分隔符时子目录合并为一个前缀；没有时只返回文件和空目录
+    const results = new Map();
+    for (const entry of entries) {
+      if (!entry.key.startsWith(prefix)) continue;
+      const rest = entry.key.slice(prefix.length);
+      const cut = options.delimiter ? rest.indexOf(options.delimiter) : -1;
+      if (cut !== -1) {
+        const common = prefix + rest.slice(0, cut + options.delimiter.length);
+        results.set(common, { prefix: common });
+      } else if (!entry.directory) {
+        results.set(entry.key, entry);
+      }
+    }
+
+    const sorted = [...results.entries()]
+      .filter(([key]) => !options.cursor || key > options.cursor)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const page = sorted.slice(0, limit);
+
+    const objects = [];
+    const prefixes = [];
+    for (const [key, entry] of page) {
+      if (entry.prefix) {
+        prefixes.push(entry.prefix);
+        continue;
+      }
+      const stat = await fs.promises.stat(entry.file || entry.dir).catch(() => null);
+      if (!stat) continue;
+      objects.push({ key, size: entry.file ? stat.size : 0, lastModified: stat.mtime });
+    }
+    return {
+      objects,
+      prefixes,
+      cursor: sorted.length > limit ? page[page.length - 1][0] : null,
+    };
+  }
+
+  /** 读取和删除时，不能作为对象键的路径按对象不存在处理 */
+  existingPath(key) {
+    try {
+      return this.filePath(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async head(key, conditions) {
+    const file = this.existingPath(key);
+    if (!file) throw storageError("NotFound", "对象不存在");
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (error) {
+      if (isMissing(error)) throw storageError("NotFound", "对象不存在");
+      throw error;
+    }
+    if (stat.isDirectory() !== key.endsWith("/")) {
+      throw storageError("NotFound", "对象不存在");
+    }
+
+    const meta = stat.isDirectory() ? {} : await this.readMeta(key);
+    const info = {
+      key,
+      size: stat.isDirectory() ? 0 : stat.size,
+      type: meta.type || "application/octet-stream",
+      // 没有元数据的文件用大小和修改时间生成 ETag
+      etag: meta.etag || `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+      lastModified: stat.mtime,
+      cacheControl: meta.cacheControl,
+      contentDisposition: meta.contentDisposition,
+      metadata: meta.metadata || {},
+    };
+    checkConditions(info, conditions);
+    return info;
+  }
+
+  async get(key, options = {}) {
+    const info = await this.head(key, options);
+    const range = info.size ? parseRange(options.range, info.size) : null;
+    const body = key.endsWith("/")
+      ? Readable.from([])
+      : fs.createReadStream(this.filePath(key), range || undefined);
+    return {
+      ...info,
+      body,
+      contentLength: range ? range.end - range.start + 1 : info.size,
+      contentRange: range ? `bytes ${range.start}-${range.end}/${info.size}` : undefined,
+    };
+  }
+
+  async delete(key) {
+    const file = this.existingPath(key);
+    if (!file) return;
+    try {
+      if (key.endsWith("/")) {
+        await fs.promises.rmdir(file);
+      } else {
+        await fs.promises.unlink(file);
+        await fs.promises.rm(this.metaPath(key), { force: true });
+        await this.removeLegacyMeta(key);
+      }
+    } catch (error) {
+      // 与 S3 一样，删除不存在的对象不算错误；非空目录只删除占位对象，目录保留
+      if (!isMissing(error) && error.code !== "ENOTEMPTY" && error.code !== "EEXIST") throw error;
+    }
+    await this.prune(path.dirname(file), this.root);
+  }
+
+  async deleteMany(keys) {
+    const results = [];
+    for (const key of keys) {
+      try {
+        await this.delete(key);
+        results.push({ key, ok: true });
+      } catch (error) {
+        logger.error("delete failed", { key, error });
+        results.push({ key, ok: false, ...deleteFailure(error) });
+      }
+    }
+    return results;
+  }
+
+  async copy(from, to, options = {}) {
+    const info = await this.head(from, { ifMatch: options.ifMatch });
+    if (from.endsWith("/")) {
+      await this.put(to, Buffer.alloc(0), { ifNoneMatch: options.ifNoneMatch });
+      return;
+    }
+    const meta = options.replace
+      ? { ...options.replace, etag: info.etag }
+      : { ...(await this.readMeta(from)), etag: info.etag };
+
+    // 原地修改元数据时不需要复制内容
+    if (from === to) {
+      if (options.ifNoneMatch) throw storageError("PreconditionFailed", "对象已存在");
+      await this.writeMeta(to, meta);
+      return;
+    }
+    const temp = this.tempPath();
+    await fs.promises.copyFile(this.filePath(from), temp);
+    await this.commit(to, temp, meta, Boolean(options.ifNoneMatch));
+  }
+
+  async createMultipart(key, attributes = {}) {
+    this.filePath(key);
+    const uploadId = crypto.randomBytes(16).toString("hex");
+    const dir = this.uploadDir(uploadId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, "upload.json"), JSON.stringify({ key, attributes }));
+    return uploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const dir = this.uploadDir(uploadId);
+    try {
+      await fs.promises.writeFile(path.join(dir, `${partNumber}.part`), body);
+    } catch (error) {
+      if (isMissing(error)) throw storageError("NotFound", "分片上传不存在");
+      throw error;
+    }
+    return { partNumber, etag: `"${crypto.createHash("md5").update(body).digest("hex")}"` };
+  }
+
+  async listParts(key, uploadId) {
+    const dir = this.uploadDir(uploadId);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (isMissing(error)) throw storageError("NotFound", "分片上传不存在");
+      throw error;
+    }
+    const parts = [];
+    for (const name of names.filter((item) => /^\d+\.part$/.test(item))) {
+      const data = await fs.promises.readFile(path.join(dir, name));
+      parts.push({ partNumber: parseInt(name, 10), etag: `"${crypto.createHash("md5").update(data).digest("hex")}"` });
+    }
+    return parts.sort((a, b) => a.partNumber - b.partNumber);
+  }
+
+  async completeMultipart(key, uploadId, parts, options = {}) {
+    const dir = this.uploadDir(uploadId);
+    let upload;
+    try {
+      upload = JSON.parse(await fs.promises.readFile(path.join(dir, "upload.json"), "utf8"));
+    } catch (error) {
+      throw storageError("NotFound", "分片上传不存在");
+    }
+
+    const files = [...parts]
+      .sort((a, b) => a.partNumber - b.partNumber)
+      .map((part) => path.join(dir, `${part.partNumber}.part`));
+    const body = Readable.from(
+      (async function* concat() {
+        for (const file of files) yield* fs.createReadStream(file);
+      })()
+    );
+    const result = await this.put(key, body, { ...upload.attributes, ifNoneMatch: options.ifNoneMatch });
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    return { etag: result.etag };
+  }
+
+  async abortMultipart(key, uploadId) {
+    await fs.promises.rm(this.uploadDir(uploadId), { recursive: true, force: true });
+  }
+
+  async check() {
+    // 实际写入一个临时文件：目录被删除时重新创建，没有权限、只读或磁盘已满时抛出对应的系统错误
+    const temp = this.tempPath();
+    await fs.promises.mkdir(path.dirname(temp), { recursive: true });
+    await fs.promises.writeFile(temp, "");
+    await fs.promises.unlink(temp);
+  }
+}
+
+module.exports = { LocalBackend };
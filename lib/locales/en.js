@@ -0,0 +1,333 @@
+/**
+ * English messages, with the same keys as zh-CN.js
+ */
+module.exports = {
+  errors: {
+    // 通用
+    invalid_request: "{detail}",
+    profile_not_found: "Storage profile {name} does not exist",
+    invalid_name: "Invalid file name",
+    file_not_found: "File not found",
+    invalid_range: "Requested range not satisfiable",
+    read_failed: "Failed to read the file",
+    list_failed: "Failed to list files",
+    history_failed: "Failed to read the upload history",
+
+    // 登录和令牌
+    unauthorized: "Not signed in or the token is invalid",
+    forbidden: "The token is not allowed to perform this operation",
+    login_required: "Please sign in first",
+    login_failed: "Wrong username or password",
+    token_name_required: "Token name is required",
+    invalid_scopes: "Scopes must be one or more of {scopes}",
+    token_not_found: "Token not found",
+    metrics_token_required: "A metrics token is required",
+
+    // 上传
+    no_file: "No file was uploaded",
+    upload_failed: "Upload failed",
+    file_too_large: "File exceeds the size limit",
+    too_many_files: "At most {max} files can be uploaded at once",
+    file_exists: "A file with the same name already exists",
+    unsupported_type: "Unsupported file type",
+    type_mismatch: "The file content does not match its declared type",
+    unknown_content: "Unrecognized file content",
+    name_required: "File name is required",
+    empty_file: "The file is empty",
+    invalid_size: "Invalid file size",
+    unknown_placeholder: "Unknown placeholder {name} in the key template",
+    invalid_key_template: "Invalid key template",
+
+    // 断点续传（tus）
+    tus_version_unsupported: "Unsupported tus protocol version",
+    invalid_upload_length: "Missing or invalid Upload-Length",
+    create_session_failed: "Failed to create the upload session",
+    session_not_found: "Upload session not found or expired",
+    invalid_content_type: "Content-Type must be application/offset+octet-stream",
+    offset_mismatch: "Upload-Offset does not match the server",
+    upload_in_progress: "This upload is already in progress",
+    upload_length_exceeded: "Data exceeds Upload-Length",
+    upload_buffer_full: "The server is holding too much pending upload data, retry from Upload-Offset later",
+
+    // 预签名直传
+    direct_upload_unsupported: "This storage does not support direct uploads",
+    presign_failed: "Failed to create the upload URL",
+    parts_incomplete: "Some parts are missing",
+    upload_mismatch: "The uploaded file does not match the request",
+    not_uploaded: "The file has not been uploaded yet",
+    confirm_failed: "Failed to confirm the upload",
+
+    // 上传频率和配额
+    rate_limited: "Too many upload requests, please try again later",
+    upload_exceeds_hourly_limit: "A single upload cannot exceed the hourly limit of {limit}",
+    hourly_limit_exceeded: "Hourly upload limit exceeded, please try again later",
+    file_quota_exceeded: "File quota of {limit} files reached",
+    storage_quota_exceeded: "Storage quota exceeded, the limit is {limit}",
+
+    // 文件管理
+    delete_failed: "Delete failed",
+    move_failed: "Move failed",
+    target_exists: "The target file already exists",
+    no_selection: "No files selected",
+    invalid_folder_name: "Invalid folder name",
+    create_folder_failed: "Failed to create the folder",
+    delete_folder_failed: "Failed to delete the folder",
+    invalid_key: "Invalid object key",
+    key_conflict: "The key conflicts with an existing file or folder",
+
+    // 元数据
+    details_failed: "Failed to read the file details",
+    metadata_failed: "Failed to update the metadata",
+    metadata_file_too_large: "Metadata cannot be changed for files over 5GB",
+    file_modified: "The file has changed, please refresh and try again",
+    metadata_too_long: "Description, tags and source are too long",
+    invalid_cache_control: "Invalid Cache-Control",
+    invalid_disposition: "disposition must be inline or attachment",
+
+    // 分享
+    invalid_share_mode: "Share mode must be link or presign",
+    invalid_max_downloads: "Invalid download limit",
+    share_expiry_too_long: "Links cannot last longer than {days} days",
+    presign_share_options: "Presigned links do not support passwords or download limits",
+    presign_unsupported: "This storage does not support presigned links",
+    share_failed: "Failed to create the share link",
+    share_not_found: "Share link not found",
+    share_expired: "The share link does not exist or has expired",
+    wrong_password: "Wrong password",
+
+    // Webhook
+    invalid_url: "Invalid URL",
+    invalid_url_protocol: "The URL must start with http:// or https://",
+    invalid_events: "Events must be one or more of {events}",
+    webhook_not_found: "Webhook not found",
+    delivery_not_found: "Delivery not found",
+    webhook_deleted: "The webhook has been deleted",
+    webhook_timeout: "Request timed out",
+
+    // 存储的配置或连接问题，消息为处理建议
+    storage_invalid_credentials:
+      "Invalid storage credentials: check that the Access Key ID and Secret Access Key are correct and have not been deleted",
+    storage_access_denied:
+      "Storage access denied: check the keys and their read/write permission on the bucket, or the directory permissions for the local backend",
+    storage_bucket_not_found: "Bucket not found: check the bucket name and account ID (ACCOUNT_ID or endpoint)",
+    storage_timeout: "The storage service timed out, please try again later",
+    storage_unavailable:
+      "The storage service is unavailable: check the network and storage endpoint, or try again later",
+    storage_full: "Insufficient storage",
+  },
+  messages: {
+    // 服务器生成的内容
+    upload_succeeded: "File uploaded",
+    type_limit: "{types} up to {size}MB",
+    list_separator: ", ",
+    group_separator: "; ",
+    sharex_name: "R2 Upload",
+    webhook_ping: "Test event",
+    app_description: "Upload files to R2 and copy their links",
+    share_title: "Shared file",
+    share_password: "Password",
+    share_open: "Open file",
+    link_format_url: "URL",
+    link_format_markdown: "Markdown",
+    link_format_html: "HTML",
+    link_format_bbcode: "BBCode",
+
+    // 页面
+    locale_name: "English",
+    language: "Language",
+    app_title: "R2 Uploader",
+    login_title: "Sign in - R2 Uploader",
+    username: "Username",
+    password: "Password",
+    login: "Sign in",
+    storage_profile: "Storage",
+    history: "Upload history",
+    api_tokens: "API tokens",
+    logout: "Sign out",
+    drop_hint: "Click, drop or paste files here to upload",
+    supported_types: "Supported: {types}",
+    copy_format: "Copy as",
+    copy_on_upload: "Copy after upload",
+    custom_formats: "Custom formats",
+    clear_finished: "Clear finished",
+    upload_files: "Upload files",
+    upload_count: "Upload {count} files",
+    recent: "Recent",
+    all_files: "All files",
+    new_folder: "New folder",
+    search_files: "Search file names",
+    all_types: "All types",
+    type_image: "Images",
+    type_video: "Videos",
+    type_other: "Other",
+    sort_name_asc: "Name A-Z",
+    sort_name_desc: "Name Z-A",
+    sort_newest: "Newest first",
+    sort_oldest: "Oldest first",
+    sort_largest: "Largest first",
+    sort_smallest: "Smallest first",
+    rename: "Rename",
+    move: "Move",
+    delete: "Delete",
+    clear_selection: "Clear selection",
+    selected_count: "{count} selected",
+    loading: "Loading...",
+    load_more: "Load more",
+    loading_more: "Load more...",
+    partial_results: "Too many files, showing partial results",
+    no_files: "No files yet",
+    load_failed: "Failed to load",
+    load_failed_reason: "Failed to load: {error}",
+    load_retrying: "Failed to load, retrying...",
+    load_retrying_reason: "Failed to load ({error}), retrying...",
+    name: "Name",
+    scopes: "Scopes",
+    created_at: "Created",
+    last_used: "Last used",
+    token_name_placeholder: "Token name, e.g. ci or sharex",
+    scope_list: "List",
+    create: "Create",
+    add: "Add",
+    save: "Save",
+    refresh: "Refresh",
+    integrations_hint: "ShareX, PicGo and Typora can upload here directly, see the README for setup.",
+    download_sxcu: "Download ShareX config",
+    revoke: "Revoke",
+    revoked: "Revoked",
+    confirm_revoke_token: "Scripts using token {name} will lose access once it is revoked. Continue?",
+    new_token: "New token (shown only once, copy it now): {token}",
+    create_token_failed: "Could not create the token: {error}",
+    sharex_config_failed: "Could not generate the config: {error}",
+    history_search: "Search file name, key, user or IP",
+    all_actions: "All actions",
+    action_upload: "Upload",
+    action_delete: "Delete",
+    action_move: "Move",
+    action_share: "Share",
+    all_outcomes: "All results",
+    success: "Succeeded",
+    success_duplicate: "Succeeded (duplicate)",
+    failure: "Failed",
+    failure_reason: "Failed: {error}",
+    from_date: "From",
+    to_date: "To",
+    search: "Search",
+    time: "Time",
+    action: "Action",
+    file: "File",
+    size: "Size",
+    user: "User",
+    result: "Result",
+    parenthetical: " ({text})",
+    history_summary: "Showing {shown} of {total}",
+    load_history_failed: "Could not load the upload history: {error}",
+    webhook_url: "URL",
+    events: "Events",
+    signing_secret: "Signing secret",
+    event_move: "Move and rename",
+    event_ping: "Test",
+    deliveries: "Deliveries",
+    all_statuses: "All statuses",
+    delivery_pending: "Awaiting retry",
+    delivery_sending: "Sending",
+    delivery_delivered: "Delivered",
+    target: "Target",
+    status: "Status",
+    attempts: "Attempts",
+    with_error: ": {error}",
+    test: "Test",
+    resend: "Resend",
+    confirm_delete_webhook: "Webhook {url} will no longer receive events once deleted. Continue?",
+    add_webhook_failed: "Could not add the webhook: {error}",
+    webhook_signature_hint:
+      'The X-Webhook-Signature header is sha256=HMAC-SHA256(secret, timestamp + "." + body), see the README for how to verify it.',
+    share_file: "Share file",
+    share_mode: "Share mode",
+    share_mode_link: "Server link",
+    share_mode_presign: "Presigned link",
+    expires_in: "Expires in",
+    expires_1h: "1 hour",
+    expires_1d: "1 day",
+    expires_7d: "7 days",
+    expires_30d: "30 days",
+    share_password_placeholder: "Password (optional)",
+    max_downloads_placeholder: "Max downloads (optional)",
+    create_link: "Create link",
+    active_links: "Active links",
+    expires_at: "Expires",
+    downloads: "Downloads",
+    has_password: " (password)",
+    withdraw: "Revoke",
+    share_link_copied: "Share link (copied): {url}",
+    create_share_failed: "Could not create the share link: {error}",
+    share_hint:
+      "Server links go through this site and support a password, a download limit and revoking at any time; presigned links download straight from the bucket, last at most 7 days and cannot be revoked.",
+    file_details: "File details",
+    type: "Type",
+    modified: "Modified",
+    disposition: "Disposition",
+    disposition_default: "Default",
+    disposition_inline: "Open in browser",
+    disposition_attachment: "Download",
+    cache_control_placeholder: "Cache-Control, e.g. public, max-age=31536000",
+    download_filename: "Download file name",
+    description: "Description",
+    tags_placeholder: "Tags, comma separated",
+    source: "Source",
+    metadata_hint:
+      "Saving metadata copies the file onto itself. Its content and URL stay the same, but a CDN may need a cache purge before the change shows.",
+    load_details_failed: "Could not load the file details: {error}",
+    save_metadata_failed: "Could not save the metadata: {error}",
+    custom_link_formats: "Custom link formats",
+    template: "Template",
+    format_name_placeholder: "Name, e.g. Thumbnail link",
+    template_placeholder: "Template, e.g. [![{alt}]({thumb})]({url})",
+    placeholders_hint:
+      "Placeholders: {url} file URL, {thumb} thumbnail URL (the file URL when there is none), {name} file name, {alt} file name without extension. Custom formats are saved in this browser.",
+    duplicate_format: "A format with this name already exists",
+    preview_alt: "Preview",
+    view_original: "View original",
+    open_file: "Open {name}",
+    copy: "Copy",
+    copied: "Copied",
+    copy_failed: "Copy failed, please copy it manually",
+    share: "Share",
+    details: "Details",
+    operation_done: "{action} finished: {ok} succeeded, {failed} failed",
+    operation_failed: "{action} failed: {error}",
+    confirm_delete:
+      "Delete the {count} selected items? Folders are deleted along with their files. This cannot be undone.",
+    new_name: "New name",
+    name_no_slash: "Names cannot contain /",
+    move_prompt: "Move to folder (e.g. photos/2024/, leave empty for the root)",
+    confirm_move: "Move the {count} selected items to {folder}?",
+    root: "Root",
+    folder_name: "Folder name",
+    create_folder_failed: "Could not create the folder: {error}",
+    status_ready: "Ready",
+    status_pending: "Waiting",
+    status_canceled: "Canceled",
+    status_queued: "Waiting for network",
+    upload_done: "Uploaded",
+    unsupported_type: "Unsupported file type",
+    file_too_large: "File exceeds the size limit",
+    view: "View",
+    cancel: "Cancel",
+    retry: "Retry",
+    remove: "Remove",
+    uploading_count: "Uploading {count} files",
+    queue_summary: "{done} succeeded, {failed} failed",
+    queued_summary: ", {count} waiting for the network",
+    upload_canceled: "Upload canceled",
+    network_error: "Network error",
+    session_expired: "The upload session has expired",
+    no_data_accepted: "The server did not accept any data",
+    file_exists: "A file with the same name already exists",
+    direct_upload_failed: "Direct upload failed: {status}",
+    part_upload_failed: "Part {part} failed to upload: {status}",
+    quota_storage: "Storage {used} / {limit}",
+    quota_files: "Files {used} / {limit}",
+    quota_hourly: "{remaining} left this hour",
+    quota_rate: "Up to {limit} uploads per minute",
+  },
+};
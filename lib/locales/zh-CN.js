@@ -0,0 +1,326 @@
+/**
+ * 中文消息。errors 的键是接口返回的错误码，messages 为页面和服务器生成的其他文字，
+ * {name} 为占位符
+ */
+module.exports = {
+  errors: {
+    // 通用
+    invalid_request: "{detail}",
+    profile_not_found: "存储配置 {name} 不存在",
+    invalid_name: "无效的文件名",
+    file_not_found: "文件不存在",
+    invalid_range: "请求的范围无效",
+    read_failed: "读取文件失败",
+    list_failed: "获取文件列表失败",
+    history_failed: "读取上传历史失败",
+
+    // 登录和令牌
+    unauthorized: "未登录或令牌无效",
+    forbidden: "令牌没有执行该操作的权限",
+    login_required: "请先登录",
+    login_failed: "用户名或密码错误",
+    token_name_required: "缺少令牌名称",
+    invalid_scopes: "权限必须是 {scopes} 中的一个或多个",
+    token_not_found: "令牌不存在",
+    metrics_token_required: "需要指标令牌",
+
+    // 上传
+    no_file: "没有文件被上传",
+    upload_failed: "文件上传失败",
+    file_too_large: "文件大小超过限制",
+    too_many_files: "一次最多上传 {max} 个文件",
+    file_exists: "同名文件已存在",
+    unsupported_type: "不支持的文件类型",
+    type_mismatch: "文件内容与声明的类型不符",
+    unknown_content: "无法识别的文件内容",
+    name_required: "缺少文件名",
+    empty_file: "文件内容为空",
+    invalid_size: "无效的文件大小",
+    unknown_placeholder: "对象键模板中的占位符 {name} 无法识别",
+    invalid_key_template: "对象键模板无效",
+
+    // 断点续传（tus）
+    tus_version_unsupported: "不支持的 tus 协议版本",
+    invalid_upload_length: "缺少或无效的 Upload-Length",
+    create_session_failed: "创建上传会话失败",
+    session_not_found: "上传会话不存在或已过期",
+    invalid_content_type: "Content-Type 必须为 application/offset+octet-stream",
+    offset_mismatch: "Upload-Offset 与服务器记录不一致",
+    upload_in_progress: "该上传正在进行中",
+    upload_length_exceeded: "数据超出 Upload-Length",
+    upload_buffer_full: "服务器暂存的上传数据过多，请稍后从 Upload-Offset 处重试",
+
+    // 预签名直传
+    direct_upload_unsupported: "当前存储不支持直传",
+    presign_failed: "生成上传地址失败",
+    parts_incomplete: "分片不完整",
+    upload_mismatch: "上传的文件与申请时不一致",
+    not_uploaded: "文件尚未上传",
+    confirm_failed: "确认上传失败",
+
+    // 上传频率和配额
+    rate_limited: "上传请求过于频繁，请稍后再试",
+    upload_exceeds_hourly_limit: "单次上传不能超过每小时的流量上限 {limit}",
+    hourly_limit_exceeded: "上传流量超过每小时的上限，请稍后再试",
+    file_quota_exceeded: "文件数量已达到配额上限 {limit} 个",
+    storage_quota_exceeded: "存储空间配额不足，上限 {limit}",
+
+    // 文件管理
+    delete_failed: "删除失败",
+    move_failed: "移动失败",
+    target_exists: "目标文件已存在",
+    no_selection: "没有选择文件",
+    invalid_folder_name: "无效的文件夹名",
+    create_folder_failed: "新建文件夹失败",
+    delete_folder_failed: "删除文件夹失败",
+    invalid_key: "无效的对象键",
+    key_conflict: "对象键与已有的文件或文件夹冲突",
+
+    // 元数据
+    details_failed: "读取文件详情失败",
+    metadata_failed: "修改元数据失败",
+    metadata_file_too_large: "文件超过 5GB，无法修改元数据",
+    file_modified: "文件已被修改，请刷新后重试",
+    metadata_too_long: "描述、标签和来源的内容过长",
+    invalid_cache_control: "无效的 Cache-Control",
+    invalid_disposition: "disposition 必须是 inline 或 attachment",
+
+    // 分享
+    invalid_share_mode: "分享方式必须是 link 或 presign",
+    invalid_max_downloads: "无效的下载次数",
+    share_expiry_too_long: "有效期不能超过 {days} 天",
+    presign_share_options: "预签名链接不支持密码和下载次数限制",
+    presign_unsupported: "当前存储不支持预签名链接",
+    share_failed: "创建分享链接失败",
+    share_not_found: "分享链接不存在",
+    share_expired: "分享链接不存在或已过期",
+    wrong_password: "密码错误",
+
+    // Webhook
+    invalid_url: "无效的地址",
+    invalid_url_protocol: "地址必须以 http:// 或 https:// 开头",
+    invalid_events: "事件必须是 {events} 中的一个或多个",
+    webhook_not_found: "Webhook 不存在",
+    delivery_not_found: "投递记录不存在",
+    webhook_deleted: "Webhook 已删除",
+    webhook_timeout: "请求超时",
+
+    // 存储的配置或连接问题，消息为处理建议
+    storage_invalid_credentials: "存储凭证无效：请检查 Access Key ID 和 Secret Access Key 是否正确、是否已被删除",
+    storage_access_denied: "存储拒绝访问：请检查密钥是否正确、是否有该存储桶的读写权限，local 后端请检查目录权限",
+    storage_bucket_not_found: "存储桶不存在：请检查存储桶名称和账户 ID（ACCOUNT_ID 或 endpoint）",
+    storage_timeout: "存储服务响应超时，请稍后重试",
+    storage_unavailable: "存储服务暂时不可用：请检查网络和存储地址，或稍后重试",
+    storage_full: "存储空间不足",
+  },
+  messages: {
+    // 服务器生成的内容
+    upload_succeeded: "文件上传成功",
+    type_limit: "{types} 最大 {size}MB",
+    list_separator: "、",
+    group_separator: "；",
+    sharex_name: "R2 上传",
+    webhook_ping: "测试事件",
+    app_description: "上传文件到 R2 并复制链接",
+    share_title: "访问分享文件",
+    share_password: "访问密码",
+    share_open: "打开文件",
+    link_format_url: "链接",
+    link_format_markdown: "Markdown",
+    link_format_html: "HTML",
+    link_format_bbcode: "BBCode",
+
+    // 页面
+    locale_name: "中文",
+    language: "语言",
+    app_title: "R2 文件上传",
+    login_title: "登录 - R2 文件上传",
+    username: "用户名",
+    password: "密码",
+    login: "登录",
+    storage_profile: "存储配置",
+    history: "上传记录",
+    api_tokens: "API 令牌",
+    logout: "退出登录",
+    drop_hint: "点击、拖拽或粘贴文件到这里上传",
+    supported_types: "支持 {types}",
+    copy_format: "复制格式",
+    copy_on_upload: "上传后自动复制",
+    custom_formats: "自定义格式",
+    clear_finished: "清除已完成",
+    upload_files: "上传文件",
+    upload_count: "上传 {count} 个文件",
+    recent: "最近上传",
+    all_files: "全部文件",
+    new_folder: "新建文件夹",
+    search_files: "搜索文件名",
+    all_types: "全部类型",
+    type_image: "图片",
+    type_video: "视频",
+    type_other: "其他",
+    sort_name_asc: "名称 A-Z",
+    sort_name_desc: "名称 Z-A",
+    sort_newest: "最新优先",
+    sort_oldest: "最早优先",
+    sort_largest: "最大优先",
+    sort_smallest: "最小优先",
+    rename: "重命名",
+    move: "移动",
+    delete: "删除",
+    clear_selection: "取消选择",
+    selected_count: "已选择 {count} 项",
+    loading: "加载中...",
+    load_more: "加载更多",
+    loading_more: "加载更多...",
+    partial_results: "文件过多，仅显示部分结果",
+    no_files: "暂无文件",
+    load_failed: "加载失败",
+    load_failed_reason: "加载失败：{error}",
+    load_retrying: "加载失败，正在重试...",
+    load_retrying_reason: "加载失败（{error}），正在重试...",
+    name: "名称",
+    scopes: "权限",
+    created_at: "创建时间",
+    last_used: "最后使用",
+    token_name_placeholder: "令牌名称，如 ci 或 sharex",
+    scope_list: "列表",
+    create: "创建",
+    add: "添加",
+    save: "保存",
+    refresh: "刷新",
+    integrations_hint: "ShareX、PicGo、Typora 可以直接上传到本站，设置方法见 README。",
+    download_sxcu: "下载 ShareX 配置",
+    revoke: "吊销",
+    revoked: "已吊销",
+    confirm_revoke_token: "吊销令牌 {name} 后，使用它的脚本将无法再访问，确定吗？",
+    new_token: "新令牌（只显示这一次，请立即复制保存）：{token}",
+    create_token_failed: "创建令牌失败: {error}",
+    sharex_config_failed: "生成配置失败: {error}",
+    history_search: "搜索文件名、对象键、用户或 IP",
+    all_actions: "全部操作",
+    action_upload: "上传",
+    action_delete: "删除",
+    action_move: "移动",
+    action_share: "分享",
+    all_outcomes: "全部结果",
+    success: "成功",
+    success_duplicate: "成功（重复）",
+    failure: "失败",
+    failure_reason: "失败：{error}",
+    from_date: "开始日期",
+    to_date: "结束日期",
+    search: "查询",
+    time: "时间",
+    action: "操作",
+    file: "文件",
+    size: "大小",
+    user: "用户",
+    result: "结果",
+    parenthetical: "（{text}）",
+    history_summary: "共 {total} 条，已显示 {shown} 条",
+    load_history_failed: "读取上传记录失败: {error}",
+    webhook_url: "地址",
+    events: "事件",
+    signing_secret: "签名密钥",
+    event_move: "移动和重命名",
+    event_ping: "测试",
+    deliveries: "投递记录",
+    all_statuses: "全部状态",
+    delivery_pending: "等待重试",
+    delivery_sending: "发送中",
+    delivery_delivered: "已送达",
+    target: "目标",
+    status: "状态",
+    attempts: "尝试",
+    with_error: "：{error}",
+    test: "测试",
+    resend: "重新发送",
+    confirm_delete_webhook: "删除 Webhook {url} 后不再发送事件，确定吗？",
+    add_webhook_failed: "添加 Webhook 失败: {error}",
+    webhook_signature_hint: '请求头 X-Webhook-Signature 为 sha256=HMAC-SHA256(密钥, 时间戳 + "." + 请求体)，校验方法见 README。',
+    share_file: "分享文件",
+    share_mode: "分享方式",
+    share_mode_link: "服务器链接",
+    share_mode_presign: "预签名链接",
+    expires_in: "有效期",
+    expires_1h: "1 小时",
+    expires_1d: "1 天",
+    expires_7d: "7 天",
+    expires_30d: "30 天",
+    share_password_placeholder: "访问密码（可选）",
+    max_downloads_placeholder: "最多下载次数（可选）",
+    create_link: "生成链接",
+    active_links: "有效的链接",
+    expires_at: "过期时间",
+    downloads: "下载次数",
+    has_password: "（有密码）",
+    withdraw: "撤销",
+    share_link_copied: "分享链接（已复制）：{url}",
+    create_share_failed: "创建分享链接失败: {error}",
+    share_hint: "服务器链接经过本站转发，可以设置密码和下载次数，随时撤销；预签名链接直接从存储桶下载，最长 7 天，不能撤销。",
+    file_details: "文件详情",
+    type: "类型",
+    modified: "修改时间",
+    disposition: "打开方式",
+    disposition_default: "默认",
+    disposition_inline: "在浏览器中打开",
+    disposition_attachment: "下载",
+    cache_control_placeholder: "Cache-Control，如 public, max-age=31536000",
+    download_filename: "下载文件名",
+    description: "描述",
+    tags_placeholder: "标签，逗号分隔",
+    source: "来源",
+    metadata_hint: "修改元数据会把文件复制到原位置，文件内容和地址不变，CDN 可能需要刷新缓存后才能生效。",
+    load_details_failed: "读取文件详情失败: {error}",
+    save_metadata_failed: "保存元数据失败: {error}",
+    custom_link_formats: "自定义链接格式",
+    template: "模板",
+    format_name_placeholder: "名称，如 缩略图链接",
+    template_placeholder: "模板，如 [![{alt}]({thumb})]({url})",
+    placeholders_hint: "占位符：{url} 文件地址、{thumb} 缩略图地址（没有时为文件地址）、{name} 文件名、{alt} 不含扩展名的文件名。自定义格式保存在本浏览器中。",
+    duplicate_format: "已有同名的格式",
+    preview_alt: "预览图片",
+    view_original: "查看原图",
+    open_file: "打开 {name}",
+    copy: "复制",
+    copied: "已复制",
+    copy_failed: "复制失败，请手动复制",
+    share: "分享",
+    details: "详情",
+    operation_done: "{action}完成：成功 {ok} 项，失败 {failed} 项",
+    operation_failed: "{action}失败: {error}",
+    confirm_delete: "确定删除选中的 {count} 项吗？文件夹会连同其中的文件一起删除，此操作无法撤销。",
+    new_name: "新名称",
+    name_no_slash: "名称不能包含 /",
+    move_prompt: "移动到文件夹（例如 photos/2024/，留空表示根目录）",
+    confirm_move: "确定把选中的 {count} 项移动到 {folder} 吗？",
+    root: "根目录",
+    folder_name: "文件夹名称",
+    create_folder_failed: "新建文件夹失败: {error}",
+    status_ready: "待上传",
+    status_pending: "等待中",
+    status_canceled: "已取消",
+    status_queued: "等待网络恢复",
+    upload_done: "上传成功",
+    unsupported_type: "不支持的文件类型",
+    file_too_large: "文件大小超过限制",
+    view: "查看",
+    cancel: "取消",
+    retry: "重试",
+    remove: "移除",
+    uploading_count: "正在上传 {count} 个文件",
+    queue_summary: "成功 {done} 个，失败 {failed} 个",
+    queued_summary: "，{count} 个等待网络恢复后上传",
+    upload_canceled: "上传已取消",
+    network_error: "网络错误",
+    session_expired: "上传会话已过期",
+    no_data_accepted: "服务器未接收数据",
+    file_exists: "同名文件已存在",
+    direct_upload_failed: "直传失败: {status}",
+    part_upload_failed: "分片 {part} 上传失败: {status}",
+    quota_storage: "存储空间 {used} / {limit}",
+    quota_files: "文件 {used} / {limit} 个",
+    quota_hourly: "本小时还可上传 {remaining}",
+    quota_rate: "每分钟最多上传 {limit} 次",
+  },
+};
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ["json", "text"];
+
+// 客户端或反向代理传来的请求 ID，不合法时重新生成
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// 健康检查和指标接口每隔几秒就被探测一次，访问日志只在 debug 级别记录
+const QUIET_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+
+// 请求期间的上下文（请求 ID），同一请求中任何模块写的日志都会带上
+const context = new AsyncLocalStorage();
+
+/** Error 不能直接 JSON 序列化，转换为普通对象，保留 code、status 和 cause */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    stack: error.stack,
+    cause: error.cause ? serializeError(error.cause) : undefined,
+  };
+}
+
+/** 开发时在终端中阅读的格式：时间 级别 消息 key=value ...，错误堆栈另起一行 */
+function formatText(entry) {
+  const { time, level, msg, error, ...fields } = entry;
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  const line = [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+  if (!error) return line;
+  return `${line}\n${error.stack || JSON.stringify(error)}`;
+}
+
+/**
+ * 结构化日志。每条日志为一行 JSON（time、level、msg 和附加字段），写入标准输出，
+ * warn 和 error 写入标准错误；format 为 text 时输出便于阅读的单行文本。
+ *
+ * 附加字段中的 error 会被序列化为 { name, message, code, stack }。请求处理期间
+ * 写的日志自动带上 requestId，见 requestLogger。
+ */
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {"debug" | "info" | "warn" | "error"} [options.level] 低于该级别的日志不输出，默认 info
+   * @param {"json" | "text"} [options.format] 默认在终端中为 text，否则（如 Docker）为 json
+   * @param {object} [options.fields] 每条日志都带上的字段
+   */
+  constructor(options = {}) {
+    this.level = options.level || "info";
+    this.format = options.format || (process.stdout.isTTY ? "text" : "json");
+    this.fields = options.fields || {};
+  }
+
+  /**
+   * 按 LOG_LEVEL 和 LOG_FORMAT 修改级别和格式，未设置的保持不变
+   *
+   * @param {NodeJS.ProcessEnv} env
+   */
+  configure(env) {
+    if (env.LOG_LEVEL) this.level = env.LOG_LEVEL;
+    if (env.LOG_FORMAT) this.format = env.LOG_FORMAT;
+  }
+
+  /** 创建带有固定字段的日志，级别和格式跟随当前日志 */
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  /**
+   * @param {"debug" | "info" | "warn" | "error"} level
+   * @param {string} message
+   * @param {object} [fields]
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...context.getStore(),
+      ...fields,
+    };
+    if (entry.error) entry.error = serializeError(entry.error);
+    const line = this.format === "text" ? formatText(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+}
+
+// 服务器和各模块共用的日志
+const logger = new Logger();
+
+/**
+ * 检查 LOG_LEVEL 和 LOG_FORMAT，返回问题的说明
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string[]}
+ */
+function checkLogSettings(env) {
+  const problems = [];
+  if (env.LOG_LEVEL && !LEVELS[env.LOG_LEVEL]) {
+    problems.push(`LOG_LEVEL 必须是 ${Object.keys(LEVELS).join("、")} 之一，当前为 "${env.LOG_LEVEL}"`);
+  }
+  if (env.LOG_FORMAT && !FORMATS.includes(env.LOG_FORMAT)) {
+    problems.push(`LOG_FORMAT 必须是 json 或 text，当前为 "${env.LOG_FORMAT}"`);
+  }
+  return problems;
+}
+
+/**
+ * 请求 ID 和访问日志中间件。
+ *
+ * 请求 ID 取自 X-Request-Id 请求头（反向代理生成的），没有时生成一个，写入
+ * req.id 和 X-Request-Id 响应头；请求处理期间的日志都带有 requestId，错误响应
+ * （状态码 >= 400 的 JSON 对象）加上 requestId 字段，便于用户反馈问题时查找日志。
+ * 请求结束后记录一条访问日志：方法、路径、状态码、耗时和响应大小。
+ *
+ * @param {Logger} [log]
+ * @returns {import("express").RequestHandler}
+ */
+function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const header = req.get("X-Request-Id");
+    req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+    req.startTime = Date.now();
+    res.setHeader("X-Request-Id", req.id);
+    // 挂载的路由会修改 req.url，先记下完整的路径
+    const path = req.path;
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body)) {
+        return json({ ...body, requestId: req.id });
+      }
+      return json(body);
+    };
+
+    res.once("close", () => {
+      const level = QUIET_PATHS.has(path) ? "debug" : res.statusCode >= 500 ? "warn" : "info";
+      log.log(level, "request", {
+        requestId: req.id,
+        method: req.method,
+        path,
+        status: res.statusCode,
+        durationMs: Date.now() - req.startTime,
+        bytes: Number(res.getHeader("Content-Length")) || undefined,
+        // 响应完成前客户端断开了连接
+        aborted: res.writableFinished ? undefined : true,
+        user: req.auth ? req.auth.name : undefined,
+        ip: req.ip,
+      });
+    });
+
+    context.run({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { Logger, logger, checkLogSettings, requestLogger, serializeError };
@@ -0,0 +1,221 @@
+const express = require("express");
+const { isValidKey } = require("./objects");
+const { sendStorageError } = require("./backend");
+const { logger } = require("./logger");
+const { codedError, errorBody } = require("./i18n");
+
+// 自定义元数据字段，保存为 x-amz-meta-* 用户元数据
+const METADATA_FIELDS = ["description", "tags", "source"];
+const DISPOSITIONS = ["inline", "attachment"];
+// S3 的用户元数据（名称加值）总共不能超过 2KB
+const MAX_METADATA_SIZE = 2048;
+const MAX_CACHE_CONTROL_LENGTH = 256;
+// CopyObject 最多复制 5GB，更大的对象无法原地修改元数据
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+
+function invalidMetadata(code) {
+  return codedError(code, {}, { status: 400 });
+}
+
+/**
+ * Content-Disposition 响应头：filename 为 ASCII 兼容的文件名，filename* 为
+ * UTF-8 编码的原始文件名（RFC 6266）
+ */
+function contentDisposition(disposition, filename) {
+  const name = String(filename || "").split(/[\\/]/).pop();
+  if (!name) return disposition;
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * 解析 Content-Disposition，返回方式和文件名
+ */
+function parseDisposition(header) {
+  if (!header) return null;
+  const type = header.split(";")[0].trim().toLowerCase();
+  const extended = /filename\*=UTF-8''([^;]+)/i.exec(header);
+  const plain = /filename="([^"]*)"/i.exec(header);
+  let filename = plain ? plain[1] : null;
+  if (extended) {
+    try {
+      filename = decodeURIComponent(extended[1]);
+    } catch (error) {
+      // 保留 filename 中的文件名
+    }
+  }
+  return { type, filename };
+}
+
+/** 标签去掉首尾空白和重复项，以逗号分隔保存 */
+function normalizeTags(value) {
+  const tags = (Array.isArray(value) ? value : String(value).split(/[,，]/))
+    .map((tag) => String(tag).trim())
+    .filter(Boolean);
+  return [...new Set(tags)].join(",");
+}
+
+/**
+ * 用户元数据只能使用 ASCII 字符，值统一做 URL 编码后保存
+ */
+function encodeMetadata(values) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    if (values[field]) metadata[field] = encodeURIComponent(values[field]);
+  }
+  const size = Object.entries(metadata).reduce((sum, [name, value]) => sum + name.length + value.length, 0);
+  if (size > MAX_METADATA_SIZE) {
+    throw invalidMetadata("metadata_too_long");
+  }
+  return metadata;
+}
+
+function decodeMetadata(metadata) {
+  const values = {};
+  for (const [name, value] of Object.entries(metadata || {})) {
+    try {
+      values[name] = decodeURIComponent(value);
+    } catch (error) {
+      // 其他工具写入的未编码的值
+      values[name] = value;
+    }
+  }
+  if (values.tags) values.tags = values.tags.split(",");
+  return values;
+}
+
+/**
+ * 把请求中的字段和存储配置的默认值转换为对象的 cacheControl、contentDisposition
+ * 和 metadata 属性。请求中的字段优先，空字符串表示不使用默认值。
+ *
+ * @param {object} fields 请求中的 cacheControl、disposition、filename、description、tags、source
+ * @param {import("./config").ObjectDefaults} defaults 存储配置的默认值
+ * @param {string} filename 原始文件名，用于 Content-Disposition
+ * @returns {import("./backend").ObjectAttributes}
+ */
+function objectAttributes(fields, defaults, filename) {
+  const pick = (name, fallback) => (fields[name] !== undefined && fields[name] !== null ? fields[name] : fallback);
+
+  const cacheControl = String(pick("cacheControl", defaults.cacheControl || "")).trim();
+  if (cacheControl.length > MAX_CACHE_CONTROL_LENGTH || /[\r\n]/.test(cacheControl)) {
+    throw invalidMetadata("invalid_cache_control");
+  }
+  const disposition = String(pick("disposition", defaults.disposition || "")).trim().toLowerCase();
+  if (disposition && !DISPOSITIONS.includes(disposition)) {
+    throw invalidMetadata("invalid_disposition");
+  }
+
+  const values = {};
+  for (const field of METADATA_FIELDS) {
+    const value = pick(field, (defaults.metadata || {})[field]);
+    if (value) values[field] = field === "tags" ? normalizeTags(value) : String(value).trim();
+  }
+
+  const attributes = {};
+  if (cacheControl) attributes.cacheControl = cacheControl;
+  if (disposition) attributes.contentDisposition = contentDisposition(disposition, pick("filename", filename));
+  const metadata = encodeMetadata(values);
+  if (Object.keys(metadata).length) attributes.metadata = metadata;
+  return attributes;
+}
+
+/**
+ * 存储后端返回的对象信息转换为接口返回的详情
+ *
+ * @param {import("./backend").ObjectInfo} info
+ */
+function describeObject(info) {
+  return {
+    key: info.key,
+    size: info.size,
+    type: info.type,
+    etag: info.etag,
+    lastModified: info.lastModified,
+    cacheControl: info.cacheControl || null,
+    disposition: parseDisposition(info.contentDisposition),
+    metadata: decodeMetadata(info.metadata),
+  };
+}
+
+/**
+ * 文件详情和元数据接口：
+ *
+ *   GET /metadata/<对象键>   返回大小、类型、ETag、Cache-Control、Content-Disposition 和自定义元数据
+ *   PUT /metadata/<对象键>   { cacheControl, disposition, filename, description, tags, source }
+ *                            修改元数据，未提供的字段会被清除
+ *
+ * S3 不能单独修改元数据，修改时把对象复制到原来的键并替换元数据（copy-in-place），
+ * 对象内容和类型不变。
+ *
+ * @param {object} options
+ * @param {import("./backend").StorageBackend} options.backend
+ * @returns {import("express").Router}
+ */
+function createMetadataRouter(options) {
+  const { backend } = options;
+  const router = express.Router();
+
+  router.get("/metadata/*", async (req, res) => {
+    const key = req.params[0];
+    if (!isValidKey(key)) {
+      return res.status(400).json(errorBody(req, "invalid_name"));
+    }
+    try {
+      res.json(describeObject(await backend.head(key)));
+    } catch (error) {
+      if (error.name === "NotFound") {
+        return res.status(404).json(errorBody(req, "file_not_found"));
+      }
+      logger.error("read metadata failed", { key, error });
+      sendStorageError(req, res, error, "details_failed");
+    }
+  });
+
+  router.put("/metadata/*", express.json(), async (req, res) => {
+    const key = req.params[0];
+    if (!isValidKey(key)) {
+      return res.status(400).json(errorBody(req, "invalid_name"));
+    }
+
+    try {
+      const current = await backend.head(key);
+      if (current.size > MAX_COPY_SIZE) {
+        return res.status(400).json(errorBody(req, "metadata_file_too_large"));
+      }
+      // 只用请求中的字段，不套用存储配置的默认值；下载文件名默认为对象键的最后一段
+      const body = req.body || {};
+      const fields = { filename: body.filename || undefined };
+      for (const name of ["cacheControl", "disposition", ...METADATA_FIELDS]) {
+        fields[name] = body[name] || "";
+      }
+      const attributes = objectAttributes(fields, {}, key.slice(key.lastIndexOf("/") + 1));
+
+      await backend.copy(key, key, {
+        // 复制期间对象被其他请求替换时放弃修改
+        ifMatch: current.etag,
+        replace: { type: current.type, ...attributes },
+      });
+      res.json(describeObject(await backend.head(key)));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json(errorBody(req, error.code, error.params));
+      }
+      if (error.name === "NotFound") {
+        return res.status(404).json(errorBody(req, "file_not_found"));
+      }
+      if (error.name === "PreconditionFailed") {
+        return res.status(409).json(errorBody(req, "file_modified"));
+      }
+      logger.error("update metadata failed", { key, error });
+      sendStorageError(req, res, error, "metadata_failed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { objectAttributes, describeObject, contentDisposition, createMetadataRouter, METADATA_FIELDS };
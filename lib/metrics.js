@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const express = require("express");
+const { errorBody } = require("./i18n");
+
+// 耗时直方图默认的分桶（秒），覆盖小文件上传到大文件的几分钟
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+/** 标签值中的 \、" 和换行需要转义 */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * 指标的基类：按标签值分开保存，标签只能是创建时声明的名称
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /** 按声明的顺序取出标签值，未提供的为空字符串 */
+  labels(labels = {}) {
+    return Object.fromEntries(this.labelNames.map((name) => [name, labels[name] === undefined ? "" : labels[name]]));
+  }
+
+  entry(labels, create) {
+    const normalized = this.labels(labels);
+    const id = JSON.stringify(normalized);
+    if (!this.values.has(id)) this.values.set(id, { labels: normalized, ...create() });
+    return this.values.get(id);
+  }
+
+  samples() {
+    return [...this.values.values()].map((entry) => `${this.name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join("\n");
+  }
+}
+
+/** 只增不减的计数 */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/** 可增可减的当前值，如进行中的上传数 */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/** 直方图：按分桶累计观测值，用于耗时等分布 */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /** 开始计时，返回的函数在结束时调用 */
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (extra) => this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  samples() {
+    const lines = [];
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bucket, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bucket })} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表，render 输出 Prometheus 的文本格式
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${this.metrics.map((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+// 服务器和各模块共用的注册表
+const registry = new Registry();
+
+/**
+ * 服务器的指标。上传的 type 为允许的 MIME 类型，不在允许列表中的记为 other，
+ * 避免客户端声明的任意类型产生大量时间序列
+ */
+const metrics = {
+  uploads: registry.counter("r2_uploads_total", "上传的文件数", ["type", "source", "outcome"]),
+  uploadBytes: registry.counter("r2_upload_bytes_total", "成功上传的字节数", ["type", "source"]),
+  uploadDuration: registry.histogram("r2_upload_duration_seconds", "上传请求的处理时间", ["type", "source"]),
+  uploadsInFlight: registry.gauge("r2_uploads_in_flight", "正在接收数据的上传请求数", ["source"]),
+  listDuration: registry.histogram(
+    "r2_list_duration_seconds",
+    "文件列表的耗时",
+    ["view"],
+    [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  ),
+  storageErrors: registry.counter("r2_storage_errors_total", "S3 请求的错误数，code 为 S3 的错误码", [
+    "operation",
+    "code",
+  ]),
+  processStart: registry.gauge("process_start_time_seconds", "进程启动的时间（Unix 秒）"),
+  memory: registry.gauge("process_resident_memory_bytes", "进程占用的内存（字节）"),
+};
+
+metrics.processStart.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+/**
+ * Prometheus 指标接口：GET /metrics。设置了 token 时需要 Authorization: Bearer <token>
+ *
+ * @param {object} [options]
+ * @param {string} [options.token] METRICS_TOKEN
+ * @returns {import("express").Router}
+ */
+function createMetricsRouter(options = {}) {
+  const router = express.Router();
+  const expected = options.token && crypto.createHash("sha256").update(options.token).digest();
+
+  router.get("/metrics", (req, res) => {
+    if (expected) {
+      const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+      const actual = crypto.createHash("sha256").update(match ? match[1] : "").digest();
+      if (!crypto.timingSafeEqual(actual, expected)) {
+        return res.status(401).json(errorBody(req, "metrics_token_required"));
+      }
+    }
+    metrics.memory.set({}, process.memoryUsage().rss);
+    res.setHeader("Cache-Control", "no-store");
+    res.type("text/plain; version=0.0.4").send(registry.render());
+  });
+
+  return router;
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, registry, metrics, createMetricsRouter };
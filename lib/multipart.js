@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const { logger } = require("./logger");
+const {
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
+const { SNIFF_LENGTH } = require("./file-types");
+
+// R2 / S3 要求除最后一个分片外，每个分片至少 5MB
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * 把一个可读流以分片上传的方式写入 R2，不在内存里缓存整个文件。
+ *
+ * 内存占用约为 partSize * (queueSize + 1)。小于一个分片的文件直接用
+ * PutObject 上传；出错或 signal 被触发时会调用 AbortMultipartUpload，
+ * 避免在桶里留下孤立的分片。上传的同时计算文件的 SHA-256。
+ *
+ * params.IfNoneMatch 为 "*" 时对象已存在就不会写入（PutObject 和
+ * CompleteMultipartUpload 返回 PreconditionFailed），不会静默覆盖。
+ *
+ * @param {import("@aws-sdk/client-s3").S3Client} client
+ * @param {object} params Bucket、Key、ContentType、IfNoneMatch 等对象参数
+ * @param {import("stream").Readable} source 文件流（兼容旧版 streams2）
+ * @param {object} [options]
+ * @param {number} [options.partSize] 分片大小（字节）
+ * @param {number} [options.queueSize] 同时上传的分片数
+ * @param {number} [options.maxSize] 大小上限（字节），超出时中止并抛出 code 为 LIMIT_FILE_SIZE 的错误
+ * @param {(head: Buffer) => void} [options.inspect] 收到文件开头的 SNIFF_LENGTH 字节（或整个文件）后、
+ *   写入 R2 之前调用，抛出错误即拒绝该文件，用于校验文件类型
+ * @param {AbortSignal} [options.signal] 触发时中止上传
+ * @returns {Promise<{ size: number, etag: string, sha256: string }>}
+ */
+async function uploadStream(client, params, source, options = {}) {
+  // 创建分片上传时不支持条件参数，只在写入对象的最后一步使用
+  const { IfNoneMatch, ...createParams } = params;
+  const partSize = Math.max(options.partSize || MIN_PART_SIZE, MIN_PART_SIZE);
+  const queueSize = Math.max(options.queueSize || 4, 1);
+  const signal = options.signal;
+
+  // busboy 的文件流是旧版 readable-stream，先转成原生流以便 for await 读取
+  const body = new PassThrough({ highWaterMark: partSize });
+  source.on("error", (err) => body.destroy(err));
+  source.pipe(body);
+
+  const onAbort = () => {
+    source.unpipe(body);
+    source.resume();
+    body.destroy(new Error("上传已中止"));
+  };
+  if (signal) {
+    if (signal.aborted) onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  let uploadId = null;
+  let size = 0;
+  let chunks = [];
+  let buffered = 0;
+  let partNumber = 0;
+  const parts = [];
+  const inFlight = new Set();
+  let partError = null;
+  const hash = crypto.createHash("sha256");
+  let inspected = !options.inspect;
+
+  const sendPart = (buffer) => {
+    const number = ++partNumber;
+    const task = client
+      .send(
+        new UploadPartCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId,
+          PartNumber: number,
+          Body: buffer,
+        }),
+        { abortSignal: signal }
+      )
+      .then((result) => {
+        parts.push({ PartNumber: number, ETag: result.ETag });
+      })
+      .catch((error) => {
+        // 任一分片失败都终止读取，剩余流程交给下面的 catch 处理
+        partError = partError || error;
+        body.destroy(error);
+      })
+      .finally(() => inFlight.delete(task));
+    inFlight.add(task);
+  };
+
+  try {
+    for await (const chunk of body) {
+      chunks.push(chunk);
+      buffered += chunk.length;
+      size += chunk.length;
+      hash.update(chunk);
+
+      if (options.maxSize && size > options.maxSize) {
+        throw Object.assign(new Error("文件大小超过限制"), { code: "LIMIT_FILE_SIZE" });
+      }
+      // 分片大小远大于 SNIFF_LENGTH，检查时还没有向 R2 写入任何数据
+      if (!inspected && buffered >= SNIFF_LENGTH) {
+        inspected = true;
+        options.inspect(Buffer.concat(chunks, buffered));
+      }
+      if (buffered < partSize) continue;
+
+      if (!uploadId) {
+        const created = await client.send(
+          new CreateMultipartUploadCommand(createParams),
+          { abortSignal: signal }
+        );
+        uploadId = created.UploadId;
+      }
+
+      const buffer = Buffer.concat(chunks, buffered);
+      chunks = [];
+      buffered = 0;
+      sendPart(buffer);
+
+      // 达到并发上限时暂停读取，由流的背压限制内存占用
+      while (inFlight.size >= queueSize) {
+        await Promise.race(inFlight);
+      }
+    }
+
+    const rest = Buffer.concat(chunks, buffered);
+    chunks = [];
+    if (!inspected) options.inspect(rest);
+
+    if (!uploadId) {
+      const result = await client.send(
+        new PutObjectCommand({ ...params, Body: rest, ContentLength: rest.length }),
+        { abortSignal: signal }
+      );
+      return { size, etag: result.ETag, sha256: hash.digest("hex") };
+    }
+
+    if (rest.length) sendPart(rest);
+    await Promise.all(inFlight);
+    if (partError) throw partError;
+
+    parts.sort((a, b) => a.PartNumber - b.PartNumber);
+    const result = await client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+        IfNoneMatch,
+      })
+    );
+    return { size, etag: result.ETag, sha256: hash.digest("hex") };
+  } catch (error) {
+    // 等待已发出的分片结束后再中止，确保不会有分片在中止之后才写入
+    await Promise.all(inFlight);
+    if (uploadId) {
+      await client
+        .send(
+          new AbortMultipartUploadCommand({
+            Bucket: params.Bucket,
+            Key: params.Key,
+            UploadId: uploadId,
+          })
+        )
+        .catch((abortError) => {
+          logger.error("abort multipart upload failed", { key: params.Key, error: abortError });
+        });
+    }
+    throw partError || error;
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+    // 出错时源数据可能还没读完，继续读完丢弃，multer 才能处理下一个文件
+    source.unpipe(body);
+    source.resume();
+  }
+}
+
+module.exports = { uploadStream, MIN_PART_SIZE };
@@ -0,0 +1,240 @@
+const express = require("express");
+const { objectExists, storageFailure, sendStorageError } = require("./backend");
+const { logger } = require("./logger");
+const { errorBody } = require("./i18n");
+
+/**
+ * 检查对象键是否合法：不能为空、不能以 / 开头、不能包含 . 或 .. 路径段
+ */
+function isValidKey(key) {
+  if (typeof key !== "string" || !key || key.startsWith("/")) return false;
+  return !key.split("/").some((part) => part === "." || part === "..");
+}
+
+/**
+ * 并发执行任务，最多同时执行 limit 个，结果顺序与输入一致
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * 对象管理接口：删除、重命名 / 移动、新建和删除文件夹。
+ *
+ *   DELETE /files/*           删除单个文件
+ *   POST   /files/delete      { keys } 批量删除
+ *   POST   /files/move        { moves: [{ from, to }] } 重命名或移动，from 以 / 结尾时移动整个文件夹
+ *   POST   /folders           { prefix } 新建文件夹（写入以 / 结尾的空对象）
+ *   POST   /folders/delete    { prefix } 删除文件夹及其中所有文件
+ *
+ * 批量操作返回 { results: [{ key, ok, error, code }] }，逐个报告每个对象的结果。
+ * 删除或移动单个文件时，它的派生图片（缩略图等）会一起删除或移动，不计入结果。
+ *
+ * @param {object} options
+ * @param {import("./backend").StorageBackend} options.backend
+ * @param {import("./images").ImageProcessor} [options.images] 用于查找派生图片
+ * @param {() => void} [options.onChange] 存储桶内容变化后调用
+ * @param {(req: import("express").Request, event: object) => void} [options.audit]
+ *   记录删除和移动，event 的字段见 lib/history.js
+ * @returns {import("express").Router}
+ */
+function createObjectsRouter(options) {
+  const { backend } = options;
+  const router = express.Router();
+  const changed = () => options.onChange && options.onChange();
+  const images = options.images;
+
+  // 逐个记录批量操作的结果；移动的 key 是原来的键，to 是新键
+  function audit(req, action, results) {
+    if (!options.audit) return;
+    for (const result of results) {
+      options.audit(req, {
+        action,
+        outcome: result.ok ? "success" : "failure",
+        key: action === "move" ? result.to : result.key,
+        from: action === "move" ? result.key : undefined,
+        error: result.error,
+        code: result.code,
+      });
+    }
+  }
+
+  // 失败的结果按请求的语言生成错误消息
+  function describeResults(req, results) {
+    return results.map((result) => (result.ok ? result : { ...result, ...errorBody(req, result.code) }));
+  }
+
+  // 删除文件后清理它们的派生图片，失败只记录日志
+  async function deleteVariants(keys) {
+    if (!images) return;
+    try {
+      const variants = await mapLimit(keys, 4, (key) => images.variantKeys(key));
+      const results = await backend.deleteMany(variants.flat());
+      for (const result of results.filter((item) => !item.ok)) {
+        logger.error("delete variant failed", { key: result.key, reason: result.error });
+      }
+    } catch (error) {
+      logger.error("delete variants failed", { error });
+    }
+  }
+
+  async function listKeys(prefix) {
+    const keys = [];
+    let cursor = null;
+    do {
+      const page = await backend.list({ prefix, cursor });
+      keys.push(...page.objects.map((item) => item.key));
+      cursor = page.cursor;
+    } while (cursor);
+    return keys;
+  }
+
+  async function moveVariants(from, to) {
+    if (!images) return;
+    try {
+      for (const move of await images.variantMoves(from, to)) {
+        await backend.copy(move.from, move.to);
+        await backend.delete(move.from);
+      }
+    } catch (error) {
+      logger.error("move variants failed", { key: from, to, error });
+    }
+  }
+
+  async function moveObject(from, to, withVariants) {
+    if (!isValidKey(from) || !isValidKey(to)) {
+      return { key: from, ok: false, code: "invalid_name" };
+    }
+    if (from === to) return { key: from, to, ok: true };
+
+    try {
+      if (await objectExists(backend, to)) {
+        return { key: from, to, ok: false, code: "target_exists" };
+      }
+      await backend.copy(from, to);
+      await backend.delete(from);
+      if (withVariants) await moveVariants(from, to);
+      return { key: from, to, ok: true };
+    } catch (error) {
+      if (error.name === "NotFound") {
+        return { key: from, to, ok: false, code: "file_not_found" };
+      }
+      logger.error("move file failed", { key: from, to, error });
+      const failure = storageFailure(error);
+      return { key: from, to, ok: false, code: failure ? failure.code : "move_failed" };
+    }
+  }
+
+  router.delete("/files/*", async (req, res) => {
+    const key = req.params[0];
+    if (!isValidKey(key)) {
+      return res.status(400).json(errorBody(req, "invalid_name"));
+    }
+
+    try {
+      await backend.delete(key);
+      await deleteVariants([key]);
+      changed();
+      audit(req, "delete", [{ key, ok: true }]);
+      res.json({ key, ok: true });
+    } catch (error) {
+      logger.error("delete file failed", { key, error });
+      audit(req, "delete", describeResults(req, [{ key, ok: false, code: "delete_failed" }]));
+      sendStorageError(req, res, error, "delete_failed");
+    }
+  });
+
+  router.post("/files/delete", express.json(), async (req, res) => {
+    const keys = req.body && req.body.keys;
+    if (!Array.isArray(keys) || !keys.length) {
+      return res.status(400).json(errorBody(req, "no_selection"));
+    }
+
+    const invalid = keys.filter((key) => !isValidKey(key));
+    const deleted = invalid.map((key) => ({ key, ok: false, code: "invalid_name" }));
+    deleted.push(...(await backend.deleteMany(keys.filter(isValidKey))));
+    await deleteVariants(deleted.filter((result) => result.ok).map((result) => result.key));
+    changed();
+    const results = describeResults(req, deleted);
+    audit(req, "delete", results);
+    res.json({ results });
+  });
+
+  router.post("/files/move", express.json(), async (req, res) => {
+    const moves = req.body && req.body.moves;
+    if (!Array.isArray(moves) || !moves.length) {
+      return res.status(400).json(errorBody(req, "no_selection"));
+    }
+
+    try {
+      // 移动文件夹时展开为其中每个文件的移动，派生图片也在其中，不需要单独处理
+      const expanded = [];
+      for (const { from, to } of moves) {
+        if (typeof from === "string" && from.endsWith("/") && typeof to === "string" && to.endsWith("/")) {
+          for (const key of await listKeys(from)) {
+            expanded.push({ from: key, to: to + key.slice(from.length), withVariants: false });
+          }
+        } else {
+          expanded.push({ from, to, withVariants: true });
+        }
+      }
+
+      const results = describeResults(
+        req,
+        await mapLimit(expanded, 4, ({ from, to, withVariants }) => moveObject(from, to, withVariants))
+      );
+      changed();
+      audit(req, "move", results);
+      res.json({ results });
+    } catch (error) {
+      logger.error("move files failed", { error });
+      sendStorageError(req, res, error, "move_failed");
+    }
+  });
+
+  router.post("/folders", express.json(), async (req, res) => {
+    const prefix = req.body && req.body.prefix;
+    if (!isValidKey(prefix) || !prefix.endsWith("/")) {
+      return res.status(400).json(errorBody(req, "invalid_folder_name"));
+    }
+
+    try {
+      await backend.put(prefix, Buffer.alloc(0));
+      changed();
+      res.json({ prefix, ok: true });
+    } catch (error) {
+      logger.error("create folder failed", { prefix, error });
+      sendStorageError(req, res, error, "create_folder_failed");
+    }
+  });
+
+  router.post("/folders/delete", express.json(), async (req, res) => {
+    const prefix = req.body && req.body.prefix;
+    if (!isValidKey(prefix) || !prefix.endsWith("/")) {
+      return res.status(400).json(errorBody(req, "invalid_folder_name"));
+    }
+
+    try {
+      const results = describeResults(req, await backend.deleteMany(await listKeys(prefix)));
+      changed();
+      audit(req, "delete", results);
+      res.json({ results });
+    } catch (error) {
+      logger.error("delete folder failed", { prefix, error });
+      sendStorageError(req, res, error, "delete_folder_failed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createObjectsRouter, isValidKey, mapLimit };
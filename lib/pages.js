@@ -0,0 +1,2971 @@
+/**
+ * 登录页面和主页面。样式和脚本都写在模板中，不需要构建步骤
+ */
+const { LOCALES, COOKIE_NAME, translate, catalog } = require("./i18n");
+const { UPLOAD_DB_SCRIPT } = require("./pwa");
+const { escapeHtml } = require("./html");
+
+/** 页面模板中使用的消息，已转义为 HTML */
+function translator(locale) {
+  return (key, params) => escapeHtml(translate(locale, `messages.${key}`, params));
+}
+
+// 语言选择菜单，每种语言用自己的名称显示
+function localeSelect(locale) {
+  const options = LOCALES.map((item) => {
+    const selected = item === locale ? " selected" : "";
+    return `<option value="${item}"${selected}>${escapeHtml(translate(item, "messages.locale_name"))}</option>`;
+  });
+  const title = escapeHtml(translate(locale, "messages.language"));
+  return `<select id="locale-select" title="${title}">${options.join("")}</select>`;
+}
+
+// 应用清单和图标，浏览器据此提供「安装」；两个页面都注册 Service Worker，登录前分享来的文件登录后再上传
+const PWA_HEAD = `
+        <link rel="manifest" href="/manifest.webmanifest">
+        <meta name="theme-color" content="#667eea">
+        <link rel="icon" href="/icon.svg" type="image/svg+xml">
+        <link rel="apple-touch-icon" href="/icons/192.png">`;
+
+const PWA_SCRIPT = `
+          if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {});
+`;
+
+// 切换语言：选择保存在 Cookie 中，服务器按它生成页面和接口消息
+const LOCALE_SCRIPT = `
+          document.getElementById('locale-select').addEventListener('change', (e) => {
+            document.cookie = '${COOKIE_NAME}=' + e.target.value + '; path=/; max-age=31536000; SameSite=Lax';
+            location.reload();
+          });
+`;
+
+/**
+ * 登录页面
+ *
+ * @param {string} locale
+ * @returns {string}
+ */
+function loginPage(locale) {
+  const t = translator(locale);
+
+  return `
+    <html lang="${locale}">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${t("login_title")}</title>${PWA_HEAD}
+        <style>
+          * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+          }
+
+          body {
+            min-height: 100vh;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          }
+
+          .card {
+            background: rgba(255, 255, 255, 0.95);
+            border-radius: 20px;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+            width: 90%;
+            max-width: 360px;
+            padding: 2rem;
+          }
+
+          h1 {
+            color: #2d3748;
+            font-size: 1.4rem;
+            margin-bottom: 1.5rem;
+            text-align: center;
+          }
+
+          input {
+            width: 100%;
+            padding: 0.7rem 0.9rem;
+            border: 1px solid #e2e8f0;
+            border-radius: 8px;
+            margin-bottom: 1rem;
+            font-size: 1rem;
+          }
+
+          button {
+            width: 100%;
+            background: linear-gradient(to right, #667eea, #764ba2);
+            color: white;
+            border: none;
+            padding: 0.8rem;
+            border-radius: 8px;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+
+          .error {
+            color: #c53030;
+            font-size: 0.9rem;
+            margin-bottom: 1rem;
+            display: none;
+          }
+
+          select {
+            display: block;
+            margin: 1rem auto 0;
+            border: 1px solid #e2e8f0;
+            border-radius: 6px;
+            padding: 0.2rem 0.4rem;
+            background: white;
+            color: #4a5568;
+          }
+        </style>
+      </head>
+      <body>
+        <form class="card" id="login-form">
+          <h1>${t("app_title")}</h1>
+          <div class="error" id="login-error"></div>
+          <input name="username" placeholder="${t("username")}" autocomplete="username" required>
+          <input name="password" type="password" placeholder="${t("password")}" autocomplete="current-password" required>
+          <button type="submit">${t("login")}</button>
+          ${localeSelect(locale)}
+        </form>
+        <script>
+          const form = document.getElementById('login-form');
+          const loginError = document.getElementById('login-error');
+
+          form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = form.querySelector('button');
+            button.disabled = true;
+            try {
+              const response = await fetch('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.fromEntries(new FormData(form)))
+              });
+              if (response.ok) {
+                location.reload();
+                return;
+              }
+              const result = await response.json();
+              loginError.textContent = result.error;
+              loginError.style.display = 'block';
+            } finally {
+              button.disabled = false;
+            }
+          });
+${LOCALE_SCRIPT}${PWA_SCRIPT}        </script>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * 主页面
+ *
+ * @param {object} options
+ * @param {string} options.locale 页面的语言
+ * @param {string} options.user 当前登录的用户名
+ * @param {"required" | "open"} options.authMode 认证模式，open 时不显示退出和令牌管理
+ * @param {import("./profiles").StorageProfile} options.profile 当前选择的存储配置
+ * @param {import("./profiles").StorageProfile[]} options.profiles 所有存储配置，多于一个时显示切换菜单
+ * @param {import("./file-types").TypePolicy} options.fileTypes 允许的类型，用于格式提示和文件选择框
+ * @param {import("./link-formats").LinkFormats} options.linkFormats 复制用的链接格式
+ * @param {number} options.partSize 断点续传每次发送的数据块大小
+ * @param {boolean} options.directUpload 使用预签名地址直接上传到存储
+ * @param {boolean} options.showQuota 显示上传频率和存储配额
+ * @returns {string}
+ */
+function renderPage(options) {
+  const { locale, user, authMode, profile, profiles, fileTypes, linkFormats, partSize, directUpload, showQuota } =
+    options;
+  const t = translator(locale);
+
+  return `
+    <html lang="${locale}">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${t("app_title")}</title>${PWA_HEAD}
+        <style>
+          * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+          }
+
+          html, body {
+            height: 100%;
+            overflow: hidden; /* 防止页面滚动 */
+          }
+
+          body {
+            min-height: 100vh;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            padding: 0; /* 移除内边距 */
+          }
+
+          .card {
+            background: rgba(255, 255, 255, 0.95);
+            border-radius: 20px;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+            width: 90%;
+            max-width: 1200px;
+            height: 90vh;
+            margin: 0 auto;
+            overflow: hidden;
+            display: flex;
+            flex-direction: column;
+          }
+
+          .upload-section {
+            position: relative;
+            padding: 1.5rem; /* 减小上传区域的内边距 */
+            border-bottom: 1px solid #edf2f7;
+            text-align: center;
+            flex-shrink: 0;
+          }
+
+          .account-bar {
+            position: absolute;
+            top: 1rem;
+            right: 1.5rem;
+            display: flex;
+            gap: 0.5rem;
+            align-items: center;
+            font-size: 0.85rem;
+            color: #718096;
+          }
+
+          .account-bar select {
+            border: 1px solid #e2e8f0;
+            border-radius: 6px;
+            padding: 0.2rem 0.4rem;
+            background: white;
+            color: #4a5568;
+            font-size: 0.85rem;
+          }
+
+          .account-bar button {
+            border: none;
+            background: none;
+            color: #667eea;
+            cursor: pointer;
+            font-size: 0.85rem;
+          }
+
+          .modal-overlay {
+            display: none;
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.5);
+            z-index: 1000;
+            justify-content: center;
+            align-items: center;
+          }
+
+          .modal-overlay.active {
+            display: flex;
+          }
+
+          .modal {
+            background: white;
+            border-radius: 12px;
+            padding: 1.5rem;
+            width: 90%;
+            max-width: 640px;
+            max-height: 85vh;
+            overflow-y: auto;
+            color: #2d3748;
+          }
+
+          .modal h2 {
+            font-size: 1.2rem;
+            margin-bottom: 1rem;
+            display: flex;
+            justify-content: space-between;
+          }
+
+          .modal table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+            margin-bottom: 1rem;
+          }
+
+          .modal th,
+          .modal td {
+            text-align: left;
+            padding: 0.4rem;
+            border-bottom: 1px solid #edf2f7;
+          }
+
+          .modal form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            align-items: center;
+            font-size: 0.85rem;
+          }
+
+          .modal input[type="text"] {
+            flex: 1;
+            min-width: 160px;
+            border: 1px solid #e2e8f0;
+            border-radius: 6px;
+            padding: 0.35rem 0.6rem;
+          }
+
+          .modal button {
+            border: 1px solid #e2e8f0;
+            background: white;
+            border-radius: 6px;
+            padding: 0.3rem 0.7rem;
+            cursor: pointer;
+          }
+
+          .modal-hint {
+            margin-top: 0.8rem;
+            font-size: 0.8rem;
+            color: #718096;
+          }
+
+          .modal.wide {
+            max-width: 1000px;
+          }
+
+          .modal h3 {
+            font-size: 0.95rem;
+            margin: 1.2rem 0 0.5rem;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+          }
+
+          .modal td.history-file {
+            word-break: break-all;
+          }
+
+          .modal tr.history-failure td {
+            color: #e53e3e;
+          }
+
+          .new-token {
+            display: none;
+            margin-top: 1rem;
+            padding: 0.8rem;
+            background: #f0fff4;
+            border-radius: 8px;
+            font-size: 0.85rem;
+            word-break: break-all;
+          }
+
+          .upload-area {
+            border: 2px dashed #cbd5e0;
+            border-radius: 8px;
+            padding: 2rem;
+            margin: 1rem 0;
+            cursor: pointer;
+            transition: all 0.3s ease;
+          }
+
+          .upload-area:hover {
+            border-color: #667eea;
+            background: #f7fafc;
+          }
+
+          .upload-title {
+            color: #2d3748;
+            margin-bottom: 1rem;
+            font-size: 1.5rem;
+          }
+
+          .upload-text {
+            color: #718096;
+            margin: 0.5rem 0;
+          }
+
+          .gallery-section {
+            padding: 1.5rem 1.5rem 2rem;
+            background: #f7fafc;
+            flex: 1;
+            display: flex;
+            flex-direction: column;
+            min-height: 0; /* 让文件列表在卡片内滚动 */
+          }
+
+          .gallery-title {
+            color: #2d3748;
+            margin-bottom: 1rem;
+            font-size: 1.2rem;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+          }
+
+          .gallery-tabs button,
+          .gallery-toolbar select,
+          .gallery-toolbar input {
+            border: 1px solid #e2e8f0;
+            background: white;
+            border-radius: 6px;
+            padding: 0.35rem 0.7rem;
+            font-size: 0.85rem;
+            color: #4a5568;
+          }
+
+          .gallery-tabs button {
+            cursor: pointer;
+          }
+
+          .gallery-tabs button.active {
+            background: #667eea;
+            border-color: #667eea;
+            color: white;
+          }
+
+          .gallery-toolbar {
+            display: flex;
+            gap: 0.5rem;
+            flex-wrap: wrap;
+          }
+
+          .breadcrumb {
+            font-size: 0.9rem;
+            color: #718096;
+            margin-bottom: 0.8rem;
+          }
+
+          .breadcrumb a {
+            color: #667eea;
+            cursor: pointer;
+            text-decoration: none;
+          }
+
+          .gallery-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 25px;
+            padding: 0.5rem 0.5rem 1rem;
+            flex: 1;
+            align-content: start;
+            overflow-y: auto;
+          }
+
+          .gallery-item .file-caption {
+            position: absolute;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            padding: 0.3rem 0.6rem;
+            background: rgba(0, 0, 0, 0.55);
+            color: white;
+            font-size: 0.75rem;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+          }
+
+          .gallery-item video {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+          }
+
+          .gallery-item.folder,
+          .gallery-item.other {
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            font-size: 2.5rem;
+            cursor: pointer;
+          }
+
+          .gallery-item .select-box {
+            position: absolute;
+            top: 8px;
+            left: 8px;
+            width: 18px;
+            height: 18px;
+            z-index: 2;
+            opacity: 0;
+            cursor: pointer;
+          }
+
+          .gallery-item:hover .select-box,
+          .gallery-grid.selecting .select-box {
+            opacity: 1;
+          }
+
+          .gallery-item.selected {
+            outline: 3px solid #667eea;
+          }
+
+          .selection-bar {
+            display: none;
+            align-items: center;
+            gap: 0.5rem;
+            margin-bottom: 0.8rem;
+            font-size: 0.9rem;
+            color: #4a5568;
+          }
+
+          .selection-bar.active {
+            display: flex;
+          }
+
+          .selection-bar button,
+          .gallery-toolbar button {
+            border: 1px solid #e2e8f0;
+            background: white;
+            border-radius: 6px;
+            padding: 0.35rem 0.7rem;
+            font-size: 0.85rem;
+            color: #4a5568;
+            cursor: pointer;
+          }
+
+          .selection-bar button.danger {
+            color: #e53e3e;
+            border-color: #feb2b2;
+          }
+
+          .operation-report {
+            margin-top: 0.3rem;
+            font-size: 0.8rem;
+            text-align: left;
+            white-space: pre-wrap;
+          }
+
+          .gallery-sentinel {
+            grid-column: 1 / -1;
+            text-align: center;
+            color: #a0aec0;
+            font-size: 0.85rem;
+            padding: 0.5rem;
+          }
+
+          .gallery-item {
+            position: relative;
+            border-radius: 12px;
+            overflow: hidden;
+            aspect-ratio: 16/9;
+            min-height: 160px;
+            max-height: 260px; /* 进一步减小最大高度 */
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            transition: all 0.4s cubic-bezier(0.165, 0.84, 0.44, 1);
+            cursor: zoom-in;
+            background: #f0f0f0;
+            transform-origin: center;
+          }
+
+          .gallery-item img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            object-position: center;
+            transition: all 0.4s cubic-bezier(0.165, 0.84, 0.44, 1);
+          }
+
+          .gallery-item:hover {
+            transform: scale(1.08);
+            box-shadow: 0 12px 30px rgba(0,0,0,0.2);
+            z-index: 1;
+          }
+
+          .gallery-item:hover img {
+            transform: none;
+          }
+
+          .link-settings {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.8rem;
+            justify-content: center;
+            align-items: center;
+            font-size: 0.8rem;
+            color: #718096;
+          }
+
+          .quota-info {
+            margin-top: 0.5rem;
+            font-size: 0.8rem;
+            color: #718096;
+          }
+
+          .quota-info.exhausted {
+            color: #e53e3e;
+          }
+
+          .link-settings select {
+            border: 1px solid #e2e8f0;
+            border-radius: 6px;
+            padding: 0.15rem 0.3rem;
+            background: white;
+            color: #4a5568;
+            font-size: 0.8rem;
+          }
+
+          .link-settings button {
+            background: none;
+            border: none;
+            color: #667eea;
+            cursor: pointer;
+            font-size: 0.8rem;
+          }
+
+          .upload-queue {
+            margin: 1rem 0 0;
+            text-align: left;
+          }
+
+          .queue-toolbar {
+            display: none;
+            justify-content: space-between;
+            align-items: center;
+            font-size: 0.8rem;
+            color: #718096;
+            margin-bottom: 0.5rem;
+          }
+
+          .queue-toolbar button {
+            background: none;
+            border: none;
+            color: #667eea;
+            cursor: pointer;
+            font-size: 0.8rem;
+          }
+
+          .queue-list {
+            max-height: 280px;
+            overflow-y: auto;
+          }
+
+          .queue-item {
+            padding: 0.6rem 0.8rem;
+            margin-bottom: 0.5rem;
+            background: #f7fafc;
+            border-radius: 8px;
+            border: 1px solid #e2e8f0;
+          }
+
+          .queue-info {
+            display: flex;
+            justify-content: space-between;
+            gap: 0.5rem;
+          }
+
+          .file-name {
+            color: #4a5568;
+            font-size: 0.9rem;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+          }
+
+          .queue-size {
+            color: #a0aec0;
+            font-size: 0.8rem;
+            flex-shrink: 0;
+          }
+
+          .queue-progress {
+            height: 4px;
+            margin: 0.4rem 0;
+            background: #e2e8f0;
+            border-radius: 2px;
+            overflow: hidden;
+          }
+
+          .queue-bar {
+            height: 100%;
+            width: 0;
+            background: linear-gradient(to right, #667eea, #764ba2);
+            transition: width 0.2s;
+          }
+
+          .queue-item.done .queue-bar {
+            background: #48bb78;
+          }
+
+          .queue-item.error .queue-bar {
+            background: #e53e3e;
+          }
+
+          .queue-link {
+            display: none;
+            width: 100%;
+            margin-bottom: 0.4rem;
+            padding: 0.2rem 0.4rem;
+            border: 1px solid #e2e8f0;
+            border-radius: 4px;
+            background: white;
+            color: #4a5568;
+            font-family: monospace;
+            font-size: 0.75rem;
+          }
+
+          .queue-item.done .queue-link {
+            display: block;
+          }
+
+          .queue-meta {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-size: 0.8rem;
+            color: #718096;
+          }
+
+          .queue-item.error .queue-status {
+            color: #c53030;
+          }
+
+          .queue-item.done .queue-status {
+            color: #2f855a;
+          }
+
+          .queue-actions button {
+            color: #667eea;
+            cursor: pointer;
+            padding: 0.1rem 0.4rem;
+            border-radius: 4px;
+            font-size: 0.8rem;
+            background: none;
+            border: none;
+            transition: background 0.2s;
+          }
+
+          .queue-actions button:hover {
+            background: #edf2f7;
+          }
+
+          .queue-actions button.danger {
+            color: #e53e3e;
+          }
+
+          .upload-btn {
+            background: linear-gradient(to right, #667eea, #764ba2);
+            color: white;
+            border: none;
+            padding: 0.8rem 2rem;
+            border-radius: 8px;
+            font-size: 1rem;
+            cursor: pointer;
+            transition: all 0.2s;
+            margin-top: 1rem;
+            width: 100%;
+            max-width: 200px;
+          }
+
+          .upload-btn:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 2px 6px rgba(0,0,0,0.1);
+          }
+
+          .upload-btn:disabled {
+            opacity: 0.7;
+            cursor: not-allowed;
+            transform: none;
+          }
+
+          .loading {
+            color: #718096;
+            text-align: center;
+            padding: 2rem;
+          }
+
+          #upload-status {
+            margin-top: 1rem;
+            padding: 1rem;
+            border-radius: 8px;
+            display: none;
+          }
+
+          .success {
+            background: #c6f6d5;
+            color: #2f855a;
+          }
+
+          .error {
+            background: #fed7d7;
+            color: #c53030;
+          }
+
+          .url-display {
+            color: #4a5568;
+            margin-top: 0.5rem;
+            font-size: 0.9rem;
+          }
+
+          /* 响应式调整 */
+          @media (max-width: 1200px) {
+            .card {
+              width: 95%;
+              height: 92vh;
+            }
+
+            .gallery-item {
+              max-height: 240px;
+            }
+          }
+
+          @media (max-width: 768px) {
+            .card {
+              width: 98%;
+              height: 94vh;
+            }
+            
+            .gallery-section {
+              padding: 1rem 1rem 1.5rem;
+            }
+
+            .gallery-grid {
+              gap: 20px;
+              padding: 0.5rem 0.5rem 0.8rem;
+            }
+
+            .gallery-item {
+              max-height: 220px;
+            }
+          }
+
+          @media (max-width: 480px) {
+            .card {
+              width: 100%;
+              height: 100vh;
+              border-radius: 0;
+            }
+            
+            .gallery-section {
+              padding: 0.8rem 0.8rem 1.2rem;
+            }
+
+            .gallery-grid {
+              gap: 15px;
+              padding: 0.3rem 0.3rem 0.6rem;
+            }
+
+            .gallery-item {
+              max-height: 200px;
+            }
+          }
+
+          /* 修改预览遮罩层效果 */
+          .preview-overlay {
+            display: none;
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.95);
+            z-index: 1000;
+            justify-content: center;
+            align-items: center;
+            backdrop-filter: blur(8px);
+            opacity: 0;
+            transition: opacity 0.3s ease;
+          }
+
+          .preview-overlay.active {
+            display: flex;
+            opacity: 1;
+          }
+
+          .preview-image-container {
+            position: relative;
+            max-width: 90%;
+            max-height: 90vh;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 0 30px rgba(0,0,0,0.3);
+            transform: scale(0.9);
+            transition: all 0.3s ease;
+          }
+
+          .preview-overlay.active .preview-image-container {
+            transform: scale(1);
+          }
+
+          .preview-image {
+            display: block;
+            max-width: 100%;
+            max-height: 90vh;
+            object-fit: contain;
+            border-radius: 12px;
+          }
+
+          .preview-links {
+            position: absolute;
+            bottom: 24px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            align-items: center;
+            gap: 0.5rem;
+            max-width: 90%;
+          }
+
+          .preview-links span {
+            color: white;
+            font-size: 0.85rem;
+            margin-right: 0.5rem;
+          }
+
+          .preview-links button {
+            background: rgba(255, 255, 255, 0.2);
+            border: none;
+            border-radius: 6px;
+            color: white;
+            padding: 0.35rem 0.7rem;
+            font-size: 0.8rem;
+            cursor: pointer;
+          }
+
+          .preview-links button:hover {
+            background: rgba(255, 255, 255, 0.3);
+          }
+
+          .toast {
+            position: fixed;
+            bottom: 2rem;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(45, 55, 72, 0.9);
+            color: white;
+            padding: 0.5rem 1rem;
+            border-radius: 8px;
+            font-size: 0.85rem;
+            z-index: 2000;
+            opacity: 0;
+            pointer-events: none;
+            transition: opacity 0.2s;
+          }
+
+          .toast.active {
+            opacity: 1;
+          }
+
+          .preview-close {
+            position: absolute;
+            top: 20px;
+            right: 20px;
+            width: 40px;
+            height: 40px;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.2);
+            border: none;
+            color: white;
+            font-size: 24px;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transition: all 0.3s ease;
+          }
+
+          .preview-close:hover {
+            background: rgba(255, 255, 255, 0.3);
+            transform: rotate(90deg);
+          }
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="upload-section">
+            <div class="account-bar">
+              ${profiles.length > 1 ? `
+              <select id="profile-select" title="${t("storage_profile")}">
+                ${profiles.map((item) => `<option value="${item.name}"${item.name === profile.name ? " selected" : ""}>${escapeHtml(item.label)}</option>`).join("")}
+              </select>` : ""}
+              ${localeSelect(locale)}
+              <button type="button" id="open-history">${t("history")}</button>
+              <button type="button" id="open-webhooks">Webhook</button>
+              ${authMode === "open" ? "" : `
+              <span>${escapeHtml(user)}</span>
+              <button type="button" id="open-tokens">${t("api_tokens")}</button>
+              <button type="button" id="logout">${t("logout")}</button>`}
+            </div>
+            <h1 class="upload-title">${t("app_title")}</h1>
+            <div class="upload-area" id="drop-zone">
+              <div style="font-size: 2rem; margin-bottom: 1rem;">📁</div>
+              <p class="upload-text">${t("drop_hint")}</p>
+              <p class="upload-text" style="font-size: 0.8rem;">${t("supported_types", { types: fileTypes.describe(locale) })}</p>
+            </div>
+            <div class="link-settings">
+              <label>${t("copy_format")} <select id="link-format"></select></label>
+              <label><input type="checkbox" id="copy-on-upload"> ${t("copy_on_upload")}</label>
+              <button type="button" id="open-link-templates">${t("custom_formats")}</button>
+            </div>
+            ${showQuota ? '<div class="quota-info" id="quota-info"></div>' : ""}
+            <div class="upload-queue">
+              <div class="queue-toolbar" id="queue-toolbar">
+                <span id="queue-summary"></span>
+                <button type="button" id="clear-finished">${t("clear_finished")}</button>
+              </div>
+              <div class="queue-list" id="queue-list"></div>
+            </div>
+            <form id="upload-form" enctype="multipart/form-data">
+              <input type="file" id="file-input" name="file" multiple accept="${fileTypes.accept}" style="display: none;">
+              <button type="submit" class="upload-btn" disabled>${t("upload_files")}</button>
+            </form>
+            <div id="upload-status"></div>
+          </div>
+
+          <div class="gallery-section">
+            <div class="gallery-title">
+              <div class="gallery-tabs">
+                <button type="button" data-view="recent" class="active">${t("recent")}</button>
+                <button type="button" data-view="browse">${t("all_files")}</button>
+              </div>
+              <div class="gallery-toolbar">
+                <button type="button" id="new-folder" style="display: none;">${t("new_folder")}</button>
+                <input type="search" id="file-search" placeholder="${t("search_files")}">
+                <select id="file-type">
+                  <option value="">${t("all_types")}</option>
+                  <option value="image">${t("type_image")}</option>
+                  <option value="video">${t("type_video")}</option>
+                  <option value="other">${t("type_other")}</option>
+                </select>
+                <select id="file-sort">
+                  <option value="name">${t("sort_name_asc")}</option>
+                  <option value="-name">${t("sort_name_desc")}</option>
+                  <option value="-date">${t("sort_newest")}</option>
+                  <option value="date">${t("sort_oldest")}</option>
+                  <option value="-size">${t("sort_largest")}</option>
+                  <option value="size">${t("sort_smallest")}</option>
+                </select>
+              </div>
+            </div>
+            <div id="breadcrumb" class="breadcrumb"></div>
+            <div id="selection-bar" class="selection-bar">
+              <span id="selection-count"></span>
+              <button type="button" id="rename-selected">${t("rename")}</button>
+              <button type="button" id="move-selected">${t("move")}</button>
+              <button type="button" id="delete-selected" class="danger">${t("delete")}</button>
+              <button type="button" id="clear-selection">${t("clear_selection")}</button>
+            </div>
+            <div id="gallery-grid" class="gallery-grid">
+              <div class="loading">${t("loading")}</div>
+            </div>
+          </div>
+        </div>
+
+        <div class="modal-overlay" id="token-modal">
+          <div class="modal">
+            <h2>${t("api_tokens")} <button type="button" onclick="closeTokens()">×</button></h2>
+            <table>
+              <thead>
+                <tr><th>${t("name")}</th><th>${t("scopes")}</th><th>${t("created_at")}</th><th>${t("last_used")}</th><th></th></tr>
+              </thead>
+              <tbody id="token-list"></tbody>
+            </table>
+            <form id="token-form">
+              <input type="text" name="name" placeholder="${t("token_name_placeholder")}" required>
+              <label><input type="checkbox" name="scopes" value="upload" checked> ${t("action_upload")}</label>
+              <label><input type="checkbox" name="scopes" value="list"> ${t("scope_list")}</label>
+              <label><input type="checkbox" name="scopes" value="delete"> ${t("action_delete")}</label>
+              <button type="submit">${t("create")}</button>
+            </form>
+            <div class="new-token" id="new-token"></div>
+            <p class="modal-hint">
+              ${t("integrations_hint")}
+              <button type="button" id="download-sxcu">${t("download_sxcu")}</button>
+            </p>
+          </div>
+        </div>
+
+        <div class="modal-overlay" id="history-modal">
+          <div class="modal wide">
+            <h2>${t("history")} <button type="button" onclick="closeHistory()">×</button></h2>
+            <form id="history-filters">
+              <input type="search" name="q" placeholder="${t("history_search")}">
+              <select name="action">
+                <option value="">${t("all_actions")}</option>
+                <option value="upload">${t("action_upload")}</option>
+                <option value="delete">${t("action_delete")}</option>
+                <option value="move">${t("action_move")}</option>
+                <option value="share">${t("action_share")}</option>
+              </select>
+              <select name="outcome">
+                <option value="">${t("all_outcomes")}</option>
+                <option value="success">${t("success")}</option>
+                <option value="failure">${t("failure")}</option>
+              </select>
+              <input type="date" name="from" title="${t("from_date")}">
+              <input type="date" name="to" title="${t("to_date")}">
+              <button type="submit">${t("search")}</button>
+            </form>
+            <table>
+              <thead>
+                <tr><th>${t("time")}</th><th>${t("action")}</th><th>${t("file")}</th><th>${t("size")}</th><th>${t("user")}</th><th>IP</th><th>${t("result")}</th></tr>
+              </thead>
+              <tbody id="history-list"></tbody>
+            </table>
+            <p class="modal-hint">
+              <span id="history-summary"></span>
+              <button type="button" id="history-more">${t("load_more")}</button>
+            </p>
+          </div>
+        </div>
+
+        <div class="modal-overlay" id="webhook-modal">
+          <div class="modal wide">
+            <h2>Webhook <button type="button" onclick="closeWebhooks()">×</button></h2>
+            <table>
+              <thead>
+                <tr><th>${t("webhook_url")}</th><th>${t("events")}</th><th>${t("signing_secret")}</th><th></th></tr>
+              </thead>
+              <tbody id="webhook-list"></tbody>
+            </table>
+            <form id="webhook-form">
+              <input type="text" name="url" placeholder="https://example.com/hooks/r2" required>
+              <label><input type="checkbox" name="events" value="upload" checked> ${t("action_upload")}</label>
+              <label><input type="checkbox" name="events" value="delete" checked> ${t("action_delete")}</label>
+              <label><input type="checkbox" name="events" value="move" checked> ${t("event_move")}</label>
+              <button type="submit">${t("add")}</button>
+            </form>
+            <h3>
+              ${t("deliveries")}
+              <span>
+                <select id="delivery-status">
+                  <option value="">${t("all_statuses")}</option>
+                  <option value="pending">${t("delivery_pending")}</option>
+                  <option value="delivered">${t("delivery_delivered")}</option>
+                  <option value="failed">${t("failure")}</option>
+                </select>
+                <button type="button" id="refresh-deliveries">${t("refresh")}</button>
+              </span>
+            </h3>
+            <table>
+              <thead>
+                <tr><th>${t("time")}</th><th>${t("events")}</th><th>${t("file")}</th><th>${t("target")}</th><th>${t("status")}</th><th>${t("attempts")}</th><th></th></tr>
+              </thead>
+              <tbody id="delivery-list"></tbody>
+            </table>
+            <p class="modal-hint">${t("webhook_signature_hint")}</p>
+          </div>
+        </div>
+
+        <div class="modal-overlay" id="share-modal">
+          <div class="modal">
+            <h2>${t("share_file")} <button type="button" onclick="closeShare()">×</button></h2>
+            <p class="modal-hint" id="share-file"></p>
+            <form id="share-form">
+              <select name="mode" title="${t("share_mode")}">
+                <option value="link">${t("share_mode_link")}</option>
+                <option value="presign">${t("share_mode_presign")}</option>
+              </select>
+              <select name="expiresIn" title="${t("expires_in")}">
+                <option value="3600">${t("expires_1h")}</option>
+                <option value="86400" selected>${t("expires_1d")}</option>
+                <option value="604800">${t("expires_7d")}</option>
+                <option value="2592000">${t("expires_30d")}</option>
+              </select>
+              <input type="password" name="password" placeholder="${t("share_password_placeholder")}" autocomplete="new-password">
+              <input type="number" name="maxDownloads" min="1" placeholder="${t("max_downloads_placeholder")}">
+              <button type="submit">${t("create_link")}</button>
+            </form>
+            <div class="new-token" id="share-result"></div>
+            <table>
+              <thead>
+                <tr><th>${t("active_links")}</th><th>${t("expires_at")}</th><th>${t("downloads")}</th><th></th></tr>
+              </thead>
+              <tbody id="share-list"></tbody>
+            </table>
+            <p class="modal-hint">
+              ${t("share_hint")}
+            </p>
+          </div>
+        </div>
+
+        <div class="modal-overlay" id="details-modal">
+          <div class="modal">
+            <h2>${t("file_details")} <button type="button" onclick="closeDetails()">×</button></h2>
+            <p class="modal-hint" id="details-file"></p>
+            <table>
+              <tbody id="details-info"></tbody>
+            </table>
+            <form id="details-form">
+              <input type="text" name="cacheControl" placeholder="${t("cache_control_placeholder")}">
+              <select name="disposition" title="${t("disposition")}">
+                <option value="">${t("disposition_default")}</option>
+                <option value="inline">${t("disposition_inline")}</option>
+                <option value="attachment">${t("disposition_attachment")}</option>
+              </select>
+              <input type="text" name="filename" placeholder="${t("download_filename")}">
+              <input type="text" name="description" placeholder="${t("description")}">
+              <input type="text" name="tags" placeholder="${t("tags_placeholder")}">
+              <input type="text" name="source" placeholder="${t("source")}">
+              <button type="submit">${t("save")}</button>
+            </form>
+            <p class="modal-hint">${t("metadata_hint")}</p>
+          </div>
+        </div>
+
+        <div class="modal-overlay" id="link-template-modal">
+          <div class="modal">
+            <h2>${t("custom_link_formats")} <button type="button" onclick="closeLinkTemplates()">×</button></h2>
+            <table>
+              <thead>
+                <tr><th>${t("name")}</th><th>${t("template")}</th><th></th></tr>
+              </thead>
+              <tbody id="link-template-list"></tbody>
+            </table>
+            <form id="link-template-form">
+              <input type="text" name="name" placeholder="${t("format_name_placeholder")}" required>
+              <input type="text" name="template" placeholder="${t("template_placeholder")}" required>
+              <button type="submit">${t("add")}</button>
+            </form>
+            <p class="modal-hint">${t("placeholders_hint")}</p>
+          </div>
+        </div>
+
+        <div class="toast" id="toast"></div>
+
+        <!-- 修改预览遮罩层结构 -->
+        <div class="preview-overlay" id="preview-overlay">
+          <div class="preview-image-container">
+            <img class="preview-image" id="preview-image" src="" alt="${t("preview_alt")}">
+            <a id="preview-link" href="" target="_blank" style="display: none; color: white; text-decoration: underline; margin-top: 1rem;"></a>
+          </div>
+          <div class="preview-links" id="preview-links"></div>
+          <button class="preview-close" onclick="closePreview()">×</button>
+        </div>
+
+        <script>
+          // 页面脚本使用的消息，占位符 {name} 由 t 的参数替换
+          const MESSAGES = ${JSON.stringify(catalog(locale).messages)};
+
+          function t(key, params = {}) {
+            const message = MESSAGES[key] || key;
+            return message.replace(/\\{(\\w+)\\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+          }
+
+          // 当前的存储配置，上传、列表和文件管理请求都带上 profile 参数
+          const PROFILE = '${profile.name}';
+          const profileSelect = document.getElementById('profile-select');
+
+          function withProfile(url) {
+            return url + (url.indexOf('?') === -1 ? '?' : '&') + 'profile=' + encodeURIComponent(PROFILE);
+          }
+
+          // 切换存储配置时重新加载页面，格式说明等按该配置的上传策略显示；
+          // 记住上次的选择，下次打开页面时自动切换
+          if (profileSelect) {
+            const saved = localStorage.getItem('storageProfile');
+            const options = Array.from(profileSelect.options).map((option) => option.value);
+            if (!new URLSearchParams(location.search).has('profile') && saved && saved !== PROFILE && options.includes(saved)) {
+              location.replace('?profile=' + encodeURIComponent(saved));
+            }
+            profileSelect.addEventListener('change', () => {
+              localStorage.setItem('storageProfile', profileSelect.value);
+              location.search = '?profile=' + encodeURIComponent(profileSelect.value);
+            });
+          }
+
+          const dropZone = document.getElementById('drop-zone');
+          const fileInput = document.getElementById('file-input');
+          const uploadForm = document.getElementById('upload-form');
+          const uploadStatus = document.getElementById('upload-status');
+          const queueList = document.getElementById('queue-list');
+          const queueToolbar = document.getElementById('queue-toolbar');
+          const queueSummary = document.getElementById('queue-summary');
+          const submitButton = uploadForm.querySelector('button[type="submit"]');
+          const galleryGrid = document.getElementById('gallery-grid');
+          const breadcrumb = document.getElementById('breadcrumb');
+          const searchInput = document.getElementById('file-search');
+          const typeSelect = document.getElementById('file-type');
+          const sortSelect = document.getElementById('file-sort');
+          const viewTabs = document.querySelectorAll('.gallery-tabs button');
+          const newFolderButton = document.getElementById('new-folder');
+          const selectionBar = document.getElementById('selection-bar');
+          const selectionCount = document.getElementById('selection-count');
+          const renameButton = document.getElementById('rename-selected');
+
+          // 已选中的文件和文件夹：键为对象键或目录前缀
+          const selection = new Map();
+
+          let lastUploadTime = 0;
+
+          // 文件列表状态：recent 为整个存储桶最近上传，browse 按目录浏览
+          const listState = {
+            view: 'recent',
+            prefix: '',
+            cursor: null,
+            loading: false,
+            // 每次重新加载时递增，丢弃过期请求的结果
+            generation: 0
+          };
+
+          fileInput.addEventListener('change', () => {
+            enqueueFiles(fileInput.files);
+            // 清空后可以再次选择同一个文件
+            fileInput.value = '';
+          });
+
+          dropZone.addEventListener('click', () => fileInput.click());
+
+          dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = '#667eea';
+          });
+
+          dropZone.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = '#cbd5e0';
+          });
+
+          dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = '#cbd5e0';
+            enqueueFiles(e.dataTransfer.files);
+          });
+
+          function formatSize(bytes) {
+            const units = ['B', 'KB', 'MB', 'GB'];
+            let i = 0;
+            while (bytes >= 1024 && i < units.length - 1) {
+              bytes /= 1024;
+              i++;
+            }
+            return bytes.toFixed(i ? 1 : 0) + ' ' + units[i];
+          }
+
+          function createFolderItem(folder) {
+            const item = document.createElement('div');
+            item.className = 'gallery-item folder';
+            item.title = folder.name;
+            item.textContent = '📁';
+            const caption = document.createElement('div');
+            caption.className = 'file-caption';
+            caption.textContent = folder.name;
+            item.appendChild(caption);
+            item.appendChild(createSelectBox(item, folder.prefix, { folder: true, name: folder.name }));
+            item.addEventListener('click', () => openFolder(folder.prefix));
+            return item;
+          }
+
+          function createFileItem(file) {
+            const item = document.createElement('div');
+            item.className = 'gallery-item ' + file.type;
+            item.title = file.name + ' (' + formatSize(file.size) + ')';
+
+            if (file.type === 'image') {
+              const img = document.createElement('img');
+              // 有缩略图时只加载缩略图，对象键不会重复，无需防缓存参数
+              img.src = file.variants.thumb || file.url;
+              img.loading = 'lazy';
+              img.alt = file.name;
+              item.appendChild(img);
+            } else if (file.type === 'video') {
+              const video = document.createElement('video');
+              video.src = file.url;
+              video.muted = true;
+              video.preload = 'metadata';
+              item.appendChild(video);
+            } else {
+              item.appendChild(document.createTextNode('📄'));
+            }
+
+            const caption = document.createElement('div');
+            caption.className = 'file-caption';
+            caption.textContent = file.name.slice(file.name.lastIndexOf('/') + 1);
+            item.appendChild(caption);
+            item.appendChild(createSelectBox(item, file.name, { folder: false, name: caption.textContent }));
+            item.addEventListener('click', () => showPreview(file));
+            return item;
+          }
+
+          function createSelectBox(item, key, info) {
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.className = 'select-box';
+            box.checked = selection.has(key);
+            item.classList.toggle('selected', box.checked);
+            box.addEventListener('click', (e) => e.stopPropagation());
+            box.addEventListener('change', () => {
+              if (box.checked) {
+                selection.set(key, info);
+              } else {
+                selection.delete(key);
+              }
+              item.classList.toggle('selected', box.checked);
+              updateSelectionBar();
+            });
+            return box;
+          }
+
+          function updateSelectionBar() {
+            selectionBar.classList.toggle('active', selection.size > 0);
+            galleryGrid.classList.toggle('selecting', selection.size > 0);
+            selectionCount.textContent = t('selected_count', { count: selection.size });
+            renameButton.disabled = selection.size !== 1;
+          }
+
+          function clearSelection() {
+            selection.clear();
+            galleryGrid.querySelectorAll('.select-box').forEach((box) => {
+              box.checked = false;
+              box.parentElement.classList.remove('selected');
+            });
+            updateSelectionBar();
+          }
+
+          async function postJson(url, body) {
+            const response = await fetch(url, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+            return result;
+          }
+
+          // 显示批量操作结果，失败的对象逐个列出
+          function showOperationResult(action, results) {
+            const failed = results.filter((item) => !item.ok);
+            uploadStatus.className = failed.length ? 'error' : 'success';
+            uploadStatus.textContent = t('operation_done', { action, ok: results.length - failed.length, failed: failed.length });
+            if (failed.length) {
+              const report = document.createElement('div');
+              report.className = 'operation-report';
+              report.textContent = failed.map((item) => item.key + t('with_error', { error: item.error })).join('\\n');
+              uploadStatus.appendChild(report);
+            }
+            uploadStatus.style.display = 'block';
+          }
+
+          async function runOperation(action, operation) {
+            try {
+              const results = await operation();
+              showOperationResult(action, results);
+            } catch (error) {
+              uploadStatus.className = 'error';
+              uploadStatus.textContent = t('operation_failed', { action, error: error.message });
+              uploadStatus.style.display = 'block';
+            }
+            clearSelection();
+            loadFiles();
+            loadQuota();
+          }
+
+          // 返回对象所在目录，如 a/b/c.png -> a/b/，a/b/ -> a/
+          function parentPrefix(key) {
+            const trimmed = key.endsWith('/') ? key.slice(0, -1) : key;
+            return trimmed.slice(0, trimmed.lastIndexOf('/') + 1);
+          }
+
+          function normalizeFolder(value) {
+            const folder = value.trim().replace(/^[/]+/, '');
+            return folder && !folder.endsWith('/') ? folder + '/' : folder;
+          }
+
+          document.getElementById('delete-selected').addEventListener('click', () => {
+            if (!confirm(t('confirm_delete', { count: selection.size }))) return;
+            const entries = [...selection];
+            runOperation(t('delete'), async () => {
+              const files = entries.filter(([, info]) => !info.folder).map(([key]) => key);
+              const results = files.length ? (await postJson(withProfile('/files/delete'), { keys: files })).results : [];
+              for (const [prefix, info] of entries) {
+                if (info.folder) results.push(...(await postJson(withProfile('/folders/delete'), { prefix })).results);
+              }
+              return results;
+            });
+          });
+
+          renameButton.addEventListener('click', () => {
+            const [key, info] = [...selection][0];
+            const name = prompt(t('new_name'), info.name);
+            if (!name || name === info.name) return;
+            if (name.includes('/')) {
+              alert(t('name_no_slash'));
+              return;
+            }
+            const to = parentPrefix(key) + name + (info.folder ? '/' : '');
+            runOperation(t('rename'), async () => (await postJson(withProfile('/files/move'), { moves: [{ from: key, to }] })).results);
+          });
+
+          document.getElementById('move-selected').addEventListener('click', () => {
+            const value = prompt(t('move_prompt'), listState.prefix);
+            if (value === null) return;
+            const folder = normalizeFolder(value);
+            const moves = [...selection].map(([key, info]) => ({
+              from: key,
+              to: folder + info.name + (info.folder ? '/' : '')
+            }));
+            if (!confirm(t('confirm_move', { count: moves.length, folder: folder || t('root') }))) return;
+            runOperation(t('move'), async () => (await postJson(withProfile('/files/move'), { moves })).results);
+          });
+
+          document.getElementById('clear-selection').addEventListener('click', clearSelection);
+
+          newFolderButton.addEventListener('click', async () => {
+            const name = prompt(t('folder_name'));
+            if (!name) return;
+            try {
+              await postJson(withProfile('/folders'), { prefix: listState.prefix + normalizeFolder(name) });
+              loadFiles();
+            } catch (error) {
+              alert(t('create_folder_failed', { error: error.message }));
+            }
+          });
+
+          function renderBreadcrumb() {
+            breadcrumb.innerHTML = '';
+            if (listState.view !== 'browse') return;
+
+            const parts = listState.prefix.split('/').filter(Boolean);
+            const root = document.createElement('a');
+            root.textContent = t('root');
+            root.addEventListener('click', () => openFolder(''));
+            breadcrumb.appendChild(root);
+
+            parts.forEach((part, index) => {
+              breadcrumb.appendChild(document.createTextNode(' / '));
+              const link = document.createElement('a');
+              link.textContent = part;
+              link.addEventListener('click', () => openFolder(parts.slice(0, index + 1).join('/') + '/'));
+              breadcrumb.appendChild(link);
+            });
+          }
+
+          function openFolder(prefix) {
+            listState.prefix = prefix;
+            clearSelection();
+            loadFiles();
+          }
+
+          // 滚动到底部时加载下一页
+          const sentinel = document.createElement('div');
+          sentinel.className = 'gallery-sentinel';
+          const sentinelObserver = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting && listState.cursor && !listState.loading) {
+              loadMoreFiles();
+            }
+          }, { root: galleryGrid });
+          sentinelObserver.observe(sentinel);
+
+          function buildListQuery() {
+            const params = new URLSearchParams();
+            if (listState.view === 'recent') {
+              params.set('view', 'recent');
+            } else {
+              params.set('prefix', listState.prefix);
+              params.set('sort', sortSelect.value);
+            }
+            if (searchInput.value.trim()) params.set('search', searchInput.value.trim());
+            if (typeSelect.value) params.set('type', typeSelect.value);
+            params.set('limit', '24');
+            if (listState.cursor) params.set('cursor', listState.cursor);
+            return params;
+          }
+
+          // showStatus 在页面上显示重试的原因，最终失败时由调用方显示错误
+          async function fetchFilePage(generation, retryCount, showStatus) {
+            try {
+              const response = await fetch(withProfile('/list-files?' + buildListQuery()));
+              const result = await response.json();
+              if (!response.ok) throw new Error(result.error);
+              return generation === listState.generation ? result : null;
+            } catch (error) {
+              if (retryCount > 0) {
+                // 失败后延迟重试
+                if (generation === listState.generation) {
+                  showStatus(error.message ? t('load_retrying_reason', { error: error.message }) : t('load_retrying'));
+                }
+                await new Promise((resolve) => setTimeout(resolve, 500));
+                return fetchFilePage(generation, retryCount - 1, showStatus);
+              }
+              throw error;
+            }
+          }
+
+          function appendFiles(result) {
+            result.folders.forEach((folder) => galleryGrid.insertBefore(createFolderItem(folder), sentinel));
+            result.files.forEach((file) => galleryGrid.insertBefore(createFileItem(file), sentinel));
+            listState.cursor = result.nextCursor;
+            sentinel.textContent = result.nextCursor ? t('loading_more') : (result.partial ? t('partial_results') : '');
+          }
+
+          // 重新加载第一页
+          async function loadFiles(retryCount = 3) {
+            const generation = ++listState.generation;
+            listState.cursor = null;
+            listState.loading = true;
+            renderBreadcrumb();
+
+            try {
+              const result = await fetchFilePage(generation, retryCount, (text) => {
+                const message = document.createElement('div');
+                message.className = 'loading';
+                message.textContent = text;
+                galleryGrid.replaceChildren(message);
+              });
+              if (!result) return;
+
+              galleryGrid.innerHTML = '';
+              if (!result.folders.length && !result.files.length) {
+                galleryGrid.innerHTML = '<div class="loading">' + t('no_files') + '</div>';
+                return;
+              }
+              galleryGrid.appendChild(sentinel);
+              appendFiles(result);
+            } catch (error) {
+              if (generation === listState.generation) {
+                // 显示服务器返回的原因，如存储凭证无效、存储桶不存在
+                const message = document.createElement('div');
+                message.className = 'loading';
+                message.textContent = error.message ? t('load_failed_reason', { error: error.message }) : t('load_failed');
+                galleryGrid.replaceChildren(message);
+              }
+            } finally {
+              if (generation === listState.generation) listState.loading = false;
+            }
+          }
+
+          async function loadMoreFiles() {
+            const generation = listState.generation;
+            listState.loading = true;
+            try {
+              const result = await fetchFilePage(generation, 3, (text) => {
+                sentinel.textContent = text;
+              });
+              if (result) appendFiles(result);
+            } catch (error) {
+              sentinel.textContent = error.message ? t('load_failed_reason', { error: error.message }) : t('load_failed');
+            } finally {
+              if (generation === listState.generation) listState.loading = false;
+            }
+          }
+
+          viewTabs.forEach((tab) => {
+            tab.addEventListener('click', () => {
+              viewTabs.forEach((other) => other.classList.toggle('active', other === tab));
+              listState.view = tab.dataset.view;
+              sortSelect.disabled = listState.view === 'recent';
+              newFolderButton.style.display = listState.view === 'browse' ? '' : 'none';
+              clearSelection();
+              loadFiles();
+            });
+          });
+          sortSelect.disabled = true;
+
+          let searchTimer = null;
+          searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => loadFiles(), 300);
+          });
+          typeSelect.addEventListener('change', () => loadFiles());
+          sortSelect.addEventListener('change', () => loadFiles());
+
+          // 复制链接：内置格式和服务器配置的格式由接口在 links 中返回，
+          // 自定义格式保存在本浏览器中，value 以 custom: 开头
+          const LINK_FORMATS = ${JSON.stringify(linkFormats.describe(locale))};
+          const linkFormatSelect = document.getElementById('link-format');
+          const copyOnUpload = document.getElementById('copy-on-upload');
+          const linkTemplateModal = document.getElementById('link-template-modal');
+          const linkTemplateList = document.getElementById('link-template-list');
+          const linkTemplateForm = document.getElementById('link-template-form');
+          const toast = document.getElementById('toast');
+          let linkTemplates = loadLinkTemplates();
+
+          function loadLinkTemplates() {
+            try {
+              return JSON.parse(localStorage.getItem('linkTemplates')) || [];
+            } catch (error) {
+              return [];
+            }
+          }
+
+          function allLinkFormats() {
+            return LINK_FORMATS.concat(linkTemplates.map((item) => ({ name: 'custom:' + item.name, label: item.name })));
+          }
+
+          function renderLinkFormats() {
+            const current = localStorage.getItem('linkFormat') || 'url';
+            linkFormatSelect.innerHTML = '';
+            allLinkFormats().forEach((format) => {
+              const option = document.createElement('option');
+              option.value = format.name;
+              option.textContent = format.label;
+              linkFormatSelect.appendChild(option);
+            });
+            linkFormatSelect.value = current;
+            if (linkFormatSelect.value !== current) linkFormatSelect.value = 'url';
+          }
+
+          function renderLinkTemplate(template, file) {
+            const name = file.name.slice(file.name.lastIndexOf('/') + 1);
+            const dot = name.lastIndexOf('.');
+            const values = {
+              url: file.url,
+              thumb: (file.variants && file.variants.thumb) || file.url,
+              name,
+              alt: dot > 0 ? name.slice(0, dot) : name
+            };
+            return Object.keys(values).reduce((text, key) => text.split('{' + key + '}').join(values[key]), template);
+          }
+
+          // file 为 { name, url, variants, links }，与列表接口返回的文件一致
+          function formatLink(file, format = linkFormatSelect.value) {
+            if (format.indexOf('custom:') === 0) {
+              const custom = linkTemplates.find((item) => 'custom:' + item.name === format);
+              if (custom) return renderLinkTemplate(custom.template, file);
+            }
+            return (file.links && file.links[format]) || file.url;
+          }
+
+          function showToast(message) {
+            toast.textContent = message;
+            toast.classList.add('active');
+            clearTimeout(showToast.timer);
+            showToast.timer = setTimeout(() => toast.classList.remove('active'), 1500);
+          }
+
+          async function copyText(text) {
+            try {
+              await navigator.clipboard.writeText(text);
+            } catch (error) {
+              // 非 HTTPS 页面没有剪贴板接口，改用 execCommand
+              const textarea = document.createElement('textarea');
+              textarea.value = text;
+              document.body.appendChild(textarea);
+              textarea.select();
+              const copied = document.execCommand('copy');
+              textarea.remove();
+              if (!copied) {
+                showToast(t('copy_failed'));
+                return;
+              }
+            }
+            showToast(t('copied'));
+          }
+
+          function renderLinkTemplates() {
+            linkTemplateList.innerHTML = '';
+            linkTemplates.forEach((item, index) => {
+              const row = document.createElement('tr');
+              [item.name, item.template].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+              });
+              const action = document.createElement('td');
+              const remove = document.createElement('button');
+              remove.type = 'button';
+              remove.textContent = t('delete');
+              remove.addEventListener('click', () => {
+                linkTemplates.splice(index, 1);
+                saveLinkTemplates();
+              });
+              action.appendChild(remove);
+              row.appendChild(action);
+              linkTemplateList.appendChild(row);
+            });
+          }
+
+          function saveLinkTemplates() {
+            localStorage.setItem('linkTemplates', JSON.stringify(linkTemplates));
+            renderLinkTemplates();
+            renderLinkFormats();
+            uploadQueue.forEach(renderQueueItem);
+          }
+
+          function closeLinkTemplates() {
+            linkTemplateModal.classList.remove('active');
+          }
+
+          linkTemplateForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const data = new FormData(linkTemplateForm);
+            const name = data.get('name').trim();
+            if (linkTemplates.some((item) => item.name === name)) {
+              alert(t('duplicate_format'));
+              return;
+            }
+            linkTemplates.push({ name, template: data.get('template') });
+            linkTemplateForm.reset();
+            saveLinkTemplates();
+          });
+
+          document.getElementById('open-link-templates').addEventListener('click', () => {
+            renderLinkTemplates();
+            linkTemplateModal.classList.add('active');
+          });
+
+          linkFormatSelect.addEventListener('change', () => {
+            localStorage.setItem('linkFormat', linkFormatSelect.value);
+            uploadQueue.forEach(renderQueueItem);
+          });
+
+          copyOnUpload.checked = localStorage.getItem('copyOnUpload') === 'true';
+          copyOnUpload.addEventListener('change', () => {
+            localStorage.setItem('copyOnUpload', String(copyOnUpload.checked));
+          });
+
+          renderLinkFormats();
+
+          // 修改预览相关函数
+          const previewOverlay = document.getElementById('preview-overlay');
+          const previewImage = document.getElementById('preview-image');
+          const previewLink = document.getElementById('preview-link');
+          const previewLinks = document.getElementById('preview-links');
+
+          // 图片显示预览图，其他文件只显示打开链接；底部列出各种格式的复制按钮
+          function showPreview(file) {
+            const isImage = file.type === 'image';
+            previewImage.style.display = isImage ? 'block' : 'none';
+            previewImage.src = isImage ? file.variants.preview || file.url : '';
+            previewLink.href = file.url;
+            previewLink.textContent = isImage ? t('view_original') : t('open_file', { name: file.name.slice(file.name.lastIndexOf('/') + 1) });
+            previewLink.style.display = 'block';
+
+            previewLinks.innerHTML = '';
+            const label = document.createElement('span');
+            label.textContent = t('copy');
+            previewLinks.appendChild(label);
+            allLinkFormats().forEach((format) => {
+              const button = document.createElement('button');
+              button.type = 'button';
+              button.textContent = format.label;
+              button.addEventListener('click', () => copyText(formatLink(file, format.name)));
+              previewLinks.appendChild(button);
+            });
+            const share = document.createElement('button');
+            share.type = 'button';
+            share.textContent = t('share');
+            share.addEventListener('click', () => openShare(file));
+            previewLinks.appendChild(share);
+            const details = document.createElement('button');
+            details.type = 'button';
+            details.textContent = t('details');
+            details.addEventListener('click', () => openDetails(file));
+            previewLinks.appendChild(details);
+
+            previewOverlay.classList.add('active');
+            document.body.style.overflow = 'hidden';
+          }
+
+          function closePreview() {
+            previewOverlay.classList.remove('active');
+            document.body.style.overflow = ''; // 恢复滚动
+
+            // 隐藏图片链接和名称
+            previewLink.style.display = 'none';
+          }
+
+          // 点击遮罩层关闭预览
+          previewOverlay.addEventListener('click', (e) => {
+            if (e.target === previewOverlay) {
+              closePreview();
+            }
+          });
+
+          // ESC 键关闭预览
+          document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+              closePreview();
+            }
+          });
+
+          // 断点续传：每次 PATCH 的数据块大小与服务器分片大小一致
+          const CHUNK_SIZE = ${partSize};
+          const DIRECT_UPLOAD = ${directUpload};
+          // 允许的类型及各自的大小上限，服务器还会按文件头再校验一次
+          const FILE_TYPES = ${JSON.stringify(fileTypes)};
+          const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+
+          // 用 IndexedDB 保存未完成的上传、离线时的上传和分享来的文件（连同文件本身）
+${UPLOAD_DB_SCRIPT}
+          const pendingUploads = uploadStore('pending');
+          const outbox = uploadStore('outbox');
+          const sharedFiles = uploadStore('shared');
+
+          function encodeMetadata(value) {
+            return btoa(unescape(encodeURIComponent(value)));
+          }
+
+          async function readError(response) {
+            const result = await response.json().catch(() => ({}));
+            return new Error(result.error || response.statusText);
+          }
+
+          function abortError() {
+            return new DOMException(t('upload_canceled'), 'AbortError');
+          }
+
+          // fetch 无法报告上传进度，传输文件数据时改用 XMLHttpRequest，返回类似 fetch 的响应
+          function sendRequest(method, url, { headers = {}, body, signal, onProgress } = {}) {
+            return new Promise((resolve, reject) => {
+              if (signal && signal.aborted) return reject(abortError());
+
+              const xhr = new XMLHttpRequest();
+              const onAbort = () => xhr.abort();
+              const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+
+              xhr.open(method, url);
+              for (const [name, value] of Object.entries(headers)) {
+                xhr.setRequestHeader(name, value);
+              }
+              if (onProgress) {
+                xhr.upload.onprogress = (e) => onProgress(e.loaded);
+              }
+              xhr.onload = () => {
+                cleanup();
+                resolve({
+                  ok: xhr.status >= 200 && xhr.status < 300,
+                  status: xhr.status,
+                  statusText: xhr.statusText,
+                  headers: { get: (name) => xhr.getResponseHeader(name) },
+                  json: () => Promise.resolve().then(() => JSON.parse(xhr.responseText))
+                });
+              };
+              xhr.onerror = () => {
+                cleanup();
+                reject(new TypeError(t('network_error')));
+              };
+              xhr.onabort = () => {
+                cleanup();
+                reject(abortError());
+              };
+              if (signal) signal.addEventListener('abort', onAbort);
+              xhr.send(body);
+            });
+          }
+
+          async function createUpload(file, signal) {
+            const response = await fetch(withProfile('/uploads'), {
+              method: 'POST',
+              headers: {
+                ...TUS_HEADERS,
+                'Upload-Length': String(file.size),
+                'Upload-Metadata': 'filename ' + encodeMetadata(file.name) + ',filetype ' + encodeMetadata(file.type)
+              },
+              signal
+            });
+            if (!response.ok) throw await readError(response);
+            return response.headers.get('Location');
+          }
+
+          // 查询服务器已收到的字节数，会话不存在时返回 null
+          async function getOffset(url, signal) {
+            const response = await fetch(url, { method: 'HEAD', headers: TUS_HEADERS, signal });
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(response.statusText);
+            return Number(response.headers.get('Upload-Offset'));
+          }
+
+          // onProgress 收到的是已上传的字节数
+          async function sendChunks(url, file, offset, onProgress, signal) {
+            let retries = 0;
+            while (offset < file.size) {
+              let response;
+              const start = offset;
+              try {
+                response = await sendRequest('PATCH', url, {
+                  headers: {
+                    ...TUS_HEADERS,
+                    'Upload-Offset': String(offset),
+                    'Content-Type': 'application/offset+octet-stream'
+                  },
+                  body: file.slice(offset, offset + CHUNK_SIZE),
+                  signal,
+                  onProgress: (loaded) => onProgress(start + loaded)
+                });
+              } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // 网络中断时等待后从服务器记录的偏移量继续
+                if (++retries > 5) throw error;
+                await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** retries));
+                if (signal && signal.aborted) throw abortError();
+                offset = await getOffset(url, signal).catch(() => offset);
+                if (offset === null) throw new Error(t('session_expired'));
+                onProgress(offset);
+                continue;
+              }
+              // 超过每小时的上传流量时按 Retry-After 等待后继续，需要等待太久时报错
+              if (response.status === 429) {
+                const wait = Number(response.headers.get('Retry-After')) || 60;
+                if (wait > 300) throw await readError(response);
+                await new Promise((resolve) => setTimeout(resolve, wait * 1000));
+                if (signal && signal.aborted) throw abortError();
+                continue;
+              }
+              if (!response.ok) throw await readError(response);
+
+              const next = Number(response.headers.get('Upload-Offset'));
+              if (!(next > offset)) throw new Error(t('no_data_accepted'));
+              offset = next;
+              retries = 0;
+              onProgress(offset);
+            }
+
+            const response = await fetch(url, { signal });
+            if (!response.ok) throw await readError(response);
+            return response.json();
+          }
+
+          // 预签名直传：文件不经过服务器，直接 PUT 到 R2
+          async function directUpload(item, onProgress, signal) {
+            const file = item.file;
+            const presigned = await fetch(withProfile('/presign'), {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ name: file.name, type: file.type, size: file.size }),
+              signal
+            });
+            if (!presigned.ok) throw await readError(presigned);
+            const upload = await presigned.json();
+
+            if (upload.mode === 'single') {
+              const response = await sendRequest('PUT', upload.url, {
+                headers: upload.headers,
+                body: file,
+                signal,
+                onProgress
+              });
+              if (response.status === 412) throw new Error(t('file_exists'));
+              if (!response.ok) throw new Error(t('direct_upload_failed', { status: response.status }));
+            } else {
+              // 同时上传 3 个分片，进度为各分片已上传字节数之和
+              const queue = upload.parts.slice();
+              const loaded = new Map();
+              const report = () => {
+                let total = 0;
+                for (const bytes of loaded.values()) total += bytes;
+                onProgress(total);
+              };
+              const worker = async () => {
+                for (let part = queue.shift(); part; part = queue.shift()) {
+                  const start = (part.partNumber - 1) * upload.partSize;
+                  const response = await sendRequest('PUT', part.url, {
+                    body: file.slice(start, start + upload.partSize),
+                    signal,
+                    onProgress: (bytes) => {
+                      loaded.set(part.partNumber, bytes);
+                      report();
+                    }
+                  });
+                  if (!response.ok) throw new Error(t('part_upload_failed', { part: part.partNumber, status: response.status }));
+                }
+              };
+              await Promise.all([worker(), worker(), worker()]);
+            }
+            onProgress(file.size);
+
+            const confirmed = await fetch('/confirm', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ id: upload.id }),
+              signal
+            });
+            if (!confirmed.ok) throw await readError(confirmed);
+            return confirmed.json();
+          }
+
+          // 重试时如果服务器上的会话还在，从已收到的偏移量继续
+          async function resumableUpload(item, onProgress, signal) {
+            let offset = 0;
+            if (item.url) {
+              offset = await getOffset(item.url, signal);
+              if (offset === null) {
+                await pendingUploads.remove(item.url).catch(() => {});
+                item.url = null;
+                offset = 0;
+              }
+            }
+            if (!item.url) {
+              item.url = await createUpload(item.file, signal);
+              // 保存失败（如隐私模式）不影响本次上传，只是刷新后无法续传
+              await pendingUploads.put({ url: item.url, file: item.file }).catch(() => {});
+            }
+
+            onProgress(offset);
+            const result = await sendChunks(item.url, item.file, offset, onProgress, signal);
+            await pendingUploads.remove(item.url).catch(() => {});
+            item.url = null;
+            return result;
+          }
+
+          // 上传队列：每个文件单独显示进度，可以取消、重试和移除
+          const MAX_CONCURRENT_UPLOADS = 3;
+          const uploadQueue = [];
+          let refreshTimer = null;
+
+          const QUEUE_STATUS_TEXT = {
+            ready: t('status_ready'),
+            pending: t('status_pending'),
+            queued: t('status_queued'),
+            canceled: t('status_canceled')
+          };
+
+          function enqueueFiles(files) {
+            for (const file of files) {
+              const maxSize = FILE_TYPES[file.type];
+              if (!maxSize) {
+                addQueueItem({ file, status: 'error', error: t('unsupported_type'), rejected: true });
+              } else if (file.size > maxSize) {
+                addQueueItem({ file, status: 'error', error: t('file_too_large'), rejected: true });
+              } else {
+                addQueueItem({ file, status: 'ready' });
+              }
+            }
+            updateQueue();
+          }
+
+          function addQueueItem(fields) {
+            const item = { progress: 0, url: null, controller: null, error: '', result: null, ...fields };
+
+            item.el = document.createElement('div');
+            item.el.className = 'queue-item';
+            const info = document.createElement('div');
+            info.className = 'queue-info';
+            item.nameEl = document.createElement('span');
+            item.nameEl.className = 'file-name';
+            item.nameEl.textContent = item.file.name;
+            item.nameEl.title = item.file.name;
+            const size = document.createElement('span');
+            size.className = 'queue-size';
+            size.textContent = formatSize(item.file.size);
+            info.append(item.nameEl, size);
+
+            const progress = document.createElement('div');
+            progress.className = 'queue-progress';
+            item.barEl = document.createElement('div');
+            item.barEl.className = 'queue-bar';
+            progress.appendChild(item.barEl);
+
+            item.linkEl = document.createElement('input');
+            item.linkEl.className = 'queue-link';
+            item.linkEl.readOnly = true;
+            item.linkEl.addEventListener('focus', () => item.linkEl.select());
+
+            const meta = document.createElement('div');
+            meta.className = 'queue-meta';
+            item.statusEl = document.createElement('span');
+            item.statusEl.className = 'queue-status';
+            item.actionsEl = document.createElement('span');
+            item.actionsEl.className = 'queue-actions';
+            meta.append(item.statusEl, item.actionsEl);
+
+            item.el.append(info, progress, item.linkEl, meta);
+            queueList.appendChild(item.el);
+            uploadQueue.push(item);
+            renderQueueItem(item);
+            return item;
+          }
+
+          function renderQueueItem(item) {
+            item.el.className = 'queue-item ' + item.status;
+            item.barEl.style.width = Math.floor(item.progress * 100) + '%';
+
+            if (item.status === 'uploading') {
+              item.statusEl.textContent = Math.floor(item.progress * 100) + '%';
+            } else if (item.status === 'done') {
+              item.statusEl.textContent = t('upload_done');
+            } else if (item.status === 'error') {
+              item.statusEl.textContent = t('failure_reason', { error: item.error });
+            } else {
+              item.statusEl.textContent = QUEUE_STATUS_TEXT[item.status];
+            }
+
+            const actions = [];
+            const uploaded = uploadedFile(item);
+            item.linkEl.value = uploaded ? formatLink(uploaded) : '';
+            if (uploaded) {
+              actions.push([t('copy'), () => copyText(formatLink(uploaded))]);
+              actions.push([t('view'), () => window.open(uploaded.url, '_blank')]);
+            }
+            if (['ready', 'pending', 'uploading', 'queued'].includes(item.status)) {
+              actions.push([t('cancel'), () => cancelUpload(item), 'danger']);
+            }
+            if ((item.status === 'error' && !item.rejected) || item.status === 'canceled') {
+              actions.push([t('retry'), () => retryUpload(item)]);
+            }
+            if (['ready', 'done', 'error', 'canceled'].includes(item.status)) {
+              actions.push([t('remove'), () => removeQueueItem(item)]);
+            }
+
+            item.actionsEl.textContent = '';
+            for (const [label, handler, className] of actions) {
+              const button = document.createElement('button');
+              button.type = 'button';
+              button.textContent = label;
+              if (className) button.className = className;
+              button.addEventListener('click', handler);
+              item.actionsEl.appendChild(button);
+            }
+          }
+
+          // 更新上传按钮和队列汇总
+          function updateQueue() {
+            const count = (status) => uploadQueue.filter((item) => item.status === status).length;
+            const ready = count('ready');
+            const active = count('pending') + count('uploading');
+            const queued = count('queued');
+
+            submitButton.disabled = ready === 0;
+            submitButton.textContent = ready > 0 ? t('upload_count', { count: ready }) : t('upload_files');
+
+            queueToolbar.style.display = uploadQueue.length ? 'flex' : 'none';
+            queueSummary.textContent = (active > 0
+              ? t('uploading_count', { count: active })
+              : t('queue_summary', { done: count('done'), failed: count('error') })) +
+              (queued ? t('queued_summary', { count: queued }) : '');
+          }
+
+          function pumpQueue() {
+            let active = uploadQueue.filter((item) => item.status === 'uploading').length;
+            for (const item of uploadQueue) {
+              if (active >= MAX_CONCURRENT_UPLOADS) break;
+              if (item.status === 'pending') {
+                active++;
+                startUpload(item);
+              }
+            }
+            updateQueue();
+            if (active === 0) copyUploadedLinks();
+          }
+
+          // 上传结果转换为与列表接口相同的文件信息，用于生成链接
+          function uploadedFile(item) {
+            if (item.status !== 'done' || !item.result || !item.result.fileUrl) return null;
+            return {
+              name: item.result.fileName,
+              url: item.result.fileUrl,
+              variants: item.result.variants,
+              links: item.result.links
+            };
+          }
+
+          // 一批上传全部结束后，按选择的格式把新上传文件的链接复制到剪贴板，每行一个
+          function copyUploadedLinks() {
+            const items = uploadQueue.filter((item) => item.status === 'done' && !item.copied);
+            items.forEach((item) => {
+              item.copied = true;
+            });
+            if (copyOnUpload.checked && items.length) {
+              copyText(items.map((item) => formatLink(uploadedFile(item))).join('\\n'));
+            }
+          }
+
+          async function startUpload(item) {
+            if (!navigator.onLine && canQueueOffline()) {
+              queueOffline(item);
+              return;
+            }
+            const controller = new AbortController();
+            item.controller = controller;
+            item.status = 'uploading';
+            item.error = '';
+            renderQueueItem(item);
+
+            const onProgress = (loaded) => {
+              item.progress = item.file.size ? Math.min(loaded / item.file.size, 1) : 1;
+              renderQueueItem(item);
+            };
+
+            try {
+              const send = DIRECT_UPLOAD ? directUpload : resumableUpload;
+              item.result = await send(item, onProgress, controller.signal);
+              item.status = 'done';
+              item.progress = 1;
+              scheduleRefresh();
+            } catch (error) {
+              // 取消由 cancelUpload 处理
+              if (controller.signal.aborted) return;
+              if (isNetworkError(error) && canQueueOffline()) {
+                queueOffline(item);
+              } else {
+                item.status = 'error';
+                item.error = error.message;
+              }
+            } finally {
+              if (item.controller === controller) {
+                item.controller = null;
+                renderQueueItem(item);
+              }
+              pumpQueue();
+            }
+          }
+
+          function cancelUpload(item) {
+            item.status = 'canceled';
+            if (item.outboxId) {
+              outbox.remove(item.outboxId).catch(() => {});
+              item.outboxId = null;
+            }
+            if (item.controller) {
+              item.controller.abort();
+              item.controller = null;
+            }
+            // 终止续传会话，服务器会中止分片上传
+            if (item.url) {
+              fetch(item.url, { method: 'DELETE', headers: TUS_HEADERS }).catch(() => {});
+              pendingUploads.remove(item.url).catch(() => {});
+              item.url = null;
+            }
+            item.progress = 0;
+            renderQueueItem(item);
+            pumpQueue();
+          }
+
+          function retryUpload(item) {
+            item.status = 'pending';
+            renderQueueItem(item);
+            pumpQueue();
+          }
+
+          function removeQueueItem(item) {
+            uploadQueue.splice(uploadQueue.indexOf(item), 1);
+            item.el.remove();
+            updateQueue();
+          }
+
+          document.getElementById('clear-finished').addEventListener('click', () => {
+            for (const item of uploadQueue.slice()) {
+              if (item.status === 'done' || item.status === 'canceled' || item.rejected) removeQueueItem(item);
+            }
+          });
+
+          // 多个文件连续完成时合并为一次列表刷新
+          function scheduleRefresh() {
+            lastUploadTime = Date.now();
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(() => {
+              loadFiles();
+              loadQuota();
+            }, 500);
+          }
+
+          // 上传频率、流量和存储配额的剩余额度，服务器没有设置限制时不显示
+          const quotaInfo = document.getElementById('quota-info');
+
+          async function loadQuota() {
+            if (!quotaInfo) return;
+            try {
+              const response = await fetch('/quota');
+              if (!response.ok) return;
+              const status = await response.json();
+              const parts = [];
+              if (status.quota.bytes.limit) {
+                parts.push(
+                  t('quota_storage', { used: formatSize(status.quota.bytes.used), limit: formatSize(status.quota.bytes.limit) })
+                );
+              }
+              if (status.quota.files.limit) {
+                parts.push(t('quota_files', { used: status.quota.files.used, limit: status.quota.files.limit }));
+              }
+              if (status.bytes.limit) {
+                parts.push(t('quota_hourly', { remaining: formatSize(status.bytes.remaining) }));
+              }
+              if (status.requests.limit) {
+                parts.push(t('quota_rate', { limit: status.requests.limit }));
+              }
+              quotaInfo.textContent = parts.join(' · ');
+              quotaInfo.classList.toggle('exhausted', status.quota.bytes.remaining === 0 || status.quota.files.remaining === 0);
+            } catch (error) {
+              // 额度只是提示，读取失败时保留上次的内容
+            }
+          }
+
+          // 页面加载时把上次未完成的上传放回队列继续
+          async function resumePendingUploads() {
+            const entries = await pendingUploads.all().catch(() => []);
+            for (const entry of entries) {
+              const offset = await getOffset(entry.url).catch(() => undefined);
+              if (offset === null) {
+                await pendingUploads.remove(entry.url).catch(() => {});
+                continue;
+              }
+              const item = addQueueItem({ file: entry.file, url: entry.url, status: 'pending' });
+              if (offset) item.progress = offset / entry.file.size;
+              renderQueueItem(item);
+            }
+            pumpQueue();
+          }
+
+          function startReadyUploads() {
+            for (const item of uploadQueue) {
+              if (item.status === 'ready') {
+                item.status = 'pending';
+                renderQueueItem(item);
+              }
+            }
+            pumpQueue();
+          }
+
+          uploadForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            startReadyUploads();
+          });
+
+          // 粘贴上传：Ctrl/Cmd+V 粘贴剪贴板中的文件或截图后直接上传，在输入框中粘贴文字不受影响
+          document.addEventListener('paste', (e) => {
+            const files = Array.from((e.clipboardData && e.clipboardData.files) || []);
+            if (!files.length) return;
+            e.preventDefault();
+            enqueueFiles(files.map(namePastedFile));
+            startReadyUploads();
+          });
+
+          // 剪贴板中的截图都叫 image.png，改为带有时间的名称
+          function namePastedFile(file) {
+            if (!/^image\\.\\w+$/.test(file.name)) return file;
+            const time = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+            return new File([file], 'paste-' + time + file.name.slice(file.name.indexOf('.')), { type: file.type });
+          }
+
+          // 从其他应用分享来的图片由 Service Worker 保存，打开页面后直接上传
+          async function loadSharedFiles() {
+            const entries = await sharedFiles.all().catch(() => []);
+            if (!entries.length) return;
+            await sharedFiles.clear().catch(() => {});
+            enqueueFiles(entries.map((entry) => entry.file));
+            startReadyUploads();
+          }
+
+          // 离线队列：网络不可用时上传保存到 outbox，恢复网络后由 Service Worker 发送，
+          // 页面关闭了也会发送（支持 Background Sync 的浏览器）。没有 Service Worker 时照常报错
+          function canQueueOffline() {
+            return Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+          }
+
+          // fetch 和 sendRequest 在网络错误时抛出 TypeError
+          function isNetworkError(error) {
+            return !navigator.onLine || error instanceof TypeError;
+          }
+
+          function requestFlush() {
+            if (canQueueOffline()) navigator.serviceWorker.controller.postMessage({ type: 'flush-outbox' });
+          }
+
+          async function queueOffline(item) {
+            // 续传会话在服务器上过期后自动清理，恢复网络后重新上传整个文件
+            if (item.url) {
+              pendingUploads.remove(item.url).catch(() => {});
+              item.url = null;
+            }
+            item.status = 'queued';
+            item.progress = 0;
+            item.error = '';
+            renderQueueItem(item);
+            try {
+              item.outboxId = await outbox.put({ file: item.file, profile: PROFILE, time: Date.now() });
+            } catch (error) {
+              item.status = 'error';
+              item.error = error.message;
+              renderQueueItem(item);
+              return;
+            }
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) registration.sync.register('r2-outbox').catch(() => {});
+            // 只是这次请求失败而网络还在时不会有 online 事件，直接请求发送
+            if (navigator.onLine) requestFlush();
+          }
+
+          // 页面打开时显示离线队列中的文件：上次没有发送成功的显示原因，其余等待发送
+          async function loadOutbox() {
+            const entries = await outbox.all().catch(() => []);
+            for (const entry of entries) {
+              if (entry.error) {
+                addQueueItem({ file: entry.file, status: 'error', error: entry.error });
+                await outbox.remove(entry.id).catch(() => {});
+              } else {
+                addQueueItem({ file: entry.file, status: 'queued', outboxId: entry.id });
+              }
+            }
+            updateQueue();
+            if (navigator.onLine) requestFlush();
+          }
+
+          if (navigator.serviceWorker) {
+            // Service Worker 发送离线队列中的文件后通知结果
+            navigator.serviceWorker.addEventListener('message', (e) => {
+              const message = e.data || {};
+              if (message.type !== 'outbox') return;
+              const item = uploadQueue.find((entry) => entry.outboxId === message.id);
+              if (message.ok) scheduleRefresh();
+              if (!item) return;
+              item.outboxId = null;
+              if (message.ok) {
+                item.status = 'done';
+                item.progress = 1;
+                item.result = message.result;
+              } else {
+                // 原因已经显示在队列中，失败的文件用「重试」按正常方式上传
+                outbox.remove(message.id).catch(() => {});
+                item.status = 'error';
+                item.error = message.error;
+              }
+              renderQueueItem(item);
+              pumpQueue();
+            });
+            window.addEventListener('online', requestFlush);
+          }
+
+          // API 令牌管理
+          const tokenModal = document.getElementById('token-modal');
+          const tokenList = document.getElementById('token-list');
+          const tokenForm = document.getElementById('token-form');
+          const newToken = document.getElementById('new-token');
+
+          function formatTime(time) {
+            return time ? new Date(time).toLocaleString() : '-';
+          }
+
+          async function loadTokens() {
+            const response = await fetch('/tokens');
+            const result = await response.json();
+            tokenList.innerHTML = '';
+            result.tokens.forEach((token) => {
+              const row = document.createElement('tr');
+              [token.name, token.scopes.join(', '), formatTime(token.createdAt), formatTime(token.lastUsedAt)].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+              });
+              const action = document.createElement('td');
+              if (token.revokedAt) {
+                action.textContent = t('revoked');
+              } else {
+                const revoke = document.createElement('button');
+                revoke.type = 'button';
+                revoke.textContent = t('revoke');
+                revoke.addEventListener('click', async () => {
+                  if (!confirm(t('confirm_revoke_token', { name: token.name }))) return;
+                  await fetch('/tokens/' + token.id, { method: 'DELETE' });
+                  loadTokens();
+                });
+                action.appendChild(revoke);
+              }
+              row.appendChild(action);
+              tokenList.appendChild(row);
+            });
+          }
+
+          function closeTokens() {
+            tokenModal.classList.remove('active');
+            newToken.style.display = 'none';
+          }
+
+          tokenForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = new FormData(tokenForm);
+            try {
+              const token = await postJson('/tokens', { name: data.get('name'), scopes: data.getAll('scopes') });
+              newToken.textContent = t('new_token', { token: token.token });
+              newToken.style.display = 'block';
+              tokenForm.reset();
+              loadTokens();
+            } catch (error) {
+              alert(t('create_token_failed', { error: error.message }));
+            }
+          });
+
+          // 生成的配置文件中带有一个新建的上传令牌
+          document.getElementById('download-sxcu').addEventListener('click', async () => {
+            try {
+              const response = await fetch(withProfile('/integrations/sharex.sxcu'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ origin: location.origin }),
+              });
+              if (!response.ok) throw new Error((await response.json()).error);
+              const link = document.createElement('a');
+              link.href = URL.createObjectURL(await response.blob());
+              link.download = 'r2-upload-' + location.host.split(':').join('_') + '.sxcu';
+              link.click();
+              URL.revokeObjectURL(link.href);
+              loadTokens();
+            } catch (error) {
+              alert(t('sharex_config_failed', { error: error.message }));
+            }
+          });
+
+          // 分享链接
+          const shareModal = document.getElementById('share-modal');
+          const shareForm = document.getElementById('share-form');
+          const shareResult = document.getElementById('share-result');
+          const shareList = document.getElementById('share-list');
+          let shareKey = null;
+
+          function openShare(file) {
+            shareKey = file.name;
+            document.getElementById('share-file').textContent = file.name;
+            shareResult.style.display = 'none';
+            shareForm.reset();
+            closePreview();
+            shareModal.classList.add('active');
+            loadShares();
+          }
+
+          function closeShare() {
+            shareModal.classList.remove('active');
+          }
+
+          async function loadShares() {
+            const response = await fetch(withProfile('/shares?key=' + encodeURIComponent(shareKey)));
+            const result = await response.json();
+            shareList.innerHTML = '';
+            result.shares.forEach((share) => {
+              const row = document.createElement('tr');
+              const link = document.createElement('td');
+              link.className = 'history-file';
+              link.textContent = share.url + (share.hasPassword ? t('has_password') : '');
+              const downloads = share.downloads + (share.maxDownloads ? ' / ' + share.maxDownloads : '');
+              row.appendChild(link);
+              [formatTime(share.expiresAt), downloads].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+              });
+              const actions = document.createElement('td');
+              const copy = document.createElement('button');
+              copy.type = 'button';
+              copy.textContent = t('copy');
+              copy.addEventListener('click', () => copyText(share.url));
+              const revoke = document.createElement('button');
+              revoke.type = 'button';
+              revoke.textContent = t('withdraw');
+              revoke.addEventListener('click', async () => {
+                await fetch('/shares/' + share.id, { method: 'DELETE' });
+                loadShares();
+              });
+              actions.append(copy, revoke);
+              row.appendChild(actions);
+              shareList.appendChild(row);
+            });
+          }
+
+          shareForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = new FormData(shareForm);
+            try {
+              const share = await postJson(withProfile('/shares'), {
+                key: shareKey,
+                mode: data.get('mode'),
+                expiresIn: Number(data.get('expiresIn')),
+                password: data.get('password') || undefined,
+                maxDownloads: Number(data.get('maxDownloads')) || undefined,
+              });
+              shareResult.textContent = t('share_link_copied', { url: share.url });
+              shareResult.style.display = 'block';
+              copyText(share.url);
+              loadShares();
+            } catch (error) {
+              alert(t('create_share_failed', { error: error.message }));
+            }
+          });
+
+          // 文件详情和元数据
+          const detailsModal = document.getElementById('details-modal');
+          const detailsForm = document.getElementById('details-form');
+          const detailsInfo = document.getElementById('details-info');
+          let detailsKey = null;
+
+          function metadataUrl(key) {
+            return withProfile('/metadata/' + key.split('/').map(encodeURIComponent).join('/'));
+          }
+
+          function showDetails(details) {
+            detailsInfo.innerHTML = '';
+            [
+              [t('size'), formatSize(details.size)],
+              [t('type'), details.type || '-'],
+              [t('modified'), formatTime(details.lastModified)],
+              ['ETag', details.etag || '-'],
+              ['Cache-Control', details.cacheControl || '-'],
+              [t('disposition'), details.disposition ? details.disposition.type : '-'],
+            ].forEach(([name, value]) => {
+              const row = document.createElement('tr');
+              const label = document.createElement('th');
+              label.textContent = name;
+              const cell = document.createElement('td');
+              cell.className = 'history-file';
+              cell.textContent = value;
+              row.append(label, cell);
+              detailsInfo.appendChild(row);
+            });
+
+            const metadata = details.metadata || {};
+            detailsForm.cacheControl.value = details.cacheControl || '';
+            detailsForm.disposition.value = details.disposition ? details.disposition.type : '';
+            detailsForm.filename.value = (details.disposition && details.disposition.filename) || '';
+            detailsForm.description.value = metadata.description || '';
+            detailsForm.tags.value = (metadata.tags || []).join(', ');
+            detailsForm.source.value = metadata.source || '';
+          }
+
+          async function openDetails(file) {
+            detailsKey = file.name;
+            document.getElementById('details-file').textContent = file.name;
+            detailsInfo.innerHTML = '';
+            detailsForm.reset();
+            closePreview();
+            detailsModal.classList.add('active');
+            try {
+              const response = await fetch(metadataUrl(detailsKey));
+              const result = await response.json();
+              if (!response.ok) throw new Error(result.error);
+              showDetails(result);
+            } catch (error) {
+              alert(t('load_details_failed', { error: error.message }));
+            }
+          }
+
+          function closeDetails() {
+            detailsModal.classList.remove('active');
+          }
+
+          detailsForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = Object.fromEntries(new FormData(detailsForm));
+            try {
+              const response = await fetch(metadataUrl(detailsKey), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+              });
+              const result = await response.json();
+              if (!response.ok) throw new Error(result.error);
+              showDetails(result);
+            } catch (error) {
+              alert(t('save_metadata_failed', { error: error.message }));
+            }
+          });
+
+          // Webhook 目标和投递记录
+          const webhookModal = document.getElementById('webhook-modal');
+          const webhookList = document.getElementById('webhook-list');
+          const webhookForm = document.getElementById('webhook-form');
+          const deliveryList = document.getElementById('delivery-list');
+          const deliveryStatus = document.getElementById('delivery-status');
+          const WEBHOOK_EVENTS = {
+            upload: t('action_upload'),
+            delete: t('action_delete'),
+            move: t('action_move'),
+            ping: t('event_ping')
+          };
+          const DELIVERY_STATUS = {
+            pending: t('delivery_pending'),
+            sending: t('delivery_sending'),
+            delivered: t('delivery_delivered'),
+            failed: t('failure')
+          };
+
+          function actionButton(label, handler) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            return button;
+          }
+
+          async function loadWebhooks() {
+            const response = await fetch('/webhooks');
+            const result = await response.json();
+            webhookList.innerHTML = '';
+            result.webhooks.forEach((webhook) => {
+              const row = document.createElement('tr');
+              const url = document.createElement('td');
+              url.className = 'history-file';
+              url.textContent = webhook.url;
+              const events = document.createElement('td');
+              events.textContent = webhook.events.map((event) => WEBHOOK_EVENTS[event]).join(t('list_separator'));
+              const secret = document.createElement('td');
+              secret.appendChild(actionButton(t('copy'), () => copyText(webhook.secret)));
+              const actions = document.createElement('td');
+              actions.append(
+                actionButton(t('test'), async () => {
+                  await fetch('/webhooks/' + webhook.id + '/test', { method: 'POST' });
+                  setTimeout(loadDeliveries, 1000);
+                }),
+                actionButton(t('delete'), async () => {
+                  if (!confirm(t('confirm_delete_webhook', { url: webhook.url }))) return;
+                  await fetch('/webhooks/' + webhook.id, { method: 'DELETE' });
+                  loadWebhooks();
+                })
+              );
+              row.append(url, events, secret, actions);
+              webhookList.appendChild(row);
+            });
+          }
+
+          async function loadDeliveries() {
+            const params = new URLSearchParams();
+            if (deliveryStatus.value) params.set('status', deliveryStatus.value);
+            const response = await fetch('/webhooks/deliveries?' + params);
+            const result = await response.json();
+            deliveryList.innerHTML = '';
+            result.deliveries.forEach((delivery) => {
+              const row = document.createElement('tr');
+              let status = DELIVERY_STATUS[delivery.status];
+              if (delivery.status === 'pending' && delivery.attempts) status += t('parenthetical', { text: formatTime(delivery.nextAttemptAt) });
+              if (delivery.error) status += t('with_error', { error: delivery.error });
+              const payload = delivery.payload;
+              const file = payload.event === 'move' ? payload.from + ' → ' + payload.key : payload.key || '-';
+              [formatTime(delivery.createdAt), WEBHOOK_EVENTS[delivery.event], file, delivery.url, status, String(delivery.attempts)].forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 2 || index === 3) cell.className = 'history-file';
+                row.appendChild(cell);
+              });
+              const actions = document.createElement('td');
+              if (delivery.status !== 'sending') {
+                actions.appendChild(actionButton(t('resend'), async () => {
+                  await fetch('/webhooks/deliveries/' + delivery.id + '/retry', { method: 'POST' });
+                  setTimeout(loadDeliveries, 1000);
+                }));
+              }
+              row.appendChild(actions);
+              if (delivery.status === 'failed') row.classList.add('history-failure');
+              deliveryList.appendChild(row);
+            });
+          }
+
+          function closeWebhooks() {
+            webhookModal.classList.remove('active');
+          }
+
+          webhookForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = new FormData(webhookForm);
+            try {
+              await postJson('/webhooks', { url: data.get('url'), events: data.getAll('events') });
+              webhookForm.reset();
+              loadWebhooks();
+            } catch (error) {
+              alert(t('add_webhook_failed', { error: error.message }));
+            }
+          });
+          deliveryStatus.addEventListener('change', loadDeliveries);
+          document.getElementById('refresh-deliveries').addEventListener('click', loadDeliveries);
+          document.getElementById('open-webhooks').addEventListener('click', () => {
+            webhookModal.classList.add('active');
+            loadWebhooks();
+            loadDeliveries();
+          });
+
+          // 上传记录，鼠标悬停在一行上显示原始文件名、类型、哈希和存储配置
+          const historyModal = document.getElementById('history-modal');
+          const historyList = document.getElementById('history-list');
+          const historyFilters = document.getElementById('history-filters');
+          const historySummary = document.getElementById('history-summary');
+          const historyMore = document.getElementById('history-more');
+          const HISTORY_ACTIONS = {
+            upload: t('action_upload'),
+            delete: t('action_delete'),
+            move: t('action_move'),
+            share: t('action_share')
+          };
+          let historyOffset = 0;
+
+          function historyRow(entry) {
+            const row = document.createElement('tr');
+            const cells = [
+              formatTime(entry.time),
+              HISTORY_ACTIONS[entry.action] + (entry.source ? t('parenthetical', { text: entry.source }) : ''),
+              entry.action === 'move' ? entry.from + ' → ' + entry.key : entry.key || entry.name || '-',
+              entry.size ? formatSize(entry.size) : '-',
+              entry.user || '-',
+              entry.ip || '-',
+              entry.outcome === 'success' ? (entry.duplicate ? t('success_duplicate') : t('success')) : t('failure_reason', { error: entry.error }),
+            ];
+            cells.forEach((text, index) => {
+              const cell = document.createElement('td');
+              cell.textContent = text;
+              if (index === 2) cell.className = 'history-file';
+              row.appendChild(cell);
+            });
+            row.title = [entry.name, entry.type, entry.hash, entry.profile].filter(Boolean).join('\\n');
+            if (entry.outcome === 'failure') row.classList.add('history-failure');
+            return row;
+          }
+
+          async function loadHistory(append) {
+            if (!append) historyOffset = 0;
+            const params = new URLSearchParams();
+            new FormData(historyFilters).forEach((value, name) => {
+              if (value) params.set(name, value);
+            });
+            params.set('offset', historyOffset);
+            try {
+              const response = await fetch('/history?' + params.toString());
+              const result = await response.json();
+              if (!response.ok) throw new Error(result.error);
+              if (!append) historyList.innerHTML = '';
+              result.entries.forEach((entry) => historyList.appendChild(historyRow(entry)));
+              historyOffset += result.entries.length;
+              historySummary.textContent = t('history_summary', { total: result.total, shown: historyOffset });
+              historyMore.style.display = historyOffset < result.total ? '' : 'none';
+            } catch (error) {
+              alert(t('load_history_failed', { error: error.message }));
+            }
+          }
+
+          function closeHistory() {
+            historyModal.classList.remove('active');
+          }
+
+          historyFilters.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadHistory(false);
+          });
+          historyMore.addEventListener('click', () => loadHistory(true));
+          document.getElementById('open-history').addEventListener('click', () => {
+            historyModal.classList.add('active');
+            loadHistory(false);
+          });
+
+          const openTokensButton = document.getElementById('open-tokens');
+          if (openTokensButton) {
+            openTokensButton.addEventListener('click', () => {
+              tokenModal.classList.add('active');
+              loadTokens();
+            });
+            document.getElementById('logout').addEventListener('click', async () => {
+              await fetch('/logout', { method: 'POST' });
+              location.reload();
+            });
+          }
+
+${LOCALE_SCRIPT}${PWA_SCRIPT}
+          // 页面加载时刷新一次
+          loadFiles();
+          loadQuota();
+          resumePendingUploads();
+          loadOutbox();
+          loadSharedFiles();
+
+          // 页面可见性改变时刷新
+          document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+              // 如果距离上次上传超过30秒，才刷新
+              if (Date.now() - lastUploadTime > 30000) {
+                loadFiles();
+              }
+            }
+          });
+        </script>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = { loginPage, renderPage };
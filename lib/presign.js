@@ -0,0 +1,262 @@
+const express = require("express");
+const { SNIFF_LENGTH } = require("./file-types");
+const { KeyTemplate, incomingKey, hashObject, commitContent } = require("./keys");
+const { objectAttributes } = require("./metadata");
+const { storageFailure } = require("./backend");
+const { logger } = require("./logger");
+const { translate, errorBody } = require("./i18n");
+
+/**
+ * 预签名直传接口：服务器只负责校验和签名，文件由浏览器直接上传到 R2。
+ *
+ *   POST /presign   { name, type, size, keyTemplate?, cacheControl?, disposition?, description?, tags?, source? }
+ *                   -> 单个 PUT 地址和需要带上的请求头，或大文件的分片 PUT 地址列表
+ *   POST /confirm   { id } -> 合并分片（如有），校验对象大小、类型和文件头后返回访问地址
+ *
+ * 浏览器直传需要在 R2 存储桶上配置允许本站来源 PUT 的 CORS 规则，设置了
+ * Cache-Control、Content-Disposition 或自定义元数据时还要允许对应的请求头。对象以
+ * If-None-Match 条件写入，键已存在时上传失败而不是覆盖。文件不经过服务器，
+ * 对象键模板包含内容哈希时先上传到临时位置，确认时读取整个对象计算哈希后再
+ * 移动到最终位置。存储后端不支持预签名（local）时返回 501。
+ *
+ * @param {object} options
+ * @param {import("./backend").StorageBackend} options.backend
+ * @param {import("./upload-sessions")} options.sessions
+ * @param {number} options.partSize 超过该大小时使用分片上传（字节）
+ * @param {import("./file-types").TypePolicy} options.types 允许的类型和各类型的大小上限
+ * @param {number} [options.expiresIn] 签名有效期（秒）
+ * @param {import("./keys").KeyTemplate} options.keyTemplate 默认的对象键模板
+ * @param {import("./config").ObjectDefaults} [options.objectDefaults] 对象默认的元数据
+ * @param {(key: string) => string} options.publicUrl 生成访问地址
+ * @param {(key: string, variants: object) => object} [options.links] 生成复制用的各种链接格式
+ * @param {(file: { key: string, size: number, type: string }) => Promise<{ key: string, variants: object }>} [options.processUpload]
+ *   上传完成后的处理（如生成缩略图），返回处理后的对象键和派生图片的键
+ * @param {(file: { key: string, size: number, type: string }) => void} [options.onUpload] 上传完成后调用
+ * @param {(req: import("express").Request, event: object) => void} [options.audit]
+ *   记录上传结果（成功和失败的尝试），event 的字段见 lib/history.js
+ * @returns {import("express").Router}
+ */
+function createPresignRouter(options) {
+  const { backend, sessions, partSize, types } = options;
+  const expiresIn = options.expiresIn || 15 * 60;
+  const router = express.Router();
+
+  function abortSession(session) {
+    sessions.delete(session.id);
+    if (!session.uploadId) return Promise.resolve();
+    return backend.abortMultipart(session.key, session.uploadId).catch((error) => {
+      logger.error("abort multipart upload failed", { key: session.key, error });
+    });
+  }
+
+  /**
+   * 清理过期没有确认的直传：放弃未合并的分片，删除已经写入但没有经过校验和记录的
+   * 对象。只删除会话创建之后写入的对象，浏览器因键已存在而上传失败时不会误删原有文件
+   */
+  async function expireSession(session) {
+    if (session.uploadId) return abortSession(session);
+    sessions.delete(session.id);
+    try {
+      const head = await backend.head(session.key);
+      // Last-Modified 只精确到秒；没有 createdAt 的旧会话无法判断，保留对象
+      const created = session.createdAt ? Math.floor(session.createdAt / 1000) * 1000 : Infinity;
+      if (session.keyTemplate || head.lastModified.getTime() >= created) {
+        await backend.delete(session.key);
+      }
+    } catch (error) {
+      if (error.name !== "NotFound") {
+        logger.error("remove unconfirmed upload failed", { key: session.key, error });
+      }
+    }
+  }
+
+  // 定期清理没有确认的直传，避免 R2 中残留未完成的分片和未经校验的文件
+  const timer = setInterval(() => {
+    for (const session of sessions.expired()) {
+      expireSession(session);
+    }
+  }, 60 * 60 * 1000);
+  timer.unref();
+
+  function audit(req, file, fields) {
+    if (!options.audit) return;
+    options.audit(req, { action: "upload", source: "presign", name: file.name, size: file.size, type: file.type, ...fields });
+  }
+
+  router.post("/presign", express.json(), async (req, res) => {
+    const { name, type, keyTemplate } = req.body || {};
+    const size = Number(req.body && req.body.size);
+    const reject = (status, code, params) => {
+      const body = errorBody(req, code, params);
+      audit(req, { name, size, type }, { outcome: "failure", ...body });
+      res.status(status).json(body);
+    };
+
+    if (!backend.presignPut) {
+      return reject(501, "direct_upload_unsupported");
+    }
+    if (!name || typeof name !== "string") {
+      return reject(400, "name_required");
+    }
+    if (!types.isAllowed(type)) {
+      return reject(400, "unsupported_type");
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return reject(400, "invalid_size");
+    }
+    if (size > types.maxSize(type)) {
+      return reject(400, "file_too_large");
+    }
+
+    try {
+      const template = KeyTemplate.resolve(keyTemplate, options.keyTemplate);
+      const key = template.needsHash
+        ? incomingKey(name)
+        : template.render({ filename: name, type: types.normalize(type) });
+      const attributes = objectAttributes(req.body, options.objectDefaults || {}, name);
+      const fields = {
+        key,
+        size,
+        type,
+        name,
+        // 确认时才能生成键的模板
+        keyTemplate: template.needsHash ? template.source : undefined,
+        uploadId: null,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + expiresIn * 1000 + 60 * 60 * 1000,
+      };
+
+      if (size <= partSize) {
+        const { url, headers } = await backend.presignPut(key, { type, ...attributes, size, expiresIn });
+        const session = sessions.create(fields);
+        return res.json({ id: session.id, mode: "single", url, headers });
+      }
+
+      fields.uploadId = await backend.createMultipart(key, { type, ...attributes });
+
+      const parts = [];
+      for (let offset = 0, partNumber = 1; offset < size; offset += partSize, partNumber++) {
+        const url = await backend.presignPart(
+          key,
+          fields.uploadId,
+          partNumber,
+          Math.min(partSize, size - offset),
+          expiresIn
+        );
+        parts.push({ partNumber, url });
+      }
+      fields.partCount = parts.length;
+
+      const session = sessions.create(fields);
+      res.json({ id: session.id, mode: "multipart", partSize, parts });
+    } catch (error) {
+      if (error.status) {
+        return reject(error.status, error.code, error.params);
+      }
+      logger.error("presign failed", { error });
+      const failure = storageFailure(error);
+      if (failure) return reject(failure.status, failure.code);
+      reject(500, "presign_failed");
+    }
+  });
+
+  router.post("/confirm", express.json(), async (req, res) => {
+    const session = sessions.get(req.body && req.body.id);
+    if (!session || session.expiresAt <= Date.now()) {
+      return res.status(404).json(errorBody(req, "session_not_found"));
+    }
+    const reject = (status, code, params) => {
+      const body = errorBody(req, code, params);
+      audit(req, session, { outcome: "failure", ...body });
+      res.status(status).json(body);
+    };
+
+    try {
+      if (session.uploadId) {
+        const parts = await backend.listParts(session.key, session.uploadId);
+        if (parts.length !== session.partCount) {
+          return reject(400, "parts_incomplete");
+        }
+        await backend.completeMultipart(session.key, session.uploadId, parts, { ifNoneMatch: true });
+        // 分片已合并，之后重试确认时只需要检查对象
+        session.uploadId = null;
+        sessions.update(session);
+      }
+
+      const head = await backend.head(session.key);
+      sessions.delete(session.id);
+      if (head.size !== session.size || head.type !== session.type) {
+        await backend.delete(session.key);
+        return reject(400, "upload_mismatch");
+      }
+
+      // 文件没有经过服务器，读取开头的数据校验实际类型
+      const fileHeader = await readFileHeader(session.key);
+      try {
+        types.check(session.type, fileHeader);
+      } catch (error) {
+        await backend.delete(session.key);
+        return reject(400, error.code);
+      }
+
+      let key = session.key;
+      let duplicate = false;
+      let hash;
+      if (session.keyTemplate) {
+        hash = await hashObject(backend, key);
+        ({ key, duplicate } = await commitContent(backend, {
+          tempKey: key,
+          key: new KeyTemplate(session.keyTemplate).render({
+            filename: session.name,
+            type: types.normalize(session.type),
+            hash,
+          }),
+          hash,
+        }));
+      }
+
+      let variants = {};
+      if (options.processUpload && !duplicate) {
+        ({ key, variants } = await options.processUpload({ key, size: session.size, type: session.type }));
+      }
+      if (options.onUpload) options.onUpload({ key, size: session.size, type: session.type });
+      audit(req, session, { outcome: "success", key, hash, duplicate });
+
+      res.json({
+        message: translate(req.locale, "messages.upload_succeeded"),
+        fileName: key,
+        fileUrl: options.publicUrl(key),
+        duplicate,
+        variants: Object.fromEntries(
+          Object.entries(variants).map(([name, variant]) => [name, options.publicUrl(variant)])
+        ),
+        links: options.links ? options.links(key, variants) : undefined,
+      });
+    } catch (error) {
+      if (error.name === "NotFound") {
+        return reject(400, "not_uploaded");
+      }
+      if (error.name === "PreconditionFailed") {
+        abortSession(session);
+        return reject(409, "file_exists");
+      }
+      logger.error("confirm upload failed", { upload: session.id, key: session.key, error });
+      const failure = storageFailure(error);
+      if (failure) return reject(failure.status, failure.code);
+      reject(500, "confirm_failed");
+    }
+  });
+
+  async function readFileHeader(key) {
+    const object = await backend.get(key, { range: `bytes=0-${SNIFF_LENGTH - 1}` });
+    const chunks = [];
+    for await (const chunk of object.body) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  return router;
+}
+
+module.exports = { createPresignRouter };
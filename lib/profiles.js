@@ -0,0 +1,292 @@
+const fs = require("fs");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { S3Backend } = require("./s3-backend");
+const { LocalBackend } = require("./local-backend");
+const { configError } = require("./config");
+const { KeyTemplate } = require("./keys");
+const { TypePolicy } = require("./file-types");
+
+// 配置名会出现在查询参数和会话文件名中
+const PROFILE_NAME = /^[a-z0-9_-]+$/i;
+
+// Cloudflare 的账户 ID
+const ACCOUNT_ID = /^[0-9a-f]{32}$/i;
+
+// R2 的存储桶命名规则
+const BUCKET_NAME = /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/;
+
+/**
+ * @typedef {object} StorageProfile
+ * @property {string} name 配置名，请求中用 profile 参数选择
+ * @property {string} label 页面上显示的名称
+ * @property {"s3" | "local"} driver 存储后端，local 把文件保存在服务器的磁盘上
+ * @property {string} [root] local 后端保存文件的目录
+ * @property {string} endpoint S3 接口地址
+ * @property {string} region
+ * @property {boolean} forcePathStyle 使用 路径/存储桶 形式的地址（MinIO 等需要）
+ * @property {string} accessKeyId
+ * @property {string} secretAccessKey
+ * @property {string} bucket
+ * @property {string} publicUrl 文件访问地址的前缀，不以 / 结尾；私有存储桶和 local 后端不需要
+ * @property {boolean} private 存储桶不公开，文件通过服务器的 /f/ 路由访问，需要登录
+ * @property {string} serverUrl 私有存储桶的文件地址前缀（BASE_URL），为空时使用相对地址
+ * @property {boolean} isDefault 是否为默认配置，默认配置的文件地址不带 profile 参数
+ * @property {string} [allowedTypes] 允许的类型，格式同 ALLOWED_TYPES
+ * @property {number} [maxFileSizeMB] 单个文件默认的大小上限
+ * @property {string} [keyTemplate] 对象键模板
+ * @property {string} [cacheControl] 上传对象默认的 Cache-Control
+ * @property {string} [contentDisposition] 上传对象默认的 Content-Disposition：inline 或 attachment
+ * @property {object} [metadata] 上传对象默认的自定义元数据（description、tags、source）
+ */
+
+function invalidProfile(name, message) {
+  return new Error(`存储配置 ${name} 无效：${message}`);
+}
+
+/** 访问地址前缀，省略协议时默认为 https */
+function normalizeBaseUrl(value) {
+  const url = /^https?:\/\//.test(value) ? value : `https://${value}`;
+  return url.replace(/\/+$/, "");
+}
+
+function isValidUrl(value) {
+  try {
+    return Boolean(new URL(value).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function r2Endpoint(accountId) {
+  return `https://${accountId}.r2.cloudflarestorage.com`;
+}
+
+/**
+ * 没有配置文件时，由 ACCOUNT_ID、R2_BUCKET_NAME 等环境变量组成唯一的存储配置；
+ * STORAGE_DRIVER=local 时使用本地磁盘，目录为 LOCAL_STORAGE_DIR，忽略 R2 的变量
+ *
+ * @returns {StorageProfile}
+ */
+function envProfile(env) {
+  const local = env.STORAGE_DRIVER === "local";
+  return {
+    name: "default",
+    label: local ? "local" : env.R2_BUCKET_NAME || "default",
+    driver: local ? "local" : "s3",
+    root: env.LOCAL_STORAGE_DIR,
+    endpoint: r2Endpoint(env.ACCOUNT_ID),
+    region: "auto",
+    forcePathStyle: false,
+    accessKeyId: env.R2_ACCESS_KEY_ID,
+    secretAccessKey: env.R2_SECRET_ACCESS_KEY,
+    bucket: env.R2_BUCKET_NAME,
+    // R2_PUBLIC_URL 是存储桶的地址，local 后端的文件不在那里，改为通过 /f/ 访问
+    publicUrl: env.R2_PUBLIC_URL && !local ? normalizeBaseUrl(env.R2_PUBLIC_URL) : "",
+    private: env.PRIVATE_BUCKET === "true",
+  };
+}
+
+/**
+ * 检查 envProfile 使用的环境变量，返回所有问题的说明。账户 ID 或密钥填错时服务器
+ * 仍能启动，但每次上传都会失败，启动时先检查能发现的问题
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string[]}
+ */
+function checkEnvProfile(env) {
+  if (env.STORAGE_DRIVER === "local") return [];
+
+  const problems = [];
+  const missing = ["ACCOUNT_ID", "R2_ACCESS_KEY_ID", "R2_SECRET_ACCESS_KEY", "R2_BUCKET_NAME"].filter(
+    (name) => !env[name]
+  );
+  if (missing.length) {
+    problems.push(`缺少 ${missing.join("、")}；不使用 R2 时可以设置 STORAGE_DRIVER=local 把文件保存在本地目录`);
+  }
+  if (env.ACCOUNT_ID && !ACCOUNT_ID.test(env.ACCOUNT_ID)) {
+    problems.push("ACCOUNT_ID 应为 32 位十六进制的账户 ID（在 Cloudflare 控制台的 R2 页面查看），不是地址或邮箱");
+  }
+  if (env.R2_BUCKET_NAME && !BUCKET_NAME.test(env.R2_BUCKET_NAME)) {
+    problems.push("R2_BUCKET_NAME 只能包含小写字母、数字和 -，长度为 3 到 63");
+  }
+  if (!env.R2_PUBLIC_URL && env.PRIVATE_BUCKET !== "true") {
+    problems.push("缺少 R2_PUBLIC_URL（存储桶的公开访问地址）；存储桶不公开时设置 PRIVATE_BUCKET=true");
+  } else if (env.R2_PUBLIC_URL && !isValidUrl(normalizeBaseUrl(env.R2_PUBLIC_URL))) {
+    problems.push(`R2_PUBLIC_URL 不是有效的地址："${env.R2_PUBLIC_URL}"`);
+  }
+  return problems;
+}
+
+/**
+ * 检查并补全配置文件中的一项
+ *
+ * @returns {StorageProfile}
+ */
+function parseProfile(name, value) {
+  if (!PROFILE_NAME.test(name)) {
+    throw invalidProfile(name, "名称只能包含字母、数字、- 和 _");
+  }
+  const driver = value.driver || "s3";
+  if (driver !== "s3" && driver !== "local") {
+    throw invalidProfile(name, "driver 必须是 s3 或 local");
+  }
+  if (value.contentDisposition && !["inline", "attachment"].includes(value.contentDisposition)) {
+    throw invalidProfile(name, "contentDisposition 必须是 inline 或 attachment");
+  }
+  // 与环境变量一样在启动时检查，否则要到第一次上传时才报错，大小填错时还会变成没有上限
+  if (value.maxFileSizeMB !== undefined && !(Number.isFinite(value.maxFileSizeMB) && value.maxFileSizeMB > 0)) {
+    throw invalidProfile(name, "maxFileSizeMB 必须是大于 0 的数字");
+  }
+  const checks = [
+    ["allowedTypes", () => new TypePolicy(value.allowedTypes, 1)],
+    ["keyTemplate", () => new KeyTemplate(value.keyTemplate)],
+  ];
+  for (const [field, check] of checks) {
+    if (value[field] === undefined) continue;
+    if (typeof value[field] !== "string" || !value[field].trim()) {
+      throw invalidProfile(name, `${field} 必须是非空字符串`);
+    }
+    try {
+      check();
+    } catch (error) {
+      throw invalidProfile(name, `${field}：${error.message}`);
+    }
+  }
+  if (driver === "local") {
+    // 多个配置共用默认目录会互相覆盖，配置文件中必须指定
+    if (!value.root) throw invalidProfile(name, "缺少 root");
+  } else {
+    for (const field of ["bucket", "accessKeyId", "secretAccessKey"]) {
+      if (!value[field]) throw invalidProfile(name, `缺少 ${field}`);
+    }
+    if (!value.publicUrl && !value.private) {
+      throw invalidProfile(name, "缺少 publicUrl，存储桶不公开时设置 private: true");
+    }
+    if (!value.endpoint && !value.accountId) {
+      throw invalidProfile(name, "需要 endpoint，R2 也可以只填写 accountId");
+    }
+  }
+
+  return {
+    name,
+    label: value.label || name,
+    driver,
+    root: value.root,
+    endpoint: value.endpoint || (value.accountId ? r2Endpoint(value.accountId) : ""),
+    region: value.region || "auto",
+    forcePathStyle: Boolean(value.forcePathStyle),
+    accessKeyId: value.accessKeyId,
+    secretAccessKey: value.secretAccessKey,
+    bucket: value.bucket,
+    publicUrl: value.publicUrl ? normalizeBaseUrl(value.publicUrl) : "",
+    private: Boolean(value.private),
+    allowedTypes: value.allowedTypes,
+    maxFileSizeMB: value.maxFileSizeMB,
+    keyTemplate: value.keyTemplate,
+    cacheControl: value.cacheControl,
+    contentDisposition: value.contentDisposition,
+    metadata: value.metadata,
+  };
+}
+
+/**
+ * 读取存储配置文件，格式为
+ * { "default": "personal", "profiles": { "personal": { bucket, publicUrl, ... } } }。
+ * 文件不存在时使用环境变量中的 R2 配置，环境变量缺失或格式不对时一次列出所有问题。
+ * 配置有误时抛出错误，服务不会启动。
+ *
+ * @param {string} file 配置文件路径
+ * @param {NodeJS.ProcessEnv} env
+ * @param {object} [options]
+ * @param {boolean} [options.checkEnv] 为 false 时不检查环境变量中的 R2 配置，默认配置另外传入了存储后端时使用
+ * @returns {{ defaultProfile: string, profiles: StorageProfile[] }}
+ */
+function loadProfiles(file, env, options = {}) {
+  let defaultProfile = "default";
+  let profiles = [envProfile(env)];
+
+  if (!fs.existsSync(file)) {
+    const problems = options.checkEnv === false ? [] : checkEnvProfile(env);
+    if (problems.length) throw configError(problems);
+  } else {
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    profiles = Object.entries(config.profiles || {}).map(([name, value]) => parseProfile(name, value));
+    if (!profiles.length) {
+      throw new Error(`${file} 中没有存储配置`);
+    }
+    defaultProfile = config.default || profiles[0].name;
+    if (!profiles.some((profile) => profile.name === defaultProfile)) {
+      throw new Error(`默认存储配置 ${defaultProfile} 不存在`);
+    }
+  }
+
+  const serverUrl = env.BASE_URL ? normalizeBaseUrl(env.BASE_URL) : "";
+  for (const profile of profiles) {
+    profile.serverUrl = serverUrl;
+    profile.isDefault = profile.name === defaultProfile;
+  }
+  return { defaultProfile, profiles };
+}
+
+/**
+ * 为存储配置创建 S3 客户端
+ *
+ * @param {StorageProfile} profile
+ * @param {number} [timeout] 请求没有数据往来多久后放弃（毫秒），地址无法连接时最多等待 10 秒
+ */
+function createClient(profile, timeout = 120 * 1000) {
+  return new S3Client({
+    region: profile.region,
+    requestHandler: {
+      connectionTimeout: Math.min(timeout, 10 * 1000),
+      requestTimeout: timeout,
+    },
+    endpoint: profile.endpoint,
+    forcePathStyle: profile.forcePathStyle,
+    credentials: {
+      accessKeyId: profile.accessKeyId,
+      secretAccessKey: profile.secretAccessKey,
+    },
+    // R2 不支持新版 SDK 默认附加的分片校验和
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+  });
+}
+
+/**
+ * 为存储配置创建存储后端
+ *
+ * @param {StorageProfile} profile
+ * @param {ReturnType<import("./config").loadSettings>} settings
+ * @returns {import("./backend").StorageBackend}
+ */
+function createBackend(profile, settings) {
+  if (profile.driver === "local") {
+    return new LocalBackend({ root: profile.root || settings.localStorageDir });
+  }
+  return new S3Backend({
+    client: createClient(profile, settings.storageTimeout),
+    bucket: profile.bucket,
+    partSize: settings.partSize,
+    queueSize: settings.queueSize,
+  });
+}
+
+/**
+ * 对象的访问地址，键中的每一段分别做 URL 编码。私有存储桶的文件通过服务器的
+ * /f/ 路由访问，需要登录或有 list 权限的令牌；没有 publicUrl 的 local 后端也
+ * 通过 /f/ 访问，但不需要登录
+ *
+ * @param {StorageProfile} profile
+ * @param {string} key
+ */
+function objectUrl(profile, key) {
+  const path = key.split("/").map(encodeURIComponent).join("/");
+  if (!profile.private && profile.publicUrl) {
+    return `${profile.publicUrl}/${path}`;
+  }
+  const query = profile.isDefault ? "" : `?profile=${encodeURIComponent(profile.name)}`;
+  return `${profile.serverUrl}/f/${path}${query}`;
+}
+
+module.exports = { loadProfiles, checkEnvProfile, createClient, createBackend, objectUrl, normalizeBaseUrl };
@@ -0,0 +1,257 @@
+const express = require("express");
+const sharp = require("sharp");
+const { translate } = require("./i18n");
+
+// 应用图标：渐变背景上的上传箭头，PNG 由 sharp 按需生成（安装到主屏幕需要 192 和 512 像素的 PNG）
+const ICON_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#667eea"/>
+      <stop offset="1" stop-color="#764ba2"/>
+    </linearGradient>
+  </defs>
+  <rect width="512" height="512" rx="96" fill="url(#bg)"/>
+  <path d="M256 120 L368 240 H296 V352 H216 V240 H144 Z" fill="#fff"/>
+  <rect x="144" y="376" width="224" height="32" rx="16" fill="#fff"/>
+</svg>
+`;
+const ICON_SIZES = [192, 512];
+
+/**
+ * 页面和 Service Worker 共用的 IndexedDB 数据库：
+ *
+ *   pending  断点续传的会话（连同文件本身），刷新页面后自动续传
+ *   outbox   离线时的上传，恢复网络后由 Service Worker 发送
+ *   shared   从其他应用分享来的文件，打开页面后加入上传队列
+ *
+ * 作为脚本片段插入主页面和 Service Worker，两边的版本和结构必须一致
+ */
+const UPLOAD_DB_SCRIPT = `
+          function openUploadDb() {
+            return new Promise((resolve, reject) => {
+              const request = indexedDB.open('r2-upload', 2);
+              request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('pending')) db.createObjectStore('pending', { keyPath: 'url' });
+                if (!db.objectStoreNames.contains('outbox')) {
+                  db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('shared')) db.createObjectStore('shared', { autoIncrement: true });
+              };
+              request.onsuccess = () => resolve(request.result);
+              request.onerror = () => reject(request.error);
+            });
+          }
+
+          function uploadStore(name) {
+            return {
+              async run(mode, action) {
+                const db = await openUploadDb();
+                return new Promise((resolve, reject) => {
+                  const tx = db.transaction(name, mode);
+                  const request = action(tx.objectStore(name));
+                  // 用完即关闭，否则其他页面升级数据库时会被阻塞
+                  tx.oncomplete = () => {
+                    db.close();
+                    resolve(request.result);
+                  };
+                  tx.onerror = () => {
+                    db.close();
+                    reject(tx.error);
+                  };
+                });
+              },
+              put(entry) {
+                return this.run('readwrite', (store) => store.put(entry));
+              },
+              remove(key) {
+                return this.run('readwrite', (store) => store.delete(key));
+              },
+              all() {
+                return this.run('readonly', (store) => store.getAll());
+              },
+              clear() {
+                return this.run('readwrite', (store) => store.clear());
+              }
+            };
+          }
+`;
+
+// Service Worker：接收分享的文件、离线时提供缓存的主页面、恢复网络后发送离线队列
+const SERVICE_WORKER = `
+${UPLOAD_DB_SCRIPT}
+          const outbox = uploadStore('outbox');
+          const sharedFiles = uploadStore('shared');
+          const PAGE_CACHE = 'r2-page';
+
+          self.addEventListener('install', () => self.skipWaiting());
+          self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+          self.addEventListener('fetch', (event) => {
+            const url = new URL(event.request.url);
+            if (url.origin !== location.origin) return;
+            if (event.request.method === 'POST' && url.pathname === '/share-target') {
+              event.respondWith(receiveShare(event.request));
+            } else if (event.request.mode === 'navigate' && url.pathname === '/') {
+              event.respondWith(loadPage(event.request));
+            }
+          });
+
+          // 其他应用分享来的图片先保存，再打开主页面，由页面加入上传队列；未登录时登录后再上传
+          async function receiveShare(request) {
+            const data = await request.formData();
+            for (const file of data.getAll('files')) {
+              if (file instanceof File) await sharedFiles.put({ file, time: Date.now() });
+            }
+            return Response.redirect('/', 303);
+          }
+
+          // 主页面优先从网络获取，离线时使用上次的缓存，页面中新的上传进入离线队列
+          async function loadPage(request) {
+            const cache = await caches.open(PAGE_CACHE);
+            try {
+              const response = await fetch(request);
+              if (response.ok) await cache.put('/', response.clone());
+              return response;
+            } catch (error) {
+              const cached = await cache.match('/');
+              if (cached) return cached;
+              throw error;
+            }
+          }
+
+          async function notify(message) {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach((client) => client.postMessage(message));
+          }
+
+          // 逐个发送离线队列中的文件，结果通知打开的页面。网络仍不可用、登录过期、超过上传频率
+          // 或存储暂时出错时停止，剩下的文件等下次触发再发送
+          async function sendOutbox() {
+            for (const entry of await outbox.all()) {
+              if (entry.error) continue;
+              const body = new FormData();
+              body.append('file', entry.file, entry.file.name);
+              const response = await fetch('/upload?profile=' + encodeURIComponent(entry.profile), {
+                method: 'POST',
+                body
+              });
+              if (response.status === 401 || response.status === 429 || response.status >= 500) {
+                throw new Error('upload deferred: ' + response.status);
+              }
+              const result = await response.json().catch(() => ({}));
+              if (response.ok) {
+                await outbox.remove(entry.id);
+                await notify({ type: 'outbox', id: entry.id, ok: true, result });
+              } else {
+                // 类型不符、同名文件已存在等，重试也不会成功，记下原因由页面显示
+                entry.error = result.error || response.statusText;
+                await outbox.put(entry);
+                await notify({ type: 'outbox', id: entry.id, ok: false, error: entry.error });
+              }
+            }
+          }
+
+          // 同一时间只发送一轮，避免同步事件和页面的请求重复上传
+          let flushing = null;
+
+          function flushOutbox() {
+            if (!flushing) {
+              flushing = sendOutbox().finally(() => {
+                flushing = null;
+              });
+            }
+            return flushing;
+          }
+
+          // 支持 Background Sync 的浏览器在恢复网络后触发，页面关闭了也会发送；失败时浏览器稍后重试
+          self.addEventListener('sync', (event) => {
+            if (event.tag === 'r2-outbox') event.waitUntil(flushOutbox());
+          });
+
+          // 其他浏览器由页面在打开时和恢复网络时请求发送
+          self.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'flush-outbox') event.waitUntil(flushOutbox().catch(() => {}));
+          });
+`;
+
+/**
+ * Web 应用清单，名称按请求的语言生成。share_target 让安装后的应用出现在系统的分享菜单中
+ *
+ * @param {string} locale
+ */
+function manifest(locale) {
+  return {
+    name: translate(locale, "messages.app_title"),
+    short_name: "R2",
+    description: translate(locale, "messages.app_description"),
+    lang: locale,
+    start_url: "/",
+    scope: "/",
+    display: "standalone",
+    background_color: "#667eea",
+    theme_color: "#667eea",
+    icons: [
+      { src: "/icon.svg", sizes: "any", type: "image/svg+xml" },
+      ...ICON_SIZES.map((size) => ({ src: `/icons/${size}.png`, sizes: `${size}x${size}`, type: "image/png" })),
+    ],
+    share_target: {
+      action: "/share-target",
+      method: "POST",
+      enctype: "multipart/form-data",
+      params: { files: [{ name: "files", accept: ["image/*"] }] },
+    },
+  };
+}
+
+/**
+ * 安装为应用（PWA）需要的接口，不需要登录（浏览器获取清单时不带 Cookie）：
+ *
+ *   GET  /manifest.webmanifest        应用清单
+ *   GET  /sw.js                       Service Worker
+ *   GET  /icon.svg、/icons/:size.png  应用图标
+ *   POST /share-target                分享目标。正常由 Service Worker 处理，没有 Service Worker 时
+ *                                     （如安装后还没有打开过页面）浏览器直接发到服务器，回到主页面
+ *
+ * @returns {import("express").Router}
+ */
+function createPwaRouter() {
+  const router = express.Router();
+  const icons = new Map();
+
+  router.get("/manifest.webmanifest", (req, res) => {
+    res.setHeader("Cache-Control", "no-cache");
+    res.type("application/manifest+json").send(JSON.stringify(manifest(req.locale)));
+  });
+
+  // Service Worker 每次都要检查更新，不能被缓存
+  router.get("/sw.js", (req, res) => {
+    res.setHeader("Cache-Control", "no-cache");
+    res.type("application/javascript").send(SERVICE_WORKER);
+  });
+
+  router.get("/icon.svg", (req, res) => {
+    res.setHeader("Cache-Control", "public, max-age=86400");
+    res.type("image/svg+xml").send(ICON_SVG);
+  });
+
+  router.get("/icons/:size.png", async (req, res, next) => {
+    const size = Number(req.params.size);
+    if (!ICON_SIZES.includes(size)) return next();
+    try {
+      if (!icons.has(size)) icons.set(size, sharp(Buffer.from(ICON_SVG)).resize(size, size).png().toBuffer());
+      const image = await icons.get(size);
+      res.setHeader("Cache-Control", "public, max-age=86400");
+      res.type("png").send(image);
+    } catch (error) {
+      icons.delete(size);
+      next(error);
+    }
+  });
+
+  router.post("/share-target", (req, res) => res.redirect(303, "/"));
+
+  return router;
+}
+
+module.exports = { UPLOAD_DB_SCRIPT, createPwaRouter };
@@ -0,0 +1,129 @@
+const { KeyTemplate, incomingKey, commitContent } = require("./keys");
+const { objectAttributes } = require("./metadata");
+const { storageFailure } = require("./backend");
+const { logger } = require("./logger");
+
+/**
+ * multer 存储引擎：把上传的文件流直接写入存储后端，而不是先放进内存。
+ *
+ * 写入前用文件头校验实际类型与声明的类型一致，并按类型限制大小。客户端断开
+ * 连接、文件超过大小限制、超过上传流量或存储配额（req.uploadMeter）或上传出错时
+ * 都会中止写入。
+ * collectErrors 为 true 时单个文件失败不会中断整个请求，错误码写在
+ * 该文件的 errorCode 字段里（消息的参数在 errorParams），用于批量上传逐个报告结果。
+ *
+ * 对象键由 options.keyTemplate 生成，请求可以用 keyTemplate 参数（查询参数，或
+ * 写在文件之前的表单字段）指定其他模板。键以 If-None-Match 条件写入，已存在时
+ * 报错而不是覆盖。模板包含内容哈希时文件先写入临时位置，算出哈希后再移动过去，
+ * 已有相同内容的文件时不再重复保存，file.duplicate 为 true。
+ *
+ * cacheControl、disposition、description、tags、source 字段（同样要写在文件之前）
+ * 设置对象的 Cache-Control、Content-Disposition 和自定义元数据，未提供时使用
+ * options.objectDefaults。
+ */
+class R2Storage {
+  /**
+   * @param {object} options
+   * @param {import("./backend").StorageBackend} options.backend
+   * @param {import("./keys").KeyTemplate} options.keyTemplate 默认的对象键模板
+   * @param {import("./file-types").TypePolicy} options.types 允许的类型和各类型的大小上限
+   * @param {boolean} [options.collectErrors]
+   * @param {import("./config").ObjectDefaults} [options.objectDefaults] 对象默认的元数据
+   */
+  constructor(options) {
+    this.backend = options.backend;
+    this.keyTemplate = options.keyTemplate;
+    this.types = options.types;
+    this.collectErrors = options.collectErrors;
+    this.objectDefaults = options.objectDefaults || {};
+  }
+
+  _handleFile(req, file, cb) {
+    const requested = (req.body && req.body.keyTemplate) || req.query.keyTemplate;
+    let template;
+    let attributes;
+    try {
+      template = KeyTemplate.resolve(requested, this.keyTemplate);
+      attributes = objectAttributes({ ...req.query, ...req.body }, this.objectDefaults, file.originalname);
+    } catch (error) {
+      return cb(error);
+    }
+    const type = this.types.normalize(file.mimetype);
+    const key = template.needsHash
+      ? incomingKey(file.originalname)
+      : template.render({ filename: file.originalname, type });
+    const controller = new AbortController();
+
+    // 请求在上传完成前被关闭，说明客户端断开了
+    const onClose = () => {
+      if (!req.complete) controller.abort();
+    };
+    req.on("close", onClose);
+    // 超过 limits.fileSize 时 busboy 会截断文件流，此时不能提交不完整的对象
+    file.stream.on("limit", () => controller.abort());
+    // 按实际收到的字节计量流量和配额（见 lib/limits.js），超过时中止
+    let exceeded = null;
+    if (req.uploadMeter) {
+      file.stream.on("data", (chunk) => {
+        if (exceeded) return;
+        exceeded = req.uploadMeter(chunk.length);
+        if (exceeded) controller.abort();
+      });
+    }
+
+    this.backend
+      .put(key, file.stream, {
+        type: file.mimetype,
+        ...attributes,
+        ifNoneMatch: !template.needsHash,
+        maxSize: this.types.maxSize(file.mimetype),
+        inspect: (head) => this.types.check(file.mimetype, head),
+        signal: controller.signal,
+      })
+      .then(async ({ size, etag, sha256 }) => {
+        if (!template.needsHash) return { key, size, etag, sha256 };
+        try {
+          const committed = await commitContent(this.backend, {
+            tempKey: key,
+            key: template.render({ filename: file.originalname, type, hash: sha256 }),
+            hash: sha256,
+          });
+          return { key: committed.key, size, etag, sha256, duplicate: committed.duplicate };
+        } catch (error) {
+          this.backend.delete(key).catch(() => {});
+          throw error;
+        }
+      })
+      .then((info) => cb(null, info))
+      .catch((error) => {
+        if (exceeded) error = exceeded;
+        if (!this.collectErrors) return cb(error);
+        if (error.code === "LIMIT_FILE_SIZE") {
+          return cb(null, { key, errorCode: "file_too_large" });
+        }
+        if (error.name === "InvalidFileType") {
+          return cb(null, { key, errorCode: error.code });
+        }
+        if (error === exceeded) {
+          return cb(null, { key, errorCode: error.code, errorParams: error.params });
+        }
+        if (error.name === "PreconditionFailed") {
+          return cb(null, { key, errorCode: "file_exists" });
+        }
+        logger.error("upload failed", { key, error });
+        const failure = storageFailure(error);
+        cb(null, { key, errorCode: failure ? failure.code : "upload_failed" });
+      })
+      .finally(() => req.removeListener("close", onClose));
+  }
+
+  _removeFile(req, file, cb) {
+    // 只有上传成功的对象才带有 etag，中止的分片上传已经清理过了；
+    // 重复的文件指向的是之前上传的对象，不能删除
+    if (!file.etag || file.duplicate) return cb(null);
+
+    this.backend.delete(file.key).then(() => cb(null), cb);
+  }
+}
+
+module.exports = R2Storage;
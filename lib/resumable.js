@@ -0,0 +1,444 @@
+const crypto = require("crypto");
+const express = require("express");
+const { KeyTemplate, incomingKey, hashObject, commitContent } = require("./keys");
+const { SNIFF_LENGTH } = require("./file-types");
+const { objectAttributes } = require("./metadata");
+const { storageFailure } = require("./backend");
+const { logger } = require("./logger");
+const { codedError, errorBody } = require("./i18n");
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,expiration,termination";
+
+// 所有会话暂存在内存中的尾部数据的总量上限。每个会话最多暂存不到一个分片，
+// 大量会话只上传一小段就停下时会占满内存，超过上限时不再暂存，返回 503
+const MAX_BUFFERED = 256 * 1024 * 1024;
+
+// 进程内所有断点续传接口（每个存储配置一个）暂存的字节数
+let bufferedBytes = 0;
+
+/**
+ * 断点续传接口，兼容 tus 1.0 核心协议（https://tus.io/protocols/resumable-upload）。
+ *
+ *   POST   /          创建会话，请求头 Upload-Length、Upload-Metadata（filename、filetype，
+ *                      可选 keyTemplate 指定对象键模板，cacheControl、disposition、
+ *                      description、tags、source 设置对象的元数据）
+ *   HEAD   /:id       查询当前偏移量 Upload-Offset
+ *   PATCH  /:id       从 Upload-Offset 处追加数据，Content-Type: application/offset+octet-stream
+ *   DELETE /:id       放弃上传并清理已上传的分片
+ *   GET    /:id       （扩展）返回会话状态，上传完成后包含 fileName、fileUrl
+ *
+ * 每个会话对应存储后端的一个分片上传。R2 要求除最后一片外所有分片大小相同，
+ * 所以只有凑满 partSize 的数据才会被提交，不足一片的尾部数据暂存在内存中，
+ * 和下一个 PATCH 的数据拼起来再提交；Upload-Offset 包含暂存的数据。服务重启后
+ * 暂存的数据丢失，HEAD 返回的偏移量回到已提交到存储的位置，客户端从那里续传。
+ * 分块大小为 partSize（见响应头 Upload-Part-Size）的整数倍时不需要暂存。暂存的
+ * 数据总量超过 MAX_BUFFERED 时 PATCH 返回 503 和 Retry-After，没有提交的数据丢弃，
+ * Upload-Offset 回到已提交的位置。
+ * 数据到达 Upload-Length 时自动合并分片完成上传。写入第一个分片前会用文件头
+ * 校验实际类型，与 filetype 不符时终止会话。
+ *
+ * 对象键以 If-None-Match 条件合并，不会覆盖已有对象。模板包含内容哈希时先上传
+ * 到临时位置，完成后再移动到由哈希生成的键，fileName 可能是之前上传过的相同
+ * 文件（duplicate 为 true）。
+ *
+ * @param {object} options
+ * @param {import("./backend").StorageBackend} options.backend
+ * @param {import("./upload-sessions")} options.sessions
+ * @param {number} options.partSize 分片大小（字节），不小于 5MB
+ * @param {import("./file-types").TypePolicy} options.types 允许的类型和各类型的大小上限
+ * @param {number} [options.expiresIn] 会话有效期（毫秒）
+ * @param {import("./keys").KeyTemplate} options.keyTemplate 默认的对象键模板
+ * @param {import("./config").ObjectDefaults} [options.objectDefaults] 对象默认的元数据
+ * @param {(key: string) => string} options.publicUrl 生成访问地址
+ * @param {(key: string, variants: object) => object} [options.links] 生成复制用的各种链接格式
+ * @param {(file: { key: string, size: number, type: string }) => Promise<{ key: string, variants: object }>} [options.processUpload]
+ *   上传完成后的处理（如生成缩略图），返回处理后的对象键和派生图片的键
+ * @param {(file: { key: string, size: number, type: string }) => void} [options.onUpload] 上传完成后调用
+ * @param {(req: import("express").Request, event: object) => void} [options.audit]
+ *   记录上传结果（成功和失败的尝试），event 的字段见 lib/history.js
+ * @returns {import("express").Router}
+ */
+function createResumableRouter(options) {
+  const { backend, sessions, partSize, types } = options;
+  const expiresIn = options.expiresIn || 24 * 60 * 60 * 1000;
+  const router = express.Router();
+  // 正在处理 PATCH 的会话，不写入持久化文件
+  const busy = new Set();
+  // 会话已提交分片的 SHA-256 状态。服务重启后丢失时，键需要内容哈希的会话
+  // 改为读取对象计算，其他会话不再记录哈希
+  const hashes = new Map();
+  // 会话还不够一个分片、没有提交到存储的尾部数据，紧接在 session.offset 之后
+  const pending = new Map();
+
+  /** 已经收到的字节数：已提交的分片加上暂存的尾部数据 */
+  function receivedOffset(session) {
+    const tail = pending.get(session.id);
+    return session.offset + (tail ? tail.length : 0);
+  }
+
+  /** 取出会话暂存的尾部数据，没有时返回 undefined */
+  function takeTail(session) {
+    const tail = pending.get(session.id);
+    if (tail) {
+      pending.delete(session.id);
+      bufferedBytes -= tail.length;
+    }
+    return tail;
+  }
+
+  /** 暂存会话的尾部数据，超过总量上限时不暂存并返回 false */
+  function keepTail(session, chunks, length) {
+    if (bufferedBytes + length > MAX_BUFFERED) return false;
+    pending.set(session.id, Buffer.concat(chunks, length));
+    bufferedBytes += length;
+    return true;
+  }
+
+  function audit(req, session, fields) {
+    if (!options.audit) return;
+    options.audit(req, {
+      action: "upload",
+      source: "tus",
+      name: session.metadata.filename,
+      size: session.length,
+      type: session.metadata.filetype,
+      ...fields,
+    });
+  }
+
+  // 把临时对象移动到由哈希生成的键
+  async function commitSession(session, hash) {
+    const committed = await commitContent(backend, {
+      tempKey: session.key,
+      key: new KeyTemplate(session.keyTemplate).render({
+        filename: session.metadata.filename,
+        type: types.normalize(session.metadata.filetype),
+        hash,
+      }),
+      hash,
+    });
+    session.key = committed.key;
+    session.duplicate = committed.duplicate;
+    session.keyTemplate = undefined;
+    sessions.update(session);
+  }
+
+  function abortSession(session) {
+    sessions.delete(session.id);
+    hashes.delete(session.id);
+    takeTail(session);
+    if (session.completed || !session.uploadId) return Promise.resolve();
+    return backend.abortMultipart(session.key, session.uploadId).catch((error) => {
+      logger.error("abort multipart upload failed", { key: session.key, error });
+    });
+  }
+
+  // 定期清理过期会话，避免 R2 中残留未完成的分片
+  const timer = setInterval(() => {
+    for (const session of sessions.expired()) {
+      abortSession(session);
+    }
+  }, 60 * 60 * 1000);
+  timer.unref();
+
+  router.use((req, res, next) => {
+    res.setHeader("Tus-Resumable", TUS_VERSION);
+    res.setHeader("Cache-Control", "no-store");
+    if (req.method === "OPTIONS" || req.method === "GET") return next();
+
+    if (req.get("Tus-Resumable") !== TUS_VERSION) {
+      res.setHeader("Tus-Version", TUS_VERSION);
+      return res.status(412).json(errorBody(req, "tus_version_unsupported"));
+    }
+    next();
+  });
+
+  router.options("*", (req, res) => {
+    res.setHeader("Tus-Version", TUS_VERSION);
+    res.setHeader("Tus-Extension", TUS_EXTENSIONS);
+    res.setHeader("Tus-Max-Size", String(types.largestSize));
+    res.setHeader("Upload-Part-Size", String(partSize));
+    res.status(204).end();
+  });
+
+  router.post("/", async (req, res) => {
+    const length = Number(req.get("Upload-Length"));
+    const metadata = parseMetadata(req.get("Upload-Metadata"));
+    const reject = (status, code, params) => {
+      const body = errorBody(req, code, params);
+      audit(req, { length, metadata }, { outcome: "failure", ...body });
+      res.status(status).json(body);
+    };
+
+    if (!Number.isInteger(length) || length < 0) {
+      return reject(400, "invalid_upload_length");
+    }
+    // 空文件无法校验类型
+    if (length === 0) {
+      return reject(400, "empty_file");
+    }
+    if (!metadata.filename) {
+      return reject(400, "name_required");
+    }
+    if (!types.isAllowed(metadata.filetype)) {
+      return reject(415, "unsupported_type");
+    }
+    if (length > types.maxSize(metadata.filetype)) {
+      return reject(413, "file_too_large");
+    }
+
+    try {
+      const template = KeyTemplate.resolve(metadata.keyTemplate, options.keyTemplate);
+      const key = template.needsHash
+        ? incomingKey(metadata.filename)
+        : template.render({ filename: metadata.filename, type: types.normalize(metadata.filetype) });
+      const attributes = objectAttributes(metadata, options.objectDefaults || {}, metadata.filename);
+      const fields = {
+        key,
+        // 完成后才能生成键的模板
+        keyTemplate: template.needsHash ? template.source : undefined,
+        uploadId: null,
+        length,
+        offset: 0,
+        partSize,
+        parts: [],
+        metadata,
+        completed: false,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + expiresIn,
+      };
+
+      fields.uploadId = await backend.createMultipart(key, { type: metadata.filetype, ...attributes });
+
+      const session = sessions.create(fields);
+      hashes.set(session.id, crypto.createHash("sha256"));
+      res.setHeader("Location", `${req.baseUrl}/${session.id}`);
+      res.setHeader("Upload-Expires", new Date(session.expiresAt).toUTCString());
+      res.setHeader("Upload-Part-Size", String(partSize));
+      res.status(201).end();
+    } catch (error) {
+      if (error.status) {
+        return reject(error.status, error.code, error.params);
+      }
+      logger.error("create upload session failed", { error });
+      const failure = storageFailure(error);
+      if (failure) return reject(failure.status, failure.code);
+      reject(500, "create_session_failed");
+    }
+  });
+
+  router.param("id", (req, res, next, id) => {
+    const session = sessions.get(id);
+    if (!session || session.expiresAt <= Date.now()) {
+      return res.status(404).json(errorBody(req, "session_not_found"));
+    }
+    req.uploadSession = session;
+    next();
+  });
+
+  router.head("/:id", (req, res) => {
+    const session = req.uploadSession;
+    res.setHeader("Upload-Offset", String(receivedOffset(session)));
+    res.setHeader("Upload-Length", String(session.length));
+    res.setHeader("Upload-Expires", new Date(session.expiresAt).toUTCString());
+    res.status(200).end();
+  });
+
+  function variantUrls(variants) {
+    return Object.fromEntries(
+      Object.entries(variants || {}).map(([name, key]) => [name, options.publicUrl(key)])
+    );
+  }
+
+  router.get("/:id", (req, res) => {
+    const session = req.uploadSession;
+    res.json({
+      offset: receivedOffset(session),
+      length: session.length,
+      completed: session.completed,
+      fileName: session.completed ? session.key : undefined,
+      fileUrl: session.completed ? options.publicUrl(session.key) : undefined,
+      duplicate: session.completed ? Boolean(session.duplicate) : undefined,
+      variants: session.completed ? variantUrls(session.variants) : undefined,
+      links: session.completed && options.links ? options.links(session.key, session.variants) : undefined,
+    });
+  });
+
+  router.patch("/:id", async (req, res) => {
+    const session = req.uploadSession;
+
+    if (req.get("Content-Type") !== "application/offset+octet-stream") {
+      return res.status(415).json(errorBody(req, "invalid_content_type"));
+    }
+    if (Number(req.get("Upload-Offset")) !== receivedOffset(session)) {
+      res.setHeader("Upload-Offset", String(receivedOffset(session)));
+      return res.status(409).json(errorBody(req, "offset_mismatch"));
+    }
+    if (session.completed) {
+      res.setHeader("Upload-Offset", String(session.offset));
+      return res.status(204).end();
+    }
+    // 同一会话同时只允许一个 PATCH，防止重连后旧请求和新请求交错写入
+    if (busy.has(session.id)) {
+      return res.status(423).json(errorBody(req, "upload_in_progress"));
+    }
+    busy.add(session.id);
+
+    const uploadPart = async (buffer) => {
+      const partNumber = session.parts.length + 1;
+      session.parts.push(await backend.uploadPart(session.key, session.uploadId, partNumber, buffer));
+      session.offset += buffer.length;
+      const hash = hashes.get(session.id);
+      if (hash) hash.update(buffer);
+      sessions.update(session);
+    };
+
+    // 从上次暂存的尾部数据接着拼分片。处理期间不计入偏移量，HEAD 返回已提交的位置
+    const tail = takeTail(session);
+    let chunks = tail ? [tail] : [];
+    let buffered = tail ? tail.length : 0;
+    const remaining = session.length - session.offset - buffered;
+    let received = 0;
+    // 从头开始上传、暂存的数据还不够文件头时还没有校验过文件类型
+    let inspected = session.offset > 0 || buffered >= SNIFF_LENGTH;
+
+    try {
+      // 出错时不销毁请求，以便仍能把错误响应发给客户端
+      for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+        if (received + chunk.length > remaining) {
+          throw codedError("upload_length_exceeded", {}, { status: 400 });
+        }
+        received += chunk.length;
+        // 没有 Content-Length 时按实际收到的字节计入上传流量（见 lib/limits.js）
+        const exceeded = req.uploadMeter && req.uploadMeter(chunk.length);
+        if (exceeded) throw exceeded;
+        chunks.push(chunk);
+        buffered += chunk.length;
+
+        // 分片远大于 SNIFF_LENGTH，校验一定发生在第一个分片写入之前
+        if (!inspected && (buffered >= SNIFF_LENGTH || received === remaining)) {
+          inspected = true;
+          types.check(session.metadata.filetype, Buffer.concat(chunks, buffered));
+        }
+
+        // 分片写入成功后才从缓冲中去掉，出错时缓冲仍从 session.offset 开始
+        while (buffered >= partSize) {
+          const data = Buffer.concat(chunks, buffered);
+          chunks = [data];
+          await uploadPart(data.subarray(0, partSize));
+          chunks = [data.subarray(partSize)];
+          buffered = data.length - partSize;
+        }
+      }
+
+      // 最后一片可以小于 partSize，收齐全部数据后提交并合并
+      if (session.offset + buffered === session.length) {
+        if (buffered > 0) {
+          await uploadPart(Buffer.concat(chunks, buffered));
+          chunks = [];
+          buffered = 0;
+        }
+        // 合并后 uploadId 清空，之后的步骤失败时重试不会重复合并
+        if (session.uploadId) {
+          await backend.completeMultipart(session.key, session.uploadId, session.parts, {
+            ifNoneMatch: !session.keyTemplate,
+          });
+          session.uploadId = null;
+          sessions.update(session);
+        }
+        if (hashes.has(session.id)) {
+          session.hash = hashes.get(session.id).digest("hex");
+          hashes.delete(session.id);
+        }
+        if (session.keyTemplate) {
+          await commitSession(session, session.hash || (await hashObject(backend, session.key)));
+        }
+        if (options.processUpload && !session.duplicate) {
+          const processed = await options.processUpload({
+            key: session.key,
+            size: session.length,
+            type: session.metadata.filetype,
+          });
+          session.key = processed.key;
+          session.variants = processed.variants;
+        }
+        session.completed = true;
+        sessions.update(session);
+        if (options.onUpload) options.onUpload({ key: session.key, size: session.length, type: session.metadata.filetype });
+        audit(req, session, { outcome: "success", key: session.key, hash: session.hash, duplicate: Boolean(session.duplicate) });
+      }
+
+      // 不足一片的尾部数据暂存起来，偏移量包含这部分数据
+      if (buffered > 0 && !keepTail(session, chunks, buffered)) {
+        logger.warn("resumable upload buffer full", { upload: session.id, buffered: bufferedBytes });
+        chunks = [];
+        buffered = 0;
+        throw codedError("upload_buffer_full", {}, { status: 503, retryAfter: 30 });
+      }
+      res.setHeader("Upload-Offset", String(receivedOffset(session)));
+      res.status(204).end();
+    } catch (error) {
+      // 客户端断开、超过长度或流量等错误时，已经收到的数据同样暂存，会话终止时不保留
+      if (buffered > 0 && sessions.get(session.id) && !session.completed) {
+        keepTail(session, chunks, buffered);
+      }
+      // 客户端断开时无需响应，已提交的分片保留在会话中以便续传
+      if (req.aborted || res.headersSent) return;
+      // 请求体可能还没读完，响应后直接关闭连接
+      res.setHeader("Connection", "close");
+      if (error.name === "InvalidFileType") {
+        abortSession(session);
+        const body = errorBody(req, error.code);
+        audit(req, session, { outcome: "failure", ...body });
+        return res.status(415).json(body);
+      }
+      if (error.status) {
+        const body = errorBody(req, error.code, error.params);
+        audit(req, session, { outcome: "failure", ...body });
+        if (error.retryAfter) res.setHeader("Retry-After", String(error.retryAfter));
+        res.setHeader("Upload-Offset", String(receivedOffset(session)));
+        return res.status(error.status).json(body);
+      }
+      if (error.name === "PreconditionFailed") {
+        abortSession(session);
+        const body = errorBody(req, "file_exists");
+        audit(req, session, { outcome: "failure", key: session.key, ...body });
+        return res.status(409).json(body);
+      }
+      logger.error("resumable upload failed", { upload: session.id, key: session.key, error });
+      // 会话保留，客户端可以从 Upload-Offset 处重试
+      const { status, code } = storageFailure(error) || { status: 500, code: "upload_failed" };
+      const body = errorBody(req, code);
+      audit(req, session, { outcome: "failure", ...body });
+      res.setHeader("Upload-Offset", String(receivedOffset(session)));
+      res.status(status).json(body);
+    } finally {
+      busy.delete(session.id);
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    await abortSession(req.uploadSession);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+/**
+ * 解析 tus 的 Upload-Metadata 头：逗号分隔的 "键 base64值" 列表
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(",")) {
+    const [key, value] = pair.trim().split(" ");
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+  }
+  return metadata;
+}
+
+module.exports = { createResumableRouter, parseMetadata };
@@ -0,0 +1,393 @@
+const crypto = require("crypto");
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { uploadStream } = require("./multipart");
+const { logger } = require("./logger");
+const { metrics } = require("./metrics");
+const { storageError, deleteFailure } = require("./backend");
+
+// DeleteObjects 每次最多删除 1000 个对象
+const DELETE_BATCH_SIZE = 1000;
+
+// 预签名上传时把 Content-Type 和 Content-Length 也纳入签名，浏览器无法上传与声明
+// 不符的文件；If-None-Match 保证不会覆盖已有对象
+const SIGNABLE_HEADERS = new Set(["content-type", "content-length", "if-none-match"]);
+
+/**
+ * CopySource 需要 URL 编码，但保留路径中的 /
+ */
+function copySource(bucket, key) {
+  return `${bucket}/${key.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+// S3 的错误码对应的 StorageBackend 错误名称
+const ERROR_NAMES = {
+  NoSuchKey: "NotFound",
+  NotFound: "NotFound",
+  NoSuchBucket: "BucketNotFound",
+  AccessDenied: "AccessDenied",
+  InvalidAccessKeyId: "InvalidCredentials",
+  SignatureDoesNotMatch: "InvalidCredentials",
+  ExpiredToken: "InvalidCredentials",
+  TimeoutError: "Timeout",
+  RequestTimeout: "Timeout",
+};
+
+// HEAD 请求的错误响应没有正文，只能按状态码区分
+const STATUS_NAMES = {
+  304: "NotModified",
+  401: "AccessDenied",
+  403: "AccessDenied",
+  412: "PreconditionFailed",
+  416: "InvalidRange",
+};
+
+const ERROR_MESSAGES = {
+  NotFound: "对象不存在",
+  NotModified: "对象未修改",
+  PreconditionFailed: "条件不满足",
+  InvalidRange: "请求的范围无效",
+};
+
+/**
+ * 记录 S3 请求的错误数，code 为 S3 的错误码（如 NoSuchKey、AccessDenied），没有正文的
+ * HEAD 请求为状态码，网络错误为系统错误码（如 ECONNREFUSED）
+ */
+function countError(operation, error) {
+  metrics.storageErrors.inc({ operation, code: error.name === "Error" ? error.code || "Error" : error.name });
+}
+
+/**
+ * 把 SDK 的错误转换为 StorageBackend 约定的名称，其他错误原样抛出
+ */
+function normalizeError(error) {
+  const status = error.$metadata && error.$metadata.httpStatusCode;
+  const name = ERROR_NAMES[error.name] || STATUS_NAMES[status] || (status >= 500 ? "Unavailable" : null);
+  if (!name) return error;
+  return Object.assign(storageError(name, ERROR_MESSAGES[name]), { cause: error });
+}
+
+/** ObjectAttributes 转换为 PutObject 等命令的参数 */
+function objectParams(attributes = {}) {
+  return {
+    ContentType: attributes.type,
+    CacheControl: attributes.cacheControl,
+    ContentDisposition: attributes.contentDisposition,
+    Metadata: attributes.metadata && Object.keys(attributes.metadata).length ? attributes.metadata : undefined,
+  };
+}
+
+/** 条件参数转换为 GetObject / HeadObject 的参数 */
+function conditionParams(conditions = {}) {
+  return {
+    IfNoneMatch: conditions.ifNoneMatch,
+    IfModifiedSince: conditions.ifModifiedSince,
+    IfMatch: conditions.ifMatch,
+    IfUnmodifiedSince: conditions.ifUnmodifiedSince,
+  };
+}
+
+/** HeadObject / GetObject 的结果转换为 ObjectInfo */
+function objectInfo(key, response) {
+  // 部分内容时完整的大小在 Content-Range 的 / 之后
+  const total = response.ContentRange && /\/(\d+)$/.exec(response.ContentRange);
+  return {
+    key,
+    size: total ? Number(total[1]) : response.ContentLength,
+    type: response.ContentType,
+    etag: response.ETag,
+    lastModified: response.LastModified,
+    cacheControl: response.CacheControl,
+    contentDisposition: response.ContentDisposition,
+    metadata: response.Metadata || {},
+  };
+}
+
+/**
+ * 对象的 Cache-Control、Content-Disposition 和自定义元数据在预签名的单个 PUT
+ * 上传时作为请求头发送，需要一起签名
+ */
+function attributeHeaders(attributes) {
+  const headers = {};
+  if (attributes.cacheControl) headers["Cache-Control"] = attributes.cacheControl;
+  if (attributes.contentDisposition) headers["Content-Disposition"] = attributes.contentDisposition;
+  for (const [name, value] of Object.entries(attributes.metadata || {})) {
+    headers[`x-amz-meta-${name}`] = value;
+  }
+  return headers;
+}
+
+/**
+ * Cloudflare R2 以及 MinIO 等 S3 兼容存储的后端。
+ *
+ * put 以分片上传的方式流式写入（见 lib/multipart.js），内存占用约为
+ * partSize * (queueSize + 1)；ifNoneMatch 使用 If-None-Match: * 条件写入。
+ */
+class S3Backend {
+  /**
+   * @param {object} options
+   * @param {import("@aws-sdk/client-s3").S3Client} options.client
+   * @param {string} options.bucket
+   * @param {number} [options.partSize] 分片大小（字节）
+   * @param {number} [options.queueSize] 同时上传的分片数
+   */
+  constructor(options) {
+    this.driver = "s3";
+    this.client = options.client;
+    this.bucket = options.bucket;
+    this.partSize = options.partSize;
+    this.queueSize = options.queueSize;
+  }
+
+  async send(command, options) {
+    try {
+      return await this.client.send(command, options);
+    } catch (error) {
+      countError(command.constructor.name.replace(/Command$/, ""), error);
+      throw normalizeError(error);
+    }
+  }
+
+  async put(key, body, options = {}) {
+    const params = {
+      Bucket: this.bucket,
+      Key: key,
+      ...objectParams(options),
+      IfNoneMatch: options.ifNoneMatch ? "*" : undefined,
+    };
+
+    // 图片处理等生成的小文件已经在内存中，直接写入
+    if (Buffer.isBuffer(body)) {
+      if (options.maxSize && body.length > options.maxSize) {
+        throw Object.assign(new Error("文件大小超过限制"), { code: "LIMIT_FILE_SIZE" });
+      }
+      if (options.inspect) options.inspect(body);
+      const result = await this.send(new PutObjectCommand({ ...params, Body: body }), {
+        abortSignal: options.signal,
+      });
+      const sha256 = crypto.createHash("sha256").update(body).digest("hex");
+      return { size: body.length, etag: result.ETag, sha256 };
+    }
+
+    try {
+      return await uploadStream(this.client, params, body, {
+        partSize: this.partSize,
+        queueSize: this.queueSize,
+        maxSize: options.maxSize,
+        inspect: options.inspect,
+        signal: options.signal,
+      });
+    } catch (error) {
+      // 分片上传的各个请求在 lib/multipart.js 中发出，按整个上传计数；超过大小、类型不符和
+      // 客户端中止不是 S3 的错误
+      if (error.$metadata || error.syscall || error.name === "TimeoutError") countError("Upload", error);
+      throw normalizeError(error);
+    }
+  }
+
+  async list(options = {}) {
+    const response = await this.send(
+      new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: options.prefix || undefined,
+        Delimiter: options.delimiter,
+        ContinuationToken: options.cursor || undefined,
+        MaxKeys: options.limit,
+      })
+    );
+    return {
+      objects: (response.Contents || []).map((item) => ({
+        key: item.Key,
+        size: item.Size,
+        etag: item.ETag,
+        lastModified: new Date(item.LastModified),
+      })),
+      prefixes: (response.CommonPrefixes || []).map((item) => item.Prefix),
+      cursor: response.IsTruncated ? response.NextContinuationToken : null,
+    };
+  }
+
+  async head(key, conditions) {
+    const response = await this.send(
+      new HeadObjectCommand({ Bucket: this.bucket, Key: key, ...conditionParams(conditions) })
+    );
+    return objectInfo(key, response);
+  }
+
+  async get(key, options = {}) {
+    const response = await this.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key, Range: options.range, ...conditionParams(options) })
+    );
+    return {
+      ...objectInfo(key, response),
+      body: response.Body,
+      contentLength: response.ContentLength,
+      contentRange: response.ContentRange,
+    };
+  }
+
+  async delete(key) {
+    await this.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async deleteMany(keys) {
+    const results = [];
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+      try {
+        const response = await this.send(
+          new DeleteObjectsCommand({
+            Bucket: this.bucket,
+            Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: false },
+          })
+        );
+        const errors = new Map((response.Errors || []).map((item) => [item.Key, item.Message || item.Code]));
+        for (const key of batch) {
+          results.push(
+            errors.has(key) ? { key, ok: false, code: "delete_failed", error: errors.get(key) } : { key, ok: true }
+          );
+        }
+      } catch (error) {
+        logger.error("batch delete failed", { count: batch.length, error });
+        for (const key of batch) {
+          results.push({ key, ok: false, ...deleteFailure(error) });
+        }
+      }
+    }
+    return results;
+  }
+
+  async copy(from, to, options = {}) {
+    const command = new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: to,
+      CopySource: copySource(this.bucket, from),
+      CopySourceIfMatch: options.ifMatch,
+      ...(options.replace ? { MetadataDirective: "REPLACE", ...objectParams(options.replace) } : {}),
+    });
+    if (options.ifNoneMatch) {
+      // SDK 的 CopyObject 参数中没有目标对象的 If-None-Match，直接加到请求头上
+      command.middlewareStack.add(
+        (next) => (args) => {
+          args.request.headers["if-none-match"] = "*";
+          return next(args);
+        },
+        { step: "build", name: "copyIfNoneMatch" }
+      );
+    }
+    await this.send(command);
+  }
+
+  async createMultipart(key, attributes) {
+    const created = await this.send(
+      new CreateMultipartUploadCommand({ Bucket: this.bucket, Key: key, ...objectParams(attributes) })
+    );
+    return created.UploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body, options = {}) {
+    const result = await this.send(
+      new UploadPartCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId, PartNumber: partNumber, Body: body }),
+      { abortSignal: options.signal }
+    );
+    return { partNumber, etag: result.ETag };
+  }
+
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+    do {
+      const result = await this.send(
+        new ListPartsCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId, PartNumberMarker: marker })
+      );
+      for (const part of result.Parts || []) {
+        parts.push({ partNumber: part.PartNumber, etag: part.ETag });
+      }
+      marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+    } while (marker);
+    return parts;
+  }
+
+  async completeMultipart(key, uploadId, parts, options = {}) {
+    const result = await this.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })) },
+        IfNoneMatch: options.ifNoneMatch ? "*" : undefined,
+      })
+    );
+    return { etag: result.ETag };
+  }
+
+  async abortMultipart(key, uploadId) {
+    await this.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId }));
+  }
+
+  async check() {
+    try {
+      await this.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    } catch (error) {
+      // 对 HeadBucket 来说 404 是存储桶不存在，而不是对象不存在
+      if (error.name === "NotFound") throw storageError("BucketNotFound");
+      throw error;
+    }
+  }
+
+  async presignPut(key, options) {
+    const headers = attributeHeaders(options);
+    // 自定义元数据默认会被移到地址的查询参数中，这里保留为请求头
+    const names = Object.keys(headers).map((name) => name.toLowerCase());
+    const url = await getSignedUrl(
+      this.client,
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ...objectParams(options),
+        ContentLength: options.size,
+        IfNoneMatch: "*",
+      }),
+      {
+        expiresIn: options.expiresIn,
+        signableHeaders: new Set([...SIGNABLE_HEADERS, ...names]),
+        unhoistableHeaders: new Set(names),
+      }
+    );
+    return { url, headers: { "Content-Type": options.type, "If-None-Match": "*", ...headers } };
+  }
+
+  presignPart(key, uploadId, partNumber, size, expiresIn) {
+    return getSignedUrl(
+      this.client,
+      new UploadPartCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        ContentLength: size,
+      }),
+      { expiresIn, signableHeaders: SIGNABLE_HEADERS }
+    );
+  }
+
+  presignGet(key, expiresIn) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+  }
+}
+
+module.exports = { S3Backend };
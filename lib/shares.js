@@ -0,0 +1,323 @@
+const crypto = require("crypto");
+const express = require("express");
+const { readJson, writeJson } = require("./json-file");
+const { isValidKey } = require("./objects");
+const { objectExists, sendStorageError } = require("./backend");
+const { sendObject } = require("./file-proxy");
+const { logger } = require("./logger");
+const { translate, errorBody, codedError } = require("./i18n");
+const { escapeHtml } = require("./html");
+
+// 服务器分享链接默认的和最长的有效期（秒）
+const DEFAULT_EXPIRES_IN = 24 * 60 * 60;
+const MAX_EXPIRES_IN = 365 * 24 * 60 * 60;
+// 预签名链接最长 7 天，这是 S3 签名的上限
+const MAX_PRESIGN_EXPIRES_IN = 7 * 24 * 60 * 60;
+// 同一客户端在计入下载后的这段时间内续传（拖动视频、断点续传）不再计数（毫秒）
+const RESUME_WINDOW = 60 * 60 * 1000;
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(String(password), salt, 32).toString("hex");
+}
+
+/** 开始发送时链接已经失效：等待期间过期，或并发的下载用完了次数 */
+function shareExpired() {
+  return codedError("share_expired");
+}
+
+/**
+ * 分享链接存储。
+ *
+ * 每个链接有随机 ID、过期时间，可选的访问密码（只保存 scrypt 哈希）和最多
+ * 下载次数。过期、次数用完或撤销的链接在下次创建链接时清理。计入过下载的客户端
+ * 只保存在内存中，用于判断续传，服务重启后续传会重新计数。
+ */
+class ShareStore {
+  /**
+   * @param {string} file 持久化文件路径
+   */
+  constructor(file) {
+    this.file = file;
+    this.shares = readJson(file, []);
+    // 分享链接 ID -> 客户端 -> 最近一次计入下载的时间
+    this.downloaders = new Map();
+  }
+
+  save() {
+    writeJson(this.file, this.shares);
+  }
+
+  isActive(record) {
+    return record.expiresAt > Date.now() && (!record.maxDownloads || record.downloads < record.maxDownloads);
+  }
+
+  /**
+   * @param {object} fields
+   * @param {string} fields.key 对象键
+   * @param {string} fields.profile 存储配置
+   * @param {number} fields.expiresAt 过期时间（毫秒时间戳）
+   * @param {string} [fields.password] 访问密码
+   * @param {number} [fields.maxDownloads] 最多下载次数
+   * @param {string} [fields.createdBy] 创建者
+   */
+  create(fields) {
+    const salt = fields.password ? crypto.randomBytes(16).toString("hex") : null;
+    const record = {
+      id: crypto.randomBytes(16).toString("base64url"),
+      key: fields.key,
+      profile: fields.profile,
+      expiresAt: fields.expiresAt,
+      salt,
+      passwordHash: salt ? hashPassword(fields.password, salt) : null,
+      maxDownloads: fields.maxDownloads || null,
+      downloads: 0,
+      createdBy: fields.createdBy || null,
+      createdAt: Date.now(),
+    };
+    this.shares = this.shares.filter((item) => this.isActive(item));
+    this.shares.push(record);
+    this.save();
+    return this.describe(record);
+  }
+
+  /**
+   * 没有过期和撤销的分享链接，不存在时返回 null。次数已经用完的链接也会返回，
+   * 由 claimDownload 判断是否还能续传
+   */
+  get(id) {
+    const record = this.shares.find((item) => item.id === id);
+    return record && record.expiresAt > Date.now() ? record : null;
+  }
+
+  checkPassword(record, password) {
+    if (!record.passwordHash) return true;
+    const hash = Buffer.from(hashPassword(password || "", record.salt), "hex");
+    return crypto.timingSafeEqual(hash, Buffer.from(record.passwordHash, "hex"));
+  }
+
+  /**
+   * 计入一次下载，检查剩余次数和计数在同一步完成，并发的请求不会超过最多下载次数。
+   * resume 为 true（Range 不从头开始）且同一客户端最近计入过下载时视为续传，不再计数，
+   * 次数用完后也可以继续；其他客户端的续传请求同样计数
+   *
+   * @param {object} record
+   * @param {string} client 客户端标识
+   * @param {boolean} resume
+   * @returns {boolean} 链接已经失效时返回 false，不能发送文件
+   */
+  claimDownload(record, client, resume) {
+    const now = Date.now();
+    if (record.expiresAt <= now) return false;
+    const clients = this.downloaders.get(record.id) || new Map();
+    for (const [key, time] of clients) {
+      if (time + RESUME_WINDOW <= now) clients.delete(key);
+    }
+    if (resume && clients.has(client)) return true;
+    if (!this.isActive(record)) return false;
+
+    record.downloads += 1;
+    clients.set(client, now);
+    this.downloaders.set(record.id, clients);
+    this.save();
+    return true;
+  }
+
+  revoke(id) {
+    const count = this.shares.length;
+    this.shares = this.shares.filter((item) => item.id !== id);
+    if (this.shares.length === count) return false;
+    this.downloaders.delete(id);
+    this.save();
+    return true;
+  }
+
+  /** 有效的分享链接，可以按对象键和存储配置筛选 */
+  list(filter = {}) {
+    return this.shares
+      .filter((item) => this.isActive(item))
+      .filter((item) => (!filter.key || item.key === filter.key) && (!filter.profile || item.profile === filter.profile))
+      .map((record) => this.describe(record));
+  }
+
+  /** 去掉密码哈希后的信息，可以返回给客户端 */
+  describe(record) {
+    const { salt, passwordHash, ...info } = record;
+    return { ...info, hasPassword: Boolean(passwordHash) };
+  }
+}
+
+/** 需要密码的分享链接显示的页面 */
+function passwordPage(locale, name, error) {
+  const t = (key) => escapeHtml(translate(locale, `messages.${key}`));
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t("share_title")}</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; }
+      form { background: white; padding: 2rem; border-radius: 12px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1); width: 320px; }
+      h1 { font-size: 1.1rem; margin: 0 0 1rem; word-break: break-all; }
+      input, button { width: 100%; box-sizing: border-box; padding: 0.6rem; margin-top: 0.6rem; border-radius: 6px; font-size: 1rem; }
+      input { border: 1px solid #e2e8f0; }
+      button { border: none; background: #4299e1; color: white; cursor: pointer; }
+      .error { color: #e53e3e; font-size: 0.9rem; }
+    </style>
+  </head>
+  <body>
+    <form method="post">
+      <h1>${escapeHtml(name)}</h1>
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+      <input type="password" name="password" placeholder="${t("share_password")}" autofocus required>
+      <button type="submit">${t("share_open")}</button>
+    </form>
+  </body>
+</html>`;
+}
+
+/**
+ * 分享链接接口。
+ *
+ *   POST   /shares       { key, mode, expiresIn, password, maxDownloads } 创建分享链接
+ *   GET    /shares       ?key= 列出有效的分享链接
+ *   DELETE /shares/:id   撤销
+ *   GET    /s/:id        打开分享的文件，不需要登录；有密码时先显示输入密码的页面
+ *
+ * mode 为 link（默认）时生成由服务器校验的链接，支持密码和最多下载次数，文件
+ * 经过服务器转发；为 presign 时直接生成 R2 的预签名下载地址，最长 7 天，不经过
+ * 服务器，也无法提前撤销，local 后端不支持。
+ *
+ * 创建、列出和撤销的权限由外层的认证中间件检查，创建时 req.storage 为所选的
+ * 存储配置。
+ *
+ * @param {object} options
+ * @param {ShareStore} options.shares
+ * @param {(name: string) => { backend: import("./backend").StorageBackend } | undefined} options.resolve
+ *   按名称找到存储配置
+ * @param {string} [options.baseUrl] 分享链接的地址前缀，为空时使用请求的地址
+ * @param {(req: import("express").Request, event: object) => void} [options.audit] 记录创建的分享链接
+ * @returns {import("express").Router}
+ */
+function createShareRouter(options) {
+  const { shares, resolve } = options;
+  const router = express.Router();
+
+  const shareUrl = (req, id) => `${options.baseUrl || `${req.protocol}://${req.get("host")}`}/s/${id}`;
+
+  router.post("/shares", express.json(), async (req, res) => {
+    const { key, mode = "link", password } = req.body || {};
+    const maxDownloads = Number(req.body && req.body.maxDownloads) || 0;
+    const expiresIn = Number(req.body && req.body.expiresIn) || DEFAULT_EXPIRES_IN;
+    const { backend, profile } = req.storage;
+
+    if (!isValidKey(key)) {
+      return res.status(400).json(errorBody(req, "invalid_name"));
+    }
+    if (mode !== "link" && mode !== "presign") {
+      return res.status(400).json(errorBody(req, "invalid_share_mode"));
+    }
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 0) {
+      return res.status(400).json(errorBody(req, "invalid_max_downloads"));
+    }
+    const maxExpiresIn = mode === "presign" ? MAX_PRESIGN_EXPIRES_IN : MAX_EXPIRES_IN;
+    if (expiresIn <= 0 || expiresIn > maxExpiresIn) {
+      return res.status(400).json(errorBody(req, "share_expiry_too_long", { days: maxExpiresIn / 24 / 60 / 60 }));
+    }
+    if (mode === "presign" && (password || maxDownloads)) {
+      return res.status(400).json(errorBody(req, "presign_share_options"));
+    }
+    if (mode === "presign" && !backend.presignGet) {
+      return res.status(400).json(errorBody(req, "presign_unsupported"));
+    }
+
+    try {
+      if (!(await objectExists(backend, key))) {
+        return res.status(404).json(errorBody(req, "file_not_found"));
+      }
+
+      const expiresAt = Date.now() + expiresIn * 1000;
+      let share;
+      if (mode === "presign") {
+        const url = await backend.presignGet(key, expiresIn);
+        share = { mode, key, url, expiresAt };
+      } else {
+        const record = shares.create({
+          key,
+          profile: profile.name,
+          expiresAt,
+          password,
+          maxDownloads,
+          createdBy: req.auth && req.auth.name,
+        });
+        share = { mode, ...record, url: shareUrl(req, record.id) };
+      }
+
+      if (options.audit) {
+        options.audit(req, { action: "share", outcome: "success", key, source: mode });
+      }
+      res.status(201).json(share);
+    } catch (error) {
+      logger.error("create share failed", { key, error });
+      sendStorageError(req, res, error, "share_failed");
+    }
+  });
+
+  router.get("/shares", (req, res) => {
+    const list = shares.list({ key: req.query.key, profile: req.query.profile });
+    res.json({ shares: list.map((share) => ({ ...share, url: shareUrl(req, share.id) })) });
+  });
+
+  router.delete("/shares/:id", (req, res) => {
+    if (!shares.revoke(req.params.id)) {
+      return res.status(404).json(errorBody(req, "share_not_found"));
+    }
+    res.json({ ok: true });
+  });
+
+  async function openShare(req, res) {
+    const record = shares.get(req.params.id);
+    const storage = record && resolve(record.profile);
+    if (!storage) {
+      return res.status(404).type("text/plain").send(translate(req.locale, "errors.share_expired"));
+    }
+
+    const name = record.key.slice(record.key.lastIndexOf("/") + 1);
+    if (record.passwordHash) {
+      const password = req.body && req.body.password;
+      if (!password) {
+        return res.status(401).send(passwordPage(req.locale, name));
+      }
+      if (!shares.checkPassword(record, password)) {
+        // 失败后延迟响应，降低暴力破解速度
+        const error = translate(req.locale, "errors.wrong_password");
+        return setTimeout(() => res.status(403).send(passwordPage(req.locale, name, error)), 1000);
+      }
+    }
+
+    try {
+      await sendObject(storage.backend, record.key, req, res, {
+        cacheControl: "private, no-store",
+        // 视频拖动进度条时会发出多个 Range 请求，同一客户端从中间开始的读取算作续传
+        onSend: () => {
+          const client = `${req.ip} ${req.get("User-Agent") || ""}`;
+          const resume = /^bytes=0*[1-9]/.test(req.get("Range") || "");
+          if (!shares.claimDownload(record, client, resume)) throw shareExpired();
+        },
+      });
+    } catch (error) {
+      if (error.code === "share_expired") {
+        return res.status(404).type("text/plain").send(translate(req.locale, "errors.share_expired"));
+      }
+      logger.error("read shared file failed", { share: record.id, key: record.key, error });
+      if (!res.headersSent) res.status(500).type("text/plain").send(translate(req.locale, "errors.read_failed"));
+    }
+  }
+
+  router.get("/s/:id", openShare);
+  router.post("/s/:id", express.urlencoded({ extended: false }), openShare);
+
+  return router;
+}
+
+module.exports = { ShareStore, createShareRouter };
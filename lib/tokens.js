@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./json-file");
+
+// 令牌可用的权限范围
+const SCOPES = ["upload", "list", "delete"];
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * API 令牌存储。
+ *
+ * 只保存令牌的 SHA-256 哈希，明文只在创建时返回一次；吊销的令牌保留记录
+ * 但不再能通过校验。
+ */
+class TokenStore {
+  /**
+   * @param {string} file 持久化文件路径
+   */
+  constructor(file) {
+    this.file = file;
+    this.tokens = readJson(file, []);
+  }
+
+  save() {
+    writeJson(this.file, this.tokens);
+  }
+
+  /**
+   * 创建令牌，返回的 token 字段是唯一一次能拿到的明文
+   *
+   * @param {string} name 令牌名称，用于识别上传者
+   * @param {string[]} scopes
+   */
+  create(name, scopes) {
+    const token = `r2u_${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: crypto.randomBytes(8).toString("hex"),
+      name,
+      scopes: SCOPES.filter((scope) => scopes.includes(scope)),
+      hash: hashToken(token),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    this.tokens.push(record);
+    this.save();
+    return { ...this.describe(record), token };
+  }
+
+  /**
+   * 校验明文令牌，有效时返回令牌记录
+   */
+  verify(token) {
+    const hash = Buffer.from(hashToken(token), "hex");
+    const record = this.tokens.find(
+      (item) => !item.revokedAt && crypto.timingSafeEqual(Buffer.from(item.hash, "hex"), hash)
+    );
+    if (!record) return null;
+
+    // 最后使用时间精确到分钟即可，避免每个请求都写文件
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt > 60 * 1000) {
+      record.lastUsedAt = Date.now();
+      this.save();
+    }
+    return record;
+  }
+
+  revoke(id) {
+    const record = this.tokens.find((item) => item.id === id);
+    if (!record) return false;
+    if (!record.revokedAt) {
+      record.revokedAt = Date.now();
+      this.save();
+    }
+    return true;
+  }
+
+  list() {
+    return this.tokens.map((record) => this.describe(record));
+  }
+
+  /** 去掉哈希后的令牌信息，可以返回给客户端 */
+  describe(record) {
+    const { hash, ...info } = record;
+    return info;
+  }
+}
+
+module.exports = { TokenStore, SCOPES, hashToken };
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./json-file");
+
+/**
+ * 上传会话存储（断点续传、预签名直传）。
+ *
+ * 会话保存在内存中，并在每次变更后写入 JSON 文件，服务重启后可以继续
+ * 之前未完成的上传。
+ */
+class UploadSessionStore {
+  /**
+   * @param {string} file 持久化文件路径
+   */
+  constructor(file) {
+    this.file = file;
+    this.sessions = new Map();
+    this.load();
+  }
+
+  load() {
+    for (const session of readJson(this.file, [])) {
+      this.sessions.set(session.id, session);
+    }
+  }
+
+  save() {
+    writeJson(this.file, [...this.sessions.values()]);
+  }
+
+  create(fields) {
+    const session = { id: crypto.randomBytes(16).toString("hex"), ...fields };
+    this.sessions.set(session.id, session);
+    this.save();
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  update(session) {
+    // 会话可能在分片上传期间被客户端终止，不能再写回去
+    if (!this.sessions.has(session.id)) return;
+    this.sessions.set(session.id, session);
+    this.save();
+  }
+
+  delete(id) {
+    this.sessions.delete(id);
+    this.save();
+  }
+
+  /** 返回所有已过期的会话 */
+  expired(now = Date.now()) {
+    return [...this.sessions.values()].filter((s) => s.expiresAt <= now);
+  }
+}
+
+module.exports = UploadSessionStore;
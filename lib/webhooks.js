@@ -0,0 +1,335 @@
+const crypto = require("crypto");
+const express = require("express");
+const { readJson, writeJson } = require("./json-file");
+const { FALLBACK_LOCALE, translate, errorBody } = require("./i18n");
+
+// 可以订阅的事件，move 包括重命名
+const EVENTS = ["upload", "delete", "move"];
+
+// 最多尝试次数；失败后等待 30 秒、1 分钟、2 分钟……重试
+const MAX_ATTEMPTS = 8;
+const RETRY_DELAY = 30 * 1000;
+// 单次请求的超时时间
+const TIMEOUT = 10 * 1000;
+// 保留的投递记录数，未完成的投递不会被清理
+const MAX_DELIVERIES = 500;
+
+/**
+ * 计算请求签名：HMAC-SHA256(secret, "<时间戳>.<请求体>")，十六进制
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Webhook 目标和投递记录。
+ *
+ * 每个事件为每个订阅了它的目标创建一条投递记录并保存到文件，失败后按指数
+ * 退避重试，服务重启后继续投递未完成的记录。请求头中带有签名：
+ *
+ *   X-Webhook-Id         投递 ID，重试时不变，可用于去重
+ *   X-Webhook-Event      事件类型
+ *   X-Webhook-Timestamp  发送时间（Unix 秒）
+ *   X-Webhook-Signature  sha256=HMAC-SHA256(密钥, "<时间戳>.<请求体>")
+ */
+class Webhooks {
+  /**
+   * @param {object} options
+   * @param {string} options.file 目标的持久化文件路径
+   * @param {string} options.deliveriesFile 投递记录的持久化文件路径
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.deliveriesFile = options.deliveriesFile;
+    this.targets = readJson(this.file, []);
+    this.deliveries = readJson(this.deliveriesFile, []);
+    this.timer = null;
+    this.running = false;
+
+    // 重启前正在发送的记录按未完成处理
+    for (const delivery of this.deliveries) {
+      if (delivery.status === "sending") delivery.status = "pending";
+    }
+    this.schedule();
+  }
+
+  save() {
+    writeJson(this.file, this.targets);
+  }
+
+  saveDeliveries() {
+    writeJson(this.deliveriesFile, this.deliveries);
+  }
+
+  /**
+   * 添加目标，返回的 secret 用于校验签名
+   *
+   * @param {string} url
+   * @param {string[]} [events] 订阅的事件，为空时订阅全部
+   */
+  create(url, events) {
+    const record = {
+      id: crypto.randomBytes(8).toString("hex"),
+      url,
+      events: EVENTS.filter((event) => (events && events.length ? events.includes(event) : true)),
+      secret: `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+      createdAt: Date.now(),
+    };
+    this.targets.push(record);
+    this.save();
+    return record;
+  }
+
+  remove(id) {
+    const count = this.targets.length;
+    this.targets = this.targets.filter((target) => target.id !== id);
+    if (this.targets.length === count) return false;
+    this.save();
+    return true;
+  }
+
+  list() {
+    return this.targets;
+  }
+
+  /**
+   * 把事件加入所有订阅了它的目标的投递队列
+   *
+   * @param {string} event 事件类型
+   * @param {object} data 事件内容
+   * @param {string} [targetId] 只发给指定目标，用于测试
+   */
+  emit(event, data, targetId) {
+    const targets = this.targets.filter((target) =>
+      targetId ? target.id === targetId : target.events.includes(event)
+    );
+    if (!targets.length) return [];
+
+    const payload = { event, time: new Date().toISOString(), ...data };
+    const created = targets.map((target) => ({
+      id: crypto.randomBytes(12).toString("hex"),
+      webhookId: target.id,
+      url: target.url,
+      event,
+      payload,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      responseStatus: null,
+      error: null,
+      code: null,
+      createdAt: Date.now(),
+      deliveredAt: null,
+    }));
+    this.deliveries.push(...created);
+    this.prune();
+    this.saveDeliveries();
+    this.schedule();
+    return created;
+  }
+
+  /** 只保留最近的投递记录，未完成的除外 */
+  prune() {
+    const excess = this.deliveries.length - MAX_DELIVERIES;
+    if (excess <= 0) return;
+    let removed = 0;
+    this.deliveries = this.deliveries.filter((delivery) => {
+      if (removed >= excess || delivery.status === "pending" || delivery.status === "sending") return true;
+      removed++;
+      return false;
+    });
+  }
+
+  /**
+   * 投递记录，最新的在前
+   *
+   * @param {object} [filter]
+   * @param {string} [filter.status] pending、delivered 或 failed
+   * @param {string} [filter.webhookId]
+   */
+  listDeliveries(filter = {}) {
+    return this.deliveries
+      .filter((delivery) => !filter.status || delivery.status === filter.status)
+      .filter((delivery) => !filter.webhookId || delivery.webhookId === filter.webhookId)
+      .slice()
+      .reverse();
+  }
+
+  /** 立即重新投递失败的记录，重新计算尝试次数 */
+  retry(id) {
+    const delivery = this.deliveries.find((item) => item.id === id);
+    if (!delivery) return null;
+    if (delivery.status !== "pending" && delivery.status !== "sending") {
+      delivery.status = "pending";
+      delivery.attempts = 0;
+    }
+    delivery.nextAttemptAt = Date.now();
+    this.saveDeliveries();
+    this.schedule();
+    return delivery;
+  }
+
+  /** 在最早需要投递的时间启动定时器 */
+  schedule() {
+    clearTimeout(this.timer);
+    const pending = this.deliveries.filter((delivery) => delivery.status === "pending");
+    if (!pending.length || this.running) return;
+    const next = Math.min(...pending.map((delivery) => delivery.nextAttemptAt));
+    this.timer = setTimeout(() => this.run(), Math.max(next - Date.now(), 0));
+    this.timer.unref();
+  }
+
+  /** 按顺序投递所有到期的记录 */
+  async run() {
+    this.running = true;
+    try {
+      for (;;) {
+        const due = this.deliveries.find(
+          (delivery) => delivery.status === "pending" && delivery.nextAttemptAt <= Date.now()
+        );
+        if (!due) break;
+        await this.deliver(due);
+      }
+    } finally {
+      this.running = false;
+      this.schedule();
+    }
+  }
+
+  async deliver(delivery) {
+    const target = this.targets.find((item) => item.id === delivery.webhookId);
+    if (!target) {
+      delivery.status = "failed";
+      delivery.code = "webhook_deleted";
+      delivery.error = translate(FALLBACK_LOCALE, "errors.webhook_deleted");
+      this.saveDeliveries();
+      return;
+    }
+
+    delivery.status = "sending";
+    delivery.attempts += 1;
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(target.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "r2-upload-webhook",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(target.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(TIMEOUT),
+      });
+      // 响应内容不使用，读完以释放连接
+      await response.arrayBuffer().catch(() => {});
+      delivery.responseStatus = response.status;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      delivery.status = "delivered";
+      delivery.error = null;
+      delivery.code = null;
+      delivery.deliveredAt = Date.now();
+    } catch (error) {
+      // 超时等有错误码的原因按查看者的语言显示，其他为原始的错误信息
+      delivery.code = error.name === "TimeoutError" ? "webhook_timeout" : null;
+      delivery.error = delivery.code ? translate(FALLBACK_LOCALE, `errors.${delivery.code}`) : error.message;
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = "failed";
+      } else {
+        delivery.status = "pending";
+        delivery.nextAttemptAt = Date.now() + RETRY_DELAY * 2 ** (delivery.attempts - 1);
+      }
+    }
+    this.saveDeliveries();
+  }
+}
+
+/** 投递记录中有错误码的错误按请求的语言显示 */
+function describeDelivery(req, delivery) {
+  return delivery.code ? { ...delivery, error: translate(req.locale, `errors.${delivery.code}`) } : delivery;
+}
+
+/**
+ * Webhook 管理接口，只允许登录后的网页会话使用：
+ *
+ *   GET    /webhooks                  目标列表
+ *   POST   /webhooks                  { url, events } 添加目标
+ *   DELETE /webhooks/:id              删除目标
+ *   POST   /webhooks/:id/test         发送一个 ping 事件
+ *   GET    /webhooks/deliveries       ?status=&webhookId= 投递记录
+ *   POST   /webhooks/deliveries/:id/retry  立即重新投递
+ *
+ * @param {object} options
+ * @param {Webhooks} options.webhooks
+ * @param {import("express").RequestHandler} options.requireSession
+ * @returns {import("express").Router}
+ */
+function createWebhookRouter(options) {
+  const { webhooks, requireSession } = options;
+  const router = express.Router();
+
+  router.use("/webhooks", requireSession);
+
+  router.get("/webhooks", (req, res) => {
+    res.json({ webhooks: webhooks.list(), events: EVENTS });
+  });
+
+  router.post("/webhooks", express.json(), (req, res) => {
+    const { url, events } = req.body || {};
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return res.status(400).json(errorBody(req, "invalid_url"));
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return res.status(400).json(errorBody(req, "invalid_url_protocol"));
+    }
+    if (events !== undefined && (!Array.isArray(events) || events.some((event) => !EVENTS.includes(event)))) {
+      return res.status(400).json(errorBody(req, "invalid_events", { events: EVENTS.join(", ") }));
+    }
+    res.status(201).json(webhooks.create(parsed.href, events));
+  });
+
+  router.get("/webhooks/deliveries", (req, res) => {
+    const deliveries = webhooks.listDeliveries({ status: req.query.status, webhookId: req.query.webhookId });
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({
+      total: deliveries.length,
+      deliveries: deliveries.slice(0, limit).map((delivery) => describeDelivery(req, delivery)),
+    });
+  });
+
+  router.post("/webhooks/deliveries/:id/retry", (req, res) => {
+    const delivery = webhooks.retry(req.params.id);
+    if (!delivery) {
+      return res.status(404).json(errorBody(req, "delivery_not_found"));
+    }
+    res.json(describeDelivery(req, delivery));
+  });
+
+  router.delete("/webhooks/:id", (req, res) => {
+    if (!webhooks.remove(req.params.id)) {
+      return res.status(404).json(errorBody(req, "webhook_not_found"));
+    }
+    res.json({ ok: true });
+  });
+
+  router.post("/webhooks/:id/test", (req, res) => {
+    const message = translate(req.locale, "messages.webhook_ping");
+    const [delivery] = webhooks.emit("ping", { message }, req.params.id);
+    if (!delivery) {
+      return res.status(404).json(errorBody(req, "webhook_not_found"));
+    }
+    res.status(202).json(delivery);
+  });
+
+  return router;
+}
+
+module.exports = { Webhooks, createWebhookRouter, signPayload, EVENTS };
@@ -1,8 +1,21 @@
 const { app, BrowserWindow, dialog } = require('electron');
 const express = require('express');
-const server = require('./index.js'); // 引入原来的 Express 服务器
+
+// 桌面版只在本机使用，默认不需要登录
+process.env.AUTH_MODE = process.env.AUTH_MODE || 'open';
+
+const { createApp, startServer } = require('./index.js');
 const path = require('path');
 
+let server;
+try {
+  server = startServer(createApp(), Number(process.env.PORT) || 3000);
+} catch (error) {
+  // 配置有误时说明原因后退出，而不是打开一个无法使用的窗口
+  dialog.showErrorBox('配置错误', error.message);
+  process.exit(1);
+}
+
 function createWindow() {
   const win = new BrowserWindow({
     width: 900,
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const { createApp } = require("../index");
+
+/**
+ * 冒烟测试：用 local 后端启动应用，不需要 R2 凭证和网络，走一遍上传、读取和列表
+ */
+test("local 后端上传后可以读取和列出文件", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "r2-upload-test-"));
+  const app = createApp({
+    env: {
+      STORAGE_DRIVER: "local",
+      LOCAL_STORAGE_DIR: path.join(dir, "files"),
+      DATA_DIR: path.join(dir, "data"),
+      AUTH_MODE: "open",
+      LOG_LEVEL: "error",
+    },
+  });
+  const server = app.listen(0);
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#667eea" } })
+    .png()
+    .toBuffer();
+  const form = new FormData();
+  form.append("file", new Blob([image], { type: "image/png" }), "smoke.png");
+  const upload = await fetch(`${base}/upload`, { method: "POST", body: form });
+  assert.strictEqual(upload.status, 200);
+  const result = await upload.json();
+  assert.match(result.fileName, /smoke\.png$/);
+  // 没有公开地址的 local 后端通过 /f/ 读取
+  assert.ok(result.fileUrl.startsWith("/f/"));
+
+  const file = await fetch(`${base}${result.fileUrl}`);
+  assert.strictEqual(file.status, 200);
+  assert.strictEqual(file.headers.get("content-type"), "image/png");
+  assert.deepStrictEqual(Buffer.from(await file.arrayBuffer()), image);
+
+  const list = await (await fetch(`${base}/list-files`)).json();
+  assert.ok(JSON.stringify(list).includes(result.fileName));
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { TypePolicy, sniffType } = require("../lib/file-types");
+
+function ftyp(major, ...compatible) {
+  const brands = [major, "\0\0\0\0", ...compatible].join("");
+  const box = Buffer.alloc(8 + brands.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write(`ftyp${brands}`, 4, "latin1");
+  return box;
+}
+
+test("按文件头识别类型", () => {
+  assert.strictEqual(sniffType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), "image/jpeg");
+  assert.strictEqual(sniffType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), "image/png");
+  assert.strictEqual(sniffType(Buffer.from("GIF89a")), "image/gif");
+  assert.strictEqual(sniffType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), "image/webp");
+  assert.strictEqual(sniffType(Buffer.from("%PDF-1.7")), "application/pdf");
+  assert.strictEqual(sniffType(ftyp("avif", "mif1")), "image/avif");
+  assert.strictEqual(sniffType(ftyp("mif1", "avif")), "image/avif");
+  assert.strictEqual(sniffType(ftyp("qt  ")), "video/quicktime");
+  assert.strictEqual(sniffType(ftyp("XAVC", "mp42")), "video/mp4");
+  const webm = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from("\x42\x82webm", "latin1")]);
+  assert.strictEqual(sniffType(webm), "video/webm");
+
+  // HEIC 等不支持的 ftyp 品牌和纯文本都无法识别
+  assert.strictEqual(sniffType(ftyp("heic", "mif1")), null);
+  assert.strictEqual(sniffType(Buffer.from("<html></html>")), null);
+  assert.strictEqual(sniffType(Buffer.alloc(0)), null);
+});
+
+test("声明的类型与文件头不一致时拒绝", () => {
+  const policy = new TypePolicy("image/png,image/jpeg", 1024);
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  policy.check("image/png", png);
+  // 浏览器给出的别名按标准类型处理
+  policy.check("image/jpg", Buffer.from([0xff, 0xd8, 0xff]));
+
+  const codeOf = (type, head) => {
+    try {
+      policy.check(type, head);
+    } catch (error) {
+      assert.strictEqual(error.name, "InvalidFileType");
+      assert.strictEqual(error.status, 400);
+      return error.code;
+    }
+    return null;
+  };
+  assert.strictEqual(codeOf("image/jpeg", png), "type_mismatch");
+  assert.strictEqual(codeOf("image/png", Buffer.from("not an image")), "unknown_content");
+  assert.strictEqual(codeOf("application/pdf", Buffer.from("%PDF-1.7")), "unsupported_type");
+});
+
+test("类型列表中的大小上限", () => {
+  const policy = new TypePolicy("image/png:2,video/mp4", 100 * 1024 * 1024);
+  assert.strictEqual(policy.maxSize("image/png"), 2 * 1024 * 1024);
+  assert.strictEqual(policy.maxSize("video/mp4"), 100 * 1024 * 1024);
+  assert.strictEqual(policy.maxSize("image/gif"), 0);
+  assert.strictEqual(policy.largestSize, 100 * 1024 * 1024);
+
+  // 写错的大小会让上限变成 NaN，构造时就拒绝
+  for (const spec of ["image/png:abc", "image/png:", "image/png:0", "image/png:-1", "image/png:Infinity"]) {
+    assert.throws(() => new TypePolicy(spec, 1024), /image\/png 的大小上限/, spec);
+  }
+  assert.throws(() => new TypePolicy("image/heic", 1024), /类型 image\/heic 无法识别/);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { KeyTemplate, sanitizeFilename, slugify } = require("../lib/keys");
+
+const now = new Date(Date.UTC(2024, 4, 6, 7, 8, 9));
+const hash = "ab".repeat(32);
+
+test("按模板生成对象键", () => {
+  const template = new KeyTemplate("{yyyy}/{mm}/{dd}/{hh}/{hash8}-{slug}.{ext}");
+  assert.ok(template.needsHash);
+  assert.strictEqual(
+    template.render({ filename: "Café Photo (1).JPG", hash, now }),
+    "2024/05/06/07/abababab-cafe-photo-1.jpg"
+  );
+  assert.strictEqual(new KeyTemplate("{hash}.{ext}").render({ filename: "a.png", hash, now }), `${hash}.png`);
+  const named = new KeyTemplate("files/{name}.{ext}");
+  assert.strictEqual(named.render({ filename: "报告 v2.pdf", now }), "files/报告 v2.pdf");
+
+  // 没有扩展名时 .{ext} 整体省略，有类型时按类型补上
+  assert.strictEqual(new KeyTemplate("{name}.{ext}").render({ filename: "README", now }), "README");
+  assert.strictEqual(new KeyTemplate("{name}.{ext}").render({ filename: "clip", type: "video/mp4", now }), "clip.mp4");
+
+  assert.match(new KeyTemplate("{uuid}").render({ filename: "a", now }), /^[0-9a-f-]{36}$/);
+  assert.match(new KeyTemplate("{random}").render({ filename: "a", now }), /^[0-9a-f]{8}$/);
+});
+
+test("同一进程内的时间戳单调递增", () => {
+  const template = new KeyTemplate("{timestamp}-{name}.{ext}");
+  const first = template.render({ filename: "a.png", now });
+  const second = template.render({ filename: "a.png", now });
+  assert.notStrictEqual(first, second);
+  assert.ok(Number(second.split("-")[0]) > Number(first.split("-")[0]));
+});
+
+test("无效的模板在创建时拒绝", () => {
+  assert.throws(() => new KeyTemplate("{filename}"), (error) => error.code === "unknown_placeholder");
+  for (const source of ["/{name}.{ext}", "a//{name}.{ext}", ".incoming/{name}.{ext}", "../{name}"]) {
+    assert.throws(() => new KeyTemplate(source), (error) => error.code === "invalid_key_template", source);
+  }
+  assert.throws(() => new KeyTemplate("{hash}").render({ filename: "a.png" }), /哈希/);
+  assert.strictEqual(KeyTemplate.resolve("", "fallback"), "fallback");
+  assert.throws(() => KeyTemplate.resolve(["{name}"], "fallback"), (error) => error.code === "invalid_key_template");
+});
+
+test("清理文件名", () => {
+  assert.deepStrictEqual(sanitizeFilename("../../etc/passwd"), { name: "passwd", ext: "" });
+  assert.deepStrictEqual(sanitizeFilename("C:\\Users\\me\\photo.JPEG"), { name: "photo", ext: "jpeg" });
+  assert.deepStrictEqual(sanitizeFilename('a<b>:"c|d?*@e#%.png'), { name: "abcde", ext: "png" });
+  assert.deepStrictEqual(sanitizeFilename("  ..hidden.  .gif"), { name: "hidden", ext: "gif" });
+  assert.deepStrictEqual(sanitizeFilename("\u0000\u001f.png"), { name: "file", ext: "png" });
+  assert.deepStrictEqual(sanitizeFilename("", "image/webp"), { name: "file", ext: "webp" });
+  assert.deepStrictEqual(sanitizeFilename("x.t@r!gz"), { name: "x", ext: "trgz" });
+
+  // 按字符截断，不会截断在代理对中间
+  const { name } = sanitizeFilename(`${"😀".repeat(150)}.png`);
+  assert.strictEqual([...name].length, 100);
+  assert.ok(name.endsWith("😀"));
+});
+
+test("slug 化文件名", () => {
+  assert.strictEqual(slugify("Crème Brûlée -- Recipe!"), "creme-brulee-recipe");
+  assert.strictEqual(slugify("年度 报告"), "年度-报告");
+  assert.strictEqual(slugify("!!!"), "file");
+  assert.ok(slugify("a".repeat(100)).length <= 64);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLimits, SlidingWindow, UsageStore } = require("../lib/limits");
+
+const MINUTE = 60 * 1000;
+
+test("滑动窗口按时间片释放额度", () => {
+  const window = new SlidingWindow(10, MINUTE);
+  const start = 10 * MINUTE;
+
+  window.add("a", 4, start);
+  window.add("a", 6, start + 30 * 1000);
+  assert.strictEqual(window.used("a", start + 30 * 1000), 10);
+  assert.strictEqual(window.used("b", start + 30 * 1000), 0);
+
+  // 要等最早的时间片过期才能再用 4，等第二个时间片过期才能再用 5
+  assert.strictEqual(window.wait("a", 4, start + 40 * 1000), 20 * 1000);
+  assert.strictEqual(window.wait("a", 5, start + 40 * 1000), 50 * 1000);
+  // 超过上限的用量永远不能满足
+  assert.strictEqual(window.wait("a", 11, start + 40 * 1000), MINUTE);
+
+  assert.strictEqual(window.used("a", start + MINUTE), 6);
+  assert.strictEqual(window.wait("a", 4, start + MINUTE), 0);
+  window.prune(start + 2 * MINUTE);
+  assert.strictEqual(window.counters.size, 0);
+});
+
+test("按实际收到的字节计入流量", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "r2-upload-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const limits = createLimits({
+    usage: new UsageStore(path.join(dir, "usage.json")),
+    bytesPerHour: 1000,
+  });
+
+  const run = (measure) => {
+    const req = { ip: "127.0.0.1", auth: null };
+    const res = { setHeader: (name, value) => (res[name] = value) };
+    let result;
+    limits.check(() => measure)(req, res, (error) => (result = error || null));
+    return { req, res, error: result };
+  };
+
+  // 没有 Content-Length 时检查通过，数据到达时才计入
+  const chunked = run({ bytes: 0, files: 1 });
+  assert.strictEqual(chunked.error, null);
+  assert.strictEqual(chunked.req.uploadMeter(600), null);
+  assert.strictEqual(limits.status(chunked.req).bytes.used, 600);
+  const exceeded = chunked.req.uploadMeter(600);
+  assert.strictEqual(exceeded.status, 413);
+  assert.strictEqual(exceeded.code, "upload_exceeds_hourly_limit");
+
+  // Content-Length 已经计入的部分不会重复计数
+  const counted = run({ bytes: 300 });
+  assert.strictEqual(counted.error, null);
+  assert.strictEqual(limits.status(counted.req).bytes.used, 900);
+  assert.strictEqual(counted.req.uploadMeter(300), null);
+  assert.strictEqual(limits.status(counted.req).bytes.used, 900);
+  const over = counted.req.uploadMeter(200);
+  assert.strictEqual(over.status, 429);
+  assert.ok(over.retryAfter > 0);
+
+  // 剩余额度不够时在读取请求体之前拒绝，带 Retry-After
+  const rejected = run({ bytes: 200 });
+  assert.strictEqual(rejected.error.code, "hourly_limit_exceeded");
+  assert.ok(Number(rejected.res["Retry-After"]) > 0);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../index");
+
+/**
+ * 断点续传：不足一个分片的数据暂存在内存中，HEAD 返回的偏移量包含暂存的数据，
+ * 续传的数据与暂存的数据拼接后写入
+ */
+test("不足一个分片的 PATCH 可以从 HEAD 返回的偏移量续传", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "r2-upload-test-"));
+  const app = createApp({
+    env: {
+      STORAGE_DRIVER: "local",
+      LOCAL_STORAGE_DIR: path.join(dir, "files"),
+      DATA_DIR: path.join(dir, "data"),
+      AUTH_MODE: "open",
+      LOG_LEVEL: "error",
+      ALLOWED_TYPES: "application/pdf",
+      UPLOAD_PART_SIZE_MB: "5",
+    },
+  });
+  const server = app.listen(0);
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // 比一个分片（5MB）多一点，第一次只发 100KB
+  const file = Buffer.concat([Buffer.from("%PDF-1.7\n"), crypto.randomBytes(5 * 1024 * 1024 + 1000)]);
+  const first = 100 * 1024;
+  const base64 = (value) => Buffer.from(value).toString("base64");
+  const metadata = `filename ${base64("a.pdf")},filetype ${base64("application/pdf")}`;
+  const tus = { "Tus-Resumable": "1.0.0" };
+  const patch = (url, offset, body) =>
+    fetch(url, {
+      method: "PATCH",
+      headers: { ...tus, "Content-Type": "application/offset+octet-stream", "Upload-Offset": String(offset) },
+      body,
+    });
+
+  const created = await fetch(`${base}/uploads`, {
+    method: "POST",
+    headers: { ...tus, "Upload-Length": String(file.length), "Upload-Metadata": metadata },
+  });
+  assert.strictEqual(created.status, 201);
+  const url = new URL(created.headers.get("location"), base).href;
+
+  const partial = await patch(url, 0, file.subarray(0, first));
+  assert.strictEqual(partial.status, 204);
+  assert.strictEqual(partial.headers.get("upload-offset"), String(first));
+
+  const head = await fetch(url, { method: "HEAD", headers: tus });
+  assert.strictEqual(head.headers.get("upload-offset"), String(first));
+
+  // 偏移量不对时拒绝，暂存的数据不受影响
+  const wrong = await patch(url, 0, file.subarray(0, first));
+  assert.strictEqual(wrong.status, 409);
+
+  const rest = await patch(url, first, file.subarray(first));
+  assert.strictEqual(rest.status, 204);
+  assert.strictEqual(rest.headers.get("upload-offset"), String(file.length));
+
+  const status = await (await fetch(url)).json();
+  assert.ok(status.fileUrl);
+  const stored = await fetch(new URL(status.fileUrl, base));
+  assert.strictEqual(stored.status, 200);
+  assert.ok(Buffer.from(await stored.arrayBuffer()).equals(file));
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../index");
+const { ShareStore } = require("../lib/shares");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "r2-upload-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("下载次数在检查的同时计入，同一客户端的续传不计数", (t) => {
+  const file = path.join(tempDir(t), "shares.json");
+  const shares = new ShareStore(file);
+  const { id } = shares.create({ key: "a.pdf", profile: "default", expiresAt: Date.now() + 60000, maxDownloads: 1 });
+  const record = shares.get(id);
+
+  assert.ok(shares.claimDownload(record, "alice", false));
+  // 次数用完后其他客户端不能下载，同一客户端可以续传
+  assert.ok(!shares.claimDownload(record, "bob", false));
+  assert.ok(!shares.claimDownload(record, "bob", true));
+  assert.ok(shares.claimDownload(record, "alice", true));
+  // 从头重新下载要计数
+  assert.ok(!shares.claimDownload(record, "alice", false));
+
+  // 计数保存在文件中，次数用完的链接不再列出
+  assert.strictEqual(new ShareStore(file).get(id).downloads, 1);
+  assert.deepStrictEqual(shares.list(), []);
+});
+
+test("分享链接支持 Range，下载次数用完后失效", async (t) => {
+  const dir = tempDir(t);
+  const app = createApp({
+    env: {
+      STORAGE_DRIVER: "local",
+      LOCAL_STORAGE_DIR: path.join(dir, "files"),
+      DATA_DIR: path.join(dir, "data"),
+      AUTH_MODE: "open",
+      LOG_LEVEL: "error",
+      ALLOWED_TYPES: "application/pdf",
+    },
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const content = Buffer.from("%PDF-1.7\nshared content");
+  const form = new FormData();
+  form.append("file", new Blob([content], { type: "application/pdf" }), "shared.pdf");
+  const uploaded = await (await fetch(`${base}/upload`, { method: "POST", body: form })).json();
+
+  const created = await fetch(`${base}/shares`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ key: uploaded.fileName, maxDownloads: 1 }),
+  });
+  assert.strictEqual(created.status, 201);
+  const share = new URL((await created.json()).url, base).href;
+
+  const download = (headers) => fetch(share, { headers: { "User-Agent": "test-a", ...headers } });
+
+  const first = await download({ Range: "bytes=0-3" });
+  assert.strictEqual(first.status, 206);
+  assert.strictEqual(first.headers.get("content-range"), `bytes 0-3/${content.length}`);
+  assert.strictEqual(await first.text(), "%PDF");
+
+  // 同一客户端从中间续传不计数
+  const rest = await download({ Range: "bytes=4-" });
+  assert.strictEqual(rest.status, 206);
+  assert.ok(Buffer.from(await rest.arrayBuffer()).equals(content.subarray(4)));
+
+  const invalid = await download({ Range: `bytes=${content.length + 10}-` });
+  assert.strictEqual(invalid.status, 416);
+
+  // 次数已经用完，其他客户端和从头下载都不行
+  assert.strictEqual((await download({ "User-Agent": "test-b" })).status, 404);
+  assert.strictEqual((await download()).status, 404);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../index");
+const { TokenStore, hashToken } = require("../lib/tokens");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "r2-upload-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("令牌只保存哈希，吊销后不能再通过校验", (t) => {
+  const file = path.join(tempDir(t), "tokens.json");
+  const tokens = new TokenStore(file);
+  const created = tokens.create("ci", ["upload", "admin"]);
+
+  // 明文只在创建时返回一次，文件中只有哈希
+  assert.match(created.token, /^r2u_/);
+  assert.deepStrictEqual(created.scopes, ["upload"]);
+  const saved = fs.readFileSync(file, "utf8");
+  assert.ok(!saved.includes(created.token));
+  assert.ok(saved.includes(hashToken(created.token)));
+  assert.ok(!tokens.list().some((record) => "hash" in record));
+
+  // 重新读取文件后仍能校验
+  const reloaded = new TokenStore(file);
+  assert.strictEqual(reloaded.verify(created.token).id, created.id);
+  assert.strictEqual(reloaded.verify(`${created.token}x`), null);
+
+  assert.ok(reloaded.revoke(created.id));
+  assert.strictEqual(reloaded.verify(created.token), null);
+});
+
+test("令牌只能访问有权限的接口", async (t) => {
+  const dir = tempDir(t);
+  const dataDir = path.join(dir, "data");
+  fs.mkdirSync(dataDir);
+  const tokens = new TokenStore(path.join(dataDir, "tokens.json"));
+  const uploader = tokens.create("uploader", ["upload"]);
+  const reader = tokens.create("reader", ["list"]);
+
+  const app = createApp({
+    env: {
+      STORAGE_DRIVER: "local",
+      LOCAL_STORAGE_DIR: path.join(dir, "files"),
+      DATA_DIR: dataDir,
+      ADMIN_PASSWORD: "secret",
+      LOG_LEVEL: "error",
+    },
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const list = (token) =>
+    fetch(`${base}/list-files`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+  assert.strictEqual((await list()).status, 401);
+  assert.strictEqual((await list("r2u_invalid")).status, 401);
+  assert.strictEqual((await list(uploader.token)).status, 403);
+  assert.strictEqual((await list(reader.token)).status, 200);
+
+  // 令牌管理只允许网页会话
+  const manage = await fetch(`${base}/tokens`, { headers: { Authorization: `Bearer ${reader.token}` } });
+  assert.strictEqual(manage.status, 401);
+});
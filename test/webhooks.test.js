@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { Webhooks, signPayload } = require("../lib/webhooks");
+
+/** 等待条件成立，最多 5 秒 */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.ok(condition());
+}
+
+test("签名为 HMAC-SHA256(密钥, 时间戳.请求体)", () => {
+  const expected = crypto.createHmac("sha256", "whsec_test").update('1700000000.{"a":1}').digest("hex");
+  assert.strictEqual(signPayload("whsec_test", 1700000000, '{"a":1}'), expected);
+});
+
+test("投递失败后保存重试计划，重启后继续投递", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "r2-upload-test-"));
+  const requests = [];
+  let status = 500;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  server.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const files = { file: path.join(dir, "webhooks.json"), deliveriesFile: path.join(dir, "deliveries.json") };
+  const instances = [];
+  t.after(() => {
+    for (const webhooks of instances) clearTimeout(webhooks.timer);
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const webhooks = new Webhooks(files);
+  instances.push(webhooks);
+  const target = webhooks.create(`http://127.0.0.1:${server.address().port}/hook`, ["upload"]);
+  assert.deepStrictEqual(webhooks.emit("delete", { key: "a.png" }), []);
+  const [delivery] = webhooks.emit("upload", { key: "a.png", size: 3 });
+
+  await waitFor(() => delivery.attempts === 1 && delivery.status === "pending");
+  assert.strictEqual(delivery.responseStatus, 500);
+  assert.ok(delivery.nextAttemptAt > Date.now() + 20 * 1000);
+
+  // 请求头带有投递 ID、事件和签名
+  const [first] = requests;
+  assert.strictEqual(first.headers["x-webhook-id"], delivery.id);
+  assert.strictEqual(first.headers["x-webhook-event"], "upload");
+  const signature = signPayload(target.secret, first.headers["x-webhook-timestamp"], first.body);
+  assert.strictEqual(first.headers["x-webhook-signature"], `sha256=${signature}`);
+  assert.deepStrictEqual(JSON.parse(first.body), { id: delivery.id, ...delivery.payload });
+
+  // 重启后从文件恢复未完成的投递，手动重试成功
+  clearTimeout(webhooks.timer);
+  const restarted = new Webhooks(files);
+  instances.push(restarted);
+  const [saved] = restarted.listDeliveries({ status: "pending" });
+  assert.strictEqual(saved.id, delivery.id);
+  assert.strictEqual(saved.attempts, 1);
+
+  status = 200;
+  restarted.retry(saved.id);
+  await waitFor(() => saved.status === "delivered");
+  assert.strictEqual(requests.length, 2);
+  // 重试时投递 ID 不变，接收方可以据此去重
+  assert.strictEqual(requests[1].headers["x-webhook-id"], delivery.id);
+  const persisted = JSON.parse(fs.readFileSync(files.deliveriesFile, "utf8"));
+  assert.strictEqual(persisted[0].status, "delivered");
+});